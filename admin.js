@@ -0,0 +1,176 @@
+// Data maintenance: `npm run admin -- <command> [options]`
+//   check                                   list problems between trips and users
+//   repair [--dry-run]                      fix what check found that can be fixed
+//   reset-password <username> [--password <new>] [--dry-run]
+//                                           sets a password (a random one if none
+//                                           is given) and signs the user out
+//   rename <from> <to> [--dry-run]          renames an account everywhere
+//   merge <from> <into> [--dry-run]         folds one account into another
+// --dry-run prints what would change without saving. On the JSON backend the
+// data is snapshotted before any change; stop the server first, it caches
+// data/*.json. See lib/maintenance.js for what each check and repair does.
+import 'dotenv/config';
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import store from './lib/store/index.js';
+import backups from './lib/backup/index.js';
+import { reconcile, renameUser, mergeUsers } from './lib/maintenance.js';
+import { tripEntries } from './lib/audit.js';
+import { check } from './lib/validation.js';
+import * as schemas from './lib/schemas.js';
+
+const ACTOR = 'admin';
+
+const [command, ...args] = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+};
+const dryRun = args.includes('--dry-run');
+// Arguments that aren't options or option values
+const VALUE_OPTIONS = ['--password'];
+const positional = args.filter((arg, i) => !arg.startsWith('--') && !VALUE_OPTIONS.includes(args[i - 1]));
+
+const isJson = (process.env.STORAGE_BACKEND || 'json') === 'json';
+
+const loadAll = async () => {
+  const [trips, users, series] = await Promise.all([store.trips.list(), store.users.list(), store.series.list()]);
+  return { trips, users, series };
+};
+
+const printProblems = (problems) => {
+  problems.forEach((p) => console.log(`${p.fixable ? ' ' : '!'} ${p.code.padEnd(16)} ${p.message}`));
+};
+
+const summary = ({ trips = [], users = [], series = [] }) =>
+  `${users.length} user(s), ${trips.length} trip(s), ${series.length} series`;
+
+// Snapshots first on the JSON backend, so a bad repair can be restored with
+// `npm run backup -- restore`
+const beforeWriting = async () => {
+  if (!isJson) return;
+  const name = await backups.snapshot();
+  if (backups.status.lastError) throw new Error(backups.status.lastError);
+  console.log(`Current data saved as ${name}`);
+};
+
+// Saves changed documents and logs every changed trip in its audit trail.
+// `originals` holds each trip as loaded.
+const saveChanges = async ({ trips = [], users = [], series = [] }, originals, action) => {
+  if (users.length) await store.users.saveMany(users);
+  for (const trip of trips) {
+    await store.trips.save(trip);
+    await store.audit.append(tripEntries({ before: originals.get(trip.tripId), after: trip, actor: ACTOR, action }));
+  }
+  for (const doc of series) await store.series.save(doc);
+};
+
+const originalsOf = (trips) => new Map(trips.map((t) => [t.tripId, structuredClone(t)]));
+
+// The account is saved under its new name before the old one goes, so the
+// data never points at a name with no account
+const applyAccountChange = async (result, originals, description, action) => {
+  const { user, remove, trips, users, series } = result;
+  const touched = `${trips.map((t) => t.tripId).join(', ') || 'no trips'}; ${users.length} other user(s); ${series.length} series`;
+  if (dryRun) return console.log(`Dry run: would ${description}, updating ${touched}`);
+
+  await beforeWriting();
+  await store.users.saveMany([user, ...users]);
+  await saveChanges({ trips, series }, originals, action);
+  await store.users.remove(remove);
+  console.log(`✅ Done: ${description}, updated ${touched}. Audit entries keep the old name.`);
+};
+
+const usage = (text) => {
+  throw new Error(`Usage: npm run admin -- ${text}`);
+};
+
+const commands = {
+  check: async () => {
+    const { problems } = reconcile(await loadAll());
+    if (!problems.length) return console.log('✅ No problems found');
+    printProblems(problems);
+    console.log(`${problems.length} problem(s); ${problems.filter((p) => !p.fixable).length} need a manual fix (!)`);
+    process.exitCode = 1;
+  },
+
+  repair: async () => {
+    const data = await loadAll();
+    const originals = originalsOf(data.trips);
+    const result = reconcile(data, { repair: true });
+    const fixable = result.problems.filter((p) => p.fixable);
+    if (!result.problems.length) return console.log('✅ Nothing to repair');
+
+    printProblems(result.problems);
+    if (!fixable.length) {
+      process.exitCode = 1;
+      return console.log('Nothing here can be repaired automatically (!)');
+    }
+    if (dryRun) return console.log(`Dry run: would fix ${fixable.length} problem(s) and save ${summary(result)}`);
+    await beforeWriting();
+    await saveChanges(result, originals, 'repair');
+    console.log(`✅ Fixed ${fixable.length} problem(s); saved ${summary(result)}`);
+  },
+
+  'reset-password': async () => {
+    const [username] = positional;
+    if (!username) usage('reset-password <username> [--password <new>] [--dry-run]');
+    const user = await store.users.get(username);
+    if (!user) throw new Error(`No account named ${username}`);
+
+    const password = option('password') ?? crypto.randomBytes(9).toString('base64url');
+    const { problems } = check(schemas.password, password, 'password');
+    if (problems.length) throw new Error(`${problems[0].path} ${problems[0].message}`);
+    if (dryRun) return console.log(`Dry run: would reset ${username}'s password and sign them out everywhere`);
+
+    user.password = await bcrypt.hash(password, 10);
+    // Refresh tokens issued with the old password stop working
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await beforeWriting();
+    await store.users.save(user);
+    console.log(`✅ Password for ${username} reset${option('password') ? '' : `; new password: ${password}`}`);
+  },
+
+  rename: async () => {
+    const [from, to] = positional;
+    if (!from || !to) usage('rename <from> <to> [--dry-run]');
+    const { problems } = check(schemas.newUsername, to, 'to');
+    if (problems.length) throw new Error(`${problems[0].path} ${problems[0].message}`);
+
+    const data = await loadAll();
+    const originals = originalsOf(data.trips);
+    const result = renameUser({ ...data, from, to });
+    if (result.error) throw new Error(result.error);
+    await applyAccountChange(result, originals, `rename ${from} to ${to}`, 'rename-user');
+  },
+
+  merge: async () => {
+    const [from, into] = positional;
+    if (!from || !into) usage('merge <from> <into> [--dry-run]');
+
+    const data = await loadAll();
+    const originals = originalsOf(data.trips);
+    const result = mergeUsers({ ...data, from, into });
+    if (result.error) throw new Error(result.error);
+    await applyAccountChange(result, originals, `merge ${from} into ${into}`, 'merge-user');
+  },
+};
+
+const run = async () => {
+  if (!commands[command]) {
+    usage('check|repair|reset-password|rename|merge [args] [--dry-run]');
+  }
+  // Postgres applies pending migrations; the JSON store's start-up restore
+  // is for the server, not for this
+  if (!isJson) await store.init();
+  try {
+    await commands[command]();
+  } finally {
+    await store.close();
+  }
+};
+
+run().catch((err) => {
+  console.error('❌', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,57 @@
+// Backup admin: `npm run backup -- <command> [options]`
+//   list [--target name]                    snapshots, newest first
+//   snapshot                                back up data/ now
+//   restore [--at <time>] [--target name]   restore the newest snapshot taken at
+//                                           or before --at (default: latest).
+//                                           The current data is snapshotted first.
+// Stop the server before restoring; it rewrites data/*.json.
+import 'dotenv/config';
+import backups from './lib/backup/index.js';
+import { flushWrites } from './lib/storage.js';
+
+const [command, ...args] = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const commands = {
+  list: async () => {
+    const snapshots = await backups.list(option('target'));
+    if (!snapshots.length) return console.log('No snapshots found');
+    snapshots.forEach((s) => console.log(`${s.createdAt.toISOString()}  ${s.target.padEnd(6)}  ${s.name}`));
+  },
+  snapshot: async () => {
+    const name = await backups.snapshot();
+    if (backups.status.lastError) throw new Error(backups.status.lastError);
+    console.log(`✅ Snapshot ${name} saved`);
+  },
+  restore: async () => {
+    let at = option('at') && new Date(option('at'));
+    if (at && Number.isNaN(at.getTime())) throw new Error(`Invalid --at time "${option('at')}"`);
+
+    const snapshots = await backups.list(option('target'));
+    if (!snapshots.some((s) => !at || s.createdAt <= at)) {
+      throw new Error(at ? `No snapshot at or before ${at.toISOString()}` : 'No snapshots found');
+    }
+
+    // Keep the data being replaced so the restore itself can be undone
+    const current = await backups.snapshot();
+    console.log(`Current data saved as ${current}`);
+    at = at || new Date(backups.status.lastSnapshotAt - 1);
+
+    const restored = await backups.restore({ at, target: option('target') });
+    if (!restored) throw new Error(`No snapshot at or before ${at.toISOString()}`);
+    await flushWrites();
+  },
+};
+
+if (!commands[command]) {
+  console.error('Usage: npm run backup -- list|snapshot|restore [--at <time>] [--target <name>]');
+  process.exit(1);
+}
+
+commands[command]().catch((err) => {
+  console.error('❌', err.message);
+  process.exitCode = 1;
+});
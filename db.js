@@ -1,12 +1,13 @@
 // db.js
-const { Pool } = require('pg');
-require('dotenv').config();
+import pg from 'pg';
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: {
-    rejectUnauthorized: false
-  }
-});
+const { Pool } = pg;
 
-module.exports = pool;
+// Set DATABASE_SSL=false for local databases without TLS
+const createPool = (connectionString = process.env.DATABASE_URL) =>
+  new Pool({
+    connectionString,
+    ssl: process.env.DATABASE_SSL === 'false' ? false : { rejectUnauthorized: false },
+  });
+
+export { createPool };
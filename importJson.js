@@ -0,0 +1,57 @@
+// Loads data/*.json into Postgres: `npm run import-json`
+// Existing rows with the same IDs are overwritten, so it is safe to re-run.
+import 'dotenv/config';
+import { createJsonStore } from './lib/store/json.js';
+import { createPostgresStore } from './lib/store/postgres.js';
+import { createPool } from './db.js';
+import { versionOf } from './lib/store/versions.js';
+
+const importJson = async () => {
+  const source = createJsonStore();
+  const target = createPostgresStore({
+    pool: createPool(),
+    onMigrationApplied: (file) => console.log(`✅ Applied migration ${file}`),
+  });
+
+  try {
+    await target.init();
+
+    const courses = await source.courses.list();
+    for (const course of courses) await target.courses.save(course);
+
+    // Saved against whatever version Postgres holds so re-runs overwrite
+    const users = await source.users.list();
+    for (const user of users) user.version = versionOf(await target.users.get(user.username));
+    await target.users.saveMany(users);
+
+    const trips = await source.trips.list();
+    for (const trip of trips) {
+      trip.version = versionOf(await target.trips.get(trip.tripId));
+      await target.trips.save(trip);
+    }
+
+    const series = await source.series.list();
+    for (const doc of series) {
+      doc.version = versionOf(await target.series.get(doc.seriesId));
+      await target.series.save(doc);
+    }
+
+    // The audit log is append-only: only entries Postgres lacks are added
+    let auditEntries = 0;
+    for (const trip of trips) {
+      const known = new Set((await target.audit.list(trip.tripId)).map((e) => e.auditId));
+      const added = (await source.audit.list(trip.tripId)).filter((e) => !known.has(e.auditId));
+      await target.audit.append(added);
+      auditEntries += added.length;
+    }
+
+    console.log(`✅ Imported ${users.length} users, ${trips.length} trips, ${courses.length} courses, ${series.length} series, ${auditEntries} audit entries`);
+  } finally {
+    await target.close();
+  }
+};
+
+importJson().catch((err) => {
+  console.error('❌ Import failed:', err.message);
+  process.exitCode = 1;
+});
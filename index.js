@@ -1,12 +1,78 @@
 import 'dotenv/config';
 import express from 'express';
-import fs from 'fs';
-import fetch from 'node-fetch';
 import cors from 'cors';
 import bodyParser from 'body-parser';
 import { Server } from 'socket.io';
 import http from 'http';
 import bcrypt from 'bcrypt';
+import store from './lib/store/index.js';
+import {
+  VersionConflictError,
+  versionOf,
+  retryOnConflict,
+  etagFor,
+  expectedVersion,
+  sendConflict,
+  withRetry,
+} from './lib/store/versions.js';
+import { roundCourse } from './lib/scoring.js';
+import { lockTripHandicaps } from './lib/handicap.js';
+import { recordCard } from './lib/scorecards.js';
+import { withVersion } from './lib/sync.js';
+import { SIDE_GAME_FIELDS } from './lib/sidegames.js';
+import { ITINERARY_FIELDS, currentRound } from './lib/itinerary.js';
+import { scoreEntries, pointsEntries, lineupEntries, tripEntries } from './lib/audit.js';
+import { validateCourseRefs } from './lib/courses.js';
+import { validateRoundFormats, FORMATS } from './lib/formats.js';
+import { lineupErrors } from './lib/lineups.js';
+import { LIFECYCLE_FIELDS, isArchived, scoreEditError, frozenLineupRounds, roundsAre } from './lib/lifecycle.js';
+import {
+  verifyToken,
+  issueTokens,
+  publicUser,
+  authenticate,
+  requireSelf,
+  requireTripManager,
+  requireScorer,
+  authenticateSocket,
+} from './lib/auth.js';
+import {
+  MEMBERSHIP_FIELDS,
+  tripRole,
+  isManagerRole,
+  addMember,
+  findInvite,
+  publicTrip,
+} from './lib/members.js';
+import { scoreRound, recordFinalMatchPoints } from './lib/leaderboard.js';
+import { errorEnvelope, notFound, errorHandler, sendValidationError } from './lib/errors.js';
+import log, { requestLogger } from './lib/logger.js';
+import { ipLimit, writeLimit, authLimit, loginGuard, tooMany } from './lib/ratelimit.js';
+import metrics from './lib/metrics.js';
+import { validate, checkParams } from './lib/validation.js';
+import * as schemas from './lib/schemas.js';
+import {
+  initLive,
+  broadcastScoreUpdate,
+  broadcastPointsUpdate,
+  broadcastLineupUpdate,
+} from './lib/live.js';
+import coursesRouter from './routes/courses.js';
+import leaderboardRouter from './routes/leaderboard.js';
+import matchesRouter from './routes/matches.js';
+import membersRouter from './routes/members.js';
+import friendsRouter from './routes/friends.js';
+import handicapsRouter from './routes/handicaps.js';
+import lineupsRouter from './routes/lineups.js';
+import statsRouter from './routes/stats.js';
+import scorecardsRouter from './routes/scorecards.js';
+import sideGamesRouter from './routes/sidegames.js';
+import syncRouter from './routes/sync.js';
+import auditRouter from './routes/audit.js';
+import seriesRouter from './routes/series.js';
+import itineraryRouter from './routes/itinerary.js';
+import tripsRouter from './routes/trips.js';
+import healthRouter from './routes/health.js';
 
 
 const app = express();
@@ -24,172 +90,151 @@ const allowedOrigins = [
     'https://forescore.onrender.com' // Render Url
   ];
 
+// Behind Render's proxy req.ip has to come from X-Forwarded-For, or every
+// client shares the proxy's address (and its rate limits). TRUST_PROXY is
+// the number of proxy hops in front of the server.
+app.set('trust proxy', Number(process.env.TRUST_PROXY ?? (process.env.RENDER ? 1 : 0)));
+
+app.use(requestLogger);
 app.use(cors({
     origin: allowedOrigins,
     credentials: true,
 }));
-app.use(bodyParser.json());
-
-const DATA_PATH = './data';
-if (!fs.existsSync(DATA_PATH)) fs.mkdirSync(DATA_PATH);
-
-const FILES = {
-  trips: `${DATA_PATH}/trips.json`,
-  users: `${DATA_PATH}/users.json`,
-};
-
-// GitHub config
-const GITHUB_REPO = process.env.GITHUB_REPO;
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-const GITHUB_API_BASE = `https://api.github.com/repos/${GITHUB_REPO}/contents`;
-
-// For rate limiting syncs
-let lastSyncTime = null;
-const SYNC_INTERVAL = 60000;
-const syncQueue = [];
-
-// Helpers
-const readJsonFile = (filePath, defaultValue = {}) => {
-  try {
-    if (!fs.existsSync(filePath)) {
-      fs.writeFileSync(filePath, JSON.stringify(defaultValue, null, 2));
-    }
-    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-  } catch (err) {
-    console.error(`Error reading ${filePath}:`, err.message);
-    return defaultValue;
-  }
-};
-
-const writeJsonFile = (filePath, data) => {
-  try {
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-    console.log(`${filePath} updated`);
-  } catch (err) {
-    console.error(`Error writing ${filePath}:`, err.message);
-  }
-};
-
-const syncToGitHub = async (filePath, force = false) => {
-  const now = new Date();
-  if (!force && lastSyncTime && (now - lastSyncTime) < SYNC_INTERVAL) {
-    syncQueue.push(filePath);
-    return;
-  }
-
-  const filename = filePath.split('/').pop();
-  const githubPath = `data/${filename}`;
-  const GITHUB_URL = `${GITHUB_API_BASE}/${githubPath}`;
-  const data = readJsonFile(filePath);
-
-  try {
-    const current = await fetch(GITHUB_URL, {
-      headers: { Authorization: `Bearer ${GITHUB_TOKEN}` },
-    }).then((res) => res.json());
-
-    await fetch(GITHUB_URL, {
-      method: 'PUT',
-      headers: {
-        Authorization: `Bearer ${GITHUB_TOKEN}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        message: `Sync ${filename}`,
-        content: Buffer.from(JSON.stringify(data, null, 2)).toString('base64'),
-        sha: current.sha,
-      }),
-    });
-
-    lastSyncTime = now;
-    console.log(`✅ Synced ${filename} to GitHub`);
-  } catch (err) {
-    console.error(`❌ Sync failed for ${filename}:`, err.message);
-    syncQueue.push(filePath);
-  }
-};
-
-const restoreFromGitHub = async (filePath) => {
-  const filename = filePath.split('/').pop();
-  const githubPath = `data/${filename}`;
-  const GITHUB_URL = `${GITHUB_API_BASE}/${githubPath}`;
+app.use(errorEnvelope);
+app.use(healthRouter);
+
+// Nothing else is served until storage (and any backup restore) is ready
+app.use((req, res, next) => {
+  if (app.locals.started) return next();
+  res.set('Retry-After', '5');
+  res.status(503).json({ error: 'Server is starting, try again shortly' });
+});
 
-  try {
-    const res = await fetch(GITHUB_URL, {
-      headers: { Authorization: `Bearer ${GITHUB_TOKEN}` },
-    });
-    const data = await res.json();
-    const decoded = Buffer.from(data.content, 'base64').toString('utf-8');
-    writeJsonFile(filePath, JSON.parse(decoded));
-    console.log(`✅ Restored ${filename} from GitHub`);
-  } catch (err) {
-    console.error(`❌ Restore failed for ${filename}:`, err.message);
-  }
-};
+// Per IP for every request, per account for writes (each rewrites a data
+// file and schedules a backup), and tighter per IP for sign-in routes
+app.use(ipLimit);
+app.use(writeLimit);
+app.use(['/users/register', '/users/login', '/users/refresh'], authLimit);
+app.use(bodyParser.json());
+checkParams(app, schemas.PARAMS);
+
+app.use(coursesRouter);
+app.use(leaderboardRouter);
+app.use(matchesRouter);
+app.use(membersRouter);
+app.use(friendsRouter);
+app.use(handicapsRouter);
+app.use(lineupsRouter);
+app.use(statsRouter);
+app.use(scorecardsRouter);
+app.use(sideGamesRouter);
+app.use(syncRouter);
+app.use(auditRouter);
+app.use(seriesRouter);
+app.use(itineraryRouter);
+app.use(tripsRouter);
 
 // ========== TRIP ROUTES ==========
-app.get('/trips/:tripId', (req, res) => {
-  const data = readJsonFile(FILES.trips, { trips: {} });
-  const trip = data.trips[req.params.tripId];
+app.get('/formats', (req, res) => {
+  res.json(Object.entries(FORMATS).map(([name, format]) => ({ name, ...format })));
+});
+
+app.get('/trips/:tripId', async (req, res) => {
+  const trip = await store.trips.get(req.params.tripId);
   if (!trip) return res.status(404).json({ error: 'Trip not found' });
-  res.json(trip);
+  res.set('ETag', etagFor(trip));
+  res.json(publicTrip(trip));
 });
 
-app.post('/trips', async (req, res) => {
+app.post('/trips', authenticate, validate({ body: schemas.trip }), async (req, res) => {
   try {
-    const data = readJsonFile(FILES.trips, { trips: {} });
     const trip = req.body;
 
-    if (!trip.tripId || !trip.tripLeader) {
-      return res.status(400).json({ error: 'tripId and tripLeader are required' });
+    // Only the leader can create a trip under their name or replace it later
+    const existingTrip = await store.trips.get(trip.tripId);
+    if (trip.tripLeader !== req.auth.username || (existingTrip && existingTrip.tripLeader !== req.auth.username)) {
+      return res.status(403).json({ error: 'Only the trip leader can save this trip' });
     }
+    if (existingTrip && isArchived(existingTrip)) {
+      return res.status(409).json({ error: 'This trip is archived' });
+    }
+
+    // Rounds may reference catalog courses as { courseId, tee } or by name
+    const catalog = await store.courses.catalog();
+    const courseError = validateCourseRefs(trip.courses, catalog);
+    if (courseError) return res.status(400).json({ error: courseError });
+
+    // Each round picks a format; lineup groups must match its shape
+    const formatError = validateRoundFormats(trip);
+    if (formatError) return res.status(400).json({ error: formatError });
+
+    // Nobody plays twice in a round, and match sides come from opposite teams
+    const lineupProblems = lineupErrors(trip);
+    if (lineupProblems.length) return res.status(400).json({ error: lineupProblems[0], errors: lineupProblems });
+
+    // Replacing a trip checks the version the client read (If-Match or body
+    // version); without one the latest copy is overwritten
+    const expected = expectedVersion(req);
+    trip.version = existingTrip ? (expected ?? versionOf(existingTrip)) : 0;
+
+    // Members, roles, join codes and invites only change through the member
+    // routes (a new trip starts with just its leader), locked handicaps
+    // through the handicap routes, round states and archiving through
+    // routes/trips.js, side games through routes/sidegames.js and the
+    // schedule through routes/itinerary.js
+    [...MEMBERSHIP_FIELDS, 'handicapSnapshot', ...LIFECYCLE_FIELDS, ...SIDE_GAME_FIELDS, ...ITINERARY_FIELDS].forEach((field) => {
+      if (existingTrip?.[field] !== undefined) trip[field] = existingTrip[field];
+      else delete trip[field];
+    });
+    if (!existingTrip) trip.users = [trip.tripLeader];
 
-    console.log('Saving trip:', trip.tripId); // Debug log
-    data.trips[trip.tripId] = trip;
-    writeJsonFile(FILES.trips, data);
+    req.log.debug('saving trip', { tripId: trip.tripId });
 
     // User update logic
-    const usersData = readJsonFile(FILES.users, { users: [] });
     const tripLeader = trip.tripLeader;
-    const user = usersData.users.find((u) => u.username === tripLeader);
-
-    if (user) {
-      if (!user.trips || typeof user.trips !== 'object') user.trips = {};
-      if (!user.trips[trip.tripId]) {
-        user.trips[trip.tripId] = {
-          raw_scores: Array.from({ length: trip.numRounds || 1 }, () => []),
-          net_scores: Array.from({ length: trip.numRounds || 1 }, () => [])
-        };
-      }
+    await retryOnConflict(async () => {
+      const user = await store.users.get(tripLeader);
+
+      if (user) {
+        if (!user.trips || typeof user.trips !== 'object') user.trips = {};
+        if (!user.trips[trip.tripId]) {
+          user.trips[trip.tripId] = {
+            raw_scores: Array.from({ length: trip.numRounds || 1 }, () => []),
+            net_scores: Array.from({ length: trip.numRounds || 1 }, () => [])
+          };
+        }
 
-      // Update trip.users in the same data object to avoid overwriting
-      if (!data.trips[trip.tripId].users) data.trips[trip.tripId].users = [];
-      if (!data.trips[trip.tripId].users.includes(tripLeader)) {
-        data.trips[trip.tripId].users.push(tripLeader);
-      }
+        // Make sure the leader is listed as a member before the trip is saved
+        if (!trip.users) trip.users = [];
+        if (!trip.users.includes(tripLeader)) {
+          trip.users.push(tripLeader);
+        }
 
-      usersData.users = usersData.users.map(u => u.username === tripLeader ? user : u);
-      writeJsonFile(FILES.users, usersData);
-    }
+        await store.users.save(user);
+      }
+    });
 
-    await syncToGitHub(FILES.trips, true).catch(err => console.error('Sync failed:', err));
-    await syncToGitHub(FILES.users, true).catch(err => console.error('Sync failed:', err));
+    await store.trips.save(trip);
+    await store.audit.append(tripEntries({
+      before: existingTrip || {},
+      after: trip,
+      actor: req.auth.username,
+      action: existingTrip ? 'replace' : 'create',
+    }));
 
     res.status(201).json({ message: 'Trip saved and user updated', trip });
   } catch (err) {
-    console.error('Failed to save trip:', err.message);
+    if (err instanceof VersionConflictError) return sendConflict(res, err);
+    req.log.error('trip save failed', { tripId: req.body.tripId, err });
     res.status(500).json({ error: 'Failed to save trip', details: err.message });
   }
 });
 
 // ========== USER ROUTES ==========
-app.post('/users/register', async (req, res) => {
+app.post('/users/register', validate({ body: schemas.register }), async (req, res) => {
     const { username, password, name, handicap } = req.body;
-    if (!username || !password || !name || handicap === undefined) {
-      return res.status(400).json({ error: 'Missing required user data' });
-    }
   
-    const usersData = readJsonFile(FILES.users, { users: [] });
-    const existingUser = usersData.users.find((u) => u.username === username);
+    const existingUser = await store.users.get(username);
     if (existingUser) {
       return res.status(409).json({ error: 'Username already exists' });
     }
@@ -203,56 +248,90 @@ app.post('/users/register', async (req, res) => {
          handicap, 
          trips: {},
          friends: [] };
-      usersData.users.push(newUser);
-      writeJsonFile(FILES.users, usersData);
-      syncToGitHub(FILES.users, true);
+      await store.users.save(newUser);
       res.status(201).json({ message: 'User registered' });
     } catch (err) {
-      console.error('Error registering user:', err);
+      req.log.error('register failed', { username, err });
       res.status(500).json({ error: 'Failed to register user' });
     }
   });
 
-app.post('/users/login', async (req, res) => {
+// Repeated failures lock the account and the IP out for a while (see
+// lib/ratelimit.js); a locked attempt is refused before the password check
+app.post('/users/login', validate({ body: schemas.login }), async (req, res) => {
     const { username, password } = req.body;
-    const usersData = readJsonFile(FILES.users, { users: [] });
-    const user = usersData.users.find((u) => u.username === username);
-    if (!user) return res.status(404).json({ error: 'User not found' });
+    const attempt = { username, ip: req.ip };
+    const locked = loginGuard.lockedFor(attempt);
+    if (locked) {
+      metrics.increment('login.locked');
+      return tooMany(res, locked, 'Too many failed logins; try again later');
+    }
+
+    const failed = (status, error) => {
+      metrics.increment('login.failed');
+      const lockedFor = loginGuard.fail(attempt);
+      if (lockedFor) req.log.warn('login locked', { username, ip: req.ip, lockedForMs: lockedFor });
+      res.status(status).json({ error });
+    };
+
+    const user = await store.users.get(username);
+    if (!user) return failed(404, 'User not found');
 
     try {
         const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch) return res.status(401).json({ error: 'Incorrect password' });
+        if (!isMatch) return failed(401, 'Incorrect password');
 
-        res.json({ message: 'Login successful', user });
+        loginGuard.succeed(attempt);
+        res.json({ message: 'Login successful', user: publicUser(user), ...issueTokens(user) });
     } catch (err) {
-        console.error('Error verifying password:', err);
+        req.log.error('password check failed', { username, err });
         res.status(500).json({ error: 'Login error' });
     }
     });
 
-app.get('/users/:username', (req, res) => {
+// Exchanges a refresh token for a new token pair
+app.post('/users/refresh', validate({ body: schemas.refresh }), async (req, res) => {
+    const payload = verifyToken(req.body.refreshToken, 'refresh');
+    if (!payload) return res.status(401).json({ error: 'Invalid or expired refresh token' });
+
+    const user = await store.users.get(payload.sub);
+    if (!user || (user.tokenVersion || 0) !== payload.ver) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json(issueTokens(user));
+    });
+
+// Revokes every refresh token issued to the user so far
+app.post('/users/logout', authenticate, validate({ body: schemas.empty }), withRetry(async (req, res) => {
+    const user = await store.users.get(req.auth.username);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await store.users.save(user);
+    res.json({ message: 'Logged out' });
+    }));
+
+app.get('/users/:username', async (req, res) => {
     const { username } = req.params;
-    const usersData = readJsonFile(FILES.users, { users: [] });
-    
-    const user = usersData.users.find((u) => u.username === username);
+    const user = await store.users.get(username);
     if (!user) {
         return res.status(404).json({ error: 'User not found' });
     }
     
     // Don't send the password hash back
-    const { password, ...userWithoutPassword } = user;
-    res.json(userWithoutPassword);
+    res.set('ETag', etagFor(user));
+    res.json(publicUser(user));
     });
 
-  app.post('/users/:username/add-trip', async (req, res) => {
+  // Re-links a trip the user already belongs to, or accepts a pending invite.
+  // Everyone else joins through a join code (see routes/members.js).
+  app.post('/users/:username/add-trip', authenticate, requireSelf(), validate({ body: schemas.addTrip }), withRetry(async (req, res) => {
     const { username } = req.params;
     const { tripId } = req.body;
     
-    const usersData = readJsonFile(FILES.users, { users: [] });
-    const tripsData = readJsonFile(FILES.trips, { trips: {} });
-    
-    const user = usersData.users.find((u) => u.username === username);
-    const trip = tripsData.trips[tripId];
+    const user = await store.users.get(username);
+    const trip = await store.trips.get(tripId);
     
     if (!user) {
         return res.status(404).json({ error: 'User not found' });
@@ -262,80 +341,100 @@ app.get('/users/:username', (req, res) => {
         return res.status(404).json({ error: 'Trip not found' });
     }
     
-    if (!user.trips || Array.isArray(user.trips)) {
-        user.trips = {};
-    }
-    
-    if (!user.trips[tripId]) {
-        const numRounds = trip.numRounds || 1;
-        user.trips[tripId] = {
-            raw_scores: Array.from({ length: numRounds }, () => []),
-            net_scores: Array.from({ length: numRounds }, () => []),
-        };
-    }
-    
-    if (!Array.isArray(trip.users)) {
-        trip.users = [];
-    }
-    
-    if (!trip.users.includes(username)) {
-        trip.users.push(username);
-        tripsData.trips[tripId] = trip;
-        writeJsonFile(FILES.trips, tripsData);
-        await syncToGitHub(FILES.trips, true); // Await sync completion
+    const invite = findInvite(trip, username);
+    if (!tripRole(trip, username) && !invite) {
+        return res.status(403).json({ error: 'Join this trip with an invite or join code' });
     }
     
-    writeJsonFile(FILES.users, usersData);
-    await syncToGitHub(FILES.users, true); // Await sync completion
+    addMember(trip, user, tripRole(trip, username) || invite.role);
+    await store.users.save(user);
+    await store.trips.save(trip);
     
-    res.json(user);
-  });
+    res.json(publicUser(user));
+  }));
       
 
-// ========== SUBMIT SCORES (RAW + NET) ==========
-// Accepts frontend-calculated raw and net scores and saves them under user.trips[tripId]
+// ========== SUBMIT SCORES (RAW -> NET) ==========
+// Accepts raw scores, computes net scores from the player's handicap and the
+// round's course, and saves both under user.trips[tripId]. Without a round
+// the scores go to the trip's current round. Concurrent submissions that
+// collide are recomputed from fresh reads.
  
-app.post('/users/:username/trips/:tripId/save-scores', (req, res) => {
+app.post('/users/:username/trips/:tripId/save-scores', authenticate, requireScorer, validate({ body: schemas.saveScores }), withRetry(async (req, res) => {
   const { username, tripId } = req.params;
-  const { round, raw, net } = req.body;
-
-  if (
-    typeof round !== 'number' ||
-    !Array.isArray(raw) || raw.length !== 18 ||
-    !Array.isArray(net) || net.length !== 18
-  ) {
-    return res.status(400).json({ error: 'Round must be a number and raw/net must be arrays of length 18' });
+  const { raw } = req.body;
+
+  const trip = await store.trips.get(tripId);
+  if (!trip) return res.status(404).json({ error: 'Trip not found' });
+  const users = await store.users.list();
+  const round = req.body.round ?? currentRound(trip, users).round;
+  if (!Number.isInteger(round) || round < 0 || round >= (trip.numRounds || 1)) {
+    return res.status(400).json({ error: 'Invalid round index' });
   }
 
-  const data = readJsonFile(FILES.users, { users: [] });
-  const user = data.users.find((u) => u.username === username);
+  // Final rounds only take corrections from the leaders; locked ones none
+  const editError = scoreEditError(trip, round, tripRole(trip, req.auth.username));
+  if (editError) return res.status(409).json({ error: editError });
+
+  const user = users.find((u) => u.username === username);
   if (!user) return res.status(404).json({ error: 'User not found' });
 
-  if (!user.trips || typeof user.trips !== 'object') user.trips = {};
-  if (!user.trips[tripId]) {
-    user.trips[tripId] = {
-      raw_scores: [],
-      net_scores: [],
-    };
+  // Trips set to lock handicaps do so when the first score comes in. The trip
+  // is saved first so a retry doesn't lock indexes this submission changed.
+  if (trip.lockHandicaps && !trip.handicapSnapshot) {
+    lockTripHandicaps(trip, users);
+    await store.trips.save(trip);
   }
 
-  // ✅ Write to correct round index
-  user.trips[tripId].raw_scores[round] = raw;
-  user.trips[tripId].net_scores[round] = net;
+  const catalog = await store.courses.catalog();
+
+  // One score per hole of the round's course
+  const numHoles = roundCourse(trip, round, catalog).holes.length;
+  if (raw.length !== numHoles) {
+    return sendValidationError(res, [{
+      in: 'body',
+      path: 'raw',
+      code: 'length',
+      message: `must have one score for each of the course's ${numHoles} holes`,
+    }]);
+  }
 
-  writeJsonFile(FILES.users, data);
-  syncToGitHub(FILES.users, true);
-  res.json({ message: 'Scores submitted' });
-});
+  // Team-card formats (foursomes, scramble) store the card for the whole
+  // side; changed holes are stamped for clients syncing hole by hole
+  const { scoring, updates } = await withVersion(async (v) => {
+    const stamp = { v, at: new Date().toISOString(), by: req.auth.username, id: null };
+    const card = recordCard({ trip, round, username, raw, users, catalog, stamp });
 
-  app.get('/users/:username/trips/:tripId/scores', (req, res) => {
+    // Closed-out matches lock in their points
+    const finalized = recordFinalMatchPoints({ trip, round, users, catalog });
+
+    const changed = new Set([...card.updates.map((u) => u.member.username), ...finalized]);
+    await store.users.saveMany(users.filter((u) => changed.has(u.username)));
+    await store.audit.append(scoreEntries({ trip, round, actor: req.auth.username, action: 'save-scores', updates: card.updates }));
+    return card;
+  });
+  updates.forEach(({ member, before }) => {
+    broadcastScoreUpdate({ tripId, username: member.username, round, before, after: { raw, net: scoring.net } });
+  });
+  res.json({
+    message: 'Scores submitted',
+    round,
+    format: scoring.format,
+    savedFor: updates.map((u) => u.member.username),
+    net: scoring.net,
+    courseHandicap: scoring.courseHandicap,
+    playingHandicap: scoring.playingHandicap,
+    strokes: scoring.strokes,
+  });
+}));
+
+  app.get('/users/:username/trips/:tripId/scores', validate({ query: schemas.scoresQuery }), async (req, res) => {
     const { username, tripId } = req.params;
     const round = req.query.round; // Type: string | qs.ParsedQs | string[] | qs.ParsedQs[] | undefined
-    const data = readJsonFile(FILES.users, { users: [] });
-    const user = data.users.find((u) => u.username === username);
+    const user = await store.users.get(username);
   
     if (!user) return res.status(404).json({ error: 'User not found' });
-    const tripData = user.trips?.[tripId];
+    const tripData = await store.scores.get(username, tripId);
   
     if (!tripData || !tripData.raw_scores?.length) {
       return res.json({ raw: null, net: null });
@@ -361,16 +460,15 @@ app.post('/users/:username/trips/:tripId/save-scores', (req, res) => {
     });
   });
 
-  app.post('/users/:username/trips/:tripId/save-projected-points', (req, res) => {
+  app.post('/users/:username/trips/:tripId/save-projected-points', authenticate, requireScorer, validate({ body: schemas.saveProjectedPoints }), withRetry(async (req, res) => {
     const { username, tripId } = req.params;
     const { round, projectedPoints } = req.body;
+
+    const trip = await store.trips.get(tripId);
+    const editError = scoreEditError(trip, round, tripRole(trip, req.auth.username));
+    if (editError) return res.status(409).json({ error: editError });
   
-    if (typeof round !== 'number' || typeof projectedPoints !== 'number') {
-      return res.status(400).json({ error: 'Invalid round or projectedPoints' });
-    }
-  
-    const data = readJsonFile(FILES.users, { users: [] });
-    const user = data.users.find((u) => u.username === username);
+    const user = await store.users.get(username);
     if (!user) return res.status(404).json({ error: 'User not found' });
   
     if (!user.trips || typeof user.trips !== 'object') user.trips = {};
@@ -380,130 +478,172 @@ app.post('/users/:username/trips/:tripId/save-scores', (req, res) => {
       user.trips[tripId].projected_points = [];
     }
   
+    const before = user.trips[tripId].projected_points[round] ?? null;
     user.trips[tripId].projected_points[round] = projectedPoints;
   
-    writeJsonFile(FILES.users, data);
-    syncToGitHub(FILES.users, true);
+    await store.users.save(user);
+    await store.audit.append(pointsEntries({
+      trip,
+      round,
+      username,
+      actor: req.auth.username,
+      action: 'save-projected-points',
+      before,
+      after: projectedPoints,
+    }));
+    broadcastPointsUpdate({ tripId, username, round, projectedPoints });
     res.json({ message: 'Projected points saved' });
-  });
+  }));
 
-  app.get('/trips/:tripId/projected-points', (req, res) => {
+  app.get('/trips/:tripId/projected-points', withRetry(async (req, res) => {
     const { tripId } = req.params;
-    const tripsData = readJsonFile(FILES.trips, { trips: {} });
-    const usersData = readJsonFile(FILES.users, { users: [] });
+    const users = await store.users.list();
+    const catalog = await store.courses.catalog();
   
-    const trip = tripsData.trips[tripId];
+    const trip = await store.trips.get(tripId);
     if (!trip) return res.status(404).json({ error: 'Trip not found' });
   
     const numRounds = trip.numRounds || 1;
-    const scoringMethods = trip.scoringMethods || [];
     const players = trip.teams.flatMap(team => team.players);
+    let roundResults = null;
   
     const pointsResult = {};
+    const recalculated = [];
   
     players.forEach((player) => {
       const username = player.name;
-      const userData = usersData.users.find(u => u.username === username);
+      const userData = users.find(u => u.username === username);
       if (!userData || !userData.trips?.[tripId]) return;
   
-      // ✅ Use existing projected_points if they exist
+      // ✅ Use existing projected_points for every round that has one (final
+      // match points can be stored for a later round before earlier ones)
       const existing = userData.trips[tripId].projected_points;
-      if (Array.isArray(existing) && existing.length === numRounds) {
-        pointsResult[username] = existing;
+      const stored = Array.from({ length: numRounds }, (_, round) =>
+        (Array.isArray(existing) ? existing[round] ?? null : null));
+      if (stored.every((points) => points !== null)) {
+        pointsResult[username] = stored;
         return;
       }
   
-      // ❌ Otherwise, recalculate them
-      const userTripData = userData.trips[tripId];
-      const playerPoints = Array(numRounds).fill(0);
-  
-      for (let round = 0; round < numRounds; round++) {
-        if (scoringMethods[round] !== 'match') continue;
-  
-        const lineupGroup = Object.values(trip.lineups?.[round] || {}).find(group =>
-          group.includes(username)
+      // ❌ Otherwise, calculate the missing rounds from each round's format
+      if (!roundResults) {
+        roundResults = Array.from({ length: numRounds }, (_, round) =>
+          scoreRound({ trip, round, users, catalog })
         );
-        if (!lineupGroup || lineupGroup.length !== 2) continue;
-  
-        const opponent = lineupGroup.find(p => p !== username);
-        if (!opponent) continue;
-  
-        const opponentUser = usersData.users.find(u => u.username === opponent);
-        if (!opponentUser || !opponentUser.trips?.[tripId]) continue;
-  
-        const net1 = userTripData.net_scores?.[round] || Array(18).fill(0);
-        const net2 = opponentUser.trips[tripId].net_scores?.[round] || Array(18).fill(0);
-  
-        let p1 = 0, p2 = 0;
-        for (let i = 0; i < 18; i++) {
-          if (net1[i] > 0 && net2[i] > 0) {
-            if (net1[i] < net2[i]) p1++;
-            else if (net2[i] < net1[i]) p2++;
-          }
-        }
-  
-        if (p1 === 0 && p2 === 0) continue; // No holes played
-        if (p1 === p2) playerPoints[round] = 0.5;
-        else playerPoints[round] = p1 > p2 ? 1 : 0;
       }
+      const playerPoints = stored.map((points, round) => points ?? (roundResults[round].playerPoints[username] || 0));
   
       pointsResult[username] = playerPoints;
       userData.trips[tripId].projected_points = playerPoints;
+      recalculated.push(userData);
     });
   
-    writeJsonFile(FILES.users, usersData);
-    syncToGitHub(FILES.users, true);
+    if (recalculated.length) await store.users.saveMany(recalculated);
   
     res.json(pointsResult);
-  });
+  }));
   
   
   
 
   // ========== SAVE LINEUPS ==========
 // Save new team assignments and match play pairings
-app.post('/trips/:tripId/set-lineup', async (req, res) => {
+app.post('/trips/:tripId/set-lineup', authenticate, requireTripManager, validate({ body: schemas.setLineup }), async (req, res) => {
   const { tripId } = req.params;
   const { teams, lineups } = req.body;
 
   try {
-    const data = readJsonFile(FILES.trips, { trips: {} });
+    const trip = await store.trips.get(tripId);
 
-    if (!data.trips[tripId]) {
+    if (!trip) {
       return res.status(404).json({ error: 'Trip not found' });
     }
 
-    // Save the updated teams and match play lineups
-    data.trips[tripId].teams = teams;
-    data.trips[tripId].lineups = lineups;
+    if (isArchived(trip)) return res.status(409).json({ error: 'This trip is archived' });
 
-    writeJsonFile(FILES.trips, data);
-    await syncToGitHub(FILES.trips, true);
+    const errors = lineupErrors({ scoringMethods: trip.scoringMethods, teams, lineups });
+    if (errors.length) return res.status(400).json({ error: errors[0], errors });
+
+    const frozen = frozenLineupRounds(trip, lineups);
+    if (frozen.length) return res.status(409).json({ error: `${roundsAre(frozen)} final or locked` });
+
+    // Save the updated teams and match play lineups
+    await store.lineups.save(tripId, { teams, lineups }, expectedVersion(req));
+    await store.audit.append(lineupEntries({ trip, actor: req.auth.username, action: 'set-lineup', before: trip, after: { teams, lineups } }));
+    broadcastLineupUpdate({ tripId, teams, lineups });
 
     res.status(200).json({ message: 'Lineup successfully saved' });
   } catch (err) {
-    console.error('❌ Failed to save lineups:', err.message);
+    if (err instanceof VersionConflictError) return sendConflict(res, err);
+    req.log.error('lineup save failed', { tripId: req.params.tripId, err });
     res.status(500).json({ error: 'Failed to save lineups' });
   }
 });
   
   
-  // ========== SOCKET.IO ==========
-  io.on('connection', (socket) => {
-    console.log(`🟢 User connected: ${socket.id}`);
-  
-    socket.on('disconnect', () => {
-      console.log(`🔴 User disconnected: ${socket.id}`);
-    });
+  // ========== SCORERS ==========
+// Designated scorers can submit scores for any player on the trip
+app.post('/trips/:tripId/scorers', authenticate, requireTripManager, validate({ body: schemas.scorers }), withRetry(async (req, res) => {
+  const { tripId } = req.params;
+  const { scorers } = req.body;
+
+  const trip = await store.trips.get(tripId);
+  const before = structuredClone(trip);
+  const outsiders = scorers.filter((s) => !(trip.users || []).includes(s));
+  if (outsiders.length) {
+    return res.status(400).json({ error: `Not on this trip: ${outsiders.join(', ')}` });
+  }
+
+  // Scorer is a role now; leaders and co-leaders keep theirs
+  trip.roles = { ...trip.roles };
+  (trip.users || []).forEach((username) => {
+    const role = tripRole(trip, username);
+    if (isManagerRole(role)) return;
+    if (scorers.includes(username)) trip.roles[username] = 'scorer';
+    else if (role === 'scorer') trip.roles[username] = 'player';
   });
+  delete trip.scorers;
+
+  await store.trips.save(trip);
+  await store.audit.append(tripEntries({ before, after: trip, actor: req.auth.username, action: 'scorers' }));
+  res.json({
+    message: 'Scorers updated',
+    scorers: (trip.users || []).filter((username) => tripRole(trip, username) === 'scorer'),
+  });
+}));
+
+// ========== ERRORS ==========
+// Every error answers with the envelope from lib/errors.js
+app.use(notFound);
+app.use(errorHandler);
+
+  // ========== SOCKET.IO ==========
+  io.use((socket, next) => next(app.locals.started ? undefined : new Error('Server is starting')));
+  io.use(authenticateSocket);
+  initLive(io);
   
-  // Startup logic
-  restoreFromGitHub(FILES.trips);
-  restoreFromGitHub(FILES.users);
-  setInterval(() => {
-    if (syncQueue.length > 0) syncToGitHub(syncQueue.shift());
-  }, 5000);
-  
+  // Startup logic: listen right away so /healthz answers, and serve
+  // everything else (and report ready) once storage and any backup restore
+  // are done
   server.listen(PORT, '0.0.0.0', () => {
-    console.log(`🚀 Server running on http://0.0.0.0:${PORT}`);
+    log.info('server listening', { port: Number(PORT), backend: store.backend });
+  });
+  store.init()
+    .then(() => {
+      app.locals.started = true;
+      log.info('server ready', { backend: store.backend });
+    })
+    .catch((err) => {
+      log.error('storage init failed', { backend: store.backend, err });
+      process.exit(1);
+    });
+
+  // Push any pending backup before exiting
+  ['SIGTERM', 'SIGINT'].forEach((signal) => {
+    process.once(signal, async () => {
+      log.info('shutting down', { signal });
+      server.close();
+      await store.close();
+      process.exit(0);
+    });
   });
@@ -0,0 +1,159 @@
+// Audit trail: who changed what and when. Score, points, lineup and trip
+// writes append entries to store.audit, and nothing ever edits or removes one.
+//   { auditId, tripId, at, actor, kind, action, username, round, changes, revertOf? }
+//
+//   kind 'score'   one player's card for a round; a change per hole:
+//                  { hole, before: { raw, net }, after: { raw, net } }
+//   kind 'points'  one player's projected points for a round
+//   kind 'lineup'  teams and round lineups ('teams', 'lineups.0', ...)
+//   kind 'trip'    settings, members, side games, creation and deletion
+//
+// Points, lineup and trip changes are { field, before, after }, with null for
+// a missing value. username and round are null when an entry isn't about one
+// player or round. A revert is logged like any other change, with revertOf
+// naming the entry it undid.
+import { generateId } from './ids.js';
+
+const AUDIT_KINDS = ['score', 'points', 'lineup', 'trip'];
+// Trip changes go back through the route that made them (PATCH /trips/:tripId, ...)
+const REVERTIBLE_KINDS = ['score', 'points', 'lineup'];
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const auditEntry = ({ tripId, actor, kind, action, username = null, round = null, changes, revertOf }) => ({
+  auditId: generateId('AUD', 8),
+  tripId,
+  at: new Date().toISOString(),
+  actor,
+  kind,
+  action,
+  username,
+  round,
+  changes,
+  ...(revertOf && { revertOf }),
+});
+
+// ========== DIFFS ==========
+// Holes whose raw or net score changed; unplayed holes read as 0
+const holeChanges = (before = {}, after = {}) => {
+  const length = Math.max(before.raw?.length || 0, after.raw?.length || 0);
+  const changes = [];
+  for (let hole = 0; hole < length; hole++) {
+    const was = { raw: before.raw?.[hole] ?? 0, net: before.net?.[hole] ?? 0 };
+    const now = { raw: after.raw?.[hole] ?? 0, net: after.net?.[hole] ?? 0 };
+    if (was.raw !== now.raw || was.net !== now.net) changes.push({ hole, before: was, after: now });
+  }
+  return changes;
+};
+
+// Top-level fields that differ; `version` moves on every save and is left out
+const fieldChanges = (before = {}, after = {}) =>
+  [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter((field) => field !== 'version' && !same(before[field], after[field]))
+    .map((field) => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+
+// Teams and each round's lineup as separate fields, so a change to one round
+// reverts without touching the others
+const lineupFields = ({ teams, lineups } = {}) => ({
+  teams,
+  ...Object.fromEntries(Object.entries(lineups || {}).map(([round, groups]) => [`lineups.${round}`, groups])),
+});
+
+const fromLineupFields = (fields) => ({
+  teams: fields.teams ?? undefined,
+  lineups: Object.fromEntries(Object.entries(fields)
+    .filter(([field, groups]) => field.startsWith('lineups.') && groups !== null)
+    .map(([field, groups]) => [field.slice('lineups.'.length), groups])),
+});
+
+// ========== ENTRIES ==========
+// One entry per card recordCard rewrote. `updates` are { member, before,
+// after?, round? }; without `after` the member's current card is used.
+const scoreEntries = ({ trip, round, actor, action, updates, revertOf }) =>
+  updates
+    .map((update) => {
+      const cardRound = update.round ?? round;
+      const card = update.member.trips[trip.tripId];
+      const after = update.after || { raw: card.raw_scores[cardRound], net: card.net_scores[cardRound] };
+      return auditEntry({
+        tripId: trip.tripId,
+        actor,
+        kind: 'score',
+        action,
+        username: update.member.username,
+        round: cardRound,
+        changes: holeChanges(update.before, after),
+        revertOf,
+      });
+    })
+    .filter((entry) => entry.changes.length);
+
+const pointsEntries = ({ trip, round, username, actor, action, before, after, revertOf }) => {
+  const changes = fieldChanges({ projectedPoints: before }, { projectedPoints: after });
+  return changes.length
+    ? [auditEntry({ tripId: trip.tripId, actor, kind: 'points', action, username, round, changes, revertOf })]
+    : [];
+};
+
+// `before` and `after` are anything with teams and lineups (a trip will do).
+// An entry that only touches one round's lineup is filed under that round.
+const lineupEntries = ({ trip, actor, action, before, after, revertOf }) => {
+  const changes = fieldChanges(lineupFields(before), lineupFields(after));
+  if (!changes.length) return [];
+  const rounds = [...new Set(changes.map((c) => (c.field === 'teams' ? null : Number(c.field.split('.')[1]))))];
+  const round = rounds.length === 1 ? rounds[0] : null;
+  return [auditEntry({ tripId: trip.tripId, actor, kind: 'lineup', action, round, changes, revertOf })];
+};
+
+// `before` is the trip as loaded ({} when creating), `after` as saved ({}
+// when deleting)
+const tripEntries = ({ before = {}, after = {}, actor, action, round = null }) => {
+  const changes = fieldChanges(before, after);
+  return changes.length
+    ? [auditEntry({ tripId: after.tripId || before.tripId, actor, kind: 'trip', action, round, changes })]
+    : [];
+};
+
+// ========== REVERTS ==========
+// The card with an entry's holes put back. Holes that changed again since the
+// entry come back as conflicts; holes past the end of the card are left out.
+const revertCard = (entry, raw) => {
+  const card = [...raw];
+  const conflicts = [];
+  entry.changes.forEach(({ hole, before, after }) => {
+    if (hole >= card.length) {
+      conflicts.push({ hole, expected: after.raw, current: null });
+      return;
+    }
+    if (card[hole] !== after.raw) conflicts.push({ hole, expected: after.raw, current: card[hole] });
+    card[hole] = before.raw;
+  });
+  return { raw: card, conflicts };
+};
+
+// Field values with an entry's changes put back, and the fields that changed
+// again since
+const revertFields = (entry, current) => {
+  const values = { ...current };
+  const conflicts = [];
+  entry.changes.forEach(({ field, before, after }) => {
+    if (!same(current[field], after)) conflicts.push({ field, expected: after, current: current[field] ?? null });
+    values[field] = before;
+  });
+  return { values, conflicts };
+};
+
+export {
+  AUDIT_KINDS,
+  REVERTIBLE_KINDS,
+  holeChanges,
+  fieldChanges,
+  lineupFields,
+  fromLineupFields,
+  scoreEntries,
+  pointsEntries,
+  lineupEntries,
+  tripEntries,
+  revertCard,
+  revertFields,
+};
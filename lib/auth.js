@@ -0,0 +1,161 @@
+// Token auth for HTTP routes and Socket.IO connections.
+// Tokens are HS256 JWTs signed with Node's crypto, so nothing external is needed.
+// Refresh tokens carry the user's tokenVersion; bumping it (logout) revokes them.
+import crypto from 'crypto';
+import store from './store/index.js';
+import log from './logger.js';
+import { tripRole, isManagerRole, isScoringRole } from './members.js';
+
+const ACCESS_TOKEN_TTL = 15 * 60; // seconds
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60;
+
+const AUTH_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.AUTH_SECRET) {
+  log.warn('AUTH_SECRET not set, tokens will not survive a restart');
+}
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const sign = (data) => crypto.createHmac('sha256', AUTH_SECRET).update(data).digest('base64url');
+
+const signToken = (payload, ttl) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify({ ...payload, iat: now, exp: now + ttl }));
+  return `${header}.${body}.${sign(`${header}.${body}`)}`;
+};
+
+// Returns the token payload, or null if the token is malformed, forged,
+// expired or of the wrong type
+const verifyToken = (token, type = 'access') => {
+  if (typeof token !== 'string') return null;
+  const [header, body, signature] = token.split('.');
+  if (!header || !body || !signature) return null;
+
+  const expected = Buffer.from(sign(`${header}.${body}`));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf-8'));
+    if (payload.type !== type || payload.exp < Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+};
+
+const issueTokens = (user) => ({
+  accessToken: signToken({ sub: user.username, type: 'access' }, ACCESS_TOKEN_TTL),
+  refreshToken: signToken(
+    { sub: user.username, type: 'refresh', ver: user.tokenVersion || 0 },
+    REFRESH_TOKEN_TTL
+  ),
+  expiresIn: ACCESS_TOKEN_TTL,
+});
+
+// Strips secrets before a user record leaves the server. Pending friend
+// requests are only shown to their owner (routes/friends.js).
+const publicUser = (user) => {
+  if (!user) return user;
+  const { password, tokenVersion, friendRequests, ...rest } = user;
+  return rest;
+};
+
+// ========== MIDDLEWARE ==========
+const bearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+};
+
+const authenticate = (req, res, next) => {
+  const payload = verifyToken(bearerToken(req));
+  if (!payload) return res.status(401).json({ error: 'Authentication required' });
+  req.auth = { username: payload.sub };
+  next();
+};
+
+// Only the user named in the route can act as them
+const requireSelf = (param = 'username') => (req, res, next) => {
+  if (req.auth?.username !== req.params[param]) {
+    return res.status(403).json({ error: 'You can only change your own account' });
+  }
+  next();
+};
+
+// ADMIN_USERS is a comma list of usernames that can edit any catalog course
+const ADMIN_USERS = new Set((process.env.ADMIN_USERS || '').split(',').map((name) => name.trim()).filter(Boolean));
+
+const isAdmin = (username) => ADMIN_USERS.has(username);
+
+const isTripLeader = (trip, username) => tripRole(trip, username) === 'leader';
+
+const isTripManager = (trip, username) => isManagerRole(tripRole(trip, username));
+
+const isTripMember = (trip, username) => tripRole(trip, username) !== null;
+
+// Leaders, co-leaders and scorers can post any member's scores; players only
+// their own; spectators nothing. Nobody posts for someone off the trip.
+const canScoreFor = (trip, actor, target) => {
+  if (!isTripMember(trip, target)) return false;
+  const role = tripRole(trip, actor);
+  return isScoringRole(role) || (role === 'player' && actor === target);
+};
+
+const requireTripLeader = async (req, res, next) => {
+  const trip = await store.trips.get(req.params.tripId);
+  if (!trip) return res.status(404).json({ error: 'Trip not found' });
+  if (!isTripLeader(trip, req.auth?.username)) {
+    return res.status(403).json({ error: 'Only the trip leader can do that' });
+  }
+  next();
+};
+
+// Leader or co-leader
+const requireTripManager = async (req, res, next) => {
+  const trip = await store.trips.get(req.params.tripId);
+  if (!trip) return res.status(404).json({ error: 'Trip not found' });
+  if (!isTripManager(trip, req.auth?.username)) {
+    return res.status(403).json({ error: 'Only the trip leader or a co-leader can do that' });
+  }
+  next();
+};
+
+const requireScorer = async (req, res, next) => {
+  const trip = await store.trips.get(req.params.tripId);
+  if (!trip) return res.status(404).json({ error: 'Trip not found' });
+  if (!isTripMember(trip, req.params.username)) {
+    return res.status(404).json({ error: `${req.params.username} is not a member of this trip` });
+  }
+  if (!canScoreFor(trip, req.auth?.username, req.params.username)) {
+    return res.status(403).json({ error: 'You can only submit your own scores' });
+  }
+  next();
+};
+
+// Socket.IO middleware: clients connect with { auth: { token } }
+const authenticateSocket = (socket, next) => {
+  const payload = verifyToken(socket.handshake.auth?.token);
+  if (!payload) return next(new Error('Authentication required'));
+  socket.data.username = payload.sub;
+  next();
+};
+
+export {
+  signToken,
+  verifyToken,
+  bearerToken,
+  issueTokens,
+  publicUser,
+  authenticate,
+  requireSelf,
+  isAdmin,
+  isTripLeader,
+  isTripManager,
+  isTripMember,
+  canScoreFor,
+  requireTripLeader,
+  requireTripManager,
+  requireScorer,
+  authenticateSocket,
+};
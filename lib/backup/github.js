@@ -0,0 +1,71 @@
+// GitHub target: snapshots are committed to GITHUB_REPO under
+// GITHUB_BACKUP_PATH through the contents API. Before snapshots existed the
+// server mirrored data/*.json to the same repo; readLegacy() still reads
+// those so a first deploy can start from them.
+import nodeFetch from 'node-fetch';
+
+const createGitHubTarget = ({
+  repo,
+  token,
+  dir = 'backups',
+  apiUrl = 'https://api.github.com',
+  fetch = nodeFetch,
+}) => {
+  if (!repo || !token) throw new Error('GitHub backups need GITHUB_REPO and GITHUB_TOKEN');
+  const contentsUrl = (filePath) => `${apiUrl.replace(/\/+$/, '')}/repos/${repo}/contents/${filePath}`;
+  const headers = { Authorization: `Bearer ${token}` };
+
+  // Deleting a file needs its blob sha, which comes from the directory listing
+  const shas = new Map();
+
+  const getRaw = async (filePath) => {
+    const res = await fetch(contentsUrl(filePath), {
+      headers: { ...headers, Accept: 'application/vnd.github.raw' },
+    });
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(`GitHub GET ${filePath} failed: ${res.status}`);
+    return res.text();
+  };
+
+  return {
+    name: 'github',
+    list: async () => {
+      const res = await fetch(contentsUrl(dir), { headers });
+      if (res.status === 404) return [];
+      if (!res.ok) throw new Error(`GitHub list ${dir} failed: ${res.status}`);
+      const entries = await res.json();
+      entries.forEach((entry) => shas.set(entry.name, entry.sha));
+      return entries.map((entry) => entry.name);
+    },
+    put: async (name, body) => {
+      const res = await fetch(contentsUrl(`${dir}/${name}`), {
+        method: 'PUT',
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          message: `Backup ${name}`,
+          content: Buffer.from(body).toString('base64'),
+        }),
+      });
+      if (!res.ok) throw new Error(`GitHub PUT ${name} failed: ${res.status}`);
+      shas.set(name, (await res.json()).content?.sha);
+    },
+    get: async (name) => {
+      const body = await getRaw(`${dir}/${name}`);
+      if (body === null) throw new Error(`GitHub snapshot ${name} not found`);
+      return body;
+    },
+    remove: async (name) => {
+      const res = await fetch(contentsUrl(`${dir}/${name}`), {
+        method: 'DELETE',
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: `Prune ${name}`, sha: shas.get(name) }),
+      });
+      if (!res.ok) throw new Error(`GitHub DELETE ${name} failed: ${res.status}`);
+      shas.delete(name);
+    },
+    // data/<file> as the old sync left it, or null
+    readLegacy: (filename) => getRaw(`data/${filename}`),
+  };
+};
+
+export { createGitHubTarget };
@@ -0,0 +1,220 @@
+// Snapshot backups of data/*.json (JSON storage backend).
+//
+// A snapshot is one JSON document, snapshot-<ISO time>.json, holding every
+// data file. Writes schedule a snapshot at most once per BACKUP_INTERVAL_MS;
+// each snapshot goes to every configured target and the oldest ones beyond
+// BACKUP_RETAIN are pruned. On startup the newest snapshot is restored before
+// the server reports ready, unless the local files are newer or
+// BACKUP_RESTORE_ON_START=false, and the admin script (backup.js) restores to
+// any earlier point in time.
+//
+// BACKUP_TARGETS is a comma list of:
+//   local   BACKUP_DIR (default ./backups)
+//   s3      BACKUP_S3_ENDPOINT, BACKUP_S3_BUCKET, BACKUP_S3_REGION,
+//           BACKUP_S3_ACCESS_KEY_ID, BACKUP_S3_SECRET_ACCESS_KEY, BACKUP_S3_PREFIX
+//   github  GITHUB_REPO, GITHUB_TOKEN, GITHUB_BACKUP_PATH, GITHUB_API_URL
+// It defaults to github when GITHUB_REPO is set and local otherwise.
+import { FILES, readJsonFile, writeJsonFile, lastWriteAt } from '../storage.js';
+import log from '../logger.js';
+import metrics from '../metrics.js';
+import { createLocalTarget } from './local.js';
+import { createS3Target } from './s3.js';
+import { createGitHubTarget } from './github.js';
+
+const SNAPSHOT_PATTERN = /^snapshot-(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.json$/;
+
+const snapshotName = (date) => `snapshot-${date.toISOString().replace(/[:.]/g, '-')}.json`;
+
+// Timestamp encoded in a snapshot name, or null for other files
+const snapshotTime = (name) => {
+  const match = SNAPSHOT_PATTERN.exec(name);
+  return match ? new Date(`${match[1]}:${match[2]}:${match[3]}.${match[4]}Z`) : null;
+};
+
+// Snapshots on a target, newest first
+const listSnapshots = async (target) =>
+  (await target.list())
+    .map((name) => ({ name, createdAt: snapshotTime(name), target: target.name }))
+    .filter((snapshot) => snapshot.createdAt)
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+const createTarget = (name, env = process.env) => {
+  switch (name) {
+    case 'local':
+      return createLocalTarget({ dir: env.BACKUP_DIR });
+    case 's3':
+      return createS3Target({
+        endpoint: env.BACKUP_S3_ENDPOINT,
+        bucket: env.BACKUP_S3_BUCKET,
+        region: env.BACKUP_S3_REGION,
+        accessKeyId: env.BACKUP_S3_ACCESS_KEY_ID,
+        secretAccessKey: env.BACKUP_S3_SECRET_ACCESS_KEY,
+        prefix: env.BACKUP_S3_PREFIX,
+      });
+    case 'github':
+      return createGitHubTarget({
+        repo: env.GITHUB_REPO,
+        token: env.GITHUB_TOKEN,
+        dir: env.GITHUB_BACKUP_PATH,
+        apiUrl: env.GITHUB_API_URL,
+      });
+    default:
+      throw new Error(`Unknown backup target "${name}"`);
+  }
+};
+
+const targetsFromEnv = (env = process.env) =>
+  (env.BACKUP_TARGETS || (env.GITHUB_REPO ? 'github' : 'local'))
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .map((name) => createTarget(name, env));
+
+const createBackupService = ({ targets, retain = 50, interval = 60000 }) => {
+  const status = {
+    lastSnapshotAt: null,
+    lastSnapshot: null,
+    failures: 0,
+    lastError: null,
+    restoreFinished: false,
+    restoredFrom: null,
+  };
+  let timer = null;
+  let running = Promise.resolve();
+
+  const prune = async (target) => {
+    const stale = (await listSnapshots(target)).slice(retain);
+    for (const { name } of stale) await target.remove(name);
+  };
+
+  // Pushes the current data files to every target
+  const snapshot = () => {
+    running = running.then(async () => {
+      const createdAt = new Date();
+      const name = snapshotName(createdAt);
+      const files = Object.fromEntries(
+        Object.entries(FILES).map(([key, filePath]) => [key, readJsonFile(filePath)])
+      );
+      const body = JSON.stringify({ createdAt: createdAt.toISOString(), files });
+
+      const results = await Promise.allSettled(targets.map(async (target) => {
+        await target.put(name, body);
+        await prune(target);
+      }));
+      results.forEach((result, i) => {
+        if (result.status === 'fulfilled') return;
+        status.failures++;
+        status.lastError = `${targets[i].name}: ${result.reason.message}`;
+        metrics.increment(`backup.failed.${targets[i].name}`);
+        log.error('backup failed', { target: targets[i].name, snapshot: name, err: result.reason });
+      });
+
+      status.lastSnapshotAt = createdAt;
+      status.lastSnapshot = name;
+      if (results.some((r) => r.status === 'fulfilled')) log.info('backed up', { snapshot: name });
+      return name;
+    });
+    return running;
+  };
+
+  // Called after every write; batches writes into one snapshot per interval
+  const schedule = () => {
+    if (timer || !targets.length) return;
+    const since = status.lastSnapshotAt ? Date.now() - status.lastSnapshotAt : interval;
+    timer = setTimeout(() => {
+      timer = null;
+      snapshot();
+    }, Math.max(0, interval - since));
+    timer.unref();
+  };
+
+  // Takes any scheduled snapshot now and waits for it (shutdown, scripts)
+  const flush = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+      snapshot();
+    }
+    return running;
+  };
+
+  const list = async (targetName) => {
+    const chosen = targetName ? targets.filter((t) => t.name === targetName) : targets;
+    if (targetName && !chosen.length) throw new Error(`Backup target "${targetName}" is not configured`);
+    const all = await Promise.all(chosen.map(listSnapshots));
+    return all.flat().sort((a, b) => b.createdAt - a.createdAt);
+  };
+
+  // Restores the newest snapshot taken at or before `at` (default: now) from
+  // the first target that has one. Returns the snapshot used, or null.
+  const restore = async ({ at = new Date(), target: targetName } = {}) => {
+    const chosen = targetName ? targets.filter((t) => t.name === targetName) : targets;
+    if (targetName && !chosen.length) throw new Error(`Backup target "${targetName}" is not configured`);
+
+    for (const target of chosen) {
+      const match = (await listSnapshots(target)).find((s) => s.createdAt <= at);
+      if (!match) continue;
+
+      const { files } = JSON.parse(await target.get(match.name));
+      await Promise.all(Object.entries(FILES)
+        .filter(([key]) => files[key])
+        .map(([key, filePath]) => writeJsonFile(filePath, files[key])));
+      status.restoredFrom = match;
+      log.info('restored backup', { snapshot: match.name, target: target.name });
+      return match;
+    }
+    return null;
+  };
+
+  // Files the GitHub sync used to mirror, for deployments with no snapshots yet
+  const restoreLegacy = async () => {
+    const legacy = targets.find((t) => t.readLegacy);
+    if (!legacy) return false;
+    let restored = false;
+    for (const filePath of Object.values(FILES)) {
+      const body = await legacy.readLegacy(filePath.split('/').pop());
+      if (body === null) continue;
+      await writeJsonFile(filePath, JSON.parse(body));
+      restored = true;
+    }
+    if (restored) log.info('restored legacy data files', { target: legacy.name });
+    return restored;
+  };
+
+  // Startup: bring data/ up to the newest backup before serving, unless the
+  // local files were written after it (a crash or restart before the next
+  // snapshot), in which case they're snapshotted instead. Files that were
+  // never written here (a fresh checkout or disk) always give way. A failed
+  // restore is logged and the server carries on with the local files.
+  const restoreOnStart = async () => {
+    try {
+      const localAt = await lastWriteAt();
+      const [newest] = localAt ? await list() : [];
+      if (localAt && (!newest || newest.createdAt < localAt)) {
+        log.info('local data is newer than the latest backup; keeping it', {
+          writtenAt: localAt.toISOString(),
+          snapshot: newest?.name ?? null,
+        });
+        if (targets.length) await snapshot();
+      } else if (!(await restore())) {
+        await restoreLegacy();
+      }
+    } catch (err) {
+      status.lastError = `restore: ${err.message}`;
+      log.error('restore failed', { err });
+    } finally {
+      status.restoreFinished = true;
+    }
+  };
+
+  return { targets, status, snapshot, schedule, flush, list, restore, restoreOnStart };
+};
+
+const backups = createBackupService({
+  targets: targetsFromEnv(),
+  retain: Number(process.env.BACKUP_RETAIN) || 50,
+  interval: Number(process.env.BACKUP_INTERVAL_MS) || 60000,
+});
+
+export { targetsFromEnv, createBackupService };
+export default backups;
@@ -0,0 +1,25 @@
+// Local directory target: one file per snapshot under BACKUP_DIR
+import fs from 'fs';
+import path from 'path';
+
+const createLocalTarget = ({ dir = './backups' } = {}) => {
+  const ensureDir = () => fs.promises.mkdir(dir, { recursive: true });
+
+  return {
+    name: 'local',
+    list: async () => {
+      await ensureDir();
+      return fs.promises.readdir(dir);
+    },
+    put: async (name, body) => {
+      await ensureDir();
+      const filePath = path.join(dir, name);
+      await fs.promises.writeFile(`${filePath}.tmp`, body);
+      await fs.promises.rename(`${filePath}.tmp`, filePath);
+    },
+    get: (name) => fs.promises.readFile(path.join(dir, name), 'utf-8'),
+    remove: (name) => fs.promises.unlink(path.join(dir, name)),
+  };
+};
+
+export { createLocalTarget };
@@ -0,0 +1,92 @@
+// S3-compatible target (AWS S3, R2, MinIO, B2...). Requests use path-style
+// URLs (endpoint/bucket/key) signed with AWS Signature V4, so any endpoint
+// that speaks the S3 API works without an SDK.
+import crypto from 'crypto';
+import nodeFetch from 'node-fetch';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as SigV4 expects it
+const encode = (value) =>
+  encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const signRequest = ({ method, url, body, region, accessKeyId, secretAccessKey }) => {
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const date = amzDate.slice(0, 8);
+  const payloadHash = sha256(body);
+  const headers = { host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+  const headerNames = Object.keys(headers).sort();
+
+  const query = [...url.searchParams]
+    .map(([key, value]) => [encode(key), encode(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    query,
+    headerNames.map((name) => `${name}:${headers[name]}\n`).join(''),
+    headerNames.join(';'),
+    payloadHash,
+  ].join('\n');
+
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...headers,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`,
+  };
+};
+
+const createS3Target = ({
+  endpoint,
+  bucket,
+  region = 'us-east-1',
+  accessKeyId,
+  secretAccessKey,
+  prefix = 'forescore/',
+  fetch = nodeFetch,
+}) => {
+  if (!endpoint || !bucket) throw new Error('S3 backups need BACKUP_S3_ENDPOINT and BACKUP_S3_BUCKET');
+  const base = endpoint.replace(/\/+$/, '');
+
+  const request = async (method, key, { body = '', query = {} } = {}) => {
+    const url = new URL(`${base}/${bucket}${key === null ? '' : `/${key.split('/').map(encode).join('/')}`}`);
+    Object.entries(query).forEach(([name, value]) => url.searchParams.set(name, value));
+    const headers = signRequest({ method, url, body, region, accessKeyId, secretAccessKey });
+    const res = await fetch(url.toString(), { method, headers, body: method === 'PUT' ? body : undefined });
+    if (!res.ok) throw new Error(`S3 ${method} ${url.pathname} failed: ${res.status}`);
+    return res;
+  };
+
+  return {
+    name: 's3',
+    list: async () => {
+      const names = [];
+      let token = null;
+      do {
+        const query = { 'list-type': '2', prefix, ...(token && { 'continuation-token': token }) };
+        const xml = await (await request('GET', null, { query })).text();
+        for (const [, key] of xml.matchAll(/<Key>(.*?)<\/Key>/g)) names.push(key.slice(prefix.length));
+        token = /<IsTruncated>true<\/IsTruncated>/.test(xml)
+          ? xml.match(/<NextContinuationToken>(.*?)<\/NextContinuationToken>/)?.[1]
+          : null;
+      } while (token);
+      return names;
+    },
+    put: async (name, body) => {
+      await request('PUT', `${prefix}${name}`, { body });
+    },
+    get: async (name) => (await request('GET', `${prefix}${name}`)).text(),
+    remove: async (name) => {
+      await request('DELETE', `${prefix}${name}`);
+    },
+  };
+};
+
+export { createS3Target };
@@ -0,0 +1,188 @@
+// Trip bundles: everything needed to recreate a trip on another server.
+//
+//   { format: 'forescore-trip', version: 1, exportedAt,
+//     trip,                         the trip document, minus join codes,
+//                                   invites and join requests
+//     courses: [course],            catalog courses the rounds use
+//     members: [{ username, name, handicap,
+//                 card: { raw_scores, net_scores, projected_points, played_at } }] }
+//
+// Importing creates a new trip led by the importer. Members are matched to
+// accounts on this server by username (after `rename`). Only the importer
+// joins and gets their card, rescored here so net scores and handicap
+// postings follow this server's indexes. Everyone else with an account is
+// invited in their bundled role, their card waiting on the invite: nothing
+// touches their account until they accept (see acceptImportedCard).
+// Bundled courses are matched to the catalog by id, then by name, and added
+// (created by the importer) when neither matches.
+import { generateId } from './ids.js';
+import { findCourseByName } from './courses.js';
+import { addMember, createInvite, renameMembers } from './members.js';
+import { resizeUserTrip, rescoreRound } from './lifecycle.js';
+import { leaveGame } from './sidegames.js';
+
+const BUNDLE_FORMAT = 'forescore-trip';
+const BUNDLE_VERSION = 1;
+
+const CARD_FIELDS = ['raw_scores', 'net_scores', 'projected_points', 'played_at'];
+
+// ========== EXPORT ==========
+const exportBundle = ({ trip, users, catalog }) => {
+  const { joinCodes, invites, joinRequests, ...rest } = structuredClone(trip);
+
+  const courseIds = [...new Set((trip.courses || []).filter((c) => c && typeof c === 'object').map((c) => c.courseId))];
+  const courses = courseIds.map((courseId) => catalog.courses?.[courseId]).filter(Boolean);
+
+  const members = (trip.users || []).map((username) => {
+    const user = users.find((u) => u.username === username);
+    const entry = user?.trips?.[trip.tripId] || {};
+    return {
+      username,
+      name: user?.name ?? null,
+      handicap: user?.handicap ?? null,
+      card: Object.fromEntries(CARD_FIELDS.filter((f) => Array.isArray(entry[f])).map((f) => [f, entry[f]])),
+    };
+  });
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    trip: rest,
+    courses,
+    members,
+  };
+};
+
+// ========== IMPORT ==========
+// Points the trip's catalog rounds at courses on this server. Returns the
+// courses to add, the ids that were matched and the catalog with both, or
+// { error }.
+const mapCourses = (trip, bundled, catalog, importer) => {
+  const known = { courses: { ...catalog.courses } };
+  const added = [];
+  const matched = {};
+  const idFor = {};
+
+  for (const ref of trip.courses || []) {
+    if (!ref || typeof ref !== 'object') continue;
+    if (!idFor[ref.courseId]) {
+      const course = bundled.find((c) => c.courseId === ref.courseId);
+      if (!course) return { error: `Course ${ref.courseId} is used by the trip but missing from the bundle` };
+
+      const local = known.courses[course.courseId];
+      const sameName = local && local.name.trim().toLowerCase() === course.name.trim().toLowerCase();
+      const found = sameName ? local : findCourseByName(known, course.name);
+      if (found) {
+        matched[ref.courseId] = found.courseId;
+      } else {
+        const copy = {
+          ...structuredClone(course),
+          courseId: generateId('COURSE'),
+          numHoles: course.holes.length,
+          createdBy: importer,
+        };
+        known.courses[copy.courseId] = copy;
+        added.push(copy);
+      }
+      idFor[ref.courseId] = found ? found.courseId : added[added.length - 1].courseId;
+    }
+    ref.courseId = idFor[ref.courseId];
+  }
+  return { added, matched, catalog: known };
+};
+
+// Scoring a round needs everyone's handicaps, but `user` alone keeps a card,
+// so nobody else is posted to (not even from a stale card under this id)
+const scoringOnly = (user, users) =>
+  [user, ...users.filter((u) => u.username !== user.username).map((u) => ({ ...u, trips: {} }))];
+
+const bundledCard = (card = {}) =>
+  Object.fromEntries(CARD_FIELDS.filter((f) => Array.isArray(card[f])).map((f) => [f, structuredClone(card[f])]));
+
+// Returns { trip, users, courses, missing, invited, matchedCourses } with
+// `users` the accounts that changed (only ever the importer), or
+// { error, missing }. Nothing is saved.
+const importBundle = ({ bundle, tripId, importer, rename = {}, skipMissing = false, users, catalog }) => {
+  const to = (name) => rename[name] ?? name;
+  const byName = new Map(users.map((u) => [u.username, u]));
+
+  const memberNames = [...new Set([...(bundle.trip.users || []), ...bundle.members.map((m) => m.username)])];
+  const missing = memberNames.filter((name) => !byName.has(to(name)));
+  if (missing.length && !skipMissing) {
+    return { error: `No account here for ${missing.join(', ')}; map them with rename or send skipMissing`, missing };
+  }
+
+  const trip = structuredClone(bundle.trip);
+  delete trip.version;
+  trip.tripId = tripId;
+  renameMembers(trip, rename);
+
+  const courses = mapCourses(trip, bundle.courses || [], catalog, importer);
+  if (courses.error) return { error: courses.error, missing };
+
+  // The importer leads the copy; the original leader is invited back as
+  // co-leader
+  const previousLeader = trip.tripLeader;
+  const roleOf = (name) => (name === previousLeader ? 'co-leader' : trip.roles?.[name] || 'player');
+  const invited = (trip.users || [])
+    .filter((name) => byName.has(name) && name !== importer)
+    .map((username) => ({ username, role: roleOf(username) }));
+
+  // Everyone but the importer keeps their roster and lineup slots without
+  // being a member yet, and drops out of side games. Tee times keep those
+  // with an account here.
+  const present = (name) => byName.has(name);
+  trip.users = [importer];
+  trip.roles = {};
+  delete trip.scorers;
+  (trip.sideGames || []).forEach((game) => {
+    game.players.filter((name) => name !== importer).forEach((name) => leaveGame(game, name));
+  });
+  Object.values(trip.schedule || {}).forEach((entry) => {
+    if (!entry.teeTimes) return;
+    entry.teeTimes = entry.teeTimes
+      .map((teeTime) => ({ ...teeTime, players: teeTime.players.filter(present) }))
+      .filter((teeTime) => teeTime.players.length);
+  });
+
+  trip.tripLeader = importer;
+  const cardOf = (username) => bundledCard(bundle.members.find((m) => to(m.username) === username)?.card);
+  invited.forEach(({ username, role }) => {
+    const invite = createInvite(trip, { username, role, invitedBy: importer });
+    const card = cardOf(username);
+    if (Object.keys(card).length) invite.card = card;
+  });
+
+  const importerUser = byName.get(importer);
+  addMember(trip, importerUser, 'player');
+  Object.assign(importerUser.trips[tripId], cardOf(importer));
+  resizeUserTrip(importerUser.trips[tripId], trip.numRounds || 1);
+
+  for (let round = 0; round < (trip.numRounds || 1); round++) {
+    rescoreRound({ trip, round, users: scoringOnly(importerUser, users), catalog: courses.catalog });
+  }
+
+  return {
+    trip,
+    users: [importerUser],
+    courses: courses.added,
+    matchedCourses: courses.matched,
+    invited: invited.map((i) => i.username),
+    missing,
+  };
+};
+
+// Loads the card an imported trip's invite carried into the accepting
+// user's entry (they're a member by now) and rescores it, posting those
+// rounds to their handicap record only
+const acceptImportedCard = ({ trip, user, card, users, catalog }) => {
+  const entry = user.trips[trip.tripId];
+  Object.assign(entry, structuredClone(card));
+  resizeUserTrip(entry, trip.numRounds || 1);
+  for (let round = 0; round < (trip.numRounds || 1); round++) {
+    rescoreRound({ trip, round, users: scoringOnly(user, users), catalog });
+  }
+};
+
+export { BUNDLE_FORMAT, BUNDLE_VERSION, exportBundle, importBundle, acceptImportedCard };
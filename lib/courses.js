@@ -0,0 +1,129 @@
+// Course catalog helpers: validation and resolving trip course references.
+// A trip round can reference a course as a bare name ("True Blue") or as
+// { courseId, tee }. Both resolve to the flat shape the scoring engine expects.
+
+const VALID_HOLE_COUNTS = [9, 18];
+
+const validateHoles = (holes) => {
+  if (!Array.isArray(holes) || !VALID_HOLE_COUNTS.includes(holes.length)) {
+    return 'holes must be an array of 9 or 18 entries';
+  }
+  for (let i = 0; i < holes.length; i++) {
+    const { par, strokeIndex } = holes[i] || {};
+    if (!Number.isInteger(par) || par < 3 || par > 6) {
+      return `holes[${i}].par must be an integer between 3 and 6`;
+    }
+    if (!Number.isInteger(strokeIndex) || strokeIndex < 1 || strokeIndex > 18) {
+      return `holes[${i}].strokeIndex must be an integer between 1 and 18`;
+    }
+  }
+  const indexes = holes.map((h) => h.strokeIndex);
+  if (new Set(indexes).size !== indexes.length) {
+    return 'hole stroke indexes must be unique';
+  }
+  return null;
+};
+
+const validateTees = (tees, holeCount) => {
+  if (!Array.isArray(tees) || tees.length === 0) {
+    return 'tees must be a non-empty array';
+  }
+  const names = new Set();
+  for (let i = 0; i < tees.length; i++) {
+    const { name, slope, rating, yardages } = tees[i] || {};
+    if (!name || typeof name !== 'string') return `tees[${i}].name is required`;
+    if (names.has(name.toLowerCase())) return `duplicate tee name "${name}"`;
+    names.add(name.toLowerCase());
+    if (typeof slope !== 'number' || slope < 55 || slope > 155) {
+      return `tees[${i}].slope must be a number between 55 and 155`;
+    }
+    if (typeof rating !== 'number' || rating <= 0) {
+      return `tees[${i}].rating must be a positive number`;
+    }
+    if (yardages !== undefined && (!Array.isArray(yardages) || yardages.length !== holeCount)) {
+      return `tees[${i}].yardages must have ${holeCount} entries`;
+    }
+  }
+  return null;
+};
+
+// Returns an error message, or null if the course is valid
+const validateCourse = (course) => {
+  if (!course.name || typeof course.name !== 'string') return 'name is required';
+  return validateHoles(course.holes) || validateTees(course.tees, course.holes.length);
+};
+
+const findCourseByName = (catalog, name) => {
+  if (typeof name !== 'string') return null;
+  const wanted = name.trim().toLowerCase();
+  return Object.values(catalog.courses || {}).find(
+    (c) => c.name.trim().toLowerCase() === wanted
+  ) || null;
+};
+
+const findTee = (course, teeName) => {
+  if (!course.tees?.length) return null;
+  if (teeName) {
+    const tee = course.tees.find((t) => t.name.toLowerCase() === String(teeName).toLowerCase());
+    if (tee) return tee;
+  }
+  return course.defaultTee
+    ? course.tees.find((t) => t.name === course.defaultTee) || course.tees[0]
+    : course.tees[0];
+};
+
+// Checks a trip's course references against the catalog. Bare names are
+// always accepted (they fall back to default holes when not in the catalog).
+const validateCourseRefs = (refs, catalog) => {
+  if (!Array.isArray(refs)) return null;
+  for (let i = 0; i < refs.length; i++) {
+    const ref = refs[i];
+    if (!ref || typeof ref !== 'object') continue;
+    const course = catalog.courses?.[ref.courseId];
+    if (!course) return `courses[${i}]: course ${ref.courseId} not found`;
+    if (ref.tee && !course.tees.some((t) => t.name.toLowerCase() === String(ref.tee).toLowerCase())) {
+      return `courses[${i}]: tee "${ref.tee}" not found for ${course.name}`;
+    }
+  }
+  return null;
+};
+
+// Flattens a catalog course + tee into { name, tee, holes, slope, rating, par }
+const flattenCourse = (course, teeName) => {
+  const tee = findTee(course, teeName);
+  return {
+    courseId: course.courseId,
+    name: course.name,
+    tee: tee?.name || null,
+    slope: tee?.slope ?? null,
+    rating: tee?.rating ?? null,
+    par: course.holes.reduce((sum, h) => sum + h.par, 0),
+    holes: course.holes.map((h, i) => ({
+      par: h.par,
+      strokeIndex: h.strokeIndex,
+      yardage: tee?.yardages?.[i] ?? null,
+    })),
+  };
+};
+
+const resolveCourseRef = (ref, catalog) => {
+  if (!ref) return null;
+  if (typeof ref === 'string') {
+    const course = findCourseByName(catalog, ref);
+    return course ? flattenCourse(course) : ref;
+  }
+  if (ref.courseId) {
+    const course = catalog.courses?.[ref.courseId];
+    return course ? flattenCourse(course, ref.tee) : ref.name || null;
+  }
+  return ref;
+};
+
+export {
+  VALID_HOLE_COUNTS,
+  validateCourse,
+  validateCourseRefs,
+  findCourseByName,
+  flattenCourse,
+  resolveCourseRef,
+};
@@ -0,0 +1,65 @@
+// Uniform error responses. Every 4xx/5xx body has the shape
+//
+//   { error: 'Human readable message', code: 'NOT_FOUND', fields?: [...] }
+//
+// plus any extra details a route adds (kind/id/version on conflicts, rounds,
+// errors). Routes keep answering with res.status(n).json({ error }); the
+// envelope middleware fills in `code` from the status unless the route set
+// a more specific one. Validation failures list every bad field as
+// { in: 'body' | 'params' | 'query', path, code, message }.
+import { VersionConflictError, sendConflict } from './store/versions.js';
+import log from './logger.js';
+
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE',
+};
+
+const codeForStatus = (status) => STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+// "teams[0].name: is required", or the bare message for a whole-body problem
+const fieldMessage = ({ path, message }) => (path ? `${path}: ${message}` : message);
+
+const sendValidationError = (res, fields) =>
+  res.status(400).json({ error: fieldMessage(fields[0]), code: 'VALIDATION_FAILED', fields });
+
+// ========== MIDDLEWARE ==========
+const errorEnvelope = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body.error === 'string' && !body.code) {
+      return json({ error: body.error, code: codeForStatus(res.statusCode), ...body });
+    }
+    return json(body);
+  };
+  next();
+};
+
+const notFound = (req, res) => {
+  res.status(404).json({ error: `No route for ${req.method} ${req.path}` });
+};
+
+// Saves that still conflict after retrying surface as 409; malformed JSON
+// and oversized bodies from body-parser as 400/413
+const errorHandler = (err, req, res, next) => {
+  if (err instanceof VersionConflictError) return sendConflict(res, err);
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+  }
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ error: err.expose ? err.message : 'Bad request' });
+  }
+  (req.log || log).error('unhandled error', { err });
+  // The id finds the log line
+  res.status(500).json({ error: 'Internal server error', requestId: req.id });
+};
+
+export { STATUS_CODES, codeForStatus, sendValidationError, errorEnvelope, notFound, errorHandler };
@@ -0,0 +1,124 @@
+// Round formats selectable per round through trip.scoringMethods.
+//
+//   kind 'match': two sides play each other hole by hole. A lineup group is
+//                 [sideA, sideB]; singles sides are usernames, pairs formats
+//                 use [[a, b], [c, d]].
+//   kind 'field': everyone in the round is ranked against each other. Lineup
+//                 groups are optional playing groups, except for scramble
+//                 where each group is one scramble team.
+//
+// teamCard formats (foursomes, scramble) keep one scorecard per side; it is
+// stored on every member of the side.
+
+const FORMATS = {
+  stroke: { label: 'Stroke play', kind: 'field', sideSize: 1, teamCard: false },
+  stableford: { label: 'Stableford', kind: 'field', sideSize: 1, teamCard: false },
+  skins: { label: 'Skins', kind: 'field', sideSize: 1, teamCard: false },
+  scramble: { label: 'Scramble', kind: 'field', sideSize: null, teamCard: true },
+  match: { label: 'Singles match play', kind: 'match', sideSize: 1, teamCard: false },
+  fourball: { label: 'Four-ball (best ball)', kind: 'match', sideSize: 2, teamCard: false },
+  foursomes: { label: 'Foursomes (alternate shot)', kind: 'match', sideSize: 2, teamCard: true },
+};
+
+const FORMAT_NAMES = Object.keys(FORMATS);
+
+// Share of each player's course handicap, lowest handicap first
+const TEAM_HANDICAP_WEIGHTS = {
+  foursomes: { 2: [0.5, 0.5] },
+  scramble: { 2: [0.35, 0.15], 3: [0.3, 0.2, 0.1], 4: [0.25, 0.2, 0.15, 0.1] },
+};
+
+const getFormat = (name) => ({ name: name || 'stroke', ...(FORMATS[name] || FORMATS.stroke) });
+
+const isMatchFormat = (name) => getFormat(name).kind === 'match';
+
+const roundFormat = (trip, round) => getFormat(trip.scoringMethods?.[round]);
+
+// Splits a lineup group into sides (arrays of usernames)
+const groupSides = (formatName, group) => {
+  if (!Array.isArray(group)) return [];
+  const format = getFormat(formatName);
+  if (format.kind === 'match') return group.map((side) => (Array.isArray(side) ? side : [side]));
+  if (format.name === 'scramble') return [group.flat()];
+  return group.flat().map((username) => [username]);
+};
+
+const groupPlayers = (group) => (Array.isArray(group) ? group.flat() : []);
+
+// Finds the lineup group and side a player belongs to in a round
+const locateSide = (trip, round, username) => {
+  const format = roundFormat(trip, round);
+  const entry = Object.entries(trip.lineups?.[round] || {}).find(([, group]) =>
+    groupPlayers(group).includes(username)
+  );
+  if (!entry) return { format, groupId: null, group: null, sides: null, side: [username] };
+
+  const [groupId, group] = entry;
+  const sides = groupSides(format.name, group);
+  return { format, groupId, group, sides, side: sides.find((s) => s.includes(username)) };
+};
+
+// Combined handicap for a teamCard side from its members' course handicaps
+const teamCourseHandicap = (formatName, courseHandicaps) => {
+  const sorted = [...courseHandicaps].sort((a, b) => a - b);
+  const weights = TEAM_HANDICAP_WEIGHTS[formatName]?.[sorted.length]
+    || sorted.map(() => 1 / sorted.length);
+  return Math.round(sorted.reduce((sum, ch, i) => sum + ch * (weights[i] || 0), 0));
+};
+
+// Returns an error message for a lineup group that doesn't fit the format
+const lineupGroupError = (formatName, group) => {
+  const format = getFormat(formatName);
+  if (!Array.isArray(group) || group.length === 0) return 'lineup group must be a non-empty array';
+
+  if (format.kind === 'match') {
+    if (group.length !== 2) return `${format.label} groups must have exactly two sides`;
+    const sides = groupSides(format.name, group);
+    if (sides.some((side) => side.length !== format.sideSize)) {
+      return format.sideSize === 1
+        ? `${format.label} groups must be [player, player]`
+        : `${format.label} groups must be [[player, player], [player, player]]`;
+    }
+  } else if (group.some((p) => Array.isArray(p))) {
+    return `${format.label} groups must be a flat list of players`;
+  } else if (format.name === 'scramble' && (group.length < 2 || group.length > 4)) {
+    return 'Scramble groups must have 2 to 4 players';
+  }
+
+  const players = groupPlayers(group);
+  if (players.some((p) => typeof p !== 'string' || !p)) return 'lineup players must be usernames';
+  if (new Set(players).size !== players.length) return 'a player cannot appear twice in a group';
+  return null;
+};
+
+// Validates scoringMethods and, when given, every lineup group against its round's format
+const validateRoundFormats = ({ scoringMethods, lineups }) => {
+  if (scoringMethods !== undefined) {
+    if (!Array.isArray(scoringMethods)) return 'scoringMethods must be an array';
+    const unknown = scoringMethods.find((m) => !FORMATS[m]);
+    if (unknown !== undefined) {
+      return `Unknown scoring method "${unknown}" (expected one of ${FORMAT_NAMES.join(', ')})`;
+    }
+  }
+  for (const [round, groups] of Object.entries(lineups || {})) {
+    for (const [groupId, group] of Object.entries(groups || {})) {
+      const error = lineupGroupError(scoringMethods?.[round], group);
+      if (error) return `lineups[${round}][${groupId}]: ${error}`;
+    }
+  }
+  return null;
+};
+
+export {
+  FORMATS,
+  FORMAT_NAMES,
+  getFormat,
+  isMatchFormat,
+  roundFormat,
+  groupSides,
+  groupPlayers,
+  locateSide,
+  teamCourseHandicap,
+  lineupGroupError,
+  validateRoundFormats,
+};
@@ -0,0 +1,131 @@
+// Friends: user.friends holds accepted friends' usernames and
+// user.friendRequests = { incoming: [{ from, sentAt }], outgoing: [{ to, sentAt }] }
+// holds pending requests on both sides. Every change touches two users, so
+// callers save both with store.users.saveMany.
+
+const RECENT_TRIPS = 3;
+
+const requestsOf = (user) => {
+  if (!Array.isArray(user.friends)) user.friends = [];
+  if (!user.friendRequests) user.friendRequests = { incoming: [], outgoing: [] };
+  return user.friendRequests;
+};
+
+const areFriends = (user, username) => (user.friends || []).includes(username);
+
+const hasIncoming = (user, from) => (user.friendRequests?.incoming || []).some((r) => r.from === from);
+const hasOutgoing = (user, to) => (user.friendRequests?.outgoing || []).some((r) => r.to === to);
+
+const clearRequests = (a, b) => {
+  const ra = requestsOf(a);
+  const rb = requestsOf(b);
+  ra.incoming = ra.incoming.filter((r) => r.from !== b.username);
+  ra.outgoing = ra.outgoing.filter((r) => r.to !== b.username);
+  rb.incoming = rb.incoming.filter((r) => r.from !== a.username);
+  rb.outgoing = rb.outgoing.filter((r) => r.to !== a.username);
+};
+
+const befriend = (a, b) => {
+  clearRequests(a, b);
+  if (!a.friends.includes(b.username)) a.friends.push(b.username);
+  if (!b.friends.includes(a.username)) b.friends.push(a.username);
+};
+
+// Returns the request sent, or null if it completed a friendship because
+// `to` had already asked `from`
+const sendFriendRequest = (from, to) => {
+  if (hasIncoming(from, to.username)) {
+    befriend(from, to);
+    return null;
+  }
+  const request = { sentAt: new Date().toISOString() };
+  requestsOf(from).outgoing.push({ to: to.username, ...request });
+  requestsOf(to).incoming.push({ from: from.username, ...request });
+  return { from: from.username, to: to.username, ...request };
+};
+
+const acceptFriendRequest = (user, from) => befriend(user, from);
+
+// Declining an incoming request and cancelling an outgoing one look the same
+const dropFriendRequest = (user, other) => clearRequests(user, other);
+
+const removeFriend = (user, friend) => {
+  requestsOf(user);
+  requestsOf(friend);
+  user.friends = user.friends.filter((f) => f !== friend.username);
+  friend.friends = friend.friends.filter((f) => f !== user.username);
+};
+
+// Newest trips first; user.trips keeps the order trips were joined in
+const recentTrips = (user, trips) =>
+  Object.keys(user.trips || {})
+    .reverse()
+    .slice(0, RECENT_TRIPS)
+    .map((tripId) => trips.find((t) => t.tripId === tripId))
+    .filter(Boolean)
+    .map((trip) => ({ tripId: trip.tripId, tripLeader: trip.tripLeader, numRounds: trip.numRounds }));
+
+const friendSummary = (user, trips) => ({
+  username: user.username,
+  name: user.name,
+  handicap: user.handicap ?? null,
+  recentTrips: recentTrips(user, trips),
+});
+
+const searchUsers = (users, query, viewer, limit = 20) => {
+  const q = String(query || '').trim().toLowerCase();
+  if (!q) return [];
+  return users
+    .filter((u) => u.username !== viewer.username)
+    .filter((u) => u.username.toLowerCase().includes(q) || (u.name || '').toLowerCase().includes(q))
+    // Exact and prefix matches first
+    .sort((a, b) => {
+      const rank = (u) => (u.username.toLowerCase() === q ? 0 : u.username.toLowerCase().startsWith(q) ? 1 : 2);
+      return rank(a) - rank(b) || a.username.localeCompare(b.username);
+    })
+    .slice(0, limit)
+    .map((u) => ({
+      username: u.username,
+      name: u.name,
+      handicap: u.handicap ?? null,
+      friend: areFriends(viewer, u.username),
+      requested: hasOutgoing(viewer, u.username),
+      requestedYou: hasIncoming(viewer, u.username),
+    }));
+};
+
+// Puts the player into the first empty slot of the chosen team, or of the
+// team with the most open slots. Returns the name of the team they end up on
+// (possibly one they were already on), or null if there was no room.
+const placeOnTeam = (trip, username, teamIndex) => {
+  const teams = trip.teams || [];
+  const current = teams.find((t) => (t.players || []).some((p) => p.name === username));
+  if (current) return current.name;
+
+  const openSlots = (team) => (team.players || []).filter((p) => !p.name).length;
+  const candidates = teamIndex === undefined
+    ? [...teams].sort((a, b) => openSlots(b) - openSlots(a))
+    : [teams[teamIndex]].filter(Boolean);
+
+  for (const team of candidates) {
+    const slot = (team.players || []).find((p) => !p.name);
+    if (slot) {
+      slot.name = username;
+      return team.name;
+    }
+  }
+  return null;
+};
+
+export {
+  areFriends,
+  hasIncoming,
+  hasOutgoing,
+  sendFriendRequest,
+  acceptFriendRequest,
+  dropFriendRequest,
+  removeFriend,
+  friendSummary,
+  searchUsers,
+  placeOnTeam,
+};
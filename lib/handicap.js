@@ -0,0 +1,205 @@
+// Handicap index tracking, World Handicap System style.
+//
+// Every posted round lives in user.handicapRounds:
+//   { roundId, source: 'trip' | 'manual', tripId, round, course, tee, rating,
+//     slope, par, gross, adjustedGross, differential, playedAt, postedAt }
+// Trip rounds are posted automatically once an 18-hole card is complete on a
+// rated course (roundId `${tripId}:${round}`); other rounds are posted by the
+// player. user.handicap is recalculated from the most recent 20 differentials
+// after every post, and each change is appended to user.handicapHistory as
+// { at, index, roundId }. Until three rounds are posted the handicap typed in
+// at registration stands.
+//
+// A trip can lock everyone's index when it starts (trip.handicapSnapshot =
+// { lockedAt, handicaps: { username: index } }) so strokes don't move mid-trip.
+import { DEFAULT_HOLES, parseHandicapIndex, courseHandicap, allocateStrokes } from './scoring.js';
+import { getFormat } from './formats.js';
+
+const STANDARD_SLOPE = 113;
+const RECENT_ROUNDS = 20;
+const MAX_INDEX = 54;
+const SOFT_CAP = 3;
+const HARD_CAP = 5;
+const LOW_INDEX_DAYS = 365;
+const DAY = 24 * 60 * 60 * 1000;
+
+// How many of the lowest differentials count, and the adjustment applied,
+// by number of differentials on record
+const COUNTING_TABLE = [
+  { min: 20, count: 8, adjustment: 0 },
+  { min: 19, count: 7, adjustment: 0 },
+  { min: 17, count: 6, adjustment: 0 },
+  { min: 15, count: 5, adjustment: 0 },
+  { min: 12, count: 4, adjustment: 0 },
+  { min: 9, count: 3, adjustment: 0 },
+  { min: 7, count: 2, adjustment: 0 },
+  { min: 6, count: 2, adjustment: -1 },
+  { min: 5, count: 1, adjustment: 0 },
+  { min: 4, count: 1, adjustment: -1 },
+  { min: 3, count: 1, adjustment: -2 },
+];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// ========== DIFFERENTIALS ==========
+// Net double bogey caps each hole at par + 2 + strokes received. Without an
+// index yet the cap is par + 5.
+const adjustedGrossScore = (raw, course, handicapIndex) => {
+  const hasIndex = handicapIndex !== undefined && handicapIndex !== null && handicapIndex !== '';
+  const strokes = hasIndex
+    ? allocateStrokes(courseHandicap(handicapIndex, course), course.holes)
+    : null;
+  return raw.reduce((sum, score, i) => {
+    const { par } = course.holes[i];
+    const max = strokes ? par + 2 + strokes[i] : par + 5;
+    return sum + Math.min(score, max);
+  }, 0);
+};
+
+const scoreDifferential = (adjustedGross, { rating, slope }) =>
+  round1((STANDARD_SLOPE / slope) * (adjustedGross - rating));
+
+// Returns an error message, or null if the course can be used for posting
+const postableCourse = (course) => {
+  if (!course.rating || !course.slope) return 'course needs a rating and slope';
+  if (course.holes.length !== DEFAULT_HOLES) return 'only 18-hole rounds can be posted';
+  return null;
+};
+
+const buildRound = ({ roundId, source, course, raw, gross, handicapIndex, playedAt, ...rest }) => {
+  const adjustedGross = raw ? adjustedGrossScore(raw, course, handicapIndex) : gross;
+  return {
+    roundId,
+    source,
+    ...rest,
+    course: course.name,
+    tee: course.tee,
+    rating: course.rating,
+    slope: course.slope,
+    par: course.par,
+    gross: raw ? raw.reduce((sum, score) => sum + score, 0) : gross,
+    adjustedGross,
+    differential: scoreDifferential(adjustedGross, course),
+    playedAt,
+    postedAt: new Date().toISOString(),
+  };
+};
+
+// The posting for a trip round, or null if the card can't count (unfinished,
+// unrated course, or a shared team card)
+const tripRoundEntry = ({ trip, round, raw, course, format, handicapIndex, playedAt }) => {
+  if (getFormat(format).teamCard) return null;
+  if (postableCourse(course)) return null;
+  if (raw.length !== course.holes.length || raw.some((score) => !(score > 0))) return null;
+  return buildRound({
+    roundId: `${trip.tripId}:${round}`,
+    source: 'trip',
+    tripId: trip.tripId,
+    round,
+    course,
+    raw,
+    handicapIndex,
+    playedAt,
+  });
+};
+
+// ========== INDEX ==========
+// Returns { index, counting: [roundId] }, index null with fewer than 3 rounds
+const calculateIndex = (rounds) => {
+  const recent = [...rounds]
+    .sort((a, b) => new Date(a.playedAt) - new Date(b.playedAt))
+    .slice(-RECENT_ROUNDS);
+  const row = COUNTING_TABLE.find((r) => recent.length >= r.min);
+  if (!row) return { index: null, counting: [] };
+
+  const lowest = [...recent].sort((a, b) => a.differential - b.differential).slice(0, row.count);
+  const average = lowest.reduce((sum, r) => sum + r.differential, 0) / lowest.length;
+  return { index: round1(average + row.adjustment), counting: lowest.map((r) => r.roundId) };
+};
+
+// Increases of more than 3.0 over the low index of the past year are halved,
+// and the index can never rise more than 5.0 above it
+const applyCaps = (index, lowIndex) => {
+  let capped = index;
+  if (lowIndex !== null && capped - lowIndex > SOFT_CAP) {
+    capped = lowIndex + SOFT_CAP + (capped - lowIndex - SOFT_CAP) / 2;
+  }
+  if (lowIndex !== null) capped = Math.min(capped, lowIndex + HARD_CAP);
+  return round1(Math.min(capped, MAX_INDEX));
+};
+
+const lowIndexOf = (history, now) => {
+  const since = now.getTime() - LOW_INDEX_DAYS * DAY;
+  const recent = history.filter((h) => new Date(h.at).getTime() >= since).map((h) => h.index);
+  return recent.length ? Math.min(...recent) : null;
+};
+
+// Recomputes user.handicap from their posted rounds; returns the new index
+const recalculate = (user, roundId = null, now = new Date()) => {
+  const history = user.handicapHistory || (user.handicapHistory = []);
+  const { index } = calculateIndex(user.handicapRounds || []);
+  if (index === null) return user.handicap;
+
+  const next = applyCaps(index, lowIndexOf(history, now));
+  if (history.length === 0 || history[history.length - 1].index !== next) {
+    history.push({ at: now.toISOString(), index: next, roundId });
+  }
+  user.handicap = next;
+  return next;
+};
+
+// Adds or replaces a posted round and recalculates the index
+const postRound = (user, entry) => {
+  const rounds = (user.handicapRounds || []).filter((r) => r.roundId !== entry.roundId);
+  const previous = (user.handicapRounds || []).find((r) => r.roundId === entry.roundId);
+  // Corrections keep the original play date
+  user.handicapRounds = [...rounds, previous ? { ...entry, playedAt: previous.playedAt } : entry];
+  return recalculate(user, entry.roundId);
+};
+
+const removeRound = (user, roundId) => {
+  const before = (user.handicapRounds || []).length;
+  user.handicapRounds = (user.handicapRounds || []).filter((r) => r.roundId !== roundId);
+  if (user.handicapRounds.length === before) return false;
+  recalculate(user, roundId);
+  return true;
+};
+
+const handicapSummary = (user) => {
+  const rounds = [...(user.handicapRounds || [])].sort((a, b) => new Date(b.playedAt) - new Date(a.playedAt));
+  const { index, counting } = calculateIndex(rounds);
+  return {
+    username: user.username,
+    handicap: user.handicap ?? null,
+    established: index !== null,
+    rounds: rounds.slice(0, RECENT_ROUNDS).map((r) => ({ ...r, counting: counting.includes(r.roundId) })),
+    history: user.handicapHistory || [],
+  };
+};
+
+// ========== TRIP SNAPSHOTS ==========
+// Locks the current index of every member; players without one play off 0
+const lockTripHandicaps = (trip, users) => {
+  const handicaps = {};
+  (trip.users || []).forEach((username) => {
+    const user = users.find((u) => u.username === username);
+    handicaps[username] = parseHandicapIndex(user?.handicap);
+  });
+  trip.handicapSnapshot = { lockedAt: new Date().toISOString(), handicaps };
+  return trip.handicapSnapshot;
+};
+
+export {
+  adjustedGrossScore,
+  scoreDifferential,
+  postableCourse,
+  buildRound,
+  tripRoundEntry,
+  calculateIndex,
+  applyCaps,
+  recalculate,
+  postRound,
+  removeRound,
+  handicapSummary,
+  lockTripHandicaps,
+};
@@ -0,0 +1,12 @@
+// Short uppercase IDs in the same shape as trip IDs (TRIP_XXXXXX)
+import crypto from 'crypto';
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+const generateId = (prefix, length = 6) => {
+  const bytes = crypto.randomBytes(length);
+  const suffix = Array.from(bytes, (b) => ALPHABET[b % ALPHABET.length]).join('');
+  return prefix ? `${prefix}_${suffix}` : suffix;
+};
+
+export { generateId };
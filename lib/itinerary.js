@@ -0,0 +1,270 @@
+// Trip itinerary: when each round is played and who tees off together.
+//
+//   trip.schedule  { [round]: { date: 'YYYY-MM-DD', startTime: 'HH:MM',
+//                               interval, teeTimes: [{ time, players }] } }
+//   trip.timeZone  IANA zone the dates and times are local to
+//
+// Rounds without teeTimes get them from the round's lineup: each lineup group
+// stays together and groups are packed into foursomes, the first off at
+// startTime and the rest every `interval` minutes. Rounds without a lineup
+// send the players out in roster order. Trips without a time zone give
+// floating times, read as local wherever the calendar is.
+import { groupPlayers } from './formats.js';
+import { roundCourse } from './scoring.js';
+import { roundStates } from './lifecycle.js';
+
+// Fields only the itinerary routes change; a full trip save keeps them
+const ITINERARY_FIELDS = ['schedule', 'timeZone'];
+
+const GROUP_SIZE = 4;
+const DEFAULT_INTERVAL = 10;
+// How long a calendar event lasts after the last group tees off
+const ROUND_MINUTES = 270;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// 'HH:MM' plus minutes, wrapping past midnight
+const addMinutes = (time, minutes) => {
+  const [h, m] = time.split(':').map(Number);
+  const total = (((h * 60 + m + minutes) % 1440) + 1440) % 1440;
+  return `${pad(Math.floor(total / 60))}:${pad(total % 60)}`;
+};
+
+const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// ========== TEE TIMES ==========
+// Players in roster order, for rounds without a lineup
+const rosterOrder = (trip) => {
+  const rostered = (trip.teams || []).flatMap((t) => (t.players || []).map((p) => p.name)).filter(Boolean);
+  return [...new Set([...rostered, ...(trip.users || [])])];
+};
+
+// The round's groups of at most GROUP_SIZE players. Lineup groups aren't
+// split; a group bigger than a foursome goes out on its own.
+const defaultGroups = (trip, round) => {
+  const lineup = Object.entries(trip.lineups?.[round] || {})
+    .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(([, group]) => groupPlayers(group).filter(Boolean))
+    .filter((players) => players.length);
+
+  if (!lineup.length) {
+    const players = rosterOrder(trip);
+    return Array.from({ length: Math.ceil(players.length / GROUP_SIZE) }, (_, i) => players.slice(i * GROUP_SIZE, (i + 1) * GROUP_SIZE));
+  }
+  return lineup.reduce((groups, players) => {
+    const last = groups[groups.length - 1];
+    if (last && last.length + players.length <= GROUP_SIZE) last.push(...players);
+    else groups.push([...players]);
+    return groups;
+  }, []);
+};
+
+// Tee times as set by the leader, or made up from the lineup. Times are
+// null until the round has a start time.
+const roundTeeTimes = (trip, round) => {
+  const entry = trip.schedule?.[round] || {};
+  if (entry.teeTimes) return entry.teeTimes;
+  const interval = entry.interval ?? DEFAULT_INTERVAL;
+  return defaultGroups(trip, round).map((players, i) => ({
+    time: entry.startTime ? addMinutes(entry.startTime, i * interval) : null,
+    players,
+  }));
+};
+
+// Problems with tee times a leader sends, as messages (group sizes are
+// checked by schemas.roundSchedule)
+const teeTimeErrors = (trip, teeTimes) => {
+  const errors = [];
+  const seen = new Set();
+  teeTimes.flatMap((t) => t.players).forEach((username) => {
+    if (!(trip.users || []).includes(username)) errors.push(`${username} is not a member of this trip`);
+    else if (seen.has(username)) errors.push(`${username} has more than one tee time`);
+    seen.add(username);
+  });
+  return errors;
+};
+
+// ========== ITINERARY ==========
+// Today's date where the trip is played
+const todayIn = (timeZone, now = new Date()) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone: timeZone || undefined, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+
+// The round score entry should open on: { round, reason }. A round dated
+// today wins, then a round with scores that isn't final yet, then the first
+// round not final or locked; once every round is done, the last one.
+const currentRound = (trip, users, now = new Date()) => {
+  const states = roundStates(trip, users);
+  const open = states.filter((r) => r.state === 'scheduled' || r.state === 'in_progress');
+  const today = todayIn(trip.timeZone, now);
+
+  const todays = states.filter((r) => trip.schedule?.[r.round]?.date === today);
+  if (todays.length) return { round: (todays.find((r) => open.includes(r)) || todays[todays.length - 1]).round, reason: 'today' };
+  const playing = open.find((r) => r.state === 'in_progress');
+  if (playing) return { round: playing.round, reason: 'in_progress' };
+  if (open.length) return { round: open[0].round, reason: 'next' };
+  return { round: states.length - 1, reason: 'finished' };
+};
+
+const roundItinerary = (trip, round, catalog) => {
+  const entry = trip.schedule?.[round] || {};
+  return {
+    round,
+    date: entry.date ?? null,
+    startTime: entry.startTime ?? null,
+    interval: entry.interval ?? DEFAULT_INTERVAL,
+    course: roundCourse(trip, round, catalog).name,
+    custom: !!entry.teeTimes,
+    teeTimes: roundTeeTimes(trip, round),
+  };
+};
+
+const tripItinerary = ({ trip, users, catalog, now = new Date() }) => ({
+  tripId: trip.tripId,
+  timeZone: trip.timeZone ?? null,
+  currentRound: currentRound(trip, users, now),
+  rounds: Array.from({ length: trip.numRounds || 1 }, (_, round) => roundItinerary(trip, round, catalog)),
+});
+
+// ========== CALENDAR ==========
+// Milliseconds the zone is ahead of UTC at `ms`
+const zoneOffset = (ms, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(new Date(ms)).map((p) => [p.type, Number(p.value)]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - ms;
+};
+
+const icsUtc = (ms) => new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+
+// DTSTART/DTEND value for a local date and time: UTC when the trip has a
+// time zone, floating otherwise
+const icsDateTime = (date, time, timeZone, plusMinutes = 0) => {
+  const [y, mo, d] = date.split('-').map(Number);
+  const [h, mi] = time.split(':').map(Number);
+  const local = Date.UTC(y, mo - 1, d, h, mi + plusMinutes);
+  if (!timeZone) return icsUtc(local).slice(0, -1);
+  const guess = local - zoneOffset(local, timeZone);
+  return icsUtc(local - zoneOffset(guess, timeZone));
+};
+
+const icsDate = (date, plusDays = 0) => {
+  const [y, mo, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, mo - 1, d + plusDays)).toISOString().slice(0, 10).replace(/-/g, '');
+};
+
+const icsText = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/[;,]/g, (c) => `\\${c}`);
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const chunks = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 74;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 74) cut--;
+    chunks.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+  return [...chunks, rest].join('\r\n ');
+};
+
+// One VEVENT from the first tee time (or the whole day, without one) until
+// ROUND_MINUTES after `lastTime`
+const icsEvent = ({ uid, trip, date, time, lastTime = time, summary, location, description, stamp }) => [
+  'BEGIN:VEVENT',
+  `UID:${uid}`,
+  `DTSTAMP:${stamp}`,
+  ...(time
+    ? [`DTSTART:${icsDateTime(date, time, trip.timeZone)}`, `DTEND:${icsDateTime(date, lastTime, trip.timeZone, ROUND_MINUTES)}`]
+    : [`DTSTART;VALUE=DATE:${icsDate(date)}`, `DTEND;VALUE=DATE:${icsDate(date, 1)}`]),
+  `SUMMARY:${icsText(summary)}`,
+  ...(location ? [`LOCATION:${icsText(location)}`] : []),
+  ...(description ? [`DESCRIPTION:${icsText(description)}`] : []),
+  'END:VEVENT',
+];
+
+const calendar = (name, events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//ForeScore//Itinerary//EN',
+  'CALSCALE:GREGORIAN',
+  `X-WR-CALNAME:${icsText(name)}`,
+  ...events.flat(),
+  'END:VCALENDAR',
+].map(foldLine).join('\r\n') + '\r\n';
+
+const teeSheet = (teeTimes) =>
+  teeTimes.map(({ time, players }) => `${time || 'TBD'}  ${players.join(', ')}`).join('\n');
+
+// Dated rounds of the trip, each with the whole tee sheet
+const tripEvents = ({ trip, catalog, stamp }) =>
+  Array.from({ length: trip.numRounds || 1 }, (_, round) => roundItinerary(trip, round, catalog))
+    .filter((r) => r.date)
+    .map((r) => {
+      const times = r.teeTimes.map((t) => t.time).filter(Boolean);
+      return icsEvent({
+        uid: `${trip.tripId}-round-${r.round}@forescore`,
+        trip,
+        date: r.date,
+        time: times[0] || r.startTime,
+        lastTime: times[times.length - 1] || r.startTime,
+        summary: `${trip.tripId} round ${r.round + 1}: ${r.course}`,
+        location: r.course,
+        description: teeSheet(r.teeTimes),
+        stamp,
+      });
+    });
+
+// Dated rounds of every trip `username` is on, at their own tee time
+const playerEvents = ({ trips, username, catalog, stamp }) =>
+  trips.flatMap((trip) =>
+    Array.from({ length: trip.numRounds || 1 }, (_, round) => roundItinerary(trip, round, catalog))
+      .filter((r) => r.date)
+      .map((r) => {
+        const group = r.teeTimes.find((t) => t.players.includes(username));
+        const partners = (group?.players || []).filter((name) => name !== username);
+        return icsEvent({
+          uid: `${trip.tripId}-round-${r.round}-${username}@forescore`,
+          trip,
+          date: r.date,
+          time: group?.time || r.startTime,
+          summary: `${trip.tripId} round ${r.round + 1}: ${r.course}`,
+          location: r.course,
+          description: group ? `Playing with ${partners.join(', ') || 'nobody yet'}` : 'No tee time yet',
+          stamp,
+        });
+      }));
+
+const tripCalendar = ({ trip, catalog, now = new Date() }) =>
+  calendar(trip.tripId, tripEvents({ trip, catalog, stamp: icsUtc(now.getTime()) }));
+
+const playerCalendar = ({ trips, username, catalog, now = new Date() }) =>
+  calendar(`${username}'s tee times`, playerEvents({ trips, username, catalog, stamp: icsUtc(now.getTime()) }));
+
+export {
+  ITINERARY_FIELDS,
+  GROUP_SIZE,
+  DEFAULT_INTERVAL,
+  isTimeZone,
+  roundTeeTimes,
+  teeTimeErrors,
+  todayIn,
+  currentRound,
+  roundItinerary,
+  tripItinerary,
+  tripCalendar,
+  playerCalendar,
+};
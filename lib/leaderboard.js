@@ -0,0 +1,328 @@
+// Trip leaderboard: combines every round into team standings.
+//
+// Points are configured per round in trip.roundPoints[round]:
+//   match formats:      { win: 1, halve: 0.5, loss: 0 } per match
+//   stroke, stableford: { method: 'bestN', count: 2, points: [2, 1, 0] } ranks
+//                       teams by the sum of their best `count` cards, or
+//                       { method: 'position', points: [3, 2, 1] } awards each
+//                       player's finishing position to their team.
+//   scramble:           { points: [2, 1, 0] } by scramble team finishing position
+//   skins:              { pointsPerSkin: 1, carryOver: true }
+// Tied positions share the points for the places they cover. Points won by a
+// side or a team are split between its players in `playerPoints`.
+import { roundCourse } from './scoring.js';
+import { roundFormat, groupSides } from './formats.js';
+import { roundMatches, matchPoints, resultText, sideCard } from './matches.js';
+
+const DEFAULT_MATCH_POINTS = { win: 1, halve: 0.5, loss: 0 };
+const DEFAULT_SKINS = { pointsPerSkin: 1, carryOver: true };
+
+const teamOf = (trip, username) =>
+  (trip.teams || []).find((t) => (t.players || []).some((p) => p.name === username))?.name || null;
+
+const roundConfig = (trip, round) => {
+  const config = trip.roundPoints?.[round] || {};
+  const format = roundFormat(trip, round);
+  if (format.kind === 'match') return { ...DEFAULT_MATCH_POINTS, ...config };
+  if (format.name === 'skins') return { ...DEFAULT_SKINS, ...config };
+
+  const numTeams = (trip.teams || []).length || 1;
+  const numGroups = Object.keys(trip.lineups?.[round] || {}).length || numTeams;
+  const places = format.name === 'scramble' ? numGroups : numTeams;
+  return {
+    method: format.name === 'scramble' ? 'position' : config.method || 'bestN',
+    count: config.count || trip.playersPerTeam || 1,
+    points: config.points || Array.from({ length: places }, (_, i) => places - 1 - i),
+  };
+};
+
+const stablefordPoints = (net, par) => Math.max(0, 2 + par - net);
+
+// Totals for the holes a player has actually scored (0 means not played)
+const cardTotals = (raw, net, holes) => {
+  let gross = 0, netTotal = 0, par = 0, played = 0, stableford = 0;
+  holes.forEach((hole, i) => {
+    if (raw?.[i] > 0) {
+      const holeNet = net?.[i] > 0 ? net[i] : raw[i];
+      gross += raw[i];
+      netTotal += holeNet;
+      par += hole.par;
+      stableford += stablefordPoints(holeNet, hole.par);
+      played++;
+    }
+  });
+  return { gross, net: netTotal, grossToPar: gross - par, netToPar: netTotal - par, stableford, played };
+};
+
+// Assigns points to ranked entries (lowest score first), splitting the points
+// of tied places
+const awardByRank = (entries, scoreOf, points) => {
+  const sorted = [...entries].sort((a, b) => scoreOf(a) - scoreOf(b));
+  const awarded = new Map();
+  let i = 0;
+  while (i < sorted.length) {
+    let j = i;
+    while (j + 1 < sorted.length && scoreOf(sorted[j + 1]) === scoreOf(sorted[i])) j++;
+    let share = 0;
+    for (let k = i; k <= j; k++) share += points[k] || 0;
+    share /= j - i + 1;
+    for (let k = i; k <= j; k++) awarded.set(sorted[k], { position: i + 1, points: share });
+    i = j + 1;
+  }
+  return awarded;
+};
+
+const playerCards = ({ trip, round, users, holes }) =>
+  (trip.users || []).map((username) => {
+    const tripData = users.find((u) => u.username === username)?.trips?.[trip.tripId];
+    return {
+      username,
+      team: teamOf(trip, username),
+      raw: tripData?.raw_scores?.[round] || [],
+      net: tripData?.net_scores?.[round] || [],
+      ...cardTotals(tripData?.raw_scores?.[round], tripData?.net_scores?.[round], holes),
+    };
+  }).filter((card) => card.played > 0);
+
+const addPoints = (tally, key, points) => {
+  if (key) tally[key] = (tally[key] || 0) + points;
+};
+
+// Splits points evenly between the players of a side or team
+const sharePoints = (playerPoints, players, points) => {
+  players.forEach((username) => addPoints(playerPoints, username, points / players.length));
+};
+
+const matchRound = ({ trip, round, users, catalog, teamPoints, playerPoints }) => {
+  const config = roundConfig(trip, round);
+  const award = (p) => (p === 1 ? config.win : p === 0.5 ? config.halve : config.loss);
+
+  const matches = roundMatches({ trip, round, users, catalog }).map(({ groupId, sides, state }) => {
+    const points = matchPoints(state);
+    const teams = sides.map((side) => teamOf(trip, side[0]));
+    if (points !== null) {
+      [points, 1 - points].forEach((p, i) => {
+        addPoints(teamPoints, teams[i], award(p));
+        sharePoints(playerPoints, sides[i], award(p));
+      });
+    }
+    return {
+      groupId,
+      sides,
+      teams,
+      holesWon: [state.won1, state.won2],
+      thru: state.thru,
+      final: state.final,
+      result: resultText(state),
+      points,
+    };
+  });
+
+  return { matches };
+};
+
+// Lower is better for every field metric
+const fieldMetric = (formatName) =>
+  (formatName === 'stableford' ? (card) => -card.stableford : (card) => card.netToPar);
+
+const individualRound = ({ trip, round, users, holes, format, teamPoints, playerPoints }) => {
+  const config = roundConfig(trip, round);
+  const metric = fieldMetric(format.name);
+  const cards = playerCards({ trip, round, users, holes });
+  const summary = ({ raw, net, ...card }) => card;
+
+  if (config.method === 'position') {
+    const awarded = awardByRank(cards, metric, config.points);
+    const standings = cards
+      .map((card) => ({ ...summary(card), ...awarded.get(card) }))
+      .sort((a, b) => a.position - b.position);
+    standings.forEach((s) => {
+      addPoints(teamPoints, s.team, s.points);
+      addPoints(playerPoints, s.username, s.points);
+    });
+    return { standings };
+  }
+
+  const teamEntries = (trip.teams || []).map((team) => {
+    const best = cards
+      .filter((c) => c.team === team.name)
+      .sort((a, b) => metric(a) - metric(b))
+      .slice(0, config.count);
+    return {
+      team: team.name,
+      counting: best.map((c) => c.username),
+      netToPar: best.reduce((sum, c) => sum + c.netToPar, 0),
+      stableford: best.reduce((sum, c) => sum + c.stableford, 0),
+      complete: best.length === config.count,
+    };
+  }).filter((entry) => entry.counting.length > 0);
+
+  // Teams still missing counting cards rank behind every complete team
+  const awarded = awardByRank(teamEntries, (e) => (e.complete ? 0 : 1e6) + metric(e), config.points);
+  const standings = teamEntries
+    .map((entry) => ({ ...entry, ...awarded.get(entry) }))
+    .sort((a, b) => a.position - b.position);
+  standings.forEach((s) => {
+    addPoints(teamPoints, s.team, s.points);
+    sharePoints(playerPoints, s.counting, s.points);
+  });
+  return { standings };
+};
+
+const scrambleRound = ({ trip, round, users, holes, teamPoints, playerPoints }) => {
+  const config = roundConfig(trip, round);
+  const entries = Object.entries(trip.lineups?.[round] || {}).map(([groupId, group]) => {
+    const [players] = groupSides('scramble', group);
+    const card = { users, side: players, tripId: trip.tripId, round, numHoles: holes.length };
+    const raw = sideCard({ ...card, field: 'raw_scores' });
+    const net = sideCard(card);
+    return { groupId, players, team: teamOf(trip, players[0]), ...cardTotals(raw, net, holes) };
+  }).filter((entry) => entry.played > 0);
+
+  const awarded = awardByRank(entries, (e) => e.netToPar, config.points);
+  const standings = entries
+    .map((entry) => ({ ...entry, ...awarded.get(entry) }))
+    .sort((a, b) => a.position - b.position);
+  standings.forEach((s) => {
+    addPoints(teamPoints, s.team, s.points);
+    sharePoints(playerPoints, s.players, s.points);
+  });
+  return { standings };
+};
+
+// Skins over a set of cards ({ username, raw, net }): a skin goes to the
+// outright lowest score on a hole once every card has scored it; tied holes
+// carry their value over to the next hole when carryOver is set. Net scores
+// fall back to gross on holes without one.
+const awardSkins = (cards, numHoles, { carryOver = true, gross = false } = {}) => {
+  const skins = [];
+  let carry = 0;
+  let thru = 0;
+
+  for (let i = 0; i < numHoles && cards.length > 1; i++) {
+    if (cards.some((c) => !(c.raw[i] > 0))) break;
+    const scores = cards.map((c) => (!gross && c.net[i] > 0 ? c.net[i] : c.raw[i]));
+    const low = Math.min(...scores);
+    const winners = cards.filter((_, k) => scores[k] === low);
+    const value = 1 + carry;
+    thru = i + 1;
+
+    if (winners.length === 1) {
+      skins.push({ hole: i, winner: winners[0].username, value });
+      carry = 0;
+    } else {
+      carry = carryOver ? value : 0;
+    }
+  }
+
+  return { skins, carryOver: carry, thru };
+};
+
+const skinsRound = ({ trip, round, users, holes, teamPoints, playerPoints }) => {
+  const config = roundConfig(trip, round);
+  const cards = playerCards({ trip, round, users, holes });
+  const { skins, carryOver } = awardSkins(cards, holes.length, config);
+
+  skins.forEach(({ winner, value }) => {
+    addPoints(teamPoints, teamOf(trip, winner), value * config.pointsPerSkin);
+    addPoints(playerPoints, winner, value * config.pointsPerSkin);
+  });
+  return { skins, carryOver };
+};
+
+const scoreRound = ({ trip, round, users, catalog }) => {
+  const course = roundCourse(trip, round, catalog);
+  const format = roundFormat(trip, round);
+  const teamPoints = Object.fromEntries((trip.teams || []).map((t) => [t.name, 0]));
+  const playerPoints = {};
+  const args = { trip, round, users, catalog, holes: course.holes, format, teamPoints, playerPoints };
+
+  let detail;
+  if (format.kind === 'match') detail = matchRound(args);
+  else if (format.name === 'skins') detail = skinsRound(args);
+  else if (format.name === 'scramble') detail = scrambleRound(args);
+  else detail = individualRound(args);
+
+  return {
+    round,
+    format: format.name,
+    course: course.name,
+    points: roundConfig(trip, round),
+    teamPoints,
+    playerPoints,
+    ...detail,
+  };
+};
+
+// Writes the points of every finished match in a round into its players'
+// projected_points[round] so stored totals reflect final results. Other
+// rounds are left as they are. Returns the usernames that were updated.
+const recordFinalMatchPoints = ({ trip, round, users, catalog }) => {
+  if (roundFormat(trip, round).kind !== 'match') return [];
+  const { matches, playerPoints } = scoreRound({ trip, round, users, catalog });
+  const updated = [];
+
+  matches.filter((m) => m.final).forEach((m) => {
+    m.sides.flat().forEach((username) => {
+      const tripData = users.find((u) => u.username === username)?.trips?.[trip.tripId];
+      if (!tripData) return;
+      if (!Array.isArray(tripData.projected_points)) tripData.projected_points = [];
+      tripData.projected_points[round] = playerPoints[username] || 0;
+      updated.push(username);
+    });
+  });
+
+  return updated;
+};
+
+const playerStandings = ({ trip, users, catalog }) => {
+  const totals = (trip.users || []).map((username) => {
+    const tripData = users.find((u) => u.username === username)?.trips?.[trip.tripId];
+    const sum = { username, team: teamOf(trip, username), gross: 0, net: 0, grossToPar: 0, netToPar: 0, played: 0 };
+    for (let round = 0; round < (trip.numRounds || 1); round++) {
+      const { holes } = roundCourse(trip, round, catalog);
+      const { stableford, ...card } = cardTotals(tripData?.raw_scores?.[round], tripData?.net_scores?.[round], holes);
+      Object.keys(card).forEach((key) => {
+        sum[key] += card[key];
+      });
+    }
+    return sum;
+  }).filter((p) => p.played > 0);
+
+  return {
+    gross: [...totals].sort((a, b) => a.grossToPar - b.grossToPar),
+    net: [...totals].sort((a, b) => a.netToPar - b.netToPar),
+  };
+};
+
+const buildLeaderboard = ({ trip, users, catalog }) => {
+  const teamNames = (trip.teams || []).map((t) => t.name);
+  const rounds = Array.from({ length: trip.numRounds || 1 }, (_, round) =>
+    scoreRound({ trip, round, users, catalog })
+  );
+
+  const teams = teamNames
+    .map((name) => {
+      const byRound = rounds.map((r) => r.teamPoints[name] || 0);
+      return { name, points: byRound.reduce((a, b) => a + b, 0), rounds: byRound };
+    })
+    .sort((a, b) => b.points - a.points);
+
+  return {
+    tripId: trip.tripId,
+    teams,
+    rounds,
+    players: playerStandings({ trip, users, catalog }),
+  };
+};
+
+export {
+  teamOf,
+  cardTotals,
+  stablefordPoints,
+  awardByRank,
+  awardSkins,
+  scoreRound,
+  recordFinalMatchPoints,
+  buildLeaderboard,
+};
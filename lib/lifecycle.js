@@ -0,0 +1,179 @@
+// Trip lifecycle: round states, archiving, and keeping every member's score
+// arrays in step with the trip's round count.
+//
+//   trip.roundStatus  { [round]: { state: 'final' | 'locked', by, at } }
+//   trip.status       'active' (default) | 'archived', with trip.archivedAt
+//
+// Rounds without an entry are 'scheduled' until a card has a score, then
+// 'in_progress'. A final round only takes score changes from the leader and
+// co-leaders; a locked round takes none until the leader reopens it.
+// Archived trips are read-only.
+import { isManagerRole } from './members.js';
+import { netScoresForRound, tripHandicapIndex } from './scoring.js';
+import { tripRoundEntry, postRound, removeRound } from './handicap.js';
+
+const ROUND_STATES = ['scheduled', 'in_progress', 'final', 'locked'];
+const FROZEN_STATES = ['final', 'locked'];
+
+// Fields only the lifecycle routes change; a full trip save keeps them
+const LIFECYCLE_FIELDS = ['status', 'archivedAt', 'roundStatus'];
+
+// Per-round arrays on user.trips[tripId] and the keyed-by-round maps on a trip
+const USER_ROUND_ARRAYS = ['raw_scores', 'net_scores', 'projected_points', 'played_at', 'hole_stamps'];
+const TRIP_ROUND_MAPS = ['lineups', 'roundPoints', 'handicapAllowances', 'concessions', 'roundStatus', 'schedule'];
+
+const isArchived = (trip) => trip.status === 'archived';
+
+const memberEntries = (trip, users) =>
+  users.filter((u) => u.trips?.[trip.tripId]).map((u) => ({ user: u, entry: u.trips[trip.tripId] }));
+
+const hasScores = (trip, round, users) =>
+  memberEntries(trip, users).some(({ entry }) => (entry.raw_scores?.[round] || []).some((s) => s > 0));
+
+// ========== ROUND STATES ==========
+const roundState = (trip, round, users) => {
+  const status = trip.roundStatus?.[round]?.state;
+  if (FROZEN_STATES.includes(status)) return status;
+  return hasScores(trip, round, users) ? 'in_progress' : 'scheduled';
+};
+
+const roundStates = (trip, users) =>
+  Array.from({ length: trip.numRounds || 1 }, (_, round) => ({
+    round,
+    state: roundState(trip, round, users),
+    by: trip.roundStatus?.[round]?.by ?? null,
+    at: trip.roundStatus?.[round]?.at ?? null,
+  }));
+
+const isFrozen = (trip, round) => FROZEN_STATES.includes(trip.roundStatus?.[round]?.state);
+
+// Why `role` can't change scores or concessions in the round, or null if it can
+const scoreEditError = (trip, round, role) => {
+  if (isArchived(trip)) return 'This trip is archived';
+  const state = trip.roundStatus?.[round]?.state;
+  if (state === 'locked') return `Round ${round} is locked`;
+  if (state === 'final' && !isManagerRole(role)) return `Round ${round} is final; ask the trip leader to correct it`;
+  return null;
+};
+
+// Returns an error message for a state change, or null if it's allowed.
+// Managers finalize and lock; reopening a locked round is the leader's call.
+const roundStateChangeError = (trip, round, next, role) => {
+  if (!['in_progress', 'final', 'locked'].includes(next)) {
+    return 'state must be one of: in_progress, final, locked';
+  }
+  const current = trip.roundStatus?.[round]?.state;
+  if (current === 'locked' && role !== 'leader') return 'Only the trip leader can reopen a locked round';
+  return null;
+};
+
+const setRoundState = (trip, round, state, username) => {
+  trip.roundStatus = { ...trip.roundStatus };
+  if (state === 'in_progress') delete trip.roundStatus[round];
+  else trip.roundStatus[round] = { state, by: username, at: new Date().toISOString() };
+};
+
+// Rounds of a posted lineup that differ from a final or locked round's
+const frozenLineupRounds = (trip, lineups) =>
+  Object.keys(lineups || {})
+    .map(Number)
+    .filter((round) => isFrozen(trip, round))
+    .filter((round) => JSON.stringify(lineups[round]) !== JSON.stringify(trip.lineups?.[round]));
+
+// "Round 2 is" / "Rounds 1, 2 are", for error messages
+const roundsAre = (rounds) =>
+  rounds.length === 1 ? `Round ${rounds[0]} is` : `Rounds ${rounds.join(', ')} are`;
+
+// ========== RESIZING ==========
+const resizeArray = (values, length, fill) =>
+  Array.from({ length }, (_, i) => (i < (values || []).length ? values[i] : fill()));
+
+// Pads or trims one member's per-round arrays to the trip's round count
+const resizeUserTrip = (entry, numRounds) => {
+  USER_ROUND_ARRAYS.forEach((field) => {
+    if (!Array.isArray(entry[field])) return;
+    const fill = field === 'projected_points' ? () => 0 : field === 'played_at' ? () => null : () => [];
+    entry[field] = resizeArray(entry[field], numRounds, fill);
+  });
+};
+
+// Trims round-keyed settings and side games past the last round and resizes
+// the team players' per-round arrays
+const resizeTrip = (trip, numRounds) => {
+  ['courses', 'scoringMethods'].forEach((field) => {
+    if (Array.isArray(trip[field])) trip[field] = trip[field].slice(0, numRounds);
+  });
+  TRIP_ROUND_MAPS.forEach((field) => {
+    if (!trip[field] || typeof trip[field] !== 'object') return;
+    Object.keys(trip[field]).forEach((round) => {
+      if (Number(round) >= numRounds) delete trip[field][round];
+    });
+  });
+  if (Array.isArray(trip.sideGames)) trip.sideGames = trip.sideGames.filter((game) => game.round < numRounds);
+  (trip.teams || []).forEach((team) => {
+    (team.players || []).forEach((player) => {
+      if (Array.isArray(player.scores)) player.scores = resizeArray(player.scores, numRounds, () => 0);
+      if (Array.isArray(player.lineupOrder)) player.lineupOrder = resizeArray(player.lineupOrder, numRounds, () => 0);
+    });
+  });
+};
+
+// Recomputes every stored card of a round after its course, format or
+// allowance changed, including the handicap postings made from them.
+// Returns the users that changed.
+const rescoreRound = ({ trip, round, users, catalog }) =>
+  memberEntries(trip, users)
+    .filter(({ entry }) => (entry.raw_scores?.[round] || []).some((s) => s > 0))
+    .map(({ user, entry }) => {
+      const raw = entry.raw_scores[round];
+      const scoring = netScoresForRound({ trip, round, username: user.username, raw, users, catalog });
+      entry.net_scores = entry.net_scores || [];
+      entry.net_scores[round] = scoring.net;
+
+      const posting = tripRoundEntry({
+        trip,
+        round,
+        raw,
+        course: scoring.course,
+        format: scoring.format,
+        handicapIndex: tripHandicapIndex(trip, user),
+        playedAt: entry.played_at?.[round] || new Date().toISOString(),
+      });
+      if (posting) postRound(user, posting);
+      else removeRound(user, `${trip.tripId}:${round}`);
+      return user;
+    });
+
+// Round ids this trip posted to a user's handicap record
+const tripPostings = (user, tripId) =>
+  (user.handicapRounds || []).filter((r) => r.roundId.startsWith(`${tripId}:`)).map((r) => r.roundId);
+
+// Takes the trip off every user that still has it, along with its handicap
+// postings (which recalculates their index); returns those users
+const detachTrip = (tripId, users) =>
+  users
+    .filter((u) => u.trips?.[tripId] || tripPostings(u, tripId).length)
+    .map((user) => {
+      delete user.trips[tripId];
+      tripPostings(user, tripId).forEach((roundId) => removeRound(user, roundId));
+      return user;
+    });
+
+export {
+  ROUND_STATES,
+  LIFECYCLE_FIELDS,
+  isArchived,
+  hasScores,
+  roundState,
+  roundStates,
+  isFrozen,
+  scoreEditError,
+  roundStateChangeError,
+  setRoundState,
+  frozenLineupRounds,
+  roundsAre,
+  resizeUserTrip,
+  resizeTrip,
+  rescoreRound,
+  detachTrip,
+};
@@ -0,0 +1,260 @@
+// Lineup generation, team drafting and lineup validation.
+//
+// Generated match rounds pit the trip's two teams against each other. Each
+// candidate lineup is scored by how uneven its matches are (difference in
+// the sides' combined handicap index) plus a penalty for every opponent or
+// partner pairing already used in another round; the cheapest of a few
+// hundred seeded shuffles wins. The same seed always gives the same lineup.
+import crypto from 'crypto';
+import { roundFormat, groupSides, groupPlayers, lineupGroupError } from './formats.js';
+import { parseHandicapIndex, tripHandicapIndex } from './scoring.js';
+
+const CANDIDATES = 400;
+const REPEAT_OPPONENT_PENALTY = 10;
+const REPEAT_PARTNER_PENALTY = 10;
+
+// ========== RANDOM ==========
+// mulberry32, seeded from any string
+const seededRandom = (seed) => {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const shuffle = (items, random) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+const randomSeed = () => crypto.randomBytes(6).toString('hex');
+
+// ========== HELPERS ==========
+const teamIndexOf = (teams, username) =>
+  (teams || []).findIndex((t) => (t.players || []).some((p) => p.name === username));
+
+const rosters = (trip) =>
+  (trip.teams || []).map((t) => (t.players || []).map((p) => p.name).filter(Boolean));
+
+const handicapLookup = (trip, users) => (username) =>
+  parseHandicapIndex(tripHandicapIndex(trip, users.find((u) => u.username === username)));
+
+const pairKey = (a, b) => [a, b].sort().join('|');
+
+const countPair = (counts, a, b) => {
+  const key = pairKey(a, b);
+  counts.set(key, (counts.get(key) || 0) + 1);
+};
+
+// Opponent and partner pairings in every match round except `skip`
+const pairingHistory = (trip, lineups, skip = []) => {
+  const opponents = new Map();
+  const partners = new Map();
+  Object.entries(lineups || {}).forEach(([round, groups]) => {
+    if (skip.includes(Number(round))) return;
+    const format = roundFormat(trip, Number(round));
+    if (format.kind !== 'match') return;
+    Object.values(groups || {}).forEach((group) => {
+      const sides = groupSides(format.name, group).map((side) => side.filter(Boolean));
+      if (sides.length !== 2) return;
+      sides.forEach((side) => side.forEach((a, i) => side.slice(i + 1).forEach((b) => countPair(partners, a, b))));
+      sides[0].forEach((a) => sides[1].forEach((b) => countPair(opponents, a, b)));
+    });
+  });
+  return { opponents, partners };
+};
+
+const chunk = (items, size) =>
+  Array.from({ length: Math.floor(items.length / size) }, (_, i) => items.slice(i * size, i * size + size));
+
+// ========== LINEUP GENERATION ==========
+const lineupCost = (matches, handicapOf, history) =>
+  matches.reduce((cost, [sideA, sideB]) => {
+    const total = (side) => side.reduce((sum, name) => sum + handicapOf(name), 0);
+    let repeats = 0;
+    sideA.forEach((a) => sideB.forEach((b) => { repeats += history.opponents.get(pairKey(a, b)) || 0; }));
+    const partnerRepeats = [sideA, sideB].reduce(
+      (sum, side) => sum + (side.length === 2 ? history.partners.get(pairKey(side[0], side[1])) || 0 : 0),
+      0
+    );
+    return cost
+      + Math.abs(total(sideA) - total(sideB))
+      + repeats * REPEAT_OPPONENT_PENALTY
+      + partnerRepeats * REPEAT_PARTNER_PENALTY;
+  }, 0);
+
+// One proposal for a single match round. Returns { groups, matches, benched }
+// or { error }.
+const generateRound = ({ trip, round, handicapOf, history, random }) => {
+  const format = roundFormat(trip, round);
+  if (format.kind !== 'match') return { error: `Round ${round} is not a match play round` };
+
+  if ((trip.teams || []).length !== 2) return { error: 'Lineups can only be generated for trips with two teams' };
+  const [teamA, teamB] = rosters(trip);
+
+  const size = format.sideSize;
+  const numMatches = Math.floor(Math.min(teamA.length, teamB.length) / size);
+  if (!numMatches) return { error: `Each team needs at least ${size} player(s) for ${format.label}` };
+
+  // Handicap order (best against best) is always a candidate
+  const byHandicap = (team) => [...team].sort((a, b) => handicapOf(a) - handicapOf(b));
+  const build = (a, b) => {
+    const sidesA = chunk(a, size).slice(0, numMatches);
+    const sidesB = chunk(b, size).slice(0, numMatches);
+    return sidesA.map((side, i) => [side, sidesB[i]]);
+  };
+
+  let best = build(byHandicap(teamA), byHandicap(teamB));
+  let bestCost = lineupCost(best, handicapOf, history);
+  for (let n = 0; n < CANDIDATES && bestCost > 0; n++) {
+    const candidate = build(shuffle(teamA, random), shuffle(teamB, random));
+    const cost = lineupCost(candidate, handicapOf, history);
+    if (cost < bestCost) {
+      best = candidate;
+      bestCost = cost;
+    }
+  }
+
+  const used = new Set(best.flat(2));
+  const groups = {};
+  best.forEach(([sideA, sideB], i) => {
+    groups[String(i)] = size === 1 ? [sideA[0], sideB[0]] : [sideA, sideB];
+  });
+
+  return {
+    groups,
+    matches: best.map(([sideA, sideB], i) => {
+      const total = (side) => Math.round(side.reduce((sum, name) => sum + handicapOf(name), 0) * 10) / 10;
+      return {
+        groupId: String(i),
+        sides: [sideA, sideB],
+        handicaps: [total(sideA), total(sideB)],
+        repeatOpponents: sideA.reduce(
+          (sum, a) => sum + sideB.filter((b) => history.opponents.has(pairKey(a, b))).length,
+          0
+        ),
+      };
+    }),
+    benched: [...teamA, ...teamB].filter((name) => !used.has(name)),
+  };
+};
+
+// Proposes lineups for the given rounds (default: every match round), one
+// after another so later rounds also avoid pairings from earlier ones.
+// Returns { seed, lineups, rounds } or { error }.
+const generateLineups = ({ trip, users, rounds, seed }) => {
+  const matchRounds = Array.from({ length: trip.numRounds || 1 }, (_, i) => i)
+    .filter((round) => roundFormat(trip, round).kind === 'match');
+  const targets = rounds || matchRounds;
+  if (!targets.length) return { error: 'This trip has no match play rounds' };
+
+  const random = seededRandom(seed);
+  const handicapOf = handicapLookup(trip, users);
+  const lineups = { ...(trip.lineups || {}) };
+  const report = {};
+
+  for (const round of targets) {
+    const history = pairingHistory(trip, lineups, [round]);
+    const result = generateRound({ trip, round, handicapOf, history, random });
+    if (result.error) return { error: result.error };
+    lineups[round] = result.groups;
+    report[round] = { format: roundFormat(trip, round).name, matches: result.matches, benched: result.benched };
+  }
+
+  const proposed = {};
+  targets.forEach((round) => { proposed[round] = lineups[round]; });
+  return { seed, lineups: proposed, rounds: report };
+};
+
+// ========== TEAM DRAFT ==========
+// Snake draft by handicap index (ties broken by the seed) into `numTeams`
+// teams. Team names and slot counts follow the trip; extra slots stay empty.
+const draftTeams = ({ trip, users, numTeams, seed }) => {
+  const count = numTeams || trip.numTeams || (trip.teams || []).length || 2;
+  const pool = trip.users || [];
+  if (pool.length < count) return { error: `Need at least ${count} players to draft ${count} teams` };
+
+  const handicapOf = handicapLookup(trip, users);
+  const order = shuffle(pool, seededRandom(seed)).sort((a, b) => handicapOf(a) - handicapOf(b));
+
+  const picks = Array.from({ length: count }, () => []);
+  order.forEach((username, i) => {
+    const roundOfDraft = Math.floor(i / count);
+    const slot = i % count;
+    picks[roundOfDraft % 2 === 0 ? slot : count - 1 - slot].push(username);
+  });
+
+  const numRounds = trip.numRounds || 1;
+  const slots = Math.max(trip.playersPerTeam || 0, ...picks.map((p) => p.length));
+  const teams = picks.map((names, t) => ({
+    name: trip.teams?.[t]?.name || `Team ${t + 1}`,
+    players: Array.from({ length: slots }, (_, i) => ({
+      id: i + 1,
+      name: names[i] || '',
+      scores: Array(numRounds).fill(0),
+      lineupOrder: Array(numRounds).fill(0),
+    })),
+  }));
+
+  return {
+    seed,
+    teams,
+    handicaps: picks.map((names) => Math.round(names.reduce((sum, n) => sum + handicapOf(n), 0) * 10) / 10),
+  };
+};
+
+// ========== VALIDATION ==========
+// Every error in a set of lineups: group shape for the round's format, each
+// player at most once per round, and in match rounds both players of a side
+// from one team and the two sides from different teams.
+const lineupErrors = ({ scoringMethods, teams, lineups }) => {
+  const errors = [];
+  Object.entries(lineups || {}).forEach(([round, groups]) => {
+    const format = roundFormat({ scoringMethods }, Number(round));
+    const seen = new Set();
+    Object.entries(groups || {}).forEach(([groupId, group]) => {
+      const where = `lineups[${round}][${groupId}]`;
+      const shapeError = lineupGroupError(format.name, group);
+      if (shapeError) {
+        errors.push(`${where}: ${shapeError}`);
+        return;
+      }
+
+      groupPlayers(group).forEach((username) => {
+        if (seen.has(username)) errors.push(`${where}: ${username} is already playing in round ${round}`);
+        seen.add(username);
+      });
+      if (format.kind !== 'match') return;
+
+      const sideTeams = groupSides(format.name, group).map((side) => {
+        const indexes = new Set(side.map((username) => teamIndexOf(teams, username)));
+        if (indexes.has(-1)) {
+          errors.push(`${where}: ${side.filter((u) => teamIndexOf(teams, u) === -1).join(', ')} not on a team`);
+          return null;
+        }
+        if (indexes.size > 1) errors.push(`${where}: partners ${side.join(' and ')} are on different teams`);
+        return [...indexes][0];
+      });
+      if (sideTeams[0] !== null && sideTeams[0] === sideTeams[1]) {
+        errors.push(`${where}: both sides are on the same team`);
+      }
+    });
+  });
+  return errors;
+};
+
+export {
+  seededRandom,
+  randomSeed,
+  pairingHistory,
+  generateLineups,
+  draftTeams,
+  lineupErrors,
+};
@@ -0,0 +1,206 @@
+// Live leaderboard feed over Socket.IO.
+// Clients connect with an access token (see lib/auth.js) and emit `joinTrip`
+// with a tripId to enter the trip's room and receive a `tripSnapshot` straight
+// away; after that the server pushes `scoreUpdate`, `lineupUpdate`,
+// `pointsUpdate`, `matchUpdate`, `membersUpdate`, `sideGameUpdate` and
+// `tripUpdate` events whenever trip data changes, and `tripDeleted` when it's
+// gone. Every event carries the trip's live `version` so a client can tell it
+// missed one and ask for a fresh snapshot with `joinTrip` again. A member
+// who leaves or is removed gets `removedFromTrip` and is taken out of the room.
+//
+// Each socket also sits in a room for its user: `friendRequests` (everything
+// pending) is sent on connect, then `friendRequest` for each new one.
+import store from './store/index.js';
+import { tripMatchStatuses, teamTotals } from './matches.js';
+import { isTripMember } from './auth.js';
+import { publicTrip } from './members.js';
+import log from './logger.js';
+
+let io = null;
+const versions = {};
+
+const roomFor = (tripId) => `trip:${tripId}`;
+const userRoom = (username) => `user:${username}`;
+
+const nextVersion = (tripId) => {
+  versions[tripId] = (versions[tripId] || 0) + 1;
+  return versions[tripId];
+};
+
+const loadTripState = async (tripId) => {
+  const trip = await store.trips.get(tripId);
+  if (!trip) return null;
+  const [users, catalog] = await Promise.all([store.users.list(), store.courses.catalog()]);
+  return { trip, users, catalog };
+};
+
+const standings = (state) => ({
+  matchStatuses: tripMatchStatuses(state),
+  teamTotals: teamTotals(state),
+});
+
+const buildTripSnapshot = async (tripId) => {
+  const state = await loadTripState(tripId);
+  if (!state) return null;
+  const { trip, users } = state;
+
+  const scores = {};
+  (trip.users || []).forEach((username) => {
+    const tripData = users.find((u) => u.username === username)?.trips?.[tripId];
+    scores[username] = {
+      raw: tripData?.raw_scores || [],
+      net: tripData?.net_scores || [],
+      projectedPoints: tripData?.projected_points || [],
+    };
+  });
+
+  return {
+    tripId,
+    version: versions[tripId] || 0,
+    trip: publicTrip(trip),
+    scores,
+    ...standings(state),
+  };
+};
+
+// Holes whose raw or net value changed between two cards
+const scoreDeltas = (before = {}, after = {}) => {
+  const length = Math.max(before.raw?.length || 0, after.raw?.length || 0);
+  const deltas = [];
+  for (let hole = 0; hole < length; hole++) {
+    const raw = after.raw?.[hole] ?? 0;
+    const net = after.net?.[hole] ?? 0;
+    if (raw !== (before.raw?.[hole] ?? 0) || net !== (before.net?.[hole] ?? 0)) {
+      deltas.push({ hole, raw, net });
+    }
+  }
+  return deltas;
+};
+
+const emitToTrip = async (tripId, event, payload) => {
+  if (!io) return;
+  try {
+    const state = await loadTripState(tripId);
+    if (!state) return;
+    io.to(roomFor(tripId)).emit(event, {
+      tripId,
+      version: nextVersion(tripId),
+      ...payload,
+      ...standings(state),
+    });
+  } catch (err) {
+    log.error('live update failed', { event, tripId, err });
+  }
+};
+
+const broadcastScoreUpdate = ({ tripId, username, round, before, after }) => {
+  const deltas = scoreDeltas(before, after);
+  if (!deltas.length) return;
+  emitToTrip(tripId, 'scoreUpdate', { username, round, deltas });
+};
+
+const broadcastPointsUpdate = ({ tripId, username, round, projectedPoints }) =>
+  emitToTrip(tripId, 'pointsUpdate', { username, round, projectedPoints });
+
+const broadcastLineupUpdate = ({ tripId, teams, lineups }) =>
+  emitToTrip(tripId, 'lineupUpdate', { teams, lineups });
+
+const broadcastMatchUpdate = ({ tripId, round, groupId, concessions }) =>
+  emitToTrip(tripId, 'matchUpdate', { round, groupId, concessions });
+
+// `game` is the game's current result, or null once it's deleted
+const broadcastSideGameUpdate = ({ tripId, gameId, game }) =>
+  emitToTrip(tripId, 'sideGameUpdate', { gameId, game });
+
+const broadcastMembersUpdate = ({ tripId, members }) =>
+  emitToTrip(tripId, 'membersUpdate', { members });
+
+const broadcastTripUpdate = ({ tripId, trip }) =>
+  emitToTrip(tripId, 'tripUpdate', { trip: publicTrip(trip) });
+
+// The trip is gone, so there is no state to send along
+const broadcastTripDeleted = ({ tripId }) => {
+  if (!io) return;
+  io.to(roomFor(tripId)).emit('tripDeleted', { tripId });
+  io.in(roomFor(tripId)).socketsLeave(roomFor(tripId));
+};
+
+// Every socket of the user, not just the ones in the room, hears about it
+const removeFromTrip = ({ tripId, username }) => {
+  if (!io) return;
+  io.to(userRoom(username)).emit('removedFromTrip', { tripId });
+  io.in(userRoom(username)).socketsLeave(roomFor(tripId));
+};
+
+const broadcastFriendRequest = ({ from, to, sentAt }) => {
+  if (io) io.to(userRoom(to)).emit('friendRequest', { from, sentAt });
+};
+
+const sendPendingFriendRequests = async (socket) => {
+  try {
+    const user = await store.users.get(socket.data.username);
+    socket.emit('friendRequests', { incoming: user?.friendRequests?.incoming || [] });
+  } catch (err) {
+    log.error('friend requests failed', { username: socket.data.username, err });
+  }
+};
+
+const initLive = (server) => {
+  io = server;
+
+  io.on('connection', (socket) => {
+    log.info('socket connected', { socketId: socket.id, username: socket.data.username });
+    socket.join(userRoom(socket.data.username));
+    sendPendingFriendRequests(socket);
+
+    // Payloads come straight from clients: anything, including null
+    socket.on('joinTrip', async (payload) => {
+      let tripId;
+      try {
+        tripId = payload?.tripId;
+        if (typeof tripId !== 'string' || !tripId) {
+          socket.emit('liveError', { error: 'tripId must be a string' });
+          return;
+        }
+        const snapshot = await buildTripSnapshot(tripId);
+        if (!snapshot) {
+          socket.emit('liveError', { error: 'Trip not found', tripId });
+          return;
+        }
+        if (!isTripMember(snapshot.trip, socket.data.username)) {
+          socket.emit('liveError', { error: 'Not a member of this trip', tripId });
+          return;
+        }
+        socket.join(roomFor(tripId));
+        socket.emit('tripSnapshot', snapshot);
+      } catch (err) {
+        log.error('trip snapshot failed', { tripId, err });
+        socket.emit('liveError', { error: 'Failed to load trip', tripId });
+      }
+    });
+
+    socket.on('leaveTrip', (payload) => {
+      const tripId = payload?.tripId;
+      if (typeof tripId === 'string' && tripId) socket.leave(roomFor(tripId));
+    });
+
+    socket.on('disconnect', () => {
+      log.info('socket disconnected', { socketId: socket.id });
+    });
+  });
+};
+
+export {
+  initLive,
+  buildTripSnapshot,
+  broadcastScoreUpdate,
+  broadcastPointsUpdate,
+  broadcastLineupUpdate,
+  broadcastMatchUpdate,
+  broadcastMembersUpdate,
+  broadcastSideGameUpdate,
+  broadcastTripUpdate,
+  broadcastTripDeleted,
+  removeFromTrip,
+  broadcastFriendRequest,
+};
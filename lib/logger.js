@@ -0,0 +1,79 @@
+// Structured logs: one JSON object per line,
+//
+//   { "level": "info", "time": "...", "msg": "request", "reqId": "...", ... }
+//
+// info and debug go to stdout, warn and error to stderr. LOG_LEVEL (debug,
+// info, warn, error; default info) drops anything quieter.
+// LOG_FORMAT=pretty prints `time level msg key=value ...` for terminals.
+//
+// Request handlers log through req.log, which stamps every line with the
+// request's id (see requestLogger).
+import crypto from 'crypto';
+import metrics from './metrics.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const threshold = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+const pretty = process.env.LOG_FORMAT === 'pretty';
+
+// Errors don't serialize on their own
+const plain = (value) => (value instanceof Error ? { message: value.message, stack: value.stack } : value);
+
+const format = (line) => {
+  if (!pretty) return JSON.stringify(line, (key, value) => plain(value));
+  const { time, level, msg, ...fields } = line;
+  const extra = Object.entries(fields).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(plain(value))}`);
+  return [time, level.toUpperCase().padEnd(5), msg, ...extra].join(' ');
+};
+
+const createLogger = (context = {}) => {
+  const write = (level) => (msg, fields = {}) => {
+    if (LEVELS[level] < threshold) return;
+    const line = format({ level, time: new Date().toISOString(), msg, ...context, ...fields });
+    if (LEVELS[level] >= LEVELS.warn) process.stderr.write(`${line}\n`);
+    else process.stdout.write(`${line}\n`);
+  };
+  return {
+    debug: write('debug'),
+    info: write('info'),
+    warn: write('warn'),
+    error: write('error'),
+    child: (fields) => createLogger({ ...context, ...fields }),
+  };
+};
+
+const log = createLogger();
+
+// ========== MIDDLEWARE ==========
+// A client's own X-Request-Id is kept when it looks like an id
+const REQUEST_ID = /^[A-Za-z0-9._-]{8,64}$/;
+
+// Gives each request an id (echoed in X-Request-Id), logs it once it's
+// answered and records it in the metrics under its route pattern
+const requestLogger = (req, res, next) => {
+  const header = req.get('X-Request-Id');
+  req.id = header && REQUEST_ID.test(header) ? header : crypto.randomUUID();
+  req.log = log.child({ reqId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const ms = Number(process.hrtime.bigint() - started) / 1e6;
+    // Unmatched paths share one bucket so scanners can't grow the metrics
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    metrics.recordRequest({ method: req.method, route, status: res.statusCode, ms });
+
+    req.log[res.statusCode >= 500 ? 'error' : 'info']('request', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route,
+      status: res.statusCode,
+      ms: Math.round(ms * 10) / 10,
+      user: req.auth?.username,
+      ip: req.ip,
+    });
+  });
+  next();
+};
+
+export { log, createLogger, requestLogger };
+export default log;
@@ -0,0 +1,241 @@
+// Data maintenance for admin.js: checking that trips and users agree,
+// repairing what doesn't, and renaming or merging accounts. Everything works
+// on loaded copies and returns the documents it changed; admin.js saves them.
+//
+// A problem is { code, tripId, username, message, fixable }:
+//   orphan_card        user.trips has a card for a trip that doesn't exist
+//   duplicate_member   trip.users lists someone twice
+//   unknown_name       trip.users, a roster or lineup slot, or a tee time
+//                      names no account (old placeholders like "Player 1")
+//   missing_card       a member has no user.trips entry for the trip
+//   not_member         a card, or a roster slot, for someone not in trip.users
+//   round_arrays       per-round arrays or maps don't match trip.numRounds
+//   missing_leader     the trip leader's account is gone (not fixable here)
+//   missing_edition    a series edition's trip is gone (series keep these)
+//
+// Repairs drop orphan cards, clear unknown names from every slot, add cards
+// and memberships where a card or roster slot shows someone plays, and pad
+// or trim round arrays. Cards with scores past the trip's last round are
+// only reported.
+import { addMember, removeMember, renameMembers } from './members.js';
+import { resizeUserTrip, resizeTrip } from './lifecycle.js';
+import { recalculate } from './handicap.js';
+import { groupPlayers } from './formats.js';
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const problem = (code, { tripId = null, username = null, fixable = true }, message) =>
+  ({ code, tripId, username, message, fixable });
+
+// Every name a trip puts in a roster, lineup or tee time slot
+const slotNames = (trip) => [
+  ...(trip.teams || []).flatMap((t) => (t.players || []).map((p) => p.name)),
+  ...Object.values(trip.lineups || {}).flatMap((groups) => Object.values(groups || {}).flatMap(groupPlayers)),
+  ...Object.values(trip.schedule || {}).flatMap((entry) => (entry.teeTimes || []).flatMap((t) => t.players)),
+].filter(Boolean);
+
+// ========== CHECK / REPAIR ==========
+// Returns { problems, trips, users } with the trips and users a repair
+// changed. Without `repair` nothing is touched.
+const reconcile = ({ trips, users, series = [] }, { repair = false } = {}) => {
+  const problems = [];
+  const changedTrips = new Set();
+  const changedUsers = new Set();
+  const byName = new Map(users.map((u) => [u.username, u]));
+  const tripIds = new Set(trips.map((t) => t.tripId));
+
+  const fix = (found, apply) => {
+    problems.push(found);
+    if (repair && found.fixable) apply();
+  };
+
+  users.forEach((user) => {
+    Object.keys(user.trips || {}).filter((tripId) => !tripIds.has(tripId)).forEach((tripId) => {
+      fix(problem('orphan_card', { tripId, username: user.username }, `${user.username} has a card for missing trip ${tripId}`), () => {
+        delete user.trips[tripId];
+        changedUsers.add(user);
+      });
+    });
+  });
+
+  trips.forEach((trip) => {
+    const { tripId } = trip;
+    const tripChanged = () => changedTrips.add(trip);
+    const join = (user) => {
+      addMember(trip, user, trip.roles?.[user.username] || 'player');
+      tripChanged();
+      changedUsers.add(user);
+    };
+
+    const members = trip.users || [];
+    if (new Set(members).size !== members.length) {
+      fix(problem('duplicate_member', { tripId }, `${tripId} lists a member more than once`), () => {
+        trip.users = [...new Set(members)];
+        tripChanged();
+      });
+    }
+
+    const unknown = [...new Set([...members, ...slotNames(trip)])].filter((name) => !byName.has(name));
+    unknown.filter((name) => name !== trip.tripLeader).forEach((name) => {
+      fix(problem('unknown_name', { tripId, username: name }, `${tripId} names ${name}, who has no account`), () => {
+        removeMember(trip, null, name);
+        tripChanged();
+      });
+    });
+    if (!byName.has(trip.tripLeader)) {
+      problems.push(problem('missing_leader', { tripId, username: trip.tripLeader, fixable: false },
+        `${tripId} is led by ${trip.tripLeader}, who has no account; rename or merge an account into that name`));
+    }
+
+    // Someone plays on the trip if they're a member, have a card or hold a
+    // roster slot, unless the slot is waiting on their invite
+    const invited = new Set((trip.invites || []).map((i) => i.username));
+    const players = [...new Set([
+      trip.tripLeader,
+      ...(trip.users || []),
+      ...users.filter((u) => u.trips?.[tripId]).map((u) => u.username),
+      ...(trip.teams || []).flatMap((t) => (t.players || []).map((p) => p.name)).filter((name) => !invited.has(name)),
+    ])].filter((name) => byName.has(name));
+    players.forEach((username) => {
+      const user = byName.get(username);
+      if (!(trip.users || []).includes(username)) {
+        const why = user.trips?.[tripId] ? 'has a card' : username === trip.tripLeader ? 'leads it' : 'holds a roster slot';
+        fix(problem('not_member', { tripId, username }, `${username} ${why} on ${tripId} but isn't a member`), () => join(user));
+      } else if (!user.trips?.[tripId]) {
+        fix(problem('missing_card', { tripId, username }, `${username} is a member of ${tripId} without a card`), () => join(user));
+      }
+    });
+
+    const numRounds = trip.numRounds || 1;
+    const resized = structuredClone(trip);
+    resizeTrip(resized, numRounds);
+    if (!same(resized, trip)) {
+      fix(problem('round_arrays', { tripId }, `${tripId} has settings or roster arrays that don't match its ${numRounds} round(s)`), () => {
+        resizeTrip(trip, numRounds);
+        tripChanged();
+      });
+    }
+    users.filter((u) => u.trips?.[tripId]).forEach((user) => {
+      const entry = structuredClone(user.trips[tripId]);
+      resizeUserTrip(entry, numRounds);
+      if (same(entry, user.trips[tripId])) return;
+      // Scores past the last round are left for someone to look at
+      const scoredPast = (user.trips[tripId].raw_scores || []).slice(numRounds).some((raw) => (raw || []).some((s) => s > 0));
+      const found = problem('round_arrays', { tripId, username: user.username, fixable: !scoredPast },
+        `${user.username}'s card for ${tripId} doesn't have ${numRounds} round(s)${scoredPast ? ' and has scores past the last one' : ''}`);
+      fix(found, () => {
+        resizeUserTrip(user.trips[tripId], numRounds);
+        changedUsers.add(user);
+      });
+    });
+  });
+
+  series.forEach((doc) => {
+    doc.editions.filter((e) => !tripIds.has(e.tripId)).forEach((edition) => {
+      problems.push(problem('missing_edition', { tripId: edition.tripId, fixable: false },
+        `Series ${doc.name} lists ${edition.year}'s trip ${edition.tripId}, which no longer exists`));
+    });
+  });
+
+  return { problems, trips: [...changedTrips], users: [...changedUsers] };
+};
+
+// ========== RENAME / MERGE ==========
+// Points every reference to `from` at `to`: trips (see renameMembers), other
+// players' friends and friend requests, hole stamps and series leaders. The
+// audit log is append-only and keeps the old name. Returns what changed.
+const replaceReferences = ({ trips, users, series, from, to }) => {
+  const rename = { [from]: to };
+  const changedTrips = trips.filter((trip) => {
+    const before = JSON.stringify(trip);
+    renameMembers(trip, rename);
+    return JSON.stringify(trip) !== before;
+  });
+
+  const changedUsers = users.filter((user) => {
+    const before = JSON.stringify(user);
+    if (user.friends) user.friends = [...new Set(user.friends.map((f) => (f === from ? to : f)))].filter((f) => f !== user.username);
+    if (user.friendRequests) {
+      user.friendRequests.incoming = (user.friendRequests.incoming || []).map((r) => (r.from === from ? { ...r, from: to } : r));
+      user.friendRequests.outgoing = (user.friendRequests.outgoing || []).map((r) => (r.to === from ? { ...r, to } : r));
+    }
+    Object.values(user.trips || {}).forEach((entry) => {
+      (entry.hole_stamps || []).forEach((stamps) => {
+        (stamps || []).forEach((stamp) => { if (stamp?.by === from) stamp.by = to; });
+      });
+    });
+    return JSON.stringify(user) !== before;
+  });
+
+  const changedSeries = series.filter((doc) => {
+    if (doc.leader !== from) return false;
+    doc.leader = to;
+    return true;
+  });
+
+  return { trips: changedTrips, users: changedUsers, series: changedSeries };
+};
+
+// Gives account `from` the name `to`. Returns { user, remove, trips, users,
+// series } with `user` the renamed account (saved as new) and `remove` the
+// old name, or { error }.
+const renameUser = ({ trips, users, series, from, to }) => {
+  const user = users.find((u) => u.username === from);
+  if (!user) return { error: `No account named ${from}` };
+  if (users.some((u) => u.username === to)) return { error: `${to} already exists; merge into it instead` };
+
+  const changed = replaceReferences({ trips, users, series, from, to });
+  const { version, ...rest } = user;
+  const renamed = { ...rest, username: to };
+  return { ...changed, user: renamed, users: changed.users.filter((u) => u !== user), remove: from };
+};
+
+const mergeRequests = (into, from) => {
+  const self = [from.username, into.username];
+  const friends = new Set(into.friends || []);
+  const keep = (name) => !self.includes(name) && !friends.has(name);
+  const unique = (requests, key) => [...new Map(requests.filter((r) => keep(r[key])).map((r) => [r[key], r])).values()];
+  return {
+    incoming: unique([...(into.friendRequests?.incoming || []), ...(from.friendRequests?.incoming || [])], 'from'),
+    outgoing: unique([...(into.friendRequests?.outgoing || []), ...(from.friendRequests?.outgoing || [])], 'to'),
+  };
+};
+
+// Folds account `from` into `into`: its trip cards, posted rounds, handicap
+// history and friends move over, and every reference to `from` points at
+// `into`. `into` keeps its password and profile. The two can't both be on a
+// trip. Returns { user, remove, trips, users, series } or { error }.
+const mergeUsers = ({ trips, users, series, from, into }) => {
+  const source = users.find((u) => u.username === from);
+  const target = users.find((u) => u.username === into);
+  if (!source) return { error: `No account named ${from}` };
+  if (!target) return { error: `No account named ${into}; rename ${from} instead` };
+  if (from === into) return { error: 'Pick two different accounts' };
+
+  const shared = Object.keys(source.trips || {}).filter((tripId) => target.trips?.[tripId]);
+  const sharedMembers = trips.filter((t) => (t.users || []).includes(from) && (t.users || []).includes(into)).map((t) => t.tripId);
+  const both = [...new Set([...shared, ...sharedMembers])];
+  if (both.length) return { error: `${from} and ${into} are both on ${both.join(', ')}; take one of them off first` };
+
+  target.trips = { ...target.trips, ...source.trips };
+  const posted = new Set((target.handicapRounds || []).map((r) => r.roundId));
+  const moved = (source.handicapRounds || []).filter((r) => !posted.has(r.roundId));
+  if (moved.length) {
+    target.handicapRounds = [...(target.handicapRounds || []), ...moved];
+    target.handicapHistory = [...(target.handicapHistory || []), ...(source.handicapHistory || [])]
+      .sort((a, b) => a.at.localeCompare(b.at));
+    recalculate(target);
+  }
+  target.friends = [...new Set([...(target.friends || []), ...(source.friends || [])])].filter((f) => f !== from && f !== into);
+  target.friendRequests = mergeRequests(target, source);
+
+  const changed = replaceReferences({ trips, users: users.filter((u) => u !== source), series, from, to: into });
+  return {
+    ...changed,
+    user: target,
+    users: changed.users.filter((u) => u !== target),
+    remove: from,
+  };
+};
+
+export { reconcile, renameUser, mergeUsers };
@@ -0,0 +1,164 @@
+// Match play helpers shared by the leaderboard, projected points and the live feed
+import { roundCourse } from './scoring.js';
+import { roundFormat, groupSides } from './formats.js';
+
+const cardFor = (users, username, tripId, round, field = 'net_scores') =>
+  users.find((u) => u.username === username)?.trips?.[tripId]?.[field]?.[round] || [];
+
+// A side's score per hole: the best ball among its players (teamCard sides
+// share one card, so this is simply that card). 0 means no score yet.
+const sideCard = ({ users, side, tripId, round, numHoles, field = 'net_scores' }) => {
+  const cards = side.map((username) => cardFor(users, username, tripId, round, field));
+  return Array.from({ length: numHoles }, (_, i) => {
+    const scored = cards.map((card) => card[i]).filter((score) => score > 0);
+    return scored.length ? Math.min(...scored) : 0;
+  });
+};
+
+// Walks a match hole by hole. Holes without a score from both sides are
+// skipped until they are filled in; a conceded hole goes to the other side
+// whatever the cards say. Scoring stops as soon as the match is closed out
+// (lead greater than holes remaining) or a side concedes the match.
+//
+// concessions: { holes: { [hole]: { side } }, match: { side } }, where `side`
+// is the index (0 or 1) of the side that conceded.
+const matchState = (card1, card2, numHoles, concessions = {}) => {
+  let won1 = 0, won2 = 0, halved = 0, decided = 0, thru = 0;
+  let closedOut = false;
+
+  for (let i = 0; i < numHoles && !closedOut; i++) {
+    const conceded = concessions.holes?.[i];
+    if (conceded) {
+      if (conceded.side === 0) won2++;
+      else won1++;
+    } else if (card1[i] > 0 && card2[i] > 0) {
+      if (card1[i] < card2[i]) won1++;
+      else if (card2[i] < card1[i]) won2++;
+      else halved++;
+    } else {
+      continue;
+    }
+    decided++;
+    thru = i + 1;
+    closedOut = Math.abs(won1 - won2) > numHoles - decided;
+  }
+
+  const lead = won1 - won2;
+  const remaining = numHoles - decided;
+  const matchConceded = concessions.match && [0, 1].includes(concessions.match.side);
+  const final = closedOut || remaining === 0 || !!matchConceded;
+
+  let winner = null;
+  if (matchConceded) winner = 1 - concessions.match.side;
+  else if (final && lead !== 0) winner = lead > 0 ? 0 : 1;
+
+  return {
+    won1,
+    won2,
+    halved,
+    thru: decided,
+    lastHole: thru,
+    lead,
+    remaining,
+    dormie: !final && remaining > 0 && Math.abs(lead) === remaining,
+    final,
+    conceded: !!matchConceded,
+    winner,
+  };
+};
+
+// Side 0's points: 1 for a win, 0.5 for a halve, 0 for a loss. Matches still
+// in progress are projected from the current lead; null before any hole is decided.
+const matchPoints = (state) => {
+  if (state.winner !== null) return state.winner === 0 ? 1 : 0;
+  if (!state.final && state.thru === 0) return null;
+  if (state.lead === 0) return 0.5;
+  return state.lead > 0 ? 1 : 0;
+};
+
+const sideLabel = (side) => side.join(' & ');
+
+// "2 UP thru 11", "Dormie 3", "3&2", "1 UP", "Halved", "Conceded"
+const resultText = (state) => {
+  const lead = Math.abs(state.lead);
+  if (state.conceded) return 'Conceded';
+  if (state.final) {
+    if (state.winner === null) return 'Halved';
+    return state.remaining > 0 ? `${lead}&${state.remaining}` : `${lead} UP`;
+  }
+  if (state.thru === 0) return 'Not started';
+  if (state.dormie) return `Dormie ${lead}`;
+  if (lead === 0) return `All square thru ${state.thru}`;
+  return `${lead} UP thru ${state.thru}`;
+};
+
+const statusText = (state, sides) => {
+  const text = resultText(state);
+  if (state.conceded) return `${sideLabel(sides[1 - state.winner])} conceded to ${sideLabel(sides[state.winner])}`;
+  if (state.final && state.winner !== null) return `${sideLabel(sides[state.winner])} won ${text}`;
+  if (!state.final && state.lead !== 0) return `${sideLabel(state.lead > 0 ? sides[0] : sides[1])} ${text}`;
+  return text;
+};
+
+// Every match in a round with its hole-by-hole state
+const roundMatches = ({ trip, round, users, catalog }) => {
+  const format = roundFormat(trip, round);
+  if (format.kind !== 'match') return [];
+  const numHoles = roundCourse(trip, round, catalog).holes.length;
+
+  return Object.entries(trip.lineups?.[round] || {})
+    .map(([groupId, group]) => ({ groupId, sides: groupSides(format.name, group) }))
+    .filter(({ sides }) => sides.length === 2)
+    .map(({ groupId, sides }) => {
+      const [card1, card2] = sides.map((side) =>
+        sideCard({ users, side, tripId: trip.tripId, round, numHoles })
+      );
+      const concessions = trip.concessions?.[round]?.[groupId] || {};
+      const state = matchState(card1, card2, numHoles, concessions);
+      return { round, format: format.name, groupId, sides, state, concessions };
+    });
+};
+
+// Running status of every match in a round
+const roundMatchStatuses = (args) =>
+  roundMatches(args).map(({ round, format, groupId, sides, state, concessions }) => ({
+    round,
+    format,
+    groupId,
+    sides,
+    holesWon: [state.won1, state.won2],
+    thru: state.thru,
+    remaining: state.remaining,
+    dormie: state.dormie,
+    final: state.final,
+    winner: state.winner,
+    result: resultText(state),
+    status: statusText(state, sides),
+    concededHoles: Object.keys(concessions.holes || {}).map(Number),
+  }));
+
+const tripMatchStatuses = ({ trip, users, catalog }) =>
+  Array.from({ length: trip.numRounds || 1 }, (_, round) =>
+    roundMatchStatuses({ trip, round, users, catalog })
+  ).flat();
+
+// Sums each team's stored projected_points across rounds
+const teamTotals = ({ trip, users }) =>
+  (trip.teams || []).map((team) => {
+    const points = (team.players || []).reduce((sum, player) => {
+      const stored = users.find((u) => u.username === player.name)?.trips?.[trip.tripId]?.projected_points;
+      return sum + (Array.isArray(stored) ? stored.reduce((a, b) => a + (Number(b) || 0), 0) : 0);
+    }, 0);
+    return { name: team.name, points };
+  });
+
+export {
+  sideCard,
+  matchState,
+  matchPoints,
+  resultText,
+  roundMatches,
+  roundMatchStatuses,
+  tripMatchStatuses,
+  teamTotals,
+};
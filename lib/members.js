@@ -0,0 +1,237 @@
+// Trip membership: roles, join codes, invitations and join requests.
+//
+// Membership lives on the trip document:
+//   trip.users         usernames of every member (leader included)
+//   trip.roles         { [username]: 'co-leader' | 'scorer' | 'player' | 'spectator' }
+//                      (the leader is trip.tripLeader; members without an entry
+//                      are players, or scorers if listed in the older trip.scorers)
+//   trip.joinCodes     [{ code, role, requireApproval, createdBy, createdAt, expiresAt, uses }]
+//   trip.invites       [{ username, role, invitedBy, createdAt, expiresAt, card? }]
+//                      (card: the player's scores from a trip import, loaded
+//                      when they accept)
+//   trip.joinRequests  [{ username, role, code, requestedAt }]
+// and each member has a user.trips[tripId] scorecard entry.
+import { generateId } from './ids.js';
+import { removeRound } from './handicap.js';
+
+const ROLES = ['leader', 'co-leader', 'scorer', 'player', 'spectator'];
+const ASSIGNABLE_ROLES = ROLES.filter((role) => role !== 'leader');
+const MANAGER_ROLES = ['leader', 'co-leader'];
+const SCORING_ROLES = ['leader', 'co-leader', 'scorer'];
+
+// Fields only the membership endpoints change; a full trip save keeps them.
+// Members join through invites and join codes and leave through removeMember,
+// so their scorecards come and go with them.
+const MEMBERSHIP_FIELDS = ['users', 'scorers', 'roles', 'joinCodes', 'invites', 'joinRequests'];
+
+const HOUR = 60 * 60 * 1000;
+const DEFAULT_CODE_HOURS = 72;
+const MAX_CODE_HOURS = 30 * 24;
+const INVITE_HOURS = 14 * 24;
+
+const tripRole = (trip, username) => {
+  if (!trip || !username) return null;
+  if (trip.tripLeader === username) return 'leader';
+  if (!(trip.users || []).includes(username)) return null;
+  if (trip.roles?.[username]) return trip.roles[username];
+  return (trip.scorers || []).includes(username) ? 'scorer' : 'player';
+};
+
+const isManagerRole = (role) => MANAGER_ROLES.includes(role);
+const isScoringRole = (role) => SCORING_ROLES.includes(role);
+
+const isExpired = (entry, now = new Date()) => new Date(entry.expiresAt) <= now;
+
+// Drops expired codes and invites; returns true if anything was removed
+const pruneExpired = (trip, now = new Date()) => {
+  const before = (trip.joinCodes || []).length + (trip.invites || []).length;
+  if (trip.joinCodes) trip.joinCodes = trip.joinCodes.filter((c) => !isExpired(c, now));
+  if (trip.invites) trip.invites = trip.invites.filter((i) => !isExpired(i, now));
+  return (trip.joinCodes || []).length + (trip.invites || []).length !== before;
+};
+
+// ========== JOIN CODES ==========
+const createJoinCode = (trip, { role = 'player', expiresInHours = DEFAULT_CODE_HOURS, requireApproval = false, createdBy }) => {
+  const now = new Date();
+  const hours = Math.min(Math.max(Number(expiresInHours) || DEFAULT_CODE_HOURS, 1), MAX_CODE_HOURS);
+  const joinCode = {
+    code: generateId(null, 8),
+    role,
+    requireApproval: !!requireApproval,
+    createdBy,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + hours * HOUR).toISOString(),
+    uses: 0,
+  };
+  trip.joinCodes = [...(trip.joinCodes || []), joinCode];
+  return joinCode;
+};
+
+const findJoinCode = (trips, code) => {
+  const wanted = String(code || '').toUpperCase();
+  for (const trip of trips) {
+    const joinCode = (trip.joinCodes || []).find((c) => c.code === wanted && !isExpired(c));
+    if (joinCode) return { trip, joinCode };
+  }
+  return null;
+};
+
+// ========== MEMBERS ==========
+const addMember = (trip, user, role = 'player') => {
+  const { username } = user;
+  if (!Array.isArray(trip.users)) trip.users = [];
+  if (!trip.users.includes(username)) trip.users.push(username);
+  if (trip.tripLeader !== username) trip.roles = { ...trip.roles, [username]: role };
+
+  trip.invites = (trip.invites || []).filter((i) => i.username !== username);
+  trip.joinRequests = (trip.joinRequests || []).filter((r) => r.username !== username);
+
+  if (!user.trips || typeof user.trips !== 'object' || Array.isArray(user.trips)) user.trips = {};
+  if (!user.trips[trip.tripId]) {
+    const numRounds = trip.numRounds || 1;
+    user.trips[trip.tripId] = {
+      raw_scores: Array.from({ length: numRounds }, () => []),
+      net_scores: Array.from({ length: numRounds }, () => []),
+    };
+  }
+};
+
+// Lineup groups hold usernames, or pairs of them for two-player sides
+const clearLineupSlot = (entry, username) =>
+  Array.isArray(entry) ? entry.map((e) => clearLineupSlot(e, username)) : entry === username ? '' : entry;
+
+// Takes the member off the trip, frees their team and lineup slots, and drops
+// their scorecards and the trip's handicap postings (recalculating their
+// index). `user` may be null if the account is gone.
+const removeMember = (trip, user, username) => {
+  trip.users = (trip.users || []).filter((u) => u !== username);
+  if (trip.roles) delete trip.roles[username];
+  if (trip.scorers) trip.scorers = trip.scorers.filter((s) => s !== username);
+  trip.invites = (trip.invites || []).filter((i) => i.username !== username);
+  trip.joinRequests = (trip.joinRequests || []).filter((r) => r.username !== username);
+
+  (trip.teams || []).forEach((team) => {
+    (team.players || []).forEach((player) => {
+      if (player.name === username) player.name = '';
+    });
+  });
+  Object.values(trip.lineups || {}).forEach((groups) => {
+    Object.keys(groups || {}).forEach((groupId) => {
+      groups[groupId] = clearLineupSlot(groups[groupId], username);
+    });
+  });
+  Object.values(trip.schedule || {}).forEach((entry) => {
+    (entry.teeTimes || []).forEach((teeTime) => { teeTime.players = teeTime.players.filter((p) => p !== username); });
+  });
+
+  if (user?.trips) delete user.trips[trip.tripId];
+  if (!user) return;
+  for (let round = 0; round < (trip.numRounds || 1); round++) removeRound(user, `${trip.tripId}:${round}`);
+};
+
+// Renames usernames everywhere a trip mentions them. `rename` maps a name to
+// its new one; names it leaves alone keep theirs.
+const renameMembers = (trip, rename) => {
+  const to = (name) => (typeof name === 'string' && rename[name] !== undefined ? rename[name] : name);
+  const renameKeys = (map) => map && Object.fromEntries(Object.entries(map).map(([key, value]) => [to(key), value]));
+  const renameSlot = (entry) => (Array.isArray(entry) ? entry.map(renameSlot) : to(entry));
+
+  trip.tripLeader = to(trip.tripLeader);
+  if (trip.users) trip.users = [...new Set(trip.users.map(to))];
+  if (trip.scorers) trip.scorers = trip.scorers.map(to);
+  if (trip.roles) trip.roles = renameKeys(trip.roles);
+  if (trip.handicapSnapshot?.handicaps) trip.handicapSnapshot.handicaps = renameKeys(trip.handicapSnapshot.handicaps);
+  ['invites', 'joinRequests'].forEach((field) => {
+    if (trip[field]) trip[field] = trip[field].map((entry) => ({ ...entry, username: to(entry.username) }));
+  });
+
+  (trip.teams || []).forEach((team) => {
+    (team.players || []).forEach((player) => {
+      player.name = to(player.name);
+    });
+  });
+  Object.values(trip.lineups || {}).forEach((groups) => {
+    Object.keys(groups || {}).forEach((groupId) => {
+      groups[groupId] = renameSlot(groups[groupId]);
+    });
+  });
+  Object.values(trip.schedule || {}).forEach((entry) => {
+    (entry.teeTimes || []).forEach((teeTime) => { teeTime.players = teeTime.players.map(to); });
+  });
+
+  // Who conceded or froze what
+  Object.values(trip.concessions || {}).forEach((groups) => {
+    Object.values(groups || {}).forEach((concessions) => {
+      if (concessions?.match) concessions.match.by = to(concessions.match.by);
+      Object.values(concessions?.holes || {}).forEach((c) => { c.by = to(c.by); });
+    });
+  });
+  Object.values(trip.roundStatus || {}).forEach((status) => { status.by = to(status.by); });
+
+  (trip.sideGames || []).forEach((game) => {
+    game.createdBy = to(game.createdBy);
+    if (game.players) game.players = game.players.map(to);
+    if (game.sides) game.sides = game.sides.map((side) => side.map(to));
+    if (game.winners) game.winners = game.winners.map(to);
+    (game.presses || []).forEach((press) => { press.by = to(press.by); });
+    Object.values(game.entries || {}).forEach((entry) => {
+      entry.username = to(entry.username);
+      entry.by = to(entry.by);
+    });
+  });
+};
+
+const memberList = (trip, users) =>
+  (trip.users || []).map((username) => {
+    const user = users.find((u) => u.username === username);
+    const team = (trip.teams || []).find((t) => (t.players || []).some((p) => p.name === username));
+    return {
+      username,
+      name: user?.name ?? null,
+      role: tripRole(trip, username),
+      team: team?.name ?? null,
+    };
+  });
+
+// ========== INVITES ==========
+const createInvite = (trip, { username, role = 'player', invitedBy }) => {
+  const now = new Date();
+  const invite = {
+    username,
+    role,
+    invitedBy,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + INVITE_HOURS * HOUR).toISOString(),
+  };
+  trip.invites = [...(trip.invites || []).filter((i) => i.username !== username), invite];
+  return invite;
+};
+
+const findInvite = (trip, username) =>
+  (trip.invites || []).find((i) => i.username === username && !isExpired(i)) || null;
+
+// What anyone who can read a trip gets; codes and pending invitations stay
+// with the leaders
+const publicTrip = (trip) => {
+  const { joinCodes, invites, joinRequests, ...rest } = trip;
+  return rest;
+};
+
+export {
+  ROLES,
+  ASSIGNABLE_ROLES,
+  MEMBERSHIP_FIELDS,
+  tripRole,
+  isManagerRole,
+  isScoringRole,
+  pruneExpired,
+  createJoinCode,
+  findJoinCode,
+  addMember,
+  removeMember,
+  renameMembers,
+  memberList,
+  createInvite,
+  findInvite,
+  publicTrip,
+};
@@ -0,0 +1,59 @@
+// In-process metrics for GET /metrics: request counts and latencies per
+// route, rate-limit and login lockout hits, score sync outcomes and backup
+// failures. Everything resets when the server restarts.
+//
+//   requests  { 'GET /trips/:tripId': { count, errors, byStatus, ms: { sum, max, buckets } } }
+//   counters  { 'ratelimit.ip': 3, 'login.locked': 1, 'scoreSync.conflict': 2, ... }
+const LATENCY_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000];
+
+const startedAt = new Date();
+const requests = new Map();
+const counters = new Map();
+
+const recordRequest = ({ method, route, status, ms }) => {
+  const key = `${method} ${route}`;
+  if (!requests.has(key)) {
+    requests.set(key, {
+      count: 0,
+      errors: 0,
+      byStatus: {},
+      ms: { sum: 0, max: 0, buckets: Object.fromEntries([...LATENCY_BUCKETS, '+Inf'].map((b) => [b, 0])) },
+    });
+  }
+  const entry = requests.get(key);
+  entry.count++;
+  if (status >= 500) entry.errors++;
+  entry.byStatus[status] = (entry.byStatus[status] || 0) + 1;
+  entry.ms.sum += ms;
+  entry.ms.max = Math.max(entry.ms.max, ms);
+  // Cumulative, like Prometheus: each bucket counts requests at or under it
+  [...LATENCY_BUCKETS.filter((b) => ms <= b), '+Inf'].forEach((b) => { entry.ms.buckets[b]++; });
+};
+
+const increment = (name, by = 1) => {
+  counters.set(name, (counters.get(name) || 0) + by);
+};
+
+const round = (ms) => Math.round(ms * 10) / 10;
+
+const snapshot = () => {
+  const routes = Object.fromEntries([...requests].sort(([a], [b]) => a.localeCompare(b)).map(([key, entry]) => [key, {
+    ...entry,
+    ms: { ...entry.ms, sum: round(entry.ms.sum), max: round(entry.ms.max), mean: round(entry.ms.sum / entry.count) },
+  }]));
+  const all = [...requests.values()];
+  return {
+    startedAt: startedAt.toISOString(),
+    uptimeSeconds: Math.round(process.uptime()),
+    memory: { rssBytes: process.memoryUsage().rss, heapUsedBytes: process.memoryUsage().heapUsed },
+    requests: {
+      total: all.reduce((sum, e) => sum + e.count, 0),
+      errors: all.reduce((sum, e) => sum + e.errors, 0),
+      routes,
+    },
+    counters: Object.fromEntries([...counters].sort(([a], [b]) => a.localeCompare(b))),
+  };
+};
+
+export { LATENCY_BUCKETS, recordRequest, increment, snapshot };
+export default { recordRequest, increment, snapshot };
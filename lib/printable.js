@@ -0,0 +1,92 @@
+// Printable scorecards: a self-contained HTML page (no scripts, no external
+// assets) with one section per round - par and stroke index rows, each
+// player's gross and net card, the round's match results - and the team
+// standings. Each round starts on a new page when printed.
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+
+const NINE = 9;
+
+const STYLE = `
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 24px; color: #111; }
+  h1 { margin: 0 0 4px; font-size: 22px; }
+  h2 { margin: 24px 0 8px; font-size: 17px; }
+  .meta { color: #555; font-size: 13px; margin-bottom: 16px; }
+  table { border-collapse: collapse; width: 100%; font-size: 12px; margin-bottom: 12px; }
+  th, td { border: 1px solid #999; padding: 3px 4px; text-align: center; }
+  th.name, td.name { text-align: left; white-space: nowrap; }
+  tr.info td { background: #f2f2f2; }
+  tr.net td { color: #555; font-style: italic; }
+  td.total { font-weight: bold; }
+  ul { margin: 0 0 12px; padding-left: 18px; font-size: 13px; }
+  @media print {
+    body { margin: 0; }
+    section.round { page-break-before: always; }
+    section.round:first-of-type { page-break-before: auto; }
+  }
+`;
+
+const sum = (values) => values.reduce((a, b) => a + (b > 0 ? b : 0), 0);
+
+// Hole cells plus Out / In / Total, for a 9 or 18 hole course
+const cardCells = (scores, numHoles) => {
+  const holes = Array.from({ length: numHoles }, (_, i) => (scores[i] > 0 ? scores[i] : ''));
+  const totals = numHoles > NINE
+    ? [sum(scores.slice(0, NINE)) || '', sum(scores.slice(NINE, numHoles)) || '', sum(scores.slice(0, numHoles)) || '']
+    : [sum(scores.slice(0, numHoles)) || ''];
+  return [
+    ...holes.map((v) => `<td>${escapeHtml(v)}</td>`),
+    ...totals.map((v) => `<td class="total">${escapeHtml(v)}</td>`),
+  ].join('');
+};
+
+const roundSection = ({ round, course, formatLabel, rows, matches }) => {
+  const numHoles = course.holes.length;
+  const totalHeads = numHoles > NINE ? ['Out', 'In', 'Total'] : ['Total'];
+  const head = ['<th class="name">Hole</th>', '<th>Team</th>']
+    .concat(course.holes.map((_, i) => `<th>${i + 1}</th>`), totalHeads.map((h) => `<th>${h}</th>`))
+    .join('');
+
+  const parRow = `<tr class="info"><td class="name">Par</td><td></td>${cardCells(course.holes.map((h) => h.par), numHoles)}</tr>`;
+  const indexRow = `<tr class="info"><td class="name">Stroke index</td><td></td>${course.holes.map((h) => `<td>${escapeHtml(h.strokeIndex)}</td>`).join('')}${totalHeads.map(() => '<td></td>').join('')}</tr>`;
+  const playerRows = rows.map((row) => [
+    `<tr><td class="name">${escapeHtml(row.username)}</td><td>${escapeHtml(row.team || '')}</td>${cardCells(row.raw, numHoles)}</tr>`,
+    `<tr class="net"><td class="name">net</td><td></td>${cardCells(row.net, numHoles)}</tr>`,
+  ].join('')).join('');
+
+  const title = [`Round ${round + 1}`, course.name, course.tee && `${course.tee} tees`, formatLabel].filter(Boolean).join(' · ');
+  const results = matches.length
+    ? `<ul>${matches.map((m) => `<li>${escapeHtml(m.sides.map((s) => s.join(' & ')).join(' vs '))}: ${escapeHtml(m.status)}</li>`).join('')}</ul>`
+    : '';
+
+  return `<section class="round"><h2>${escapeHtml(title)}</h2>`
+    + `<table><thead><tr>${head}</tr></thead><tbody>${parRow}${indexRow}${playerRows}</tbody></table>${results}</section>`;
+};
+
+const standingsSection = (leaderboard) => {
+  if (!leaderboard?.teams?.length) return '';
+  const rows = leaderboard.teams
+    .map((t) => `<tr><td class="name">${escapeHtml(t.name)}</td>${t.rounds.map((p) => `<td>${escapeHtml(p)}</td>`).join('')}<td class="total">${escapeHtml(t.points)}</td></tr>`)
+    .join('');
+  const roundHeads = (leaderboard.teams[0].rounds || []).map((_, i) => `<th>R${i + 1}</th>`).join('');
+  return `<section><h2>Standings</h2><table><thead><tr><th class="name">Team</th>${roundHeads}<th>Points</th></tr></thead><tbody>${rows}</tbody></table></section>`;
+};
+
+// `rounds` from tripScorecards, `leaderboard` from buildLeaderboard
+const scorecardsHtml = ({ trip, rounds, leaderboard }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(trip.tripId)} scorecards</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(trip.tripId)} scorecards</h1>
+<div class="meta">Led by ${escapeHtml(trip.tripLeader)} · ${escapeHtml(trip.numRounds || 1)} round(s) · printed ${escapeHtml(new Date().toISOString().slice(0, 10))}</div>
+${standingsSection(leaderboard)}
+${rounds.map(roundSection).join('\n')}
+</body>
+</html>
+`;
+
+export { escapeHtml, scorecardsHtml };
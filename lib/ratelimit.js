@@ -0,0 +1,146 @@
+// Rate limits and login lockout, kept in memory (one server process).
+//
+// rateLimit() is a fixed-window limiter: each key gets `max` requests per
+// window and anything past that is answered 429 with Retry-After. Requests
+// are keyed by IP, writes by the account of their access token.
+//
+// The login guard counts failed logins per username and per IP. Once an
+// account has LOGIN_FREE_FAILURES failures it is locked for LOGIN_LOCK_MS,
+// doubling with every further failure up to LOGIN_MAX_LOCK_MS; a successful
+// login clears the account's count. An IP gets the same after
+// LOGIN_IP_FREE_FAILURES failures across any accounts, and a success doesn't
+// clear it. Counts are forgotten LOGIN_FORGET_MS after the last failure.
+//
+// RATE_LIMIT=off turns all of it off (load tests, local scripts).
+import { verifyToken, bearerToken } from './auth.js';
+import metrics from './metrics.js';
+
+const number = (name, fallback) => Number(process.env[name]) || fallback;
+
+const WINDOW_MS = number('RATE_LIMIT_WINDOW_MS', 60 * 1000);
+const LIMITS = {
+  // Every request, per IP
+  ip: number('RATE_LIMIT_MAX', 600),
+  // Writes rewrite whole data files and schedule backups; per account
+  write: number('RATE_LIMIT_WRITE_MAX', 120),
+  // Register, login and refresh, per IP
+  auth: number('RATE_LIMIT_AUTH_MAX', 20),
+};
+const LOGIN_FREE_FAILURES = number('LOGIN_FREE_FAILURES', 5);
+const LOGIN_IP_FREE_FAILURES = number('LOGIN_IP_FREE_FAILURES', 20);
+const LOGIN_LOCK_MS = number('LOGIN_LOCK_MS', 30 * 1000);
+const LOGIN_MAX_LOCK_MS = number('LOGIN_MAX_LOCK_MS', 15 * 60 * 1000);
+const LOGIN_FORGET_MS = number('LOGIN_FORGET_MS', 60 * 60 * 1000);
+
+const enabled = process.env.RATE_LIMIT !== 'off';
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+const seconds = (ms) => Math.max(1, Math.ceil(ms / 1000));
+
+const tooMany = (res, ms, error) => {
+  res.set('Retry-After', String(seconds(ms)));
+  res.status(429).json({ error, retryAfter: seconds(ms) });
+};
+
+// Drops entries once `expired(entry, now)` holds, every `every` ms
+const pruned = (map, every, expired) => {
+  setInterval(() => {
+    const now = Date.now();
+    map.forEach((entry, key) => { if (expired(entry, now)) map.delete(key); });
+  }, every).unref();
+  return map;
+};
+
+// ========== RATE LIMITS ==========
+const ipKey = (req) => `ip:${req.ip}`;
+
+// null without a valid access token
+const accountKey = (req) => {
+  const payload = verifyToken(bearerToken(req));
+  return payload ? `user:${payload.sub}` : null;
+};
+
+// Express middleware; `name` labels the limit in the metrics. Requests
+// `key` returns null for aren't counted.
+const rateLimit = ({ name, max, windowMs = WINDOW_MS, key = ipKey, skip = () => false }) => {
+  const hits = pruned(new Map(), windowMs, (entry, now) => entry.resetAt <= now);
+  return (req, res, next) => {
+    if (!enabled || skip(req)) return next();
+    const k = key(req);
+    if (!k) return next();
+    const now = Date.now();
+    let entry = hits.get(k);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(k, entry);
+    }
+    entry.count++;
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+    res.set('RateLimit-Reset', String(seconds(entry.resetAt - now)));
+    if (entry.count <= max) return next();
+
+    metrics.increment(`ratelimit.${name}`);
+    req.log?.warn('rate limited', { limit: name, key: k });
+    tooMany(res, entry.resetAt - now, 'Too many requests; slow down and try again shortly');
+  };
+};
+
+const ipLimit = rateLimit({ name: 'ip', max: LIMITS.ip });
+// Signed-out writes are refused by authenticate, or are sign-ins (authLimit)
+const writeLimit = rateLimit({
+  name: 'write',
+  max: LIMITS.write,
+  key: accountKey,
+  skip: (req) => !WRITE_METHODS.includes(req.method),
+});
+const authLimit = rateLimit({ name: 'auth', max: LIMITS.auth });
+
+// ========== LOGIN LOCKOUT ==========
+const createLoginGuard = ({
+  freeFailures = LOGIN_FREE_FAILURES,
+  ipFreeFailures = LOGIN_IP_FREE_FAILURES,
+  lockMs = LOGIN_LOCK_MS,
+  maxLockMs = LOGIN_MAX_LOCK_MS,
+  forgetMs = LOGIN_FORGET_MS,
+} = {}) => {
+  const failures = pruned(new Map(), 60 * 1000, (entry, now) => entry.lockedUntil <= now && now - entry.lastAt > forgetMs);
+  const keys = ({ username, ip }) => [[`user:${username}`, freeFailures], [`ip:${ip}`, ipFreeFailures]];
+
+  // How long until `username` may try again from `ip`; 0 if they may now
+  const lockedFor = (attempt, now = Date.now()) =>
+    Math.max(0, ...keys(attempt).map(([key]) => (failures.get(key)?.lockedUntil || 0) - now));
+
+  // Counts a failure; returns how long the account or IP is now locked for
+  const fail = (attempt, now = Date.now()) => {
+    keys(attempt).forEach(([key, free]) => {
+      const previous = failures.get(key);
+      const entry = previous && now - previous.lastAt <= forgetMs ? previous : { count: 0, lockedUntil: 0 };
+      entry.count++;
+      entry.lastAt = now;
+      if (entry.count >= free) {
+        entry.lockedUntil = now + Math.min(lockMs * 2 ** (entry.count - free), maxLockMs);
+      }
+      failures.set(key, entry);
+    });
+    return lockedFor(attempt, now);
+  };
+
+  const succeed = ({ username }) => {
+    failures.delete(`user:${username}`);
+  };
+
+  return { lockedFor, fail, succeed };
+};
+
+const loginGuard = createLoginGuard();
+
+export {
+  rateLimit,
+  ipLimit,
+  writeLimit,
+  authLimit,
+  createLoginGuard,
+  loginGuard,
+  tooMany,
+};
@@ -0,0 +1,564 @@
+// Request schemas for every route (see lib/validation.js for the builders).
+//
+// Bodies reject fields they don't know, except the full trip document, which
+// clients send back as they read it: fields that only change through other
+// routes (roles, join codes, round states, ...) are stripped. Checks that
+// need stored data - a score card's length against the round's course, a
+// lineup against the teams - stay in the routes.
+import {
+  string,
+  number,
+  integer,
+  boolean,
+  oneOf,
+  date,
+  integerString,
+  any,
+  optional,
+  nullable,
+  either,
+  array,
+  object,
+  record,
+} from './validation.js';
+import { FORMAT_NAMES } from './formats.js';
+import { ROLES, ASSIGNABLE_ROLES } from './members.js';
+import { BUNDLE_FORMAT, BUNDLE_VERSION } from './bundle.js';
+import { SIDE_GAME_TYPES, settingProblems } from './sidegames.js';
+import { SYNC_MODES } from './sync.js';
+import { AUDIT_KINDS } from './audit.js';
+import { GROUP_SIZE, isTimeZone } from './itinerary.js';
+
+const MAX_ROUNDS = 20;
+const MAX_HOLES = 18;
+const MAX_STROKES = 20;
+const MAX_TEAMS = 8;
+const MAX_PLAYERS_PER_TEAM = 40;
+
+// ========== SHARED ==========
+const id = (max = 64) => string({
+  min: 1,
+  max,
+  pattern: /^[A-Za-z0-9_-]+$/,
+  patternMessage: 'must contain only letters, digits, _ and -',
+});
+
+const tripId = id();
+
+// Existing accounts include spaces and email addresses, so only slashes and
+// control characters are ruled out
+const username = string({
+  min: 1,
+  max: 64,
+  pattern: /^[^/\u0000-\u001f]+$/,
+  patternMessage: 'must not contain / or control characters',
+});
+
+// New accounts are held to a tidier pattern
+const newUsername = string({
+  min: 2,
+  max: 32,
+  pattern: /^[A-Za-z0-9._@-]+(?: [A-Za-z0-9._@-]+)*$/,
+  patternMessage: 'may use letters, digits, single spaces and . _ @ -',
+});
+
+const roundIndex = integer({ min: 0, max: MAX_ROUNDS - 1 });
+const roundKey = integerString({ max: MAX_ROUNDS - 1 });
+const groupId = id(32);
+const version = optional(integer({ min: 0 }));
+
+// 0 marks a hole that hasn't been played yet
+const holeScores = array(integer({ min: 0, max: MAX_STROKES }), { max: MAX_HOLES });
+
+// Bodies of routes that take nothing but an optional version
+const empty = object({ version });
+
+// ========== TRIPS ==========
+// A catalog course ({ courseId, tee }) or a bare course name
+const courseRef = nullable(either(
+  string({ max: 120 }),
+  object({ courseId: id(), tee: optional(nullable(string({ max: 60 }))) }, { unknown: 'strip' })
+));
+
+// [player, player, ...] or, for pairs formats, [[a, b], [c, d]]; the shape
+// for the round's format is checked against FORMATS in the routes
+const lineupGroup = array(either(username, array(username, { min: 1, max: 2 })), { min: 1, max: 8 });
+const lineups = record(roundKey, record(groupId, lineupGroup));
+
+// Empty roster slots have an empty name
+const player = object({
+  id: either(integer({ min: 0 }), string({ max: 64 })),
+  name: either(string({ max: 0 }), username),
+  scores: optional(array(number(), { max: MAX_ROUNDS })),
+  lineupOrder: optional(array(number(), { max: MAX_ROUNDS })),
+}, { unknown: 'strip' });
+
+const teams = array(
+  object({
+    name: string({ max: 60 }),
+    players: array(player, { max: MAX_PLAYERS_PER_TEAM }),
+  }, { unknown: 'strip' }),
+  { max: MAX_TEAMS }
+);
+
+// 'full', 'offLow', a percentage, or { percent, offLow } (see lib/scoring.js)
+const allowance = nullable(either(
+  oneOf(['full', 'offLow']),
+  number({ min: 0, max: 100 }),
+  object({ percent: optional(number({ min: 0, max: 100 })), offLow: optional(boolean()) })
+));
+
+// Per-round points (see lib/leaderboard.js)
+const roundPointsConfig = object({
+  win: optional(number()),
+  halve: optional(number()),
+  loss: optional(number()),
+  method: optional(oneOf(['bestN', 'position'])),
+  count: optional(integer({ min: 1 })),
+  points: optional(array(number(), { max: 50 })),
+  pointsPerSkin: optional(number({ min: 0 })),
+  carryOver: optional(boolean()),
+});
+
+// Settings shared by the full trip save and PATCH /trips/:tripId
+const tripSettings = {
+  numRounds: optional(integer({ min: 1, max: MAX_ROUNDS })),
+  courses: optional(array(courseRef, { max: MAX_ROUNDS })),
+  scoringMethods: optional(array(oneOf(FORMAT_NAMES), { max: MAX_ROUNDS })),
+  handicapAllowances: optional(record(roundKey, allowance)),
+  roundPoints: optional(record(roundKey, roundPointsConfig)),
+  lockHandicaps: optional(boolean()),
+};
+
+// Per-round lists and maps can't reach past the trip's last round
+const roundsFit = (trip, path, problems) => {
+  const numRounds = trip.numRounds || 1;
+  ['courses', 'scoringMethods'].forEach((field) => {
+    if ((trip[field] || []).length > numRounds) {
+      problems.push({ path: field, code: 'too_long', message: `has more entries than the trip's ${numRounds} round(s)` });
+    }
+  });
+  ['lineups', 'handicapAllowances', 'roundPoints', 'concessions', 'schedule'].forEach((field) => {
+    Object.keys(trip[field] || {}).filter((round) => Number(round) >= numRounds).forEach((round) => {
+      problems.push({ path: `${field}[${round}]`, code: 'invalid_key', message: `round ${round} is past the trip's last round` });
+    });
+  });
+};
+
+const tripFields = {
+  tripId,
+  tripLeader: username,
+  numTeams: optional(integer({ min: 1, max: MAX_TEAMS })),
+  playersPerTeam: optional(integer({ min: 1, max: MAX_PLAYERS_PER_TEAM })),
+  ...tripSettings,
+  teams: optional(teams),
+  lineups: optional(nullable(lineups)),
+  users: optional(array(username)),
+  concessions: optional(record(roundKey, any())),
+  // Older trips list scorers here instead of in roles
+  scorers: optional(array(username)),
+  version,
+};
+
+const trip = object(tripFields, { unknown: 'strip', refine: roundsFit });
+
+const tripPatch = object({ ...tripSettings, force: optional(boolean()), version });
+
+const roundStatus = object({ state: oneOf(['in_progress', 'final', 'locked']), version });
+
+// ========== USERS ==========
+const handicap = nullable(either(
+  number({ min: -10, max: 54 }),
+  string({ pattern: /^[+-]?\d{1,2}(\.\d+)?$/, patternMessage: 'must be a handicap index such as 12.4 or +1.2' })
+));
+
+// bcrypt only looks at the first 72 bytes
+const password = string({ min: 1, max: 72 });
+
+const register = object({
+  username: newUsername,
+  password,
+  name: string({ min: 1, max: 80, trim: true }),
+  handicap,
+});
+
+const login = object({ username: string({ min: 1, max: 64 }), password: string({ min: 1, max: 200 }) });
+const refresh = object({ refreshToken: string({ min: 1, max: 4096 }) });
+const addTrip = object({ tripId });
+
+// ========== SCORES ==========
+// Without a round, scores go to the trip's current round (lib/itinerary.js)
+const saveScores = object({ round: optional(roundIndex), raw: holeScores });
+const saveProjectedPoints = object({ round: roundIndex, projectedPoints: number({ min: 0 }) });
+const scoresQuery = object({ round: optional(roundKey) }, { unknown: 'strip' });
+
+// Hole entries queued offline (see lib/sync.js)
+const syncEntry = object({
+  id: string({ min: 1, max: 64 }),
+  username,
+  round: roundIndex,
+  hole: integer({ min: 0, max: MAX_HOLES - 1 }),
+  strokes: integer({ min: 0, max: MAX_STROKES }),
+  at: date(),
+  baseVersion: optional(integer({ min: 0 })),
+});
+const scoreSync = object({
+  entries: array(syncEntry, { min: 1, max: 500 }),
+  mode: optional(oneOf(SYNC_MODES)),
+});
+const scoreChanges = object({ since: optional(integerString()) }, { unknown: 'strip' });
+
+// ========== LINEUPS ==========
+const setLineup = object({ teams, lineups, version });
+const scorers = object({ scorers: array(username, { max: MAX_TEAMS * MAX_PLAYERS_PER_TEAM }) });
+
+const seed = optional(either(string({ min: 1, max: 64 }), number()));
+const generateLineups = object({
+  rounds: optional(array(roundIndex, { min: 1, max: MAX_ROUNDS })),
+  seed,
+  randomize: optional(boolean()),
+  save: optional(boolean()),
+  version,
+});
+const draftTeams = object({
+  numTeams: optional(integer({ min: 2, max: MAX_TEAMS })),
+  seed,
+  randomize: optional(boolean()),
+  save: optional(boolean()),
+  version,
+});
+const checkLineups = object({ lineups, teams: optional(teams) });
+
+// ========== MATCHES ==========
+const concession = object({ hole: optional(integer({ min: 0, max: MAX_HOLES - 1 })), username: optional(username) });
+
+// ========== MEMBERS ==========
+const joinCode = object({
+  role: optional(oneOf(ASSIGNABLE_ROLES)),
+  expiresInHours: optional(number({ min: 1, max: 30 * 24 })),
+  requireApproval: optional(boolean()),
+});
+const invite = object({ username, role: optional(oneOf(ASSIGNABLE_ROLES)) });
+const role = object({ role: oneOf(ROLES) });
+
+// ========== FRIENDS ==========
+const friendRequest = object({ to: username });
+const quickAdd = object({
+  usernames: array(username, { min: 1, max: MAX_PLAYERS_PER_TEAM }),
+  team: optional(integer({ min: 0, max: MAX_TEAMS - 1 })),
+});
+const userSearch = object({ q: optional(string({ max: 64 })), limit: optional(integerString({ min: 1 })) }, { unknown: 'strip' });
+
+// ========== COURSES ==========
+const hole = object({
+  par: integer({ min: 3, max: 6 }),
+  strokeIndex: integer({ min: 1, max: MAX_HOLES }),
+}, { unknown: 'strip' });
+
+const tee = object({
+  name: string({ min: 1, max: 60 }),
+  slope: number({ min: 55, max: 155 }),
+  rating: number({ min: 1, max: 90 }),
+  yardages: optional(array(integer({ min: 0, max: 1000 }), { max: MAX_HOLES })),
+}, { unknown: 'strip' });
+
+const courseFields = {
+  name: string({ min: 1, max: 120, trim: true }),
+  location: optional(string({ max: 200 })),
+  holes: array(hole, { min: 9, max: MAX_HOLES }),
+  tees: array(tee, { min: 1, max: 12 }),
+  defaultTee: optional(nullable(string({ max: 60 }))),
+};
+
+const newCourse = object(courseFields);
+const catalogCourse = object({ courseId: id(), ...courseFields, numHoles: optional(integer()) }, { unknown: 'strip' });
+const courseUpdate = object(Object.fromEntries(
+  Object.entries(courseFields).map(([key, field]) => [key, optional(field)])
+));
+const courseSearch = object({ search: optional(string({ max: 120 })) }, { unknown: 'strip' });
+
+// ========== HANDICAPS ==========
+// A catalog course or an ad-hoc one, and hole scores or a gross total
+const postedRound = object({
+  courseId: optional(id()),
+  tee: optional(string({ max: 60 })),
+  course: optional(object({
+    name: string({ min: 1, max: 120 }),
+    tee: optional(string({ max: 60 })),
+    rating: number({ min: 1, max: 90 }),
+    slope: number({ min: 55, max: 155 }),
+    par: integer({ min: 27, max: 80 }),
+  })),
+  scores: optional(array(integer({ min: 1, max: MAX_STROKES }), { max: MAX_HOLES })),
+  gross: optional(integer({ min: 1, max: MAX_HOLES * MAX_STROKES })),
+  playedAt: optional(date()),
+}, {
+  refine: (body, path, problems) => {
+    if (!body.courseId && !body.course) {
+      problems.push({ path: 'courseId', code: 'required', message: 'a catalog courseId or a course is required' });
+    }
+    if (body.scores === undefined && body.gross === undefined) {
+      problems.push({ path: 'scores', code: 'required', message: 'scores or gross is required' });
+    }
+  },
+});
+
+// ========== SIDE GAMES ==========
+const holeIndex = integer({ min: 0, max: MAX_HOLES - 1 });
+const gamePlayers = array(username, { max: MAX_TEAMS * MAX_PLAYERS_PER_TEAM });
+
+// Which settings apply depends on the type (see lib/sidegames.js)
+const sideGameSettings = {
+  name: optional(string({ min: 1, max: 60, trim: true })),
+  stake: number({ min: 0, max: 10000 }),
+  players: optional(gamePlayers),
+  sides: optional(array(array(username, { max: 2 }), { min: 2, max: 2 })),
+  autoPress: optional(integer({ min: 0, max: 9 })),
+  gross: optional(boolean()),
+  carryOver: optional(boolean()),
+  holes: optional(array(holeIndex, { min: 1, max: MAX_HOLES })),
+  description: optional(string({ max: 200 })),
+};
+
+const sideGame = object({
+  type: oneOf(SIDE_GAME_TYPES),
+  round: roundIndex,
+  ...sideGameSettings,
+}, {
+  refine: (body, path, problems) => problems.push(...settingProblems(body.type, body)),
+});
+
+// The type is only known once the game is loaded, so the route checks which
+// settings apply
+const sideGameUpdate = object(Object.fromEntries(
+  Object.entries(sideGameSettings).map(([key, field]) => [key, optional(field)])
+));
+
+const sideGamesQuery = object({ round: optional(roundKey) }, { unknown: 'strip' });
+const joinSideGame = object({ username: optional(username), side: optional(integer({ min: 0, max: 1 })) });
+const holeEntry = object({ hole: holeIndex, username, distance: optional(string({ max: 40 })) });
+const press = object({ hole: holeIndex, side: optional(integer({ min: 0, max: 1 })) });
+const potWinners = object({ winners: gamePlayers });
+
+// ========== ITINERARY ==========
+const calendarDate = string({ pattern: /^\d{4}-\d{2}-\d{2}$/, patternMessage: 'must be a date like 2026-05-14' });
+const clockTime = string({ pattern: /^([01]\d|2[0-3]):[0-5]\d$/, patternMessage: 'must be a 24-hour time like 07:30' });
+const teeTime = object({ time: clockTime, players: array(username, { min: 1, max: GROUP_SIZE }) });
+
+// The pattern lets through days that don't exist, like 2026-02-30
+const realDate = (entry, path, problems) => {
+  if (!entry.date) return;
+  const [y, m, d] = entry.date.split('-').map(Number);
+  const parsed = new Date(Date.UTC(y, m - 1, d));
+  if (parsed.getUTCMonth() !== m - 1 || parsed.getUTCDate() !== d) {
+    problems.push({ path: 'date', code: 'type', message: 'is not a day of the calendar' });
+  }
+};
+
+// teeTimes: null goes back to tee times made from the lineup
+const scheduleFields = {
+  date: optional(nullable(calendarDate)),
+  startTime: optional(nullable(clockTime)),
+  interval: optional(integer({ min: 1, max: 60 })),
+  teeTimes: optional(nullable(array(teeTime, { max: 60 }))),
+};
+const roundSchedule = object({ ...scheduleFields, version }, { refine: realDate });
+
+const timeZone = nullable(string({ min: 1, max: 64 }));
+const timeZoneFits = ({ timeZone: zone }, path, problems) => {
+  if (zone && !isTimeZone(zone)) {
+    problems.push({ path: 'timeZone', code: 'invalid', message: 'must be an IANA time zone like America/New_York' });
+  }
+};
+
+const itineraryUpdate = object({ timeZone, version }, { refine: timeZoneFits });
+
+// ========== EXPORT / IMPORT ==========
+const exportQuery = object({ round: optional(roundKey) }, { unknown: 'strip' });
+
+// A bundle's trip keeps what a full save would strip: roles, round states,
+// side games and the itinerary travel with it
+const bundledTrip = object({
+  ...tripFields,
+  roles: optional(record(username, oneOf(ASSIGNABLE_ROLES))),
+  roundStatus: optional(record(roundKey, object({
+    state: oneOf(['final', 'locked']),
+    by: optional(nullable(username)),
+    at: optional(nullable(date())),
+  }))),
+  status: optional(oneOf(['active', 'archived'])),
+  archivedAt: optional(nullable(date())),
+  handicapSnapshot: optional(object({ lockedAt: date(), handicaps: record(username, any()) })),
+  sideGames: optional(array(object({
+    gameId: id(32),
+    type: oneOf(SIDE_GAME_TYPES),
+    round: roundIndex,
+    stake: number({ min: 0, max: 10000 }),
+    players: gamePlayers,
+  }, { unknown: 'allow' }), { max: 100 })),
+  schedule: optional(record(roundKey, object(scheduleFields, { refine: realDate }))),
+  timeZone: optional(timeZone),
+}, {
+  unknown: 'strip',
+  refine: (bundled, path, problems) => {
+    roundsFit(bundled, path, problems);
+    timeZoneFits(bundled, path, problems);
+  },
+});
+
+const bundledMember = object({
+  username,
+  name: optional(nullable(string({ max: 80 }))),
+  handicap: optional(handicap),
+  card: optional(object({
+    raw_scores: optional(array(nullable(holeScores), { max: MAX_ROUNDS })),
+    net_scores: optional(array(nullable(array(number(), { max: MAX_HOLES })), { max: MAX_ROUNDS })),
+    projected_points: optional(array(nullable(number()), { max: MAX_ROUNDS })),
+    played_at: optional(array(nullable(date()), { max: MAX_ROUNDS })),
+  }, { unknown: 'strip' })),
+}, { unknown: 'strip' });
+
+const importTrip = object({
+  bundle: object({
+    format: oneOf([BUNDLE_FORMAT]),
+    version: oneOf([BUNDLE_VERSION]),
+    exportedAt: optional(date()),
+    trip: bundledTrip,
+    courses: optional(array(catalogCourse, { max: MAX_ROUNDS })),
+    members: array(bundledMember, { max: MAX_TEAMS * MAX_PLAYERS_PER_TEAM }),
+  }),
+  // Defaults to a new id
+  tripId: optional(tripId),
+  // { bundledUsername: usernameHere }
+  rename: optional(record(username, username)),
+  skipMissing: optional(boolean()),
+});
+
+// Raw CSV text (Content-Type: text/csv) or { csv } as JSON
+const scoreCsv = either(object({ csv: string({ min: 1, max: 200000 }) }), string({ min: 1, max: 200000 }));
+
+// ========== STATS ==========
+const statsQuery = object({
+  tripId: optional(tripId),
+  course: optional(string({ max: 120 })),
+  from: optional(date()),
+  to: optional(date()),
+}, { unknown: 'strip' });
+
+// ========== SERIES ==========
+const year = integer({ min: 1900, max: 2200 });
+const seriesTeam = object({
+  teamId: optional(id(32)),
+  name: string({ min: 1, max: 60, trim: true }),
+  color: optional(string({ max: 20 })),
+});
+const seriesTeams = array(seriesTeam, { min: 2, max: MAX_TEAMS });
+// Trip team name -> series teamId
+const teamMap = record(string({ min: 1, max: 60 }), id(32));
+
+const newSeries = object({
+  name: string({ min: 1, max: 80, trim: true }),
+  teams: optional(seriesTeams),
+  tripId: optional(tripId),
+  year: optional(year),
+}, {
+  refine: (value, path, problems) => {
+    if (!value.teams && !value.tripId) {
+      problems.push({ path: 'teams', code: 'required', message: 'is required unless tripId names a first edition' });
+    }
+  },
+});
+const seriesUpdate = object({
+  name: optional(string({ min: 1, max: 80, trim: true })),
+  teams: optional(seriesTeams),
+  version,
+});
+const seriesEdition = object({ tripId, year: optional(year), teams: optional(teamMap), version });
+const cloneEdition = object({ from: optional(tripId), tripId: optional(tripId), year: optional(year), version });
+const seriesRecordsQuery = object({ username: optional(username) }, { unknown: 'strip' });
+
+// ========== HISTORY ==========
+const historyQuery = object({
+  username: optional(username),
+  round: optional(roundKey),
+  kind: optional(oneOf(AUDIT_KINDS)),
+  limit: optional(integerString({ min: 1, max: 1000 })),
+}, { unknown: 'strip' });
+const revert = object({ force: optional(boolean()) });
+
+// ========== PARAMS ==========
+// Checked on every router that declares them (checkParams in lib/validation.js)
+const PARAMS = {
+  tripId,
+  username,
+  from: username,
+  to: username,
+  friend: username,
+  round: roundKey,
+  groupId,
+  courseId: id(),
+  code: string({ min: 1, max: 16, pattern: /^[A-Za-z0-9]+$/, patternMessage: 'must be letters and digits' }),
+  gameId: id(32),
+  auditId: id(32),
+  seriesId: id(),
+  hole: integerString({ max: MAX_HOLES - 1 }),
+  roundId: string({ min: 1, max: 100, pattern: /^[A-Za-z0-9_:-]+$/, patternMessage: 'is not a round id' }),
+};
+
+export {
+  MAX_ROUNDS,
+  MAX_HOLES,
+  MAX_STROKES,
+  PARAMS,
+  empty,
+  trip,
+  tripPatch,
+  roundStatus,
+  newUsername,
+  password,
+  register,
+  login,
+  refresh,
+  addTrip,
+  saveScores,
+  saveProjectedPoints,
+  scoresQuery,
+  scoreSync,
+  scoreChanges,
+  setLineup,
+  scorers,
+  generateLineups,
+  draftTeams,
+  checkLineups,
+  concession,
+  joinCode,
+  invite,
+  role,
+  friendRequest,
+  quickAdd,
+  userSearch,
+  newCourse,
+  courseUpdate,
+  courseSearch,
+  postedRound,
+  exportQuery,
+  importTrip,
+  scoreCsv,
+  sideGame,
+  sideGameUpdate,
+  sideGamesQuery,
+  joinSideGame,
+  holeEntry,
+  press,
+  potWinners,
+  statsQuery,
+  newSeries,
+  seriesUpdate,
+  seriesEdition,
+  cloneEdition,
+  seriesRecordsQuery,
+  roundSchedule,
+  itineraryUpdate,
+  historyQuery,
+  revert,
+};
@@ -0,0 +1,208 @@
+// Scorecards: writing a raw card onto the players it belongs to, and reading
+// a trip's cards back out as rows for the CSV and printable exports.
+//
+// A row is one player's card for one round:
+//   { round, course, format, team, username, raw, net, gross, netTotal, toPar, match }
+// Holes scored 0 are unplayed; totals only count played holes.
+import { netScoresForRound, roundCourse, tripHandicapIndex } from './scoring.js';
+import { roundFormat } from './formats.js';
+import { tripRoundEntry, postRound, removeRound } from './handicap.js';
+import { roundMatchStatuses } from './matches.js';
+import { teamOf } from './leaderboard.js';
+import { parseCsv, toCsv } from './csv.js';
+
+const NINE = 9;
+
+const sum = (values) => values.reduce((a, b) => a + (b > 0 ? b : 0), 0);
+
+// ========== WRITING ==========
+// Who last wrote each hole, for score sync (see lib/sync.js):
+//   entry.hole_stamps[round][hole] = { v, at, by, id }
+const stampHoles = (entry, round, holes, stamp) => {
+  if (!Array.isArray(entry.hole_stamps)) entry.hole_stamps = [];
+  const stamps = entry.hole_stamps[round] || (entry.hole_stamps[round] = []);
+  holes.forEach((hole) => {
+    for (let i = stamps.length; i < hole; i++) stamps[i] = null;
+    stamps[hole] = stamp;
+  });
+};
+
+// Stores `raw` for `username` in a round, computing net scores and the
+// handicap posting. Team-card formats store the card for the whole side.
+// With a `stamp`, holes whose score changed are stamped with it.
+// Mutates the matching users; returns { scoring, updates: [{ member, before }] }.
+const recordCard = ({ trip, round, username, raw, users, catalog, stamp }) => {
+  const { tripId } = trip;
+  const scoring = netScoresForRound({ trip, round, username, raw, users, catalog });
+
+  const updates = scoring.recipients
+    .map((name) => users.find((u) => u.username === name))
+    .filter(Boolean)
+    .map((member) => {
+      if (!member.trips || typeof member.trips !== 'object') member.trips = {};
+      if (!member.trips[tripId]) {
+        member.trips[tripId] = {
+          raw_scores: [],
+          net_scores: [],
+        };
+      }
+
+      const before = {
+        raw: member.trips[tripId].raw_scores[round],
+        net: member.trips[tripId].net_scores[round],
+      };
+
+      member.trips[tripId].raw_scores[round] = raw;
+      member.trips[tripId].net_scores[round] = scoring.net;
+      if (stamp) {
+        const changed = raw.map((_, hole) => hole).filter((hole) => raw[hole] !== (before.raw || [])[hole]);
+        stampHoles(member.trips[tripId], round, changed, stamp);
+      }
+
+      // When the round's first card came in; stats filter on it
+      const playedAt = member.trips[tripId].played_at || (member.trips[tripId].played_at = []);
+      if (!playedAt[round]) playedAt[round] = new Date().toISOString();
+
+      // A finished card counts towards the player's handicap index; editing
+      // it back to unfinished withdraws it
+      const posting = tripRoundEntry({
+        trip,
+        round,
+        raw,
+        course: scoring.course,
+        format: scoring.format,
+        handicapIndex: tripHandicapIndex(trip, member),
+        playedAt: playedAt[round],
+      });
+      if (posting) postRound(member, posting);
+      else removeRound(member, `${tripId}:${round}`);
+      return { member, before };
+    });
+
+  return { scoring, updates };
+};
+
+// ========== READING ==========
+// Everyone on a team roster, then members who aren't on one
+const tripPlayers = (trip) => {
+  const rostered = (trip.teams || []).flatMap((t) => (t.players || []).map((p) => p.name)).filter(Boolean);
+  return [...new Set([...rostered, ...(trip.users || [])])];
+};
+
+// Every player's card for each round (all rounds, or just `round`)
+const tripScorecards = ({ trip, users, catalog, round }) => {
+  const rounds = round === undefined ? Array.from({ length: trip.numRounds || 1 }, (_, r) => r) : [round];
+  return rounds.map((r) => {
+    const course = roundCourse(trip, r, catalog);
+    const format = roundFormat(trip, r);
+    const matches = roundMatchStatuses({ trip, round: r, users, catalog });
+    const par = course.holes.reduce((total, h) => total + h.par, 0);
+
+    const rows = tripPlayers(trip).map((username) => {
+      const entry = users.find((u) => u.username === username)?.trips?.[trip.tripId];
+      const raw = entry?.raw_scores?.[r] || [];
+      const net = entry?.net_scores?.[r] || [];
+      const played = course.holes.filter((_, i) => raw[i] > 0);
+      return {
+        round: r,
+        username,
+        team: teamOf(trip, username),
+        raw,
+        net,
+        gross: played.length ? sum(raw) : null,
+        netTotal: played.length ? sum(net) : null,
+        toPar: played.length ? sum(raw) - played.reduce((total, h) => total + h.par, 0) : null,
+        match: matches.find((m) => m.sides.some((side) => side.includes(username)))?.status ?? null,
+      };
+    });
+
+    return { round: r, course, format: format.name, formatLabel: format.label, par, rows, matches };
+  });
+};
+
+// ========== CSV ==========
+// One gross and one net line per player per round. Rounds are numbered from
+// 1 and holes are columns "1" to "18", so a sheet exported here can be
+// edited and imported back.
+const scorecardsCsv = (rounds) => {
+  const holeColumns = Array.from({ length: 18 }, (_, i) => String(i + 1));
+  const header = ['Round', 'Course', 'Format', 'Team', 'Player', 'Card', ...holeColumns, 'Out', 'In', 'Total', 'To Par', 'Match'];
+
+  const lines = rounds.flatMap(({ round, course, format, rows }) =>
+    rows.flatMap((row) => [['Gross', row.raw], ['Net', row.net]].map(([card, scores]) => {
+      const holes = holeColumns.map((_, i) => (i < course.holes.length && scores[i] > 0 ? scores[i] : ''));
+      const played = scores.some((s) => s > 0);
+      const nine = (start) => (course.holes.length > start ? sum(scores.slice(start, start + NINE)) || '' : '');
+      return [
+        round + 1,
+        course.name || '',
+        format,
+        row.team || '',
+        row.username,
+        card,
+        ...holes,
+        nine(0),
+        nine(NINE),
+        played ? sum(scores) : '',
+        card === 'Gross' && row.toPar !== null ? row.toPar : '',
+        row.match || '',
+      ];
+    }))
+  );
+
+  return toCsv([header, ...lines]);
+};
+
+// Reads hole scores for one round from CSV text. Needs a Player column and a
+// column per hole ("1".."18", or "H1".."H18"); blank cells are unplayed. When
+// there's a Card column only Gross lines are read, and with a Round column
+// only lines for `round` (numbered from 1).
+// Returns { cards: [{ username, raw, line }], problems }, where problem paths
+// name the 1-based CSV line and column.
+const readScoreCsv = (text, { round, numHoles, maxStrokes }) => {
+  const [header = [], ...lines] = parseCsv(text);
+  const columns = header.map((name) => name.trim().toLowerCase());
+  const problems = [];
+
+  const playerColumn = columns.indexOf('player');
+  const holeColumns = Array.from({ length: numHoles }, (_, i) =>
+    columns.findIndex((name) => name === String(i + 1) || name === `h${i + 1}`)
+  );
+  if (playerColumn === -1) problems.push({ path: 'csv[1]', code: 'required', message: 'needs a Player column' });
+  const missing = holeColumns.map((c, i) => (c === -1 ? i + 1 : null)).filter(Boolean);
+  if (missing.length) {
+    problems.push({ path: 'csv[1]', code: 'required', message: `needs a column for holes ${missing.join(', ')}` });
+  }
+  if (problems.length) return { cards: [], problems };
+
+  const roundColumn = columns.indexOf('round');
+  const cardColumn = columns.indexOf('card');
+  const cards = [];
+  lines.forEach((cells, i) => {
+    const line = i + 2;
+    if (cells.every((cell) => !cell.trim())) return;
+    if (roundColumn !== -1 && Number(cells[roundColumn]) !== round + 1) return;
+    if (cardColumn !== -1 && (cells[cardColumn] || '').trim().toLowerCase() !== 'gross') return;
+
+    // Undo the quote toCsv puts in front of formula-like names
+    const username = (cells[playerColumn] || '').trim().replace(/^'(?=[=+\-@])/, '');
+    if (!username) {
+      problems.push({ path: `csv[${line}].player`, code: 'required', message: 'is required' });
+      return;
+    }
+    const raw = holeColumns.map((column, hole) => {
+      const cell = (cells[column] || '').trim();
+      if (!cell) return 0;
+      const score = Number(cell);
+      if (!Number.isInteger(score) || score < 0 || score > maxStrokes) {
+        problems.push({ path: `csv[${line}].${hole + 1}`, code: 'invalid', message: `must be a whole number from 0 to ${maxStrokes}` });
+        return 0;
+      }
+      return score;
+    });
+    cards.push({ username, raw, line });
+  });
+  return { cards, problems };
+};
+
+export { stampHoles, recordCard, tripPlayers, tripScorecards, scorecardsCsv, readScoreCsv };
@@ -0,0 +1,204 @@
+// Server-side handicap and net score engine.
+// Course handicaps follow the USGA/WHS formula, strokes are allocated by hole stroke index.
+import { resolveCourseRef } from './courses.js';
+import { locateSide, groupPlayers, teamCourseHandicap } from './formats.js';
+
+const DEFAULT_HOLES = 18;
+const STANDARD_SLOPE = 113;
+
+// ========== COURSES ==========
+// Takes a course already resolved against the catalog (see lib/courses.js):
+// an object with slope/rating/par and per-hole { par, strokeIndex }, or a bare
+// name that isn't in the catalog, which falls back to par 4 holes ranked 1..18
+// in playing order.
+const defaultHoles = (count = DEFAULT_HOLES) =>
+  Array.from({ length: count }, (_, i) => ({ number: i + 1, par: 4, strokeIndex: i + 1 }));
+
+const resolveCourse = (course) => {
+  if (!course || typeof course !== 'object') {
+    return {
+      courseId: null,
+      name: course || null,
+      tee: null,
+      holes: defaultHoles(),
+      slope: null,
+      rating: null,
+      par: null,
+    };
+  }
+
+  const holes = Array.isArray(course.holes) && course.holes.length
+    ? course.holes.map((h, i) => ({
+        number: i + 1,
+        par: Number(h.par) || 4,
+        strokeIndex: Number(h.strokeIndex ?? h.handicap) || i + 1,
+        yardage: h.yardage ?? null,
+      }))
+    : defaultHoles(course.numHoles || DEFAULT_HOLES);
+
+  const par = Number(course.par) || holes.reduce((sum, h) => sum + h.par, 0);
+
+  return {
+    courseId: course.courseId || null,
+    name: course.name || null,
+    tee: course.tee || null,
+    holes,
+    slope: Number(course.slope) || null,
+    rating: Number(course.rating) || null,
+    par,
+  };
+};
+
+// ========== HANDICAPS ==========
+// Plus handicaps are written "+1.2" and stored as negative indexes
+const parseHandicapIndex = (value) => {
+  const text = String(value ?? '').trim();
+  const index = text.startsWith('+') ? -parseFloat(text.slice(1)) : parseFloat(text);
+  return Number.isFinite(index) ? index : 0;
+};
+
+// A trip with a locked handicap snapshot plays everyone off the index they
+// had when it was locked; members who joined later use their current index
+const tripHandicapIndex = (trip, user) =>
+  trip.handicapSnapshot?.handicaps?.[user?.username] ?? user?.handicap;
+
+// Course Handicap = Index x (Slope / 113) + (Rating - Par). Without slope and
+// rating the index is used as-is. Nine-hole courses use half the index.
+const courseHandicap = (handicapIndex, course) => {
+  const index = parseHandicapIndex(handicapIndex);
+  const scaled = course.holes.length < DEFAULT_HOLES ? index / 2 : index;
+  if (!course.slope || !course.rating) return Math.round(scaled);
+  return Math.round(scaled * (course.slope / STANDARD_SLOPE) + (course.rating - course.par));
+};
+
+// Allowances are configured per round in trip.handicapAllowances:
+//   'full' (default), 'offLow', a percentage number (85), or { percent, offLow }
+const normalizeAllowance = (allowance) => {
+  if (allowance === undefined || allowance === null || allowance === 'full') {
+    return { percent: 100, offLow: false };
+  }
+  if (allowance === 'offLow') return { percent: 100, offLow: true };
+  if (typeof allowance === 'number') return { percent: allowance, offLow: false };
+  if (typeof allowance === 'object') {
+    return {
+      percent: typeof allowance.percent === 'number' ? allowance.percent : 100,
+      offLow: !!allowance.offLow,
+    };
+  }
+  return { percent: 100, offLow: false };
+};
+
+// Takes { username: courseHandicap } for everyone playing together and returns
+// { username: playingHandicap } after the allowance is applied.
+const applyAllowance = (courseHandicaps, allowance) => {
+  const { percent, offLow } = normalizeAllowance(allowance);
+  const playing = {};
+  Object.entries(courseHandicaps).forEach(([username, ch]) => {
+    playing[username] = Math.round((ch * percent) / 100);
+  });
+
+  if (offLow) {
+    const low = Math.min(...Object.values(playing));
+    Object.keys(playing).forEach((username) => {
+      playing[username] -= low;
+    });
+  }
+
+  return playing;
+};
+
+// ========== STROKE ALLOCATION ==========
+// Returns strokes received per hole. Handicaps above the hole count wrap around
+// (a 20 gets two strokes on the two hardest holes); plus handicaps give strokes
+// back starting on the easiest hole.
+const allocateStrokes = (playingHandicap, holes) => {
+  const strokes = Array(holes.length).fill(0);
+  if (!playingHandicap) return strokes;
+
+  const byDifficulty = holes
+    .map((h, i) => ({ i, strokeIndex: h.strokeIndex }))
+    .sort((a, b) => a.strokeIndex - b.strokeIndex)
+    .map((h) => h.i);
+
+  if (playingHandicap > 0) {
+    for (let n = 0; n < playingHandicap; n++) {
+      strokes[byDifficulty[n % holes.length]] += 1;
+    }
+  } else {
+    const easiestFirst = [...byDifficulty].reverse();
+    for (let n = 0; n < -playingHandicap; n++) {
+      strokes[easiestFirst[n % holes.length]] -= 1;
+    }
+  }
+
+  return strokes;
+};
+
+// Unplayed holes (0 or missing) stay 0 so downstream comparisons can skip them.
+const computeNet = (raw, strokes) =>
+  raw.map((score, i) => (score > 0 ? score - (strokes[i] || 0) : 0));
+
+// ========== ROUND HELPERS ==========
+// The players a handicap is measured against: the player's lineup group,
+// otherwise everyone on the trip.
+const roundField = (trip, round, username) => {
+  const { group } = locateSide(trip, round, username);
+  if (group) return groupPlayers(group);
+  return Array.isArray(trip.users) && trip.users.includes(username) ? trip.users : [username];
+};
+
+const roundCourse = (trip, round, catalog = { courses: {} }) =>
+  resolveCourse(resolveCourseRef(trip.courses?.[round], catalog));
+
+// Computes net scores for a raw card in a given round of a trip. For teamCard
+// formats the card belongs to the player's whole side, which plays off a
+// combined team handicap; `recipients` lists everyone the card is stored for.
+const netScoresForRound = ({ trip, round, username, raw, users, catalog }) => {
+  const course = roundCourse(trip, round, catalog);
+  const { format, sides, side } = locateSide(trip, round, username);
+  const handicapOf = (name) =>
+    courseHandicap(tripHandicapIndex(trip, users.find((u) => u.username === name)), course);
+
+  const sharedCard = format.teamCard && !!sides;
+  const entrants = sharedCard
+    ? sides
+    : roundField(trip, round, username).map((name) => [name]);
+  const mine = sharedCard ? side : [username];
+  const keyOf = (players) => players.join('+');
+
+  const courseHandicaps = {};
+  entrants.forEach((players) => {
+    courseHandicaps[keyOf(players)] = players.length > 1
+      ? teamCourseHandicap(format.name, players.map(handicapOf))
+      : handicapOf(players[0]);
+  });
+
+  const playing = applyAllowance(courseHandicaps, trip.handicapAllowances?.[round]);
+  const playingHandicap = playing[keyOf(mine)] || 0;
+  const strokes = allocateStrokes(playingHandicap, course.holes);
+
+  return {
+    course,
+    format: format.name,
+    recipients: mine,
+    courseHandicap: courseHandicaps[keyOf(mine)],
+    playingHandicap,
+    strokes,
+    net: computeNet(raw, strokes),
+  };
+};
+
+export {
+  DEFAULT_HOLES,
+  resolveCourse,
+  parseHandicapIndex,
+  tripHandicapIndex,
+  courseHandicap,
+  normalizeAllowance,
+  applyAllowance,
+  allocateStrokes,
+  computeNet,
+  roundField,
+  roundCourse,
+  netScoresForRound,
+};
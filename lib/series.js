@@ -0,0 +1,220 @@
+// Series: the yearly editions of one event. A series names its teams once and
+// lists its editions, each mapping the trip's team names to series teams:
+//   { seriesId, name, leader, teams: [{ teamId, name, color? }],
+//     editions: [{ tripId, year, teams: { [trip team name]: teamId } }] }
+//
+// Results come from the trips themselves. An edition's cup goes to the team
+// with the most points once the trip is archived or every round is final or
+// locked; a tie on top awards no cup. All-time records read the same cards
+// and matches as lib/stats.js.
+import { generateId } from './ids.js';
+import { buildLeaderboard, teamOf } from './leaderboard.js';
+import { isArchived, isFrozen } from './lifecycle.js';
+import { addMember } from './members.js';
+import { filteredRounds, collectCards, finishedMatches, recordFor, isComplete } from './stats.js';
+
+// Settings a new edition takes from the previous one
+const CLONED_FIELDS = [
+  'numTeams',
+  'playersPerTeam',
+  'numRounds',
+  'courses',
+  'scoringMethods',
+  'handicapAllowances',
+  'roundPoints',
+  'lockHandicaps',
+  'timeZone',
+];
+const BEST_ROUNDS = 3;
+
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+// ========== SERIES ==========
+const seriesTeam = ({ teamId, name, color }) => ({
+  teamId: teamId || generateId('TEAM', 4),
+  name,
+  ...(color && { color }),
+});
+
+const createSeries = ({ name, teams, leader }) => ({
+  seriesId: generateId('SERIES'),
+  name,
+  leader,
+  teams: teams.map(seriesTeam),
+  editions: [],
+  createdAt: new Date().toISOString(),
+});
+
+// The series an edition's trip belongs to, if any
+const seriesOfTrip = (allSeries, tripId) =>
+  allSeries.find((series) => series.editions.some((e) => e.tripId === tripId)) || null;
+
+// Trip team name -> series teamId. Names in `mapping` win, then a series team
+// with the same name, then the series team at the same position.
+const mapTeams = (series, trip, mapping = {}) =>
+  Object.fromEntries((trip.teams || []).map((team, i) => [
+    team.name,
+    mapping[team.name] ?? series.teams.find((t) => t.name === team.name)?.teamId ?? series.teams[i]?.teamId ?? null,
+  ]));
+
+// Problems with an edition's team map, as messages
+const mappingErrors = (series, trip, teams) => {
+  const errors = [];
+  const known = new Set(series.teams.map((t) => t.teamId));
+  const tripTeams = new Set((trip.teams || []).map((t) => t.name));
+  Object.entries(teams).forEach(([name, teamId]) => {
+    if (!tripTeams.has(name)) errors.push(`${trip.tripId} has no team named ${name}`);
+    else if (teamId === null) errors.push(`Team ${name} has no series team; map it with teams`);
+    else if (!known.has(teamId)) errors.push(`Unknown series team ${teamId}`);
+  });
+  const used = Object.values(teams).filter(Boolean);
+  if (new Set(used).size !== used.length) errors.push('Two trip teams map to the same series team');
+  return errors;
+};
+
+// Keeps editions in year order; editions of the same year stay in the order added
+const addEdition = (series, edition) => {
+  series.editions = [...series.editions, edition]
+    .map((e, i) => ({ e, i }))
+    .sort((a, b) => a.e.year - b.e.year || a.i - b.i)
+    .map(({ e }) => e);
+};
+
+// ========== RESULTS ==========
+const isFinished = (trip) =>
+  isArchived(trip) || Array.from({ length: trip.numRounds || 1 }, (_, round) => round).every((round) => isFrozen(trip, round));
+
+// Each edition with its trip's standings and leaderboard. Editions whose
+// trip was deleted stay listed with missing: true.
+const editionResults = ({ series, trips, users, catalog }) =>
+  series.editions.map((edition) => {
+    const trip = trips.find((t) => t.tripId === edition.tripId);
+    if (!trip) return { edition: { ...edition, missing: true, finished: false, standings: [], winner: null } };
+
+    const board = buildLeaderboard({ trip, users, catalog });
+    const standings = board.teams.map(({ name, points }) => ({ teamId: edition.teams[name] ?? null, name, points }));
+    const finished = isFinished(trip);
+    const [first, second] = standings;
+    const winner = finished && first && (!second || first.points > second.points) ? first.teamId : null;
+    return { trip, board, edition: { ...edition, finished, standings, winner } };
+  });
+
+// The series with every edition's result and the running cup count
+const seriesSummary = ({ series, trips, users, catalog }) => {
+  const editions = editionResults({ series, trips, users, catalog }).map((r) => r.edition);
+  const finished = editions.filter((e) => e.finished);
+  return {
+    ...series,
+    teams: series.teams.map((team) => ({
+      ...team,
+      cups: finished.filter((e) => e.winner === team.teamId).length,
+    })),
+    ties: finished.filter((e) => !e.winner).length,
+    holder: [...finished].reverse().find((e) => e.winner)?.winner ?? null,
+    editions,
+  };
+};
+
+// ========== RECORDS ==========
+const roundSummary = (card, year) => {
+  const par = sum(card.course.holes.map((h) => h.par));
+  const gross = sum(card.raw);
+  return {
+    username: card.username,
+    tripId: card.tripId,
+    year,
+    round: card.round,
+    course: card.course.name,
+    gross,
+    toPar: gross - par,
+    net: sum(card.net.map((score, i) => (score > 0 ? score : card.raw[i]))),
+  };
+};
+
+const byScore = (a, b) => a.toPar - b.toPar || a.gross - b.gross || a.year - b.year;
+
+// All-time records of everyone who played an edition: editions played, cups
+// won, points earned for their team, match record and best complete rounds
+const seriesRecords = ({ series, trips, users, catalog }) => {
+  const results = editionResults({ series, trips, users, catalog }).filter((r) => r.trip);
+  const editionTrips = results.map((r) => r.trip);
+  const yearOf = Object.fromEntries(results.map((r) => [r.trip.tripId, r.edition.year]));
+
+  const rounds = filteredRounds({ trips: editionTrips, catalog });
+  const usernames = [...new Set(editionTrips.flatMap((t) => t.users || []))];
+  const cards = collectCards({ rounds, users, usernames }).filter(isComplete);
+  const matches = finishedMatches({ rounds, users, catalog });
+  const bestRounds = cards.map((card) => roundSummary(card, yearOf[card.tripId])).sort(byScore);
+
+  const players = usernames.map((username) => {
+    const played = results.filter((r) => (r.trip.users || []).includes(username));
+    const cupsWon = played.filter(({ trip, edition }) => edition.winner && edition.teams[teamOf(trip, username)] === edition.winner);
+    return {
+      username,
+      editions: played.map((r) => r.edition.year),
+      cupsWon: cupsWon.length,
+      points: sum(played.flatMap((r) => r.board.rounds.map((round) => round.playerPoints[username] || 0))),
+      matchRecord: recordFor(username, matches),
+      bestRounds: bestRounds.filter((r) => r.username === username).slice(0, BEST_ROUNDS),
+    };
+  }).sort((a, b) => b.cupsWon - a.cupsWon || b.points - a.points || a.username.localeCompare(b.username));
+
+  return { seriesId: series.seriesId, bestRounds: bestRounds.slice(0, BEST_ROUNDS), players };
+};
+
+// ========== CLONING ==========
+// A new trip with the setup of `source`: rounds, courses, formats, points and
+// allowances, and its teams under the series' names with the members who
+// still have accounts. Lineups, scores, side games, the schedule and round
+// states start fresh; the new leader leads and the old one stays on as co-leader.
+// Returns { trip, users, teams } with the accounts that changed and the new
+// edition's team map. Nothing is saved.
+const cloneTrip = ({ series, edition, source, tripId, leader, users }) => {
+  const byName = new Map(users.map((u) => [u.username, u]));
+  const present = (name) => byName.has(name);
+  const numRounds = source.numRounds || 1;
+  const fresh = () => Array(numRounds).fill(0);
+  const seriesName = (name) => series.teams.find((t) => t.teamId === edition.teams[name])?.name || name;
+
+  const trip = {
+    tripId,
+    tripLeader: leader,
+    ...Object.fromEntries(CLONED_FIELDS.filter((f) => source[f] !== undefined).map((f) => [f, structuredClone(source[f])])),
+    teams: (source.teams || []).map((team) => ({
+      name: seriesName(team.name),
+      players: (team.players || []).map((p) => ({
+        id: p.id,
+        name: present(p.name) ? p.name : '',
+        ...(p.scores && { scores: fresh() }),
+        ...(p.lineupOrder && { lineupOrder: fresh() }),
+      })),
+    })),
+    lineups: {},
+    users: [],
+    roles: {},
+  };
+
+  const roles = { ...source.roles };
+  if (source.tripLeader !== leader) roles[source.tripLeader] = 'co-leader';
+  const changed = [...new Set([leader, ...(source.users || [])])].filter(present).map((username) => {
+    const user = byName.get(username);
+    addMember(trip, user, roles[username] || 'player');
+    return user;
+  });
+
+  const teams = Object.fromEntries((source.teams || []).map((team) => [seriesName(team.name), edition.teams[team.name] ?? null]));
+  return { trip, users: changed, teams };
+};
+
+export {
+  CLONED_FIELDS,
+  seriesTeam,
+  createSeries,
+  seriesOfTrip,
+  mapTeams,
+  mappingErrors,
+  addEdition,
+  seriesSummary,
+  seriesRecords,
+  cloneTrip,
+};
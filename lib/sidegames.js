@@ -0,0 +1,385 @@
+// Side games: money games played alongside the team competition. Each game
+// belongs to one round and is open to the players who opt in.
+//
+//   trip.sideGames  [{ gameId, type, name, round, stake, players: [username],
+//                      createdBy, createdAt, ...settings }]
+//
+//   nassau        { sides: [[username], [username]], autoPress: 2, gross: false,
+//                   presses: [{ hole, side, by, at }] }
+//                 Front nine, back nine and overall (just overall on a 9 hole
+//                 course), each worth `stake` from every player on the losing
+//                 side, played as best-ball match play. A side that falls
+//                 `autoPress` holes down in a bet starts a press for the rest
+//                 of it; 0 turns automatic presses off. Manual presses run to
+//                 the end of the nine they start on.
+//   skins         { carryOver: true, gross: false } every skin is worth
+//                 `stake` from each of the other players
+//   closestToPin,
+//   longDrive     { holes: [hole], entries: { [hole]: { username, distance, by, at } } }
+//                 each hole's winner collects `stake` from each of the others
+//   pot           { description, winners: [username] } everyone puts `stake`
+//                 in and the winners split it
+//
+// Only decided holes and bets move money, so the ledger runs as the round is
+// played. Amounts are worked out in cents so every game balances to zero.
+import { generateId } from './ids.js';
+import { roundCourse } from './scoring.js';
+import { sideCard } from './matches.js';
+import { awardSkins } from './leaderboard.js';
+import { tripRole } from './members.js';
+
+const SIDE_GAME_TYPES = ['nassau', 'skins', 'closestToPin', 'longDrive', 'pot'];
+
+const GAME_LABELS = {
+  nassau: 'Nassau',
+  skins: 'Skins',
+  closestToPin: 'Closest to the pin',
+  longDrive: 'Long drive',
+  pot: 'Pot',
+};
+
+// Settings each type takes besides name, stake and players
+const TYPE_SETTINGS = {
+  nassau: ['sides', 'autoPress', 'gross'],
+  skins: ['carryOver', 'gross'],
+  closestToPin: ['holes'],
+  longDrive: ['holes'],
+  pot: ['description'],
+};
+
+// Fields only the side game routes change; a full trip save keeps them
+const SIDE_GAME_FIELDS = ['sideGames'];
+
+const DEFAULT_AUTO_PRESS = 2;
+const NINE = 9;
+const MAX_SIDE = 2;
+
+const cents = (amount) => Math.round(amount * 100);
+const toAmount = (value) => value / 100;
+
+const findGame = (trip, gameId) => (trip.sideGames || []).find((g) => g.gameId === gameId) || null;
+
+// ========== SETTING UP ==========
+// Closest to the pin defaults to the par 3s, long drive to the par 5s
+const defaultHoles = (type, course) => {
+  const par = type === 'closestToPin' ? 3 : 5;
+  return course.holes.map((hole, i) => (hole.par === par ? i : null)).filter((i) => i !== null);
+};
+
+const createGame = (trip, settings, { createdBy, course }) => {
+  const { type, round, name, stake } = settings;
+  const game = {
+    gameId: generateId('GAME'),
+    type,
+    name: name || GAME_LABELS[type],
+    round,
+    stake,
+    players: [],
+    createdBy,
+    createdAt: new Date().toISOString(),
+  };
+
+  if (type === 'nassau') {
+    game.sides = settings.sides || [[], []];
+    game.players = game.sides.flat();
+    game.autoPress = settings.autoPress ?? DEFAULT_AUTO_PRESS;
+    game.gross = !!settings.gross;
+    game.presses = [];
+  } else {
+    game.players = [...new Set(settings.players || [])];
+  }
+  if (type === 'skins') {
+    game.carryOver = settings.carryOver ?? true;
+    game.gross = !!settings.gross;
+  }
+  if (type === 'closestToPin' || type === 'longDrive') {
+    game.holes = settings.holes || defaultHoles(type, course);
+    game.entries = {};
+  }
+  if (type === 'pot') {
+    game.description = settings.description || '';
+    game.winners = [];
+  }
+  return game;
+};
+
+// Applies a PATCH; players and sides replace the current lists
+const updateGame = (game, changes) => {
+  ['name', 'stake', ...TYPE_SETTINGS[game.type]].forEach((field) => {
+    if (changes[field] !== undefined) game[field] = changes[field];
+  });
+  if (game.type === 'nassau') game.players = game.sides.flat();
+  else if (changes.players) game.players = [...new Set(changes.players)];
+  return game;
+};
+
+// Settings sent for a different type of game, as validation problems
+const settingProblems = (type, settings) => {
+  const allowed = new Set(['type', 'round', 'name', 'stake', ...TYPE_SETTINGS[type]]);
+  if (type !== 'nassau') allowed.add('players');
+  return Object.keys(settings)
+    .filter((field) => !allowed.has(field))
+    .map((field) => ({ path: field, code: 'unknown_field', message: `is not a setting of ${GAME_LABELS[type]}` }));
+};
+
+// Who can play: members other than spectators
+const canPlay = (trip, username) => !['spectator', null].includes(tripRole(trip, username));
+
+// Checks a game against the trip it belongs to; returns a list of messages
+const gameErrors = (trip, game, course) => {
+  const errors = [];
+  if (game.round >= (trip.numRounds || 1)) errors.push(`Round ${game.round} is past the trip's last round`);
+
+  game.players.filter((username) => !canPlay(trip, username)).forEach((username) => {
+    errors.push(`${username} is not a player on this trip`);
+  });
+
+  if (game.type === 'nassau') {
+    if (game.sides.some((side) => side.length > MAX_SIDE)) errors.push(`A Nassau side has at most ${MAX_SIDE} players`);
+    if (new Set(game.players).size !== game.players.length) errors.push('A player can only be on one Nassau side');
+  }
+  if (game.holes) {
+    const numHoles = course.holes.length;
+    if (!game.holes.length) errors.push(`Pick the holes for ${game.name}; the course has none by default`);
+    if (game.holes.some((hole) => hole >= numHoles)) errors.push(`Holes must be between 0 and ${numHoles - 1}`);
+    if (new Set(game.holes).size !== game.holes.length) errors.push('Holes are listed more than once');
+  }
+  if (game.winners?.some((username) => !game.players.includes(username))) {
+    errors.push('Pot winners must be playing in the game');
+  }
+  return errors;
+};
+
+// ========== OPTING IN ==========
+// Returns an error message, or null once `username` is in the game
+const joinGame = (trip, game, username, side) => {
+  if (!canPlay(trip, username)) return `${username} is not a player on this trip`;
+  if (game.players.includes(username)) return `${username} is already playing ${game.name}`;
+
+  if (game.type === 'nassau') {
+    if (side === undefined) return 'Pick a side (0 or 1) to join a Nassau';
+    if (game.sides[side].length >= MAX_SIDE) return `Side ${side} already has ${MAX_SIDE} players`;
+    game.sides[side].push(username);
+  }
+  game.players.push(username);
+  return null;
+};
+
+// Pulls a player out, along with anything they won in a hole contest or pot
+const leaveGame = (game, username) => {
+  if (!game.players.includes(username)) return `${username} is not playing ${game.name}`;
+  game.players = game.players.filter((name) => name !== username);
+  if (game.sides) game.sides = game.sides.map((side) => side.filter((name) => name !== username));
+  if (game.winners) game.winners = game.winners.filter((name) => name !== username);
+  if (game.entries) {
+    Object.keys(game.entries).forEach((hole) => {
+      if (game.entries[hole].username === username) delete game.entries[hole];
+    });
+  }
+  return null;
+};
+
+// ========== RESULTS ==========
+// Each payer puts in `each` cents, split evenly between the payees; spare
+// cents go to the first payees so nothing is lost
+const transfer = (balances, payers, payees, each) => {
+  if (!payers.length || !payees.length || !each) return;
+  const total = each * payers.length;
+  payers.forEach((username) => {
+    balances[username] = (balances[username] || 0) - each;
+  });
+  const share = Math.floor(total / payees.length);
+  payees.forEach((username, i) => {
+    balances[username] = (balances[username] || 0) + share + (i < total - share * payees.length ? 1 : 0);
+  });
+};
+
+// Hole results from side 0's point of view: 1 won, -1 lost, 0 halved, null
+// until both sides have a score
+const nassauHoles = ({ trip, game, users, numHoles }) => {
+  const field = game.gross ? 'raw_scores' : 'net_scores';
+  const [card1, card2] = game.sides.map((side) =>
+    sideCard({ users, side, tripId: trip.tripId, round: game.round, numHoles, field })
+  );
+  return Array.from({ length: numHoles }, (_, i) =>
+    card1[i] > 0 && card2[i] > 0 ? Math.sign(card2[i] - card1[i]) : null
+  );
+};
+
+const nassauSegments = (numHoles) =>
+  numHoles >= 2 * NINE
+    ? [{ segment: 'front', start: 0, end: NINE - 1 }, { segment: 'back', start: NINE, end: 2 * NINE - 1 }, { segment: 'overall', start: 0, end: 2 * NINE - 1 }]
+    : [{ segment: 'overall', start: 0, end: numHoles - 1 }];
+
+const nassauResult = ({ trip, game, users, numHoles, balances }) => {
+  const holes = nassauHoles({ trip, game, users, numHoles });
+  const segments = nassauSegments(numHoles);
+  const bets = segments.map((s) => ({ ...s, press: false, lead: 0, thru: 0 }));
+  const presses = [...(game.presses || [])].sort((a, b) => a.hole - b.hole);
+
+  // The nine (or the whole round) a manual press at `hole` runs to the end of
+  const pressSegment = (hole) => segments.find((s) => s.segment !== 'overall' && hole >= s.start && hole <= s.end) || segments[0];
+
+  holes.forEach((result, i) => {
+    presses.filter((p) => p.hole === i).forEach((p) => {
+      bets.push({ segment: pressSegment(i).segment, start: i, end: pressSegment(i).end, press: true, by: p.side, lead: 0, thru: 0 });
+    });
+    if (result === null) return;
+
+    bets.filter((bet) => i >= bet.start && i <= bet.end).forEach((bet) => {
+      bet.lead += result;
+      bet.thru++;
+      if (game.autoPress > 0 && !bet.pressed && Math.abs(bet.lead) >= game.autoPress && i < bet.end) {
+        bet.pressed = true;
+        bets.push({ segment: bet.segment, start: i + 1, end: bet.end, press: true, by: bet.lead > 0 ? 1 : 0, lead: 0, thru: 0 });
+      }
+    });
+  });
+
+  const stake = cents(game.stake);
+  const results = bets.map(({ pressed, ...bet }) => {
+    const final = bet.thru === bet.end - bet.start + 1;
+    const winner = final && bet.lead !== 0 ? (bet.lead > 0 ? 0 : 1) : null;
+    if (winner !== null) transfer(balances, game.sides[1 - winner], game.sides[winner], stake);
+    return { ...bet, holes: [bet.start, bet.end], final, winner };
+  });
+
+  return {
+    status: results.every((b) => b.final) ? 'final' : holes.some((r) => r !== null) ? 'in_progress' : 'scheduled',
+    bets: results.map(({ start, end, ...bet }) => bet),
+  };
+};
+
+const skinsResult = ({ trip, game, users, numHoles, balances }) => {
+  const cards = game.players.map((username) => {
+    const entry = users.find((u) => u.username === username)?.trips?.[trip.tripId];
+    return { username, raw: entry?.raw_scores?.[game.round] || [], net: entry?.net_scores?.[game.round] || [] };
+  });
+  const { skins, carryOver, thru } = awardSkins(cards, numHoles, game);
+
+  const stake = cents(game.stake);
+  skins.forEach(({ winner, value }) => {
+    transfer(balances, game.players.filter((name) => name !== winner), [winner], stake * value);
+  });
+  return {
+    status: cards.length > 1 && thru === numHoles ? 'final' : thru > 0 ? 'in_progress' : 'scheduled',
+    skins,
+    // Value riding on the next hole
+    carried: carryOver,
+    thru,
+  };
+};
+
+const holeContestResult = ({ game, balances }) => {
+  const stake = cents(game.stake);
+  const results = game.holes.map((hole) => {
+    const entry = game.entries?.[hole] || null;
+    if (entry) transfer(balances, game.players.filter((name) => name !== entry.username), [entry.username], stake);
+    return { hole, winner: entry?.username ?? null, distance: entry?.distance ?? null };
+  });
+  const decided = results.filter((h) => h.winner).length;
+  return {
+    status: decided === results.length ? 'final' : decided ? 'in_progress' : 'scheduled',
+    results,
+  };
+};
+
+const potResult = ({ game, balances }) => {
+  if (game.winners.length) transfer(balances, game.players, game.winners, cents(game.stake));
+  return {
+    status: game.winners.length ? 'final' : 'scheduled',
+    pot: toAmount(cents(game.stake) * game.players.length),
+    winners: game.winners,
+  };
+};
+
+const RESULTS = {
+  nassau: nassauResult,
+  skins: skinsResult,
+  closestToPin: holeContestResult,
+  longDrive: holeContestResult,
+  pot: potResult,
+};
+
+// A game's settings, where it stands and what each player is up or down
+const gameResult = ({ trip, game, users, catalog }) => {
+  const numHoles = roundCourse(trip, game.round, catalog).holes.length;
+  const balances = Object.fromEntries(game.players.map((username) => [username, 0]));
+  const detail = RESULTS[game.type]({ trip, game, users, numHoles, balances });
+  return {
+    ...game,
+    label: GAME_LABELS[game.type],
+    ...detail,
+    balances: Object.fromEntries(Object.entries(balances).map(([username, value]) => [username, toAmount(value)])),
+  };
+};
+
+const tripGameResults = ({ trip, users, catalog, round }) =>
+  (trip.sideGames || [])
+    .filter((game) => round === undefined || game.round === round)
+    .map((game) => gameResult({ trip, game, users, catalog }));
+
+// ========== LEDGER ==========
+// Fewest-hands settle-up: the biggest debt is paid to the biggest creditor
+// until everyone is square. Takes and returns cents.
+const settleUp = (balances) => {
+  const debtors = Object.entries(balances).filter(([, v]) => v < 0).map(([username, v]) => ({ username, owes: -v }));
+  const creditors = Object.entries(balances).filter(([, v]) => v > 0).map(([username, v]) => ({ username, due: v }));
+  const payments = [];
+
+  while (debtors.length && creditors.length) {
+    debtors.sort((a, b) => b.owes - a.owes);
+    creditors.sort((a, b) => b.due - a.due);
+    const [debtor] = debtors;
+    const [creditor] = creditors;
+    const amount = Math.min(debtor.owes, creditor.due);
+    payments.push({ from: debtor.username, to: creditor.username, amount });
+    debtor.owes -= amount;
+    creditor.due -= amount;
+    if (!debtor.owes) debtors.shift();
+    if (!creditor.due) creditors.shift();
+  }
+  return payments;
+};
+
+// Each player's running total and the games behind it, and who pays whom
+const tripLedger = (results) => {
+  const totals = {};
+  const games = {};
+  results.forEach((result) => {
+    Object.entries(result.balances).forEach(([username, amount]) => {
+      totals[username] = (totals[username] || 0) + cents(amount);
+      (games[username] = games[username] || []).push({
+        gameId: result.gameId,
+        name: result.name,
+        round: result.round,
+        status: result.status,
+        amount,
+      });
+    });
+  });
+
+  return {
+    players: Object.keys(totals)
+      .map((username) => ({ username, balance: toAmount(totals[username]), games: games[username] }))
+      .sort((a, b) => b.balance - a.balance || a.username.localeCompare(b.username)),
+    settlements: settleUp(totals).map((p) => ({ ...p, amount: toAmount(p.amount) })),
+    unsettled: results.filter((r) => r.status !== 'final').map((r) => r.gameId),
+  };
+};
+
+export {
+  SIDE_GAME_TYPES,
+  SIDE_GAME_FIELDS,
+  findGame,
+  createGame,
+  updateGame,
+  settingProblems,
+  gameErrors,
+  joinGame,
+  leaveGame,
+  gameResult,
+  tripGameResults,
+  settleUp,
+  tripLedger,
+};
@@ -0,0 +1,266 @@
+// Player and trip statistics derived from stored scorecards.
+//
+// A card is one player's raw/net scores for one trip round. Shared team cards
+// (scramble, foursomes) don't say who hit which shot, so they are left out of
+// scoring stats but still count for match records. Holes scored 0 are
+// unplayed and ignored.
+//
+// Filters: { tripId, course (catalog courseId or name), from, to }. A round's
+// date is when its first card was posted (user.trips[tripId].played_at);
+// older rounds without one drop out when a date range is given.
+import { roundCourse } from './scoring.js';
+import { roundFormat } from './formats.js';
+import { roundMatches } from './matches.js';
+
+const NINE = 9;
+const HOLE_HIGHLIGHTS = 3;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const average = (values) => (values.length ? round2(values.reduce((a, b) => a + b, 0) / values.length) : null);
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+const matchesCourse = (course, wanted) => {
+  if (!wanted) return true;
+  const name = String(wanted).toLowerCase();
+  return course.courseId === wanted || (course.name || '').toLowerCase() === name;
+};
+
+// A `to` date without a time covers that whole day
+const inRange = (playedAt, { from, to }) => {
+  if (!from && !to) return true;
+  if (!playedAt) return false;
+  const at = new Date(playedAt).getTime();
+  if (from && at < new Date(from).getTime()) return false;
+  if (to) {
+    const end = new Date(to);
+    if (!String(to).includes('T')) end.setUTCHours(23, 59, 59, 999);
+    if (at > end.getTime()) return false;
+  }
+  return true;
+};
+
+// Trip rounds that pass the trip and course filters: [{ trip, round, course, format }]
+const filteredRounds = ({ trips, catalog, filters = {} }) =>
+  trips
+    .filter((trip) => !filters.tripId || trip.tripId === filters.tripId)
+    .flatMap((trip) =>
+      Array.from({ length: trip.numRounds || 1 }, (_, round) => ({
+        trip,
+        round,
+        course: roundCourse(trip, round, catalog),
+        format: roundFormat(trip, round),
+      }))
+    )
+    .filter(({ course }) => matchesCourse(course, filters.course));
+
+// Every individual card for the given players in the given rounds
+const collectCards = ({ rounds, users, usernames, filters = {} }) =>
+  rounds.flatMap(({ trip, round, course, format }) => {
+    if (format.teamCard) return [];
+    return usernames.flatMap((username) => {
+      const entry = users.find((u) => u.username === username)?.trips?.[trip.tripId];
+      const raw = entry?.raw_scores?.[round];
+      if (!Array.isArray(raw) || !raw.some((score) => score > 0)) return [];
+      const playedAt = entry.played_at?.[round] || null;
+      if (!inRange(playedAt, filters)) return [];
+      return [{
+        username,
+        tripId: trip.tripId,
+        round,
+        course,
+        playedAt,
+        raw,
+        net: entry.net_scores?.[round] || [],
+      }];
+    });
+  });
+
+// ========== SCORING ==========
+const DISTRIBUTION = [
+  ['eaglesOrBetter', (d) => d <= -2],
+  ['birdies', (d) => d === -1],
+  ['pars', (d) => d === 0],
+  ['bogeys', (d) => d === 1],
+  ['doubleBogeys', (d) => d === 2],
+  ['worse', (d) => d >= 3],
+];
+
+const isComplete = (card) => card.course.holes.every((_, i) => card.raw[i] > 0);
+
+// Average score to par per nine over the cards that finished that nine
+const nineSplit = (cards, start) => {
+  const finished = cards.filter((c) =>
+    c.course.holes.length > NINE && c.course.holes.slice(start, start + NINE).every((_, i) => c.raw[start + i] > 0)
+  );
+  const toPar = finished.map((c) =>
+    sum(c.course.holes.slice(start, start + NINE).map((h, i) => c.raw[start + i] - h.par))
+  );
+  return { rounds: finished.length, averageToPar: average(toPar) };
+};
+
+// Holes ranked by average score to par, per course and hole number
+const holeAverages = (cards) => {
+  const holes = new Map();
+  cards.forEach((card) => {
+    card.course.holes.forEach((hole, i) => {
+      if (!(card.raw[i] > 0)) return;
+      const key = `${card.course.courseId || card.course.name}#${i}`;
+      const entry = holes.get(key) || { course: card.course.name, hole: i + 1, par: hole.par, toPar: [] };
+      entry.toPar.push(card.raw[i] - hole.par);
+      holes.set(key, entry);
+    });
+  });
+  return [...holes.values()]
+    .map(({ toPar, ...hole }) => ({ ...hole, played: toPar.length, averageToPar: average(toPar) }))
+    .sort((a, b) => a.averageToPar - b.averageToPar || b.played - a.played);
+};
+
+const scoringStats = (cards) => {
+  const complete = cards.filter(isComplete);
+  const distribution = Object.fromEntries(DISTRIBUTION.map(([name]) => [name, 0]));
+  let holesPlayed = 0;
+  cards.forEach((card) => {
+    card.course.holes.forEach((hole, i) => {
+      if (!(card.raw[i] > 0)) return;
+      holesPlayed++;
+      const [name] = DISTRIBUTION.find(([, test]) => test(card.raw[i] - hole.par));
+      distribution[name]++;
+    });
+  });
+
+  const holes = holeAverages(cards);
+  return {
+    rounds: cards.length,
+    completeRounds: complete.length,
+    holesPlayed,
+    scoringAverage: {
+      gross: average(complete.map((c) => sum(c.raw))),
+      net: average(complete.map((c) => sum(c.net.map((score, i) => (score > 0 ? score : c.raw[i]))))),
+      toPar: average(complete.map((c) => sum(c.raw) - sum(c.course.holes.map((h) => h.par)))),
+    },
+    distribution,
+    bestHoles: holes.slice(0, HOLE_HIGHLIGHTS),
+    worstHoles: holes.slice(-HOLE_HIGHLIGHTS).reverse(),
+    frontNine: nineSplit(cards, 0),
+    backNine: nineSplit(cards, NINE),
+  };
+};
+
+// ========== MATCHES ==========
+const emptyRecord = () => ({ won: 0, lost: 0, halved: 0 });
+
+// Every finished match in the rounds: [{ tripId, round, format, sides, winner }]
+const finishedMatches = ({ rounds, users, catalog, filters = {} }) =>
+  rounds
+    .filter(({ format }) => format.kind === 'match')
+    .flatMap(({ trip, round }) =>
+      roundMatches({ trip, round, users, catalog })
+        .filter(({ state }) => state.final)
+        .map(({ format, groupId, sides, state }) => ({
+          tripId: trip.tripId,
+          round,
+          groupId,
+          format,
+          sides,
+          winner: state.winner,
+          playedAt: sides.flat()
+            .map((u) => users.find((x) => x.username === u)?.trips?.[trip.tripId]?.played_at?.[round])
+            .find(Boolean) || null,
+        }))
+    )
+    .filter((match) => inRange(match.playedAt, filters));
+
+const recordFor = (username, matches) => {
+  const record = { ...emptyRecord(), byFormat: {} };
+  matches.forEach(({ sides, winner, format }) => {
+    const mySide = sides.findIndex((side) => side.includes(username));
+    if (mySide === -1) return;
+    const result = winner === null ? 'halved' : winner === mySide ? 'won' : 'lost';
+    record[result]++;
+    record.byFormat[format] = record.byFormat[format] || emptyRecord();
+    record.byFormat[format][result]++;
+  });
+  return record;
+};
+
+// Against each other player: match results when on opposite sides, and
+// rounds where both finished their cards compared on net total
+const headToHead = (username, matches, cards) => {
+  const opponents = {};
+  const entry = (name) => (opponents[name] = opponents[name] || { matches: emptyRecord(), strokePlay: emptyRecord() });
+
+  matches.forEach(({ sides, winner }) => {
+    const mySide = sides.findIndex((side) => side.includes(username));
+    if (mySide === -1) return;
+    const result = winner === null ? 'halved' : winner === mySide ? 'won' : 'lost';
+    sides[1 - mySide].forEach((name) => { entry(name).matches[result]++; });
+  });
+
+  const netTotal = (card) => sum(card.net.map((score, i) => (score > 0 ? score : card.raw[i])));
+  const mine = cards.filter((c) => c.username === username && isComplete(c));
+  mine.forEach((card) => {
+    cards
+      .filter((c) => c.username !== username && c.tripId === card.tripId && c.round === card.round && isComplete(c))
+      .forEach((other) => {
+        const diff = netTotal(card) - netTotal(other);
+        entry(other.username).strokePlay[diff < 0 ? 'won' : diff > 0 ? 'lost' : 'halved']++;
+      });
+  });
+
+  return Object.entries(opponents)
+    .map(([opponent, record]) => ({ opponent, ...record }))
+    .sort((a, b) => a.opponent.localeCompare(b.opponent));
+};
+
+// ========== REPORTS ==========
+// One player across every trip they've been on
+const userStats = ({ user, users, trips, catalog, filters = {} }) => {
+  const theirTrips = trips.filter((t) => user.trips?.[t.tripId]);
+  const rounds = filteredRounds({ trips: theirTrips, catalog, filters });
+  // Everyone they played with, for head-to-head
+  const usernames = [...new Set([user.username, ...theirTrips.flatMap((t) => t.users || [])])];
+  const cards = collectCards({ rounds, users, usernames, filters });
+  const matches = finishedMatches({ rounds, users, catalog, filters });
+
+  return {
+    username: user.username,
+    filters,
+    trips: [...new Set(cards.filter((c) => c.username === user.username).map((c) => c.tripId))].length,
+    ...scoringStats(cards.filter((c) => c.username === user.username)),
+    matchRecord: recordFor(user.username, matches),
+    headToHead: headToHead(user.username, matches, cards),
+  };
+};
+
+// Everyone on one trip, plus the trip's hardest and easiest holes
+const tripStats = ({ trip, users, catalog, filters = {} }) => {
+  const rounds = filteredRounds({ trips: [trip], catalog, filters });
+  const members = trip.users || [];
+  const cards = collectCards({ rounds, users, usernames: members, filters });
+  const matches = finishedMatches({ rounds, users, catalog, filters });
+  const { bestHoles, worstHoles, ...totals } = scoringStats(cards);
+
+  return {
+    tripId: trip.tripId,
+    filters,
+    ...totals,
+    easiestHoles: bestHoles,
+    hardestHoles: worstHoles,
+    players: members.map((username) => ({
+      username,
+      ...scoringStats(cards.filter((c) => c.username === username)),
+      matchRecord: recordFor(username, matches),
+      headToHead: headToHead(username, matches, cards),
+    })),
+  };
+};
+
+export {
+  filteredRounds,
+  collectCards,
+  isComplete,
+  finishedMatches,
+  recordFor,
+  userStats,
+  tripStats,
+};
@@ -0,0 +1,121 @@
+// Shared JSON file persistence helpers (backups live in lib/backup/)
+import fs from 'fs';
+import log from './logger.js';
+
+const DATA_PATH = './data';
+if (!fs.existsSync(DATA_PATH)) fs.mkdirSync(DATA_PATH);
+
+const FILES = {
+  trips: `${DATA_PATH}/trips.json`,
+  users: `${DATA_PATH}/users.json`,
+  courses: `${DATA_PATH}/courses.json`,
+  audit: `${DATA_PATH}/audit.json`,
+  series: `${DATA_PATH}/series.json`,
+};
+
+// Time of the last completed write. It sits beside the data files (and
+// outside git) so a restart can tell whether they're newer than the latest
+// backup; a fresh checkout has none.
+const STAMP_PATH = `${DATA_PATH}/.written`;
+
+// Parsed copies of each file. The server is the only writer of data/, so
+// reads come from memory and only the first read of a file touches disk.
+const cache = new Map();
+
+// Writes for a file run one at a time; at most one more is queued behind the
+// running one and it picks up whatever the cache holds when it starts
+const writeChains = new Map();
+const queuedWrites = new Set();
+
+// Write to a temp file, fsync, then rename over the original so a crash can
+// never leave a truncated file behind. A failure is logged and rethrown so
+// the save that asked for it fails too.
+const writeFileAtomic = async (filePath, data) => {
+  const tmpPath = `${filePath}.tmp`;
+  try {
+    const handle = await fs.promises.open(tmpPath, 'w');
+    try {
+      await handle.writeFile(JSON.stringify(data, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(tmpPath, filePath);
+    await fs.promises.writeFile(STAMP_PATH, new Date().toISOString());
+    log.debug('data file written', { file: filePath });
+  } catch (err) {
+    log.error('data file write failed', { file: filePath, err });
+    throw err;
+  }
+};
+
+// Helpers
+const readJsonFile = (filePath, defaultValue = {}) => {
+  if (cache.has(filePath)) return cache.get(filePath);
+  try {
+    if (!fs.existsSync(filePath)) {
+      // Created on the next write if this one fails (already logged)
+      writeJsonFile(filePath, defaultValue).catch(() => {});
+      return defaultValue;
+    }
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    cache.set(filePath, data);
+    return data;
+  } catch (err) {
+    log.error('data file read failed', { file: filePath, err });
+    return defaultValue;
+  }
+};
+
+// Updates the cache right away; the returned promise resolves once the data
+// is on disk and rejects if the write failed
+const writeJsonFile = (filePath, data) => {
+  cache.set(filePath, data);
+  if (!queuedWrites.has(filePath)) {
+    queuedWrites.add(filePath);
+    // A failed write was reported to its own callers; the next one still runs
+    const previous = (writeChains.get(filePath) || Promise.resolve()).catch(() => {});
+    writeChains.set(filePath, previous.then(() => {
+      queuedWrites.delete(filePath);
+      return writeFileAtomic(filePath, cache.get(filePath));
+    }));
+  }
+  return writeChains.get(filePath);
+};
+
+// When data/ was last written to, or null if it never was here
+const lastWriteAt = async () => {
+  try {
+    const at = new Date((await fs.promises.readFile(STAMP_PATH, 'utf-8')).trim());
+    return Number.isNaN(at.getTime()) ? null : at;
+  } catch {
+    return null;
+  }
+};
+
+// Resolves once every queued write has finished (failures were already
+// reported to the saves that queued them)
+const flushWrites = () => Promise.allSettled([...writeChains.values()]);
+
+// Writes and removes a scratch file, so a full disk or read-only mount shows
+// up before a save fails. Resolves to null or the error message.
+const writableError = async () => {
+  const probePath = `${DATA_PATH}/.probe`;
+  try {
+    await fs.promises.writeFile(probePath, String(Date.now()));
+    await fs.promises.unlink(probePath);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+};
+
+export {
+  DATA_PATH,
+  FILES,
+  readJsonFile,
+  writeJsonFile,
+  flushWrites,
+  lastWriteAt,
+  writableError,
+};
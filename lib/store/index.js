@@ -0,0 +1,38 @@
+// Repository for trips, users, courses, scores, lineups, series and the audit
+// trail.
+// STORAGE_BACKEND picks the implementation: 'json' (default, data/*.json) or
+// 'postgres' (DATABASE_URL). Both expose the same async interface:
+//
+//   store.trips    list() get(tripId) save(trip) remove(tripId)
+//   store.users    list() get(username) save(user) saveMany(users) remove(username)
+//   store.courses  list() get(courseId) save(course) catalog()
+//   store.scores   get(username, tripId) save(username, tripId, round, { raw, net })
+//   store.lineups  get(tripId) save(tripId, { teams, lineups }, expectedVersion?)
+//   store.series   list() get(seriesId) save(series) remove(seriesId)
+//   store.audit    append(entries) list(tripId, { username?, round?, kind? })
+//   store.init()   must finish before the server starts serving
+//   store.status() { [check]: { ok, error? } } for the readiness probe
+//
+// Trips, users and series carry a `version`; saving a stale copy throws
+// VersionConflictError (see versions.js).
+import { createJsonStore } from './json.js';
+import { createPostgresStore } from './postgres.js';
+import { createPool } from '../../db.js';
+import log from '../logger.js';
+
+const createStore = (backend = process.env.STORAGE_BACKEND || 'json') => {
+  if (backend === 'postgres') {
+    return createPostgresStore({
+      pool: createPool(),
+      autoMigrate: process.env.DB_AUTO_MIGRATE !== 'false',
+      onMigrationApplied: (file) => log.info('migration applied', { file }),
+    });
+  }
+  if (backend !== 'json') throw new Error(`Unknown STORAGE_BACKEND "${backend}"`);
+  return createJsonStore();
+};
+
+const store = createStore();
+
+export { createStore };
+export default store;
@@ -0,0 +1,205 @@
+// JSON file backend: data/trips.json, data/users.json, data/courses.json,
+// data/series.json and data/audit.json, snapshotted by lib/backup after writes. Files are cached in
+// memory, so reads hand out copies and a save checks versions and updates the
+// cache in one synchronous step before the atomic file write.
+import { FILES, readJsonFile, writeJsonFile, flushWrites, writableError } from '../storage.js';
+import backups from '../backup/index.js';
+import { versionOf, checkVersion, retryOnConflict } from './versions.js';
+
+const readTrips = () => readJsonFile(FILES.trips, { trips: {} });
+const readUsers = () => readJsonFile(FILES.users, { users: [] });
+const readCourses = () => readJsonFile(FILES.courses, { courses: {} });
+const readSeries = () => readJsonFile(FILES.series, { series: {} });
+// A backup taken before the first audit entry leaves an empty file behind
+const readAudit = () => {
+  const data = readJsonFile(FILES.audit, { audit: {} });
+  if (!data.audit) data.audit = {};
+  return data;
+};
+
+const clone = (value) => (value === null || value === undefined ? value : structuredClone(value));
+
+const persist = async (filePath, data) => {
+  await writeJsonFile(filePath, data);
+  backups.schedule();
+};
+
+// Stores a copy with the next version and bumps the caller's version to match
+const stamp = (doc) => {
+  doc.version = versionOf(doc) + 1;
+  return clone(doc);
+};
+
+const ensureUserTrip = (user, tripId) => {
+  if (!user.trips || typeof user.trips !== 'object' || Array.isArray(user.trips)) user.trips = {};
+  if (!user.trips[tripId]) user.trips[tripId] = { raw_scores: [], net_scores: [] };
+  return user.trips[tripId];
+};
+
+const matchesAudit = (entry, { username, round, kind }) =>
+  (username === undefined || entry.username === username) &&
+  (round === undefined || entry.round === round) &&
+  (kind === undefined || entry.kind === kind);
+
+const createJsonStore = () => {
+  const trips = {
+    list: async () => clone(Object.values(readTrips().trips)),
+    get: async (tripId) => clone(readTrips().trips[tripId]) || null,
+    save: async (trip) => {
+      const data = readTrips();
+      checkVersion('Trip', trip.tripId, trip, data.trips[trip.tripId]);
+      data.trips[trip.tripId] = stamp(trip);
+      await persist(FILES.trips, data);
+      return trip;
+    },
+    remove: async (tripId) => {
+      const data = readTrips();
+      const existed = !!data.trips[tripId];
+      delete data.trips[tripId];
+      if (existed) await persist(FILES.trips, data);
+      return existed;
+    },
+  };
+
+  const users = {
+    list: async () => clone(readUsers().users),
+    get: async (username) => clone(readUsers().users.find((u) => u.username === username)) || null,
+    save: async (user) => users.saveMany([user]),
+    // Writes several users in one file update; nothing is written if any of
+    // them is stale
+    saveMany: async (updated) => {
+      const data = readUsers();
+      const indexes = updated.map((user) => {
+        const index = data.users.findIndex((u) => u.username === user.username);
+        checkVersion('User', user.username, user, data.users[index]);
+        return index;
+      });
+      updated.forEach((user, i) => {
+        if (indexes[i] === -1) data.users.push(stamp(user));
+        else data.users[indexes[i]] = stamp(user);
+      });
+      await persist(FILES.users, data);
+      return updated;
+    },
+    remove: async (username) => {
+      const data = readUsers();
+      const before = data.users.length;
+      data.users = data.users.filter((u) => u.username !== username);
+      if (data.users.length !== before) await persist(FILES.users, data);
+      return data.users.length !== before;
+    },
+  };
+
+  const courses = {
+    list: async () => clone(Object.values(readCourses().courses)),
+    get: async (courseId) => clone(readCourses().courses[courseId]) || null,
+    save: async (course) => {
+      const data = readCourses();
+      data.courses[course.courseId] = clone(course);
+      await persist(FILES.courses, data);
+      return course;
+    },
+    // The catalog shape ({ courses: { [courseId]: course } }) the course helpers expect
+    catalog: async () => clone(readCourses()),
+  };
+
+  // Per-user scorecards live under user.trips[tripId]
+  const scores = {
+    get: async (username, tripId) => (await users.get(username))?.trips?.[tripId] || null,
+    save: (username, tripId, round, { raw, net }) =>
+      retryOnConflict(async () => {
+        const user = await users.get(username);
+        if (!user) return null;
+        const tripData = ensureUserTrip(user, tripId);
+        tripData.raw_scores[round] = raw;
+        tripData.net_scores[round] = net;
+        await users.save(user);
+        return tripData;
+      }),
+  };
+
+  const lineups = {
+    get: async (tripId) => {
+      const trip = await trips.get(tripId);
+      return trip ? { teams: trip.teams, lineups: trip.lineups } : null;
+    },
+    // With an expected version the save fails on a stale trip; without one
+    // it reapplies the new teams and lineups on top of the latest trip
+    save: (tripId, { teams, lineups: roundLineups }, expected = null) =>
+      retryOnConflict(async () => {
+        const trip = await trips.get(tripId);
+        if (!trip) return null;
+        if (expected !== null) trip.version = expected;
+        trip.teams = teams;
+        trip.lineups = roundLineups;
+        await trips.save(trip);
+        return trip;
+      }, expected === null ? undefined : 1),
+  };
+
+  const series = {
+    list: async () => clone(Object.values(readSeries().series || {})),
+    get: async (seriesId) => clone(readSeries().series?.[seriesId]) || null,
+    save: async (doc) => {
+      const data = readSeries();
+      if (!data.series) data.series = {};
+      checkVersion('Series', doc.seriesId, doc, data.series[doc.seriesId]);
+      data.series[doc.seriesId] = stamp(doc);
+      await persist(FILES.series, data);
+      return doc;
+    },
+    remove: async (seriesId) => {
+      const data = readSeries();
+      const existed = !!data.series?.[seriesId];
+      if (existed) {
+        delete data.series[seriesId];
+        await persist(FILES.series, data);
+      }
+      return existed;
+    },
+  };
+
+  // Entries are kept per trip, oldest first, and outlive the trip
+  const audit = {
+    append: async (entries) => {
+      if (!entries.length) return entries;
+      const data = readAudit();
+      entries.forEach((entry) => {
+        data.audit[entry.tripId] = [...(data.audit[entry.tripId] || []), clone(entry)];
+      });
+      await persist(FILES.audit, data);
+      return entries;
+    },
+    list: async (tripId, filters = {}) =>
+      clone((readAudit().audit[tripId] || []).filter((entry) => matchesAudit(entry, filters))),
+  };
+
+  return {
+    backend: 'json',
+    trips,
+    users,
+    courses,
+    scores,
+    lineups,
+    series,
+    audit,
+    // Restores the newest backup before the server starts serving
+    init: async () => {
+      if (process.env.BACKUP_RESTORE_ON_START === 'false') backups.status.restoreFinished = true;
+      else await backups.restoreOnStart();
+    },
+    status: async () => {
+      const error = await writableError();
+      return {
+        restore: { ok: backups.status.restoreFinished },
+        storage: error ? { ok: false, error } : { ok: true },
+      };
+    },
+    close: async () => {
+      await flushWrites();
+      await backups.flush();
+    },
+  };
+};
+
+export { ensureUserTrip, createJsonStore };
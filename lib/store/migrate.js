@@ -0,0 +1,49 @@
+// Versioned SQL migrations for the Postgres backend. Files in migrations/ are
+// applied in name order (001_..., 002_...), each in its own transaction, and
+// recorded in schema_migrations so they only ever run once. onApplied(file)
+// is called after each one: the server logs it, `npm run migrate` prints it.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../migrations');
+
+const listMigrations = () =>
+  fs.readdirSync(MIGRATIONS_DIR)
+    .filter((file) => /^\d+_.+\.sql$/.test(file))
+    .sort()
+    .map((file) => ({ version: file.split('_')[0], file }));
+
+const runMigrations = async (pool, { onApplied = () => {} } = {}) => {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )
+  `);
+  const { rows } = await pool.query('SELECT version FROM schema_migrations');
+  const applied = new Set(rows.map((r) => r.version));
+
+  const pending = listMigrations().filter((m) => !applied.has(m.version));
+  for (const { version, file } of pending) {
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf-8');
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(sql);
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [version, file]);
+      await client.query('COMMIT');
+      onApplied(file);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw new Error(`Migration ${file} failed: ${err.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  return pending.map((m) => m.file);
+};
+
+export { listMigrations, runMigrations };
@@ -0,0 +1,428 @@
+// PostgreSQL backend. Documents keep the same shape as the JSON files: a user
+// carries trips[tripId] = { raw_scores, net_scores, projected_points } and a
+// trip carries users and lineups. They are split across tables on save and
+// reassembled on load. Schema lives in migrations/.
+import { runMigrations } from './migrate.js';
+import { VersionConflictError, versionOf, retryOnConflict } from './versions.js';
+import { parseHandicapIndex } from '../scoring.js';
+
+const USER_COLUMNS = ['username', 'password', 'name', 'handicap', 'friends', 'trips', 'version'];
+const TRIP_COLUMNS = ['tripId', 'tripLeader', 'numTeams', 'playersPerTeam', 'numRounds', 'users', 'lineups', 'version'];
+const USER_TRIP_COLUMNS = ['raw_scores', 'net_scores', 'projected_points'];
+
+const omit = (obj, keys) =>
+  Object.fromEntries(Object.entries(obj || {}).filter(([key]) => !keys.includes(key)));
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+// Upserts guarded by `WHERE version = expected` touch no row when the stored
+// document moved on (or appeared under a new-document save)
+const assertSaved = async (client, { rowCount }, kind, table, key, id, doc) => {
+  if (rowCount > 0) return;
+  const { rows } = await client.query(`SELECT version FROM ${table} WHERE ${key} = $1`, [id]);
+  throw new VersionConflictError(kind, id, versionOf(doc), rows[0]?.version ?? 0);
+};
+
+const withTransaction = async (pool, fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// ========== USERS ==========
+const assembleUsers = (userRows, tripRows, scoreRows) =>
+  userRows.map((row) => {
+    const trips = {};
+    tripRows.filter((t) => t.username === row.username).forEach((t) => {
+      const rounds = scoreRows.filter((s) => s.username === row.username && s.trip_id === t.trip_id);
+      const length = Math.max(t.num_rounds, ...rounds.map((s) => s.round + 1));
+      const tripData = {
+        ...t.data,
+        raw_scores: Array.from({ length }, () => []),
+        net_scores: Array.from({ length }, () => []),
+      };
+      // Rounds without stored points stay null, as in the JSON files, so
+      // "not recorded" doesn't read as 0 points
+      if (t.has_points) tripData.projected_points = Array(length).fill(null);
+      rounds.forEach((s) => {
+        tripData.raw_scores[s.round] = s.raw;
+        tripData.net_scores[s.round] = s.net;
+        if (t.has_points) tripData.projected_points[s.round] = toNumber(s.projected_points);
+      });
+      trips[t.trip_id] = tripData;
+    });
+
+    return {
+      username: row.username,
+      password: row.password,
+      name: row.name,
+      handicap: toNumber(row.handicap),
+      ...row.data,
+      trips,
+      friends: row.friends,
+      version: row.version,
+    };
+  });
+
+const writeUser = async (client, user) => {
+  const values = [
+    user.username,
+    user.password,
+    user.name,
+    // "+1.2" is a plus handicap, stored as -1.2
+    toNumber(user.handicap) === null ? null : parseHandicapIndex(user.handicap),
+    JSON.stringify(user.friends || []),
+    JSON.stringify(omit(user, USER_COLUMNS)),
+    versionOf(user),
+  ];
+  const result = versionOf(user) === 0
+    ? await client.query(
+      `INSERT INTO users (username, password, name, handicap, friends, data, version)
+       VALUES ($1, $2, $3, $4, $5, $6, 1)
+       ON CONFLICT (username) DO UPDATE SET
+         password = EXCLUDED.password, name = EXCLUDED.name, handicap = EXCLUDED.handicap,
+         friends = EXCLUDED.friends, data = EXCLUDED.data, version = 1, updated_at = now()
+       WHERE users.version = 0`,
+      values.slice(0, 6)
+    )
+    : await client.query(
+      `UPDATE users SET password = $2, name = $3, handicap = $4, friends = $5, data = $6,
+         version = version + 1, updated_at = now()
+       WHERE username = $1 AND version = $7`,
+      values
+    );
+  await assertSaved(client, result, 'User', 'users', 'username', user.username, user);
+
+  const tripIds = Object.keys(user.trips || {});
+  await client.query(
+    'DELETE FROM user_trips WHERE username = $1 AND NOT (trip_id = ANY($2))',
+    [user.username, tripIds]
+  );
+
+  for (const tripId of tripIds) {
+    const tripData = user.trips[tripId] || {};
+    const raw = tripData.raw_scores || [];
+    const net = tripData.net_scores || [];
+    const points = Array.isArray(tripData.projected_points) ? tripData.projected_points : null;
+    const numRounds = Math.max(raw.length, net.length, points?.length || 0);
+
+    await client.query(
+      `INSERT INTO user_trips (username, trip_id, num_rounds, has_points, data)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (username, trip_id) DO UPDATE SET
+         num_rounds = EXCLUDED.num_rounds, has_points = EXCLUDED.has_points, data = EXCLUDED.data`,
+      [user.username, tripId, numRounds, !!points, JSON.stringify(omit(tripData, USER_TRIP_COLUMNS))]
+    );
+    await client.query('DELETE FROM scores WHERE username = $1 AND trip_id = $2', [user.username, tripId]);
+    for (let round = 0; round < numRounds; round++) {
+      await client.query(
+        `INSERT INTO scores (username, trip_id, round, raw, net, projected_points)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [
+          user.username,
+          tripId,
+          round,
+          JSON.stringify(raw[round] || []),
+          JSON.stringify(net[round] || []),
+          toNumber(points?.[round]),
+        ]
+      );
+    }
+  }
+};
+
+// ========== TRIPS ==========
+const assembleTrips = (tripRows, memberRows, lineupRows) =>
+  tripRows.map((row) => {
+    const trip = {
+      version: row.version,
+      tripId: row.trip_id,
+      tripLeader: row.trip_leader,
+      ...(row.num_teams !== null && { numTeams: row.num_teams }),
+      ...(row.players_per_team !== null && { playersPerTeam: row.players_per_team }),
+      numRounds: row.num_rounds,
+      ...row.data,
+      users: memberRows
+        .filter((m) => m.trip_id === row.trip_id)
+        .sort((a, b) => a.position - b.position)
+        .map((m) => m.username),
+    };
+
+    const lineups = {};
+    lineupRows.filter((l) => l.trip_id === row.trip_id).forEach((l) => {
+      if (!lineups[l.round]) lineups[l.round] = {};
+      lineups[l.round][l.group_id] = l.players;
+    });
+    if (Object.keys(lineups).length || row.data.hasLineups) trip.lineups = lineups;
+    delete trip.hasLineups;
+    return trip;
+  });
+
+const writeLineups = async (client, tripId, lineups) => {
+  await client.query('DELETE FROM lineups WHERE trip_id = $1', [tripId]);
+  for (const [round, groups] of Object.entries(lineups || {})) {
+    for (const [groupId, players] of Object.entries(groups || {})) {
+      await client.query(
+        'INSERT INTO lineups (trip_id, round, group_id, players) VALUES ($1, $2, $3, $4)',
+        [tripId, Number(round), groupId, JSON.stringify(players)]
+      );
+    }
+  }
+};
+
+const writeTrip = async (client, trip) => {
+  const data = { ...omit(trip, TRIP_COLUMNS), hasLineups: trip.lineups !== undefined };
+  const values = [
+    trip.tripId,
+    trip.tripLeader,
+    toNumber(trip.numTeams),
+    toNumber(trip.playersPerTeam),
+    toNumber(trip.numRounds) || 1,
+    JSON.stringify(data),
+  ];
+  const result = versionOf(trip) === 0
+    ? await client.query(
+      `INSERT INTO trips (trip_id, trip_leader, num_teams, players_per_team, num_rounds, data, version)
+       VALUES ($1, $2, $3, $4, $5, $6, 1)
+       ON CONFLICT (trip_id) DO UPDATE SET
+         trip_leader = EXCLUDED.trip_leader, num_teams = EXCLUDED.num_teams,
+         players_per_team = EXCLUDED.players_per_team, num_rounds = EXCLUDED.num_rounds,
+         data = EXCLUDED.data, version = 1, updated_at = now()
+       WHERE trips.version = 0`,
+      values
+    )
+    : await client.query(
+      `UPDATE trips SET trip_leader = $2, num_teams = $3, players_per_team = $4, num_rounds = $5,
+         data = $6, version = version + 1, updated_at = now()
+       WHERE trip_id = $1 AND version = $7`,
+      [...values, versionOf(trip)]
+    );
+  await assertSaved(client, result, 'Trip', 'trips', 'trip_id', trip.tripId, trip);
+
+  await client.query('DELETE FROM trip_members WHERE trip_id = $1', [trip.tripId]);
+  const members = [...new Set(trip.users || [])];
+  for (let i = 0; i < members.length; i++) {
+    await client.query(
+      'INSERT INTO trip_members (trip_id, username, position) VALUES ($1, $2, $3)',
+      [trip.tripId, members[i], i]
+    );
+  }
+  await writeLineups(client, trip.tripId, trip.lineups);
+};
+
+const createPostgresStore = ({ pool, autoMigrate = true, onMigrationApplied }) => {
+  const loadUsers = async (username) => {
+    const where = username ? 'WHERE username = $1' : '';
+    const params = username ? [username] : [];
+    const [users, trips, scores] = await Promise.all([
+      pool.query(`SELECT * FROM users ${where} ORDER BY created_at, username`, params),
+      pool.query(`SELECT * FROM user_trips ${where}`, params),
+      pool.query(`SELECT * FROM scores ${where} ORDER BY round`, params),
+    ]);
+    return assembleUsers(users.rows, trips.rows, scores.rows);
+  };
+
+  const loadTrips = async (tripId) => {
+    const where = tripId ? 'WHERE trip_id = $1' : '';
+    const params = tripId ? [tripId] : [];
+    const [trips, members, lineups] = await Promise.all([
+      pool.query(`SELECT * FROM trips ${where} ORDER BY created_at, trip_id`, params),
+      pool.query(`SELECT * FROM trip_members ${where}`, params),
+      pool.query(`SELECT * FROM lineups ${where}`, params),
+    ]);
+    return assembleTrips(trips.rows, members.rows, lineups.rows);
+  };
+
+  const users = {
+    list: () => loadUsers(),
+    get: async (username) => (await loadUsers(username))[0] || null,
+    save: async (user) => users.saveMany([user]),
+    saveMany: async (updated) => {
+      await withTransaction(pool, async (client) => {
+        for (const user of updated) await writeUser(client, user);
+      });
+      updated.forEach((user) => { user.version = versionOf(user) + 1; });
+      return updated;
+    },
+    remove: async (username) => {
+      const { rowCount } = await pool.query('DELETE FROM users WHERE username = $1', [username]);
+      return rowCount > 0;
+    },
+  };
+
+  const trips = {
+    list: () => loadTrips(),
+    get: async (tripId) => (await loadTrips(tripId))[0] || null,
+    save: async (trip) => {
+      await withTransaction(pool, (client) => writeTrip(client, trip));
+      trip.version = versionOf(trip) + 1;
+      return trip;
+    },
+    remove: async (tripId) => {
+      const { rowCount } = await pool.query('DELETE FROM trips WHERE trip_id = $1', [tripId]);
+      return rowCount > 0;
+    },
+  };
+
+  const courses = {
+    list: async () => (await pool.query('SELECT data FROM courses ORDER BY name')).rows.map((r) => r.data),
+    get: async (courseId) =>
+      (await pool.query('SELECT data FROM courses WHERE course_id = $1', [courseId])).rows[0]?.data || null,
+    save: async (course) => {
+      await pool.query(
+        `INSERT INTO courses (course_id, name, data) VALUES ($1, $2, $3)
+         ON CONFLICT (course_id) DO UPDATE SET name = EXCLUDED.name, data = EXCLUDED.data, updated_at = now()`,
+        [course.courseId, course.name, JSON.stringify(course)]
+      );
+      return course;
+    },
+    catalog: async () => ({
+      courses: Object.fromEntries((await courses.list()).map((c) => [c.courseId, c])),
+    }),
+  };
+
+  const scores = {
+    get: async (username, tripId) => (await users.get(username))?.trips?.[tripId] || null,
+    save: async (username, tripId, round, { raw, net }) => {
+      await withTransaction(pool, async (client) => {
+        // A new card is still a change to the user document
+        await client.query('UPDATE users SET version = version + 1 WHERE username = $1', [username]);
+        await client.query(
+          `INSERT INTO user_trips (username, trip_id, num_rounds) VALUES ($1, $2, $3)
+           ON CONFLICT (username, trip_id) DO UPDATE
+             SET num_rounds = GREATEST(user_trips.num_rounds, EXCLUDED.num_rounds)`,
+          [username, tripId, round + 1]
+        );
+        await client.query(
+          `INSERT INTO scores (username, trip_id, round, raw, net) VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (username, trip_id, round) DO UPDATE
+             SET raw = EXCLUDED.raw, net = EXCLUDED.net, updated_at = now()`,
+          [username, tripId, round, JSON.stringify(raw), JSON.stringify(net)]
+        );
+      });
+      return scores.get(username, tripId);
+    },
+  };
+
+  const lineups = {
+    get: async (tripId) => {
+      const trip = await trips.get(tripId);
+      return trip ? { teams: trip.teams, lineups: trip.lineups } : null;
+    },
+    // With an expected version the save fails on a stale trip; without one
+    // it reapplies the new teams and lineups on top of the latest trip
+    save: (tripId, { teams, lineups: roundLineups }, expected = null) =>
+      retryOnConflict(async () => {
+        const trip = await trips.get(tripId);
+        if (!trip) return null;
+        if (expected !== null) trip.version = expected;
+        trip.teams = teams;
+        trip.lineups = roundLineups;
+        await trips.save(trip);
+        return trip;
+      }, expected === null ? undefined : 1),
+  };
+
+  const series = {
+    list: async () =>
+      (await pool.query('SELECT data, version FROM series ORDER BY created_at, series_id')).rows
+        .map((r) => ({ ...r.data, version: r.version })),
+    get: async (seriesId) => {
+      const row = (await pool.query('SELECT data, version FROM series WHERE series_id = $1', [seriesId])).rows[0];
+      return row ? { ...row.data, version: row.version } : null;
+    },
+    save: async (doc) => {
+      const values = [doc.seriesId, doc.name, JSON.stringify(omit(doc, ['version']))];
+      await withTransaction(pool, async (client) => {
+        const result = versionOf(doc) === 0
+          ? await client.query(
+            `INSERT INTO series (series_id, name, data, version) VALUES ($1, $2, $3, 1)
+             ON CONFLICT (series_id) DO UPDATE SET name = EXCLUDED.name, data = EXCLUDED.data, version = 1, updated_at = now()
+             WHERE series.version = 0`,
+            values
+          )
+          : await client.query(
+            `UPDATE series SET name = $2, data = $3, version = version + 1, updated_at = now()
+             WHERE series_id = $1 AND version = $4`,
+            [...values, versionOf(doc)]
+          );
+        await assertSaved(client, result, 'Series', 'series', 'series_id', doc.seriesId, doc);
+      });
+      doc.version = versionOf(doc) + 1;
+      return doc;
+    },
+    remove: async (seriesId) => {
+      const { rowCount } = await pool.query('DELETE FROM series WHERE series_id = $1', [seriesId]);
+      return rowCount > 0;
+    },
+  };
+
+  const audit = {
+    append: async (entries) => {
+      if (!entries.length) return entries;
+      await withTransaction(pool, async (client) => {
+        for (const entry of entries) {
+          await client.query(
+            `INSERT INTO audit_log (audit_id, trip_id, kind, username, round, at, data)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [entry.auditId, entry.tripId, entry.kind, entry.username ?? null, entry.round ?? null, entry.at, JSON.stringify(entry)]
+          );
+        }
+      });
+      return entries;
+    },
+    list: async (tripId, { username, round, kind } = {}) => {
+      const params = [tripId];
+      const where = ['trip_id = $1'];
+      const filter = (column, value) => {
+        if (value === undefined) return;
+        params.push(value);
+        where.push(`${column} = $${params.length}`);
+      };
+      filter('username', username);
+      filter('round', round);
+      filter('kind', kind);
+      const { rows } = await pool.query(`SELECT data FROM audit_log WHERE ${where.join(' AND ')} ORDER BY seq`, params);
+      return rows.map((r) => r.data);
+    },
+  };
+
+  return {
+    backend: 'postgres',
+    trips,
+    users,
+    courses,
+    scores,
+    lineups,
+    series,
+    audit,
+    init: async () => {
+      if (autoMigrate) await runMigrations(pool, { onApplied: onMigrationApplied });
+    },
+    // A standby answers reads but refuses writes
+    status: async () => {
+      try {
+        const { rows } = await pool.query('SELECT pg_is_in_recovery() AS standby');
+        return { storage: rows[0].standby ? { ok: false, error: 'database is read-only (in recovery)' } : { ok: true } };
+      } catch (err) {
+        return { storage: { ok: false, error: err.message } };
+      }
+    },
+    close: () => pool.end(),
+  };
+};
+
+export { createPostgresStore };
@@ -0,0 +1,64 @@
+// Optimistic concurrency for trips, users and series. Every saved document
+// carries an integer `version`: a save must present the version it was read
+// at, the store bumps it, and a stale save throws VersionConflictError (HTTP 409).
+// Documents written before versioning existed count as version 0.
+
+class VersionConflictError extends Error {
+  constructor(kind, id, expected, actual) {
+    super(`${kind} ${id} was changed by another request (have version ${expected}, current is ${actual})`);
+    this.name = 'VersionConflictError';
+    this.status = 409;
+    this.kind = kind;
+    this.id = id;
+    this.version = actual;
+  }
+}
+
+const versionOf = (doc) => doc?.version || 0;
+
+const checkVersion = (kind, id, incoming, stored) => {
+  if (versionOf(incoming) !== versionOf(stored)) {
+    throw new VersionConflictError(kind, id, versionOf(incoming), versionOf(stored));
+  }
+};
+
+// Re-runs a whole read-modify-write when another request saved first. Only
+// for handlers that rebuild their changes from fresh reads on every attempt.
+const retryOnConflict = async (fn, attempts = 10) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (!(err instanceof VersionConflictError) || attempt >= attempts) throw err;
+    }
+  }
+};
+
+// ========== HTTP ==========
+const etagFor = (doc) => `"${versionOf(doc)}"`;
+
+// Version a client says it last saw, from If-Match ("3", W/"3") or a body
+// `version` field; null when the client didn't send a usable one
+const expectedVersion = (req) => {
+  const match = /^(?:W\/)?"?(\d+)"?$/.exec((req.get('If-Match') || '').trim());
+  if (match) return Number(match[1]);
+  return Number.isInteger(req.body?.version) ? req.body.version : null;
+};
+
+const sendConflict = (res, err) =>
+  res.status(409).json({ error: err.message, code: 'VERSION_CONFLICT', kind: err.kind, id: err.id, version: err.version });
+
+// Wraps a route handler whose saves should be retried on conflict. Safe as
+// long as the handler only responds after its saves succeed.
+const withRetry = (handler) => (req, res) => retryOnConflict(() => handler(req, res));
+
+export {
+  VersionConflictError,
+  versionOf,
+  checkVersion,
+  retryOnConflict,
+  etagFor,
+  expectedVersion,
+  sendConflict,
+  withRetry,
+};
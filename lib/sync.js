@@ -0,0 +1,151 @@
+// Offline score sync. Clients on the course queue hole scores while they have
+// no signal and send them in batches once they do. Each entry carries an id
+// the client made up and the time the score was entered:
+//   { id, username, round, hole, strokes, at, baseVersion? }
+//
+// Every entry gets one result:
+//   applied    the score was stored
+//   duplicate  an entry with this id was applied before (a retried batch)
+//   stale      the hole was written after `at`; the later write stands
+//   conflict   in 'report' mode, the hole changed since the entry's
+//              baseVersion; `current` holds the server's score to merge
+//   rejected   the entry can't be applied (permissions, round state, hole)
+//
+// Writes stamp the holes they change (see stampHoles in lib/scorecards.js)
+// with a version from a clock that only moves forward. A client pulls the
+// changes since the last version it saw; versions come from this process,
+// which is the only one writing scores. Net scores recomputed after a course,
+// format or allowance change aren't stamped, so a full pull picks those up.
+import { roundCourse } from './scoring.js';
+import { recordCard, stampHoles } from './scorecards.js';
+import { scoreEditError } from './lifecycle.js';
+import { tripRole } from './members.js';
+import { canScoreFor } from './auth.js';
+
+const SYNC_MODES = ['lastWriteWins', 'report'];
+
+// Client clocks can run ahead; entries from the future count as entered now
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+// Entry ids remembered per card for spotting retried batches
+const MAX_SYNC_IDS = 1000;
+
+// ========== VERSIONS ==========
+let lastVersion = 0;
+const inFlight = new Set();
+
+const nextVersion = () => {
+  lastVersion = Math.max(Date.now(), lastVersion + 1);
+  return lastVersion;
+};
+
+// Runs a write with a fresh version. Until it finishes, pulls don't hand out
+// a version past it, so a client can't skip changes that land late.
+const withVersion = async (write) => {
+  const version = nextVersion();
+  inFlight.add(version);
+  try {
+    return await write(version);
+  } finally {
+    inFlight.delete(version);
+  }
+};
+
+// The version a pull is complete up to; read it before reading the cards
+const syncCursor = () => (inFlight.size ? Math.min(...inFlight) - 1 : Math.max(lastVersion, Date.now()));
+
+// ========== BATCHES ==========
+const cardOf = (users, username, tripId) => users.find((u) => u.username === username)?.trips?.[tripId];
+
+// What the server holds for a hole, for conflict and stale results
+const currentHole = (entry, round, hole) => ({
+  strokes: entry?.raw_scores?.[round]?.[hole] ?? 0,
+  ...(entry?.hole_stamps?.[round]?.[hole] || { v: 0, at: null, by: null }),
+});
+
+const entryTime = (at, now) => new Date(Math.min(new Date(at).getTime(), now + MAX_CLOCK_SKEW)).toISOString();
+
+// Sorts a batch into per-card changes and results. Nothing is written.
+const planBatch = ({ trip, users, catalog, actor, entries, mode, version }) => {
+  const now = Date.now();
+  const role = tripRole(trip, actor);
+  const cards = new Map();
+  const seen = new Set();
+
+  const results = entries.map((item) => {
+    const { id, username, round, hole, strokes, baseVersion } = item;
+    const reject = (error) => ({ id, status: 'rejected', error });
+
+    if (round >= (trip.numRounds || 1)) return reject('Invalid round index');
+    if (!(trip.users || []).includes(username)) return reject(`${username} is not on this trip`);
+    if (!canScoreFor(trip, actor, username)) return reject('You can only submit your own scores');
+    const editError = scoreEditError(trip, round, role);
+    if (editError) return reject(editError);
+    const numHoles = roundCourse(trip, round, catalog).holes.length;
+    if (hole >= numHoles) return reject(`hole must be between 0 and ${numHoles - 1}`);
+
+    const entry = cardOf(users, username, trip.tripId);
+    if (seen.has(id) || (entry?.sync_ids || []).includes(id)) return { id, status: 'duplicate' };
+    seen.add(id);
+
+    const key = `${username}:${round}`;
+    if (!cards.has(key)) {
+      const raw = Array.from({ length: numHoles }, (_, i) => entry?.raw_scores?.[round]?.[i] || 0);
+      cards.set(key, { username, round, raw, stamps: {}, ids: [] });
+    }
+    const card = cards.get(key);
+    const at = entryTime(item.at, now);
+    const current = card.stamps[hole] ? { strokes: card.raw[hole], ...card.stamps[hole] } : currentHole(entry, round, hole);
+
+    // Changes from earlier in this batch are the client's own
+    if (mode === 'report' && baseVersion !== undefined && current.v > baseVersion && current.v !== version) {
+      return { id, status: 'conflict', current };
+    }
+    if (current.at && current.at > at) return { id, status: 'stale', current };
+
+    card.raw[hole] = strokes;
+    card.stamps[hole] = { v: version, at, by: actor, id };
+    card.ids.push(id);
+    return { id, status: 'applied' };
+  });
+
+  return { results, cards: [...cards.values()] };
+};
+
+// Applies a planned batch to the users (and their team-card partners).
+// Returns [{ member, round, before, after }] for every card that changed.
+const applyBatch = ({ trip, users, catalog, cards }) =>
+  cards.filter((card) => card.ids.length).flatMap(({ username, round, raw, stamps, ids }) => {
+    const { scoring, updates } = recordCard({ trip, round, username, raw, users, catalog });
+    return updates.map(({ member, before }) => {
+      const entry = member.trips[trip.tripId];
+      Object.entries(stamps).forEach(([hole, stamp]) => stampHoles(entry, round, [Number(hole)], stamp));
+      entry.sync_ids = [...(entry.sync_ids || []), ...ids].slice(-MAX_SYNC_IDS);
+      return { member, round, before, after: { raw, net: scoring.net } };
+    });
+  });
+
+// ========== PULLS ==========
+// Every hole stamped after `since`. From 0 that's every scored hole,
+// including ones saved before holes were stamped (v 0).
+const changesSince = ({ trip, users, since = 0 }) =>
+  (trip.users || []).flatMap((username) => {
+    const entry = cardOf(users, username, trip.tripId);
+    return (entry?.raw_scores || []).flatMap((raw, round) =>
+      (raw || []).map((strokes, hole) => {
+        const stamp = entry.hole_stamps?.[round]?.[hole] || { v: 0, at: null, by: null };
+        return { username, round, hole, raw: strokes, net: entry.net_scores?.[round]?.[hole] ?? 0, v: stamp.v, at: stamp.at, by: stamp.by };
+      })
+    );
+  })
+    .filter((change) => (since ? change.v > since : change.v > 0 || change.raw > 0))
+    .sort((a, b) => a.v - b.v);
+
+export {
+  SYNC_MODES,
+  withVersion,
+  nextVersion,
+  syncCursor,
+  planBatch,
+  applyBatch,
+  changesSince,
+};
@@ -0,0 +1,205 @@
+// Declarative request validation.
+//
+// A schema is { check(value, path, problems) } and returns the cleaned value,
+// pushing { path, code, message } onto `problems` for everything wrong with
+// it. Paths read like `teams[0].players[1].name`. Objects reject fields they
+// don't declare; built with { unknown: 'strip' } they drop them instead, and
+// with { unknown: 'allow' } they keep them.
+//
+// validate({ params, query, body }) turns schemas into route middleware and
+// checkParams(router, schemas) checks named route params wherever they appear.
+// Failures answer 400 with the error envelope from lib/errors.js:
+//   { error, code: 'VALIDATION_FAILED', fields: [{ in, path, code, message }] }
+import { sendValidationError } from './errors.js';
+
+const OPTIONAL = Symbol('optional');
+
+const describe = (value) => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+
+const joinPath = (path, key) =>
+  typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+
+const problem = (problems, path, code, message) => {
+  problems.push({ path, code, message });
+};
+
+const schema = (check) => ({ check });
+
+// ========== SCALARS ==========
+const string = ({ min = 0, max = Infinity, pattern, trim = false, patternMessage } = {}) => schema((value, path, problems) => {
+  if (typeof value !== 'string') return problem(problems, path, 'type', `must be a string, not ${describe(value)}`);
+  const text = trim ? value.trim() : value;
+  if (text.length < min) {
+    return problem(problems, path, min === 1 ? 'required' : 'too_short', min === 1 ? 'must not be empty' : `must be at least ${min} characters`);
+  }
+  if (text.length > max) return problem(problems, path, 'too_long', `must be at most ${max} characters`);
+  if (pattern && !pattern.test(text)) return problem(problems, path, 'pattern', patternMessage || `must match ${pattern}`);
+  return text;
+});
+
+const numberOf = (integer) => ({ min = -Infinity, max = Infinity } = {}) => schema((value, path, problems) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return problem(problems, path, 'type', `must be a number, not ${describe(value)}`);
+  }
+  if (integer && !Number.isInteger(value)) return problem(problems, path, 'type', 'must be a whole number');
+  if (value < min) return problem(problems, path, 'too_small', `must be at least ${min}`);
+  if (value > max) return problem(problems, path, 'too_large', `must be at most ${max}`);
+  return value;
+});
+
+const number = numberOf(false);
+const integer = numberOf(true);
+
+const boolean = () => schema((value, path, problems) => {
+  if (typeof value !== 'boolean') return problem(problems, path, 'type', `must be true or false, not ${describe(value)}`);
+  return value;
+});
+
+const oneOf = (values) => schema((value, path, problems) => {
+  if (!values.includes(value)) return problem(problems, path, 'enum', `must be one of: ${values.join(', ')}`);
+  return value;
+});
+
+// An ISO date or date-time string
+const date = () => schema((value, path, problems) => {
+  if (typeof value !== 'string' || Number.isNaN(new Date(value).getTime())) {
+    return problem(problems, path, 'type', 'must be a date');
+  }
+  return value;
+});
+
+// Query strings and route params are always strings; this reads a whole number from one
+const integerString = ({ min = 0, max = Infinity } = {}) => schema((value, path, problems) => {
+  if (typeof value !== 'string' || !/^\d+$/.test(value)) return problem(problems, path, 'type', 'must be a whole number');
+  const n = Number(value);
+  if (n < min) return problem(problems, path, 'too_small', `must be at least ${min}`);
+  if (n > max) return problem(problems, path, 'too_large', `must be at most ${max}`);
+  return value;
+});
+
+const any = () => schema((value) => value);
+
+// ========== COMBINATORS ==========
+// Marks an object field that may be left out (undefined)
+const optional = (inner) => ({ ...inner, [OPTIONAL]: true });
+
+const nullable = (inner) => schema((value, path, problems) => (value === null ? null : inner.check(value, path, problems)));
+
+// The first alternative that passes; otherwise the last one's problems
+const either = (...alternatives) => schema((value, path, problems) => {
+  let last = [];
+  for (const alternative of alternatives) {
+    const attempt = [];
+    const cleaned = alternative.check(value, path, attempt);
+    if (!attempt.length) return cleaned;
+    last = attempt;
+  }
+  problems.push(...last);
+  return undefined;
+});
+
+const array = (item, { min = 0, max = Infinity } = {}) => schema((value, path, problems) => {
+  if (!Array.isArray(value)) return problem(problems, path, 'type', `must be an array, not ${describe(value)}`);
+  if (value.length < min) return problem(problems, path, 'too_short', `must have at least ${min} entries`);
+  if (value.length > max) return problem(problems, path, 'too_long', `must have at most ${max} entries`);
+  return value.map((entry, i) => item.check(entry, joinPath(path, i), problems));
+});
+
+// `refine(value, path, problems)` runs once the fields themselves are valid,
+// for checks that span fields
+const object = (shape, { unknown = 'reject', refine } = {}) => schema((value, path, problems) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return problem(problems, path, 'type', `must be an object, not ${describe(value)}`);
+  }
+  const before = problems.length;
+  const cleaned = {};
+  Object.entries(shape).forEach(([key, field]) => {
+    if (value[key] === undefined) {
+      if (!field[OPTIONAL]) problem(problems, joinPath(path, key), 'required', 'is required');
+      return;
+    }
+    cleaned[key] = field.check(value[key], joinPath(path, key), problems);
+  });
+  Object.keys(value).filter((key) => !(key in shape)).forEach((key) => {
+    if (unknown === 'allow') cleaned[key] = value[key];
+    else if (unknown === 'reject') problem(problems, joinPath(path, key), 'unknown_field', 'is not an accepted field');
+  });
+  if (refine && problems.length === before) refine(cleaned, path, problems);
+  return cleaned;
+});
+
+// A map with free-form keys, like lineups keyed by round and group
+const record = (key, entry) => schema((value, path, problems) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return problem(problems, path, 'type', `must be an object, not ${describe(value)}`);
+  }
+  const cleaned = {};
+  Object.entries(value).forEach(([name, inner]) => {
+    const where = `${path}[${name}]`;
+    const keyProblems = [];
+    key.check(name, where, keyProblems);
+    if (keyProblems.length) {
+      problem(problems, where, 'invalid_key', `key ${keyProblems[0].message}`);
+      return;
+    }
+    cleaned[name] = entry.check(inner, where, problems);
+  });
+  return cleaned;
+});
+
+// ========== MIDDLEWARE ==========
+// Checks a value against a schema: { value, problems }
+const check = (target, value, location = '') => {
+  const problems = [];
+  const cleaned = target.check(value, location, problems);
+  return { value: cleaned, problems };
+};
+
+// Validates each part of the request it's given a schema for. The query and
+// body are replaced by their cleaned copies (req.query is a getter in
+// Express 5, hence defineProperty); params are only checked.
+const validate = (schemas) => (req, res, next) => {
+  const fields = [];
+  ['params', 'query', 'body'].forEach((part) => {
+    if (!schemas[part]) return;
+    const { value, problems } = check(schemas[part], req[part] ?? {});
+    problems.forEach((p) => fields.push({ in: part, ...p }));
+    if (part !== 'params' && !problems.length) {
+      Object.defineProperty(req, part, { value, writable: true, configurable: true, enumerable: true });
+    }
+  });
+  if (fields.length) return sendValidationError(res, fields);
+  next();
+};
+
+// Registers a check for every known route param on a router (or the app).
+// `schemas` maps param names to schemas.
+const checkParams = (router, schemas) => {
+  Object.entries(schemas).forEach(([name, target]) => {
+    router.param(name, (req, res, next, value) => {
+      const { problems } = check(target, value, name);
+      if (problems.length) return sendValidationError(res, problems.map((p) => ({ in: 'params', ...p })));
+      next();
+    });
+  });
+};
+
+export {
+  string,
+  number,
+  integer,
+  boolean,
+  oneOf,
+  date,
+  integerString,
+  any,
+  optional,
+  nullable,
+  either,
+  array,
+  object,
+  record,
+  check,
+  validate,
+  checkParams,
+};
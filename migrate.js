@@ -0,0 +1,16 @@
+// Applies pending Postgres migrations: `npm run migrate`
+import 'dotenv/config';
+import { createPool } from './db.js';
+import { runMigrations } from './lib/store/migrate.js';
+
+const pool = createPool();
+
+runMigrations(pool, { onApplied: (file) => console.log(`✅ Applied migration ${file}`) })
+  .then((applied) => {
+    console.log(applied.length ? `✅ ${applied.length} migration(s) applied` : '✅ Database is up to date');
+  })
+  .catch((err) => {
+    console.error('❌', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,75 @@
+-- Full data model: users, courses, trips with members and lineups, and
+-- per-user scorecards for every trip round.
+
+CREATE TABLE users (
+  username TEXT PRIMARY KEY,
+  password TEXT NOT NULL,
+  name TEXT NOT NULL,
+  handicap NUMERIC,
+  friends JSONB NOT NULL DEFAULT '[]',
+  data JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE courses (
+  course_id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  data JSONB NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX courses_name_idx ON courses (lower(name));
+
+-- courses, scoringMethods, teams and other trip settings live in data
+CREATE TABLE trips (
+  trip_id TEXT PRIMARY KEY,
+  trip_leader TEXT NOT NULL,
+  num_teams INTEGER,
+  players_per_team INTEGER,
+  num_rounds INTEGER NOT NULL DEFAULT 1,
+  data JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE trip_members (
+  trip_id TEXT NOT NULL REFERENCES trips(trip_id) ON DELETE CASCADE,
+  username TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  PRIMARY KEY (trip_id, username)
+);
+
+CREATE TABLE lineups (
+  trip_id TEXT NOT NULL REFERENCES trips(trip_id) ON DELETE CASCADE,
+  round INTEGER NOT NULL,
+  group_id TEXT NOT NULL,
+  players JSONB NOT NULL,
+  PRIMARY KEY (trip_id, round, group_id)
+);
+
+-- One row per user per trip they belong to (trip_id is not a foreign key so
+-- cards survive even if a trip document goes missing)
+CREATE TABLE user_trips (
+  username TEXT NOT NULL REFERENCES users(username) ON DELETE CASCADE ON UPDATE CASCADE,
+  trip_id TEXT NOT NULL,
+  num_rounds INTEGER NOT NULL DEFAULT 0,
+  has_points BOOLEAN NOT NULL DEFAULT false,
+  data JSONB NOT NULL DEFAULT '{}',
+  PRIMARY KEY (username, trip_id)
+);
+
+CREATE TABLE scores (
+  username TEXT NOT NULL,
+  trip_id TEXT NOT NULL,
+  round INTEGER NOT NULL,
+  raw JSONB NOT NULL DEFAULT '[]',
+  net JSONB NOT NULL DEFAULT '[]',
+  projected_points NUMERIC,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (username, trip_id, round),
+  FOREIGN KEY (username, trip_id) REFERENCES user_trips(username, trip_id)
+    ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+CREATE INDEX scores_trip_idx ON scores (trip_id, round);
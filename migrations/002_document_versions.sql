@@ -0,0 +1,5 @@
+-- Optimistic concurrency: every save of a user or trip must present the
+-- version it read, and bumps it.
+
+ALTER TABLE users ADD COLUMN version INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE trips ADD COLUMN version INTEGER NOT NULL DEFAULT 0;
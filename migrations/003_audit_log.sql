@@ -0,0 +1,25 @@
+-- Append-only audit trail of score, lineup, team and trip changes. Entries
+-- outlive their trip, so there is no foreign key to trips.
+
+CREATE TABLE audit_log (
+  seq BIGSERIAL PRIMARY KEY,
+  audit_id TEXT NOT NULL UNIQUE,
+  trip_id TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  username TEXT,
+  round INTEGER,
+  at TIMESTAMPTZ NOT NULL,
+  data JSONB NOT NULL
+);
+
+CREATE INDEX audit_log_trip_idx ON audit_log (trip_id, seq);
+
+CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_log_append_only
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
@@ -0,0 +1,11 @@
+-- Series group the yearly editions of the same event. Team identities and the
+-- list of editions (trip ids) live in data; results come from the trips.
+
+CREATE TABLE series (
+  series_id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  data JSONB NOT NULL DEFAULT '{}',
+  version INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
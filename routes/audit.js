@@ -0,0 +1,182 @@
+// routes/audit.js
+import express from 'express';
+import store from '../lib/store/index.js';
+import { roundCourse } from '../lib/scoring.js';
+import { recordCard } from '../lib/scorecards.js';
+import { recordFinalMatchPoints } from '../lib/leaderboard.js';
+import { lineupErrors } from '../lib/lineups.js';
+import {
+  REVERTIBLE_KINDS,
+  lineupFields,
+  fromLineupFields,
+  scoreEntries,
+  pointsEntries,
+  lineupEntries,
+  revertCard,
+  revertFields,
+} from '../lib/audit.js';
+import { isArchived, isFrozen, scoreEditError, roundsAre } from '../lib/lifecycle.js';
+import { tripRole } from '../lib/members.js';
+import { broadcastScoreUpdate, broadcastPointsUpdate, broadcastLineupUpdate } from '../lib/live.js';
+import { authenticate, requireTripLeader } from '../lib/auth.js';
+import { versionOf, withRetry } from '../lib/store/versions.js';
+import { withVersion } from '../lib/sync.js';
+import { validate, checkParams } from '../lib/validation.js';
+import * as schemas from '../lib/schemas.js';
+
+const router = express.Router();
+checkParams(router, schemas.PARAMS);
+
+const DEFAULT_LIMIT = 100;
+
+// ========== HISTORY ==========
+// Entries newest first. Filters come from the query or, for the player and
+// round routes, the path.
+const sendHistory = async (req, res) => {
+  const trip = await store.trips.get(req.params.tripId);
+  if (!trip) return res.status(404).json({ error: 'Trip not found' });
+  if (!tripRole(trip, req.auth.username)) return res.status(403).json({ error: 'Not a member of this trip' });
+
+  const username = req.params.username ?? req.query.username;
+  const round = req.params.round ?? req.query.round;
+  const filters = {
+    username,
+    round: round === undefined ? undefined : Number(round),
+    kind: req.query.kind,
+  };
+  const entries = (await store.audit.list(trip.tripId, filters)).reverse();
+  const limit = Number(req.query.limit || DEFAULT_LIMIT);
+  res.json({ tripId: trip.tripId, total: entries.length, entries: entries.slice(0, limit) });
+};
+
+// GET /trips/:tripId/history?username=&round=&kind=&limit= - Who changed what
+router.get('/trips/:tripId/history', authenticate, validate({ query: schemas.historyQuery }), sendHistory);
+
+// GET /trips/:tripId/players/:username/history - One player's cards and points
+router.get('/trips/:tripId/players/:username/history', authenticate, validate({ query: schemas.historyQuery }), sendHistory);
+
+// GET /trips/:tripId/rounds/:round/history - Everything filed under a round
+router.get('/trips/:tripId/rounds/:round/history', authenticate, validate({ query: schemas.historyQuery }), sendHistory);
+
+// ========== REVERTS ==========
+// Each returns the new entries, or answers with an error and returns null
+const fail = (res, status, body) => {
+  res.status(status).json(body);
+  return null;
+};
+
+const revertScore = async (req, res, { trip, entry, force }) => {
+  const { round, username } = entry;
+  const actor = req.auth.username;
+  if (round >= (trip.numRounds || 1)) return fail(res, 409, { error: `Round ${round} no longer exists` });
+  const editError = scoreEditError(trip, round, tripRole(trip, actor));
+  if (editError) return fail(res, 409, { error: editError });
+
+  const [users, catalog] = await Promise.all([store.users.list(), store.courses.catalog()]);
+  const member = users.find((u) => u.username === username);
+  if (!member) return fail(res, 404, { error: `${username} no longer has an account` });
+
+  const numHoles = roundCourse(trip, round, catalog).holes.length;
+  const current = member.trips?.[trip.tripId]?.raw_scores?.[round] || [];
+  const { raw, conflicts } = revertCard(entry, Array.from({ length: numHoles }, (_, hole) => current[hole] || 0));
+  if (conflicts.length && !force) {
+    return fail(res, 409, { error: 'Holes changed since this entry; send force: true to revert anyway', conflicts });
+  }
+
+  const { scoring, updates, entries } = await withVersion(async (v) => {
+    const stamp = { v, at: new Date().toISOString(), by: actor, id: null };
+    const card = recordCard({ trip, round, username, raw, users, catalog, stamp });
+    const finalized = recordFinalMatchPoints({ trip, round, users, catalog });
+
+    const changed = new Set([...card.updates.map((u) => u.member.username), ...finalized]);
+    await store.users.saveMany(users.filter((u) => changed.has(u.username)));
+    const logged = scoreEntries({ trip, round, actor, action: 'revert', updates: card.updates, revertOf: entry.auditId });
+    await store.audit.append(logged);
+    return { ...card, entries: logged };
+  });
+  updates.forEach(({ member: m, before }) => {
+    broadcastScoreUpdate({ tripId: trip.tripId, username: m.username, round, before, after: { raw, net: scoring.net } });
+  });
+  return entries;
+};
+
+const revertPoints = async (req, res, { trip, entry, force }) => {
+  const { round, username } = entry;
+  const editError = scoreEditError(trip, round, tripRole(trip, req.auth.username));
+  if (editError) return fail(res, 409, { error: editError });
+
+  const user = await store.users.get(username);
+  const card = user?.trips?.[trip.tripId];
+  if (!card) return fail(res, 404, { error: `${username} no longer has a card on this trip` });
+
+  const current = card.projected_points?.[round] ?? null;
+  const { values, conflicts } = revertFields(entry, { projectedPoints: current });
+  if (conflicts.length && !force) {
+    return fail(res, 409, { error: 'Points changed since this entry; send force: true to revert anyway', conflicts });
+  }
+
+  if (!Array.isArray(card.projected_points)) card.projected_points = [];
+  card.projected_points[round] = values.projectedPoints;
+  await store.users.save(user);
+
+  const entries = pointsEntries({
+    trip, round, username, actor: req.auth.username, action: 'revert', before: current, after: values.projectedPoints, revertOf: entry.auditId,
+  });
+  await store.audit.append(entries);
+  broadcastPointsUpdate({ tripId: trip.tripId, username, round, projectedPoints: values.projectedPoints });
+  return entries;
+};
+
+const revertLineup = async (req, res, { trip, entry, force }) => {
+  const { values, conflicts } = revertFields(entry, lineupFields(trip));
+  if (conflicts.length && !force) {
+    return fail(res, 409, { error: 'Lineups changed since this entry; send force: true to revert anyway', conflicts });
+  }
+
+  const fields = entry.changes.map((c) => c.field);
+  if (fields.includes('teams') && Object.keys(trip.roundStatus || {}).length) {
+    return fail(res, 409, { error: 'Teams are fixed once a round is final or locked' });
+  }
+  const frozen = fields.filter((f) => f !== 'teams').map((f) => Number(f.split('.')[1])).filter((round) => isFrozen(trip, round));
+  if (frozen.length) return fail(res, 409, { error: `${roundsAre(frozen)} final or locked` });
+
+  const { teams, lineups } = fromLineupFields(values);
+  const errors = lineupErrors({ scoringMethods: trip.scoringMethods, teams, lineups });
+  if (errors.length) return fail(res, 400, { error: `The old lineup no longer fits: ${errors[0]}`, errors });
+
+  // Against the version the conflicts were checked on
+  await store.lineups.save(trip.tripId, { teams, lineups }, versionOf(trip));
+  const entries = lineupEntries({
+    trip, actor: req.auth.username, action: 'revert', before: trip, after: { teams, lineups }, revertOf: entry.auditId,
+  });
+  await store.audit.append(entries);
+  broadcastLineupUpdate({ tripId: trip.tripId, teams, lineups });
+  return entries;
+};
+
+const REVERTS = { score: revertScore, points: revertPoints, lineup: revertLineup };
+
+// POST /trips/:tripId/history/:auditId/revert
+// Body: { force? } - Puts back what an entry changed, as a new entry. Values
+// changed again since the entry are reported as conflicts (409); force
+// reverts them anyway. Trip setting changes are undone through the route
+// that made them.
+router.post('/trips/:tripId/history/:auditId/revert', authenticate, requireTripLeader, validate({ body: schemas.revert }), withRetry(async (req, res) => {
+  const trip = await store.trips.get(req.params.tripId);
+  if (isArchived(trip)) return res.status(409).json({ error: 'This trip is archived' });
+
+  const log = await store.audit.list(trip.tripId);
+  const entry = log.find((e) => e.auditId === req.params.auditId);
+  if (!entry) return res.status(404).json({ error: 'History entry not found' });
+  if (!REVERTIBLE_KINDS.includes(entry.kind)) {
+    return res.status(400).json({ error: 'Trip changes can\'t be reverted here; change the values back through the route that set them' });
+  }
+  const revertedBy = log.find((e) => e.revertOf === entry.auditId);
+  if (revertedBy) return res.status(409).json({ error: 'This change was already reverted', revertedBy: revertedBy.auditId });
+
+  const entries = await REVERTS[entry.kind](req, res, { trip, entry, force: !!req.body.force });
+  if (!entries) return;
+  res.json({ message: 'Change reverted', revertOf: entry.auditId, entries });
+}));
+
+export default router;
@@ -0,0 +1,123 @@
+// routes/courses.js
+import express from 'express';
+import store from '../lib/store/index.js';
+import { generateId } from '../lib/ids.js';
+import { validateCourse, findCourseByName, resolveCourseRef } from '../lib/courses.js';
+import { hasScores } from '../lib/lifecycle.js';
+import { roundCourse } from '../lib/scoring.js';
+import { authenticate, isAdmin } from '../lib/auth.js';
+import { validate, checkParams } from '../lib/validation.js';
+import * as schemas from '../lib/schemas.js';
+
+const router = express.Router();
+checkParams(router, schemas.PARAMS);
+
+const EDITABLE_FIELDS = ['name', 'location', 'holes', 'tees', 'defaultTee'];
+
+const pickCourseFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  return fields;
+};
+
+// What a round is scored off: hole pars and stroke indexes, slope, rating
+// and par of the tee it plays
+const scoringData = (course) => JSON.stringify([course.holes, course.slope, course.rating, course.par]);
+
+// Rounds with scores that would score differently after the edit: changed
+// holes or tee ratings, a new default tee for rounds that don't pick one, or
+// a rename that rounds referencing the course by name would no longer find
+const affectedRounds = (existing, course, trips, users, catalog) => {
+  const updated = { courses: { ...catalog.courses, [course.courseId]: course } };
+  return trips.flatMap((trip) => Array.from({ length: trip.numRounds || 1 }, (_, round) => round)
+    .filter((round) => resolveCourseRef(trip.courses?.[round], catalog)?.courseId === existing.courseId)
+    .filter((round) => scoringData(roundCourse(trip, round, catalog)) !== scoringData(roundCourse(trip, round, updated)))
+    .filter((round) => hasScores(trip, round, users))
+    .map((round) => ({ tripId: trip.tripId, round })));
+};
+
+// GET /courses - List catalog courses, optionally filtered with ?search=
+router.get('/courses', validate({ query: schemas.courseSearch }), async (req, res) => {
+  const search = typeof req.query.search === 'string' ? req.query.search.toLowerCase() : '';
+
+  const courses = (await store.courses.list())
+    .filter((c) => !search || c.name.toLowerCase().includes(search))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  res.json(courses);
+});
+
+// GET /courses/:courseId - Fetch a single course
+router.get('/courses/:courseId', async (req, res) => {
+  const course = await store.courses.get(req.params.courseId);
+  if (!course) return res.status(404).json({ error: 'Course not found' });
+  res.json(course);
+});
+
+// POST /courses - Add a course to the catalog
+router.post('/courses', authenticate, validate({ body: schemas.newCourse }), async (req, res) => {
+  try {
+    const catalog = await store.courses.catalog();
+    const course = { ...pickCourseFields(req.body), courseId: generateId('COURSE'), createdBy: req.auth.username };
+
+    const error = validateCourse(course);
+    if (error) return res.status(400).json({ error });
+
+    if (findCourseByName(catalog, course.name)) {
+      return res.status(409).json({ error: 'A course with that name already exists' });
+    }
+
+    course.numHoles = course.holes.length;
+    await store.courses.save(course);
+
+    res.status(201).json({ message: 'Course created', course });
+  } catch (err) {
+    req.log.error('course create failed', { err });
+    res.status(500).json({ error: 'Failed to create course', details: err.message });
+  }
+});
+
+// PUT /courses/:courseId - Update any of name, location, holes, tees, defaultTee
+// Only the course's creator or an admin (ADMIN_USERS) can edit it, and
+// edits that would rescore rounds already played on it are refused
+router.put('/courses/:courseId', authenticate, validate({ body: schemas.courseUpdate }), async (req, res) => {
+  try {
+    const catalog = await store.courses.catalog();
+    const existing = catalog.courses[req.params.courseId];
+    if (!existing) return res.status(404).json({ error: 'Course not found' });
+    if (existing.createdBy !== req.auth.username && !isAdmin(req.auth.username)) {
+      return res.status(403).json({ error: 'Only the course creator or an admin can edit this course' });
+    }
+
+    const course = { ...existing, ...pickCourseFields(req.body) };
+
+    const error = validateCourse(course);
+    if (error) return res.status(400).json({ error });
+
+    const sameName = findCourseByName(catalog, course.name);
+    if (sameName && sameName.courseId !== course.courseId) {
+      return res.status(409).json({ error: 'A course with that name already exists' });
+    }
+
+    const [trips, users] = await Promise.all([store.trips.list(), store.users.list()]);
+    const scored = affectedRounds(existing, course, trips, users, catalog);
+    if (scored.length) {
+      return res.status(409).json({
+        error: 'Holes, tees and the name trips use cannot change once a trip has scores on this course',
+        rounds: scored,
+      });
+    }
+
+    course.numHoles = course.holes.length;
+    await store.courses.save(course);
+
+    res.json({ message: 'Course updated', course });
+  } catch (err) {
+    req.log.error('course update failed', { courseId: req.params.courseId, err });
+    res.status(500).json({ error: 'Failed to update course', details: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,166 @@
+// routes/friends.js
+import express from 'express';
+import store from '../lib/store/index.js';
+import { authenticate, requireSelf, requireTripManager } from '../lib/auth.js';
+import {
+  areFriends,
+  hasIncoming,
+  hasOutgoing,
+  sendFriendRequest,
+  acceptFriendRequest,
+  dropFriendRequest,
+  removeFriend,
+  friendSummary,
+  searchUsers,
+  placeOnTeam,
+} from '../lib/friends.js';
+import { tripEntries } from '../lib/audit.js';
+import { tripRole, addMember, memberList } from '../lib/members.js';
+import { broadcastFriendRequest, broadcastLineupUpdate, broadcastMembersUpdate } from '../lib/live.js';
+import { withRetry } from '../lib/store/versions.js';
+import { validate, checkParams } from '../lib/validation.js';
+import * as schemas from '../lib/schemas.js';
+
+const router = express.Router();
+checkParams(router, schemas.PARAMS);
+
+// Loads the signed-in user and the other user named in the route or body
+const loadPair = async (res, username, otherName) => {
+  const [user, other] = await Promise.all([store.users.get(username), store.users.get(otherName)]);
+  if (!user || !other) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  return [user, other];
+};
+
+// GET /users/search?q=&limit= - Find users by username or name
+router.get('/users/search', authenticate, validate({ query: schemas.userSearch }), async (req, res) => {
+  const viewer = await store.users.get(req.auth.username);
+  if (!viewer) return res.status(404).json({ error: 'User not found' });
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+  res.json(searchUsers(await store.users.list(), req.query.q, viewer, limit));
+});
+
+// GET /users/:username/friends - Friends with handicaps and recent trips,
+// plus pending requests both ways
+router.get('/users/:username/friends', authenticate, requireSelf(), async (req, res) => {
+  const [users, trips] = await Promise.all([store.users.list(), store.trips.list()]);
+  const user = users.find((u) => u.username === req.params.username);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+
+  res.json({
+    friends: (user.friends || [])
+      .map((name) => users.find((u) => u.username === name))
+      .filter(Boolean)
+      .map((friend) => friendSummary(friend, trips)),
+    incoming: user.friendRequests?.incoming || [],
+    outgoing: user.friendRequests?.outgoing || [],
+  });
+});
+
+// POST /users/:username/friends/requests
+// Body: { to } - Sends a request, or accepts theirs if they already asked
+router.post('/users/:username/friends/requests', authenticate, requireSelf(), validate({ body: schemas.friendRequest }), withRetry(async (req, res) => {
+  const { to } = req.body;
+  if (to === req.params.username) return res.status(400).json({ error: 'to must be another username' });
+
+  const pair = await loadPair(res, req.params.username, to);
+  if (!pair) return;
+  const [user, other] = pair;
+  if (areFriends(user, to)) return res.status(409).json({ error: `Already friends with ${to}` });
+  if (hasOutgoing(user, to)) return res.status(409).json({ error: `Request to ${to} already pending` });
+
+  const request = sendFriendRequest(user, other);
+  await store.users.saveMany([user, other]);
+
+  if (!request) return res.json({ message: `You are now friends with ${to}` });
+  broadcastFriendRequest(request);
+  res.status(201).json({ message: 'Friend request sent', request });
+}));
+
+const answerRequest = (accept) => withRetry(async (req, res) => {
+  const pair = await loadPair(res, req.params.username, req.params.from);
+  if (!pair) return;
+  const [user, from] = pair;
+  if (!hasIncoming(user, from.username)) return res.status(404).json({ error: 'No pending request from that user' });
+
+  if (accept) acceptFriendRequest(user, from);
+  else dropFriendRequest(user, from);
+  await store.users.saveMany([user, from]);
+  res.json({ message: accept ? `You are now friends with ${from.username}` : 'Friend request declined' });
+});
+
+router.post('/users/:username/friends/requests/:from/accept', authenticate, requireSelf(), validate({ body: schemas.empty }), answerRequest(true));
+router.post('/users/:username/friends/requests/:from/decline', authenticate, requireSelf(), validate({ body: schemas.empty }), answerRequest(false));
+
+// DELETE /users/:username/friends/requests/:to - Cancel a sent request
+router.delete('/users/:username/friends/requests/:to', authenticate, requireSelf(), withRetry(async (req, res) => {
+  const pair = await loadPair(res, req.params.username, req.params.to);
+  if (!pair) return;
+  const [user, other] = pair;
+  if (!hasOutgoing(user, other.username)) return res.status(404).json({ error: 'No pending request to that user' });
+
+  dropFriendRequest(user, other);
+  await store.users.saveMany([user, other]);
+  res.json({ message: 'Friend request cancelled' });
+}));
+
+router.delete('/users/:username/friends/:friend', authenticate, requireSelf(), withRetry(async (req, res) => {
+  const pair = await loadPair(res, req.params.username, req.params.friend);
+  if (!pair) return;
+  const [user, friend] = pair;
+  if (!areFriends(user, friend.username)) return res.status(404).json({ error: 'Not friends with that user' });
+
+  removeFriend(user, friend);
+  await store.users.saveMany([user, friend]);
+  res.json({ message: 'Friend removed' });
+}));
+
+// ========== QUICK ADD ==========
+// POST /trips/:tripId/quick-add
+// Body: { usernames: [...], team? } - Adds the caller's friends to the trip as
+// players and drops each into an open team slot (of `team`, a team index,
+// when given)
+router.post('/trips/:tripId/quick-add', authenticate, requireTripManager, validate({ body: schemas.quickAdd }), withRetry(async (req, res) => {
+  const { usernames, team } = req.body;
+
+  const [trip, users] = await Promise.all([store.trips.get(req.params.tripId), store.users.list()]);
+  if (team !== undefined && !trip.teams?.[team]) return res.status(400).json({ error: `No team at index ${team}` });
+
+  const actor = users.find((u) => u.username === req.auth.username);
+  const notFriends = usernames.filter((name) => !areFriends(actor, name));
+  if (notFriends.length) {
+    return res.status(400).json({ error: `Not on your friends list: ${notFriends.join(', ')}` });
+  }
+
+  const before = structuredClone(trip);
+  const added = [];
+  const placed = {};
+  const unplaced = [];
+  const changed = [];
+  [...new Set(usernames)].forEach((name) => {
+    const friend = users.find((u) => u.username === name);
+    if (!friend) return;
+    if (!tripRole(trip, name)) {
+      addMember(trip, friend, 'player');
+      added.push(name);
+      changed.push(friend);
+    }
+    const teamName = placeOnTeam(trip, name, team);
+    if (teamName) placed[name] = teamName;
+    else unplaced.push(name);
+  });
+
+  // Users first, as with every membership change
+  if (changed.length) await store.users.saveMany(changed);
+  await store.trips.save(trip);
+  await store.audit.append(tripEntries({ before, after: trip, actor: req.auth.username, action: 'quick-add' }));
+
+  broadcastMembersUpdate({ tripId: trip.tripId, members: memberList(trip, users) });
+  broadcastLineupUpdate({ tripId: trip.tripId, teams: trip.teams, lineups: trip.lineups });
+  res.json({ message: 'Friends added', added, placed, unplaced });
+}));
+
+export default router;
@@ -0,0 +1,148 @@
+// routes/handicaps.js
+import express from 'express';
+import store from '../lib/store/index.js';
+import { generateId } from '../lib/ids.js';
+import { flattenCourse } from '../lib/courses.js';
+import { resolveCourse, tripHandicapIndex } from '../lib/scoring.js';
+import {
+  postableCourse,
+  buildRound,
+  postRound,
+  removeRound,
+  handicapSummary,
+  lockTripHandicaps,
+} from '../lib/handicap.js';
+import { tripEntries } from '../lib/audit.js';
+import { tripRole } from '../lib/members.js';
+import { authenticate, requireSelf, requireTripManager } from '../lib/auth.js';
+import { withRetry } from '../lib/store/versions.js';
+import { sendValidationError } from '../lib/errors.js';
+import { validate, checkParams } from '../lib/validation.js';
+import * as schemas from '../lib/schemas.js';
+
+const router = express.Router();
+checkParams(router, schemas.PARAMS);
+
+// Catalog course ({ courseId, tee }) or an ad-hoc { name, rating, slope, par }
+const postedCourse = async ({ courseId, tee, course }) => {
+  if (courseId) {
+    const found = await store.courses.get(courseId);
+    return found ? resolveCourse(flattenCourse(found, tee)) : null;
+  }
+  if (!course || typeof course !== 'object' || !course.name) return null;
+  return resolveCourse({ name: course.name, tee: course.tee, rating: course.rating, slope: course.slope, par: course.par });
+};
+
+// GET /users/:username/handicap - Current index, last 20 rounds (flagging the
+// ones that count) and the index history
+router.get('/users/:username/handicap', authenticate, async (req, res) => {
+  const user = await store.users.get(req.params.username);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+  res.json(handicapSummary(user));
+});
+
+// POST /users/:username/rounds - Post a round played outside a trip
+// Body: { courseId, tee } or { course: { name, rating, slope, par } },
+//       scores (18 hole scores) or gross, playedAt (default now)
+router.post('/users/:username/rounds', authenticate, requireSelf(), validate({ body: schemas.postedRound }), withRetry(async (req, res) => {
+  const { scores, gross, playedAt = new Date().toISOString() } = req.body;
+
+  const course = await postedCourse(req.body);
+  if (!course) return res.status(404).json({ error: 'Course not found' });
+  const courseError = postableCourse(course);
+  if (courseError) return res.status(400).json({ error: courseError });
+
+  if (scores !== undefined && scores.length !== course.holes.length) {
+    return sendValidationError(res, [{
+      in: 'body',
+      path: 'scores',
+      code: 'length',
+      message: `must have one score for each of the course's ${course.holes.length} holes`,
+    }]);
+  }
+
+  const played = new Date(playedAt);
+  if (played > new Date()) {
+    return sendValidationError(res, [{ in: 'body', path: 'playedAt', code: 'too_large', message: 'must not be in the future' }]);
+  }
+
+  const user = await store.users.get(req.params.username);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+
+  const round = buildRound({
+    roundId: generateId('ROUND'),
+    source: 'manual',
+    course,
+    raw: scores,
+    gross,
+    handicapIndex: user.handicap,
+    playedAt: played.toISOString(),
+  });
+  const handicap = postRound(user, round);
+  await store.users.save(user);
+  res.status(201).json({ message: 'Round posted', round, handicap });
+}));
+
+// DELETE /users/:username/rounds/:roundId - Withdraw a manually posted round
+router.delete('/users/:username/rounds/:roundId', authenticate, requireSelf(), withRetry(async (req, res) => {
+  const user = await store.users.get(req.params.username);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+
+  const round = (user.handicapRounds || []).find((r) => r.roundId === req.params.roundId);
+  if (!round) return res.status(404).json({ error: 'Round not found' });
+  if (round.source === 'trip') {
+    return res.status(400).json({ error: 'Trip rounds follow the trip scorecard; edit the scores instead' });
+  }
+
+  removeRound(user, round.roundId);
+  await store.users.save(user);
+  res.json({ message: 'Round removed', handicap: user.handicap ?? null });
+}));
+
+// ========== TRIP SNAPSHOTS ==========
+// GET /trips/:tripId/handicaps - Each member's current and locked index
+router.get('/trips/:tripId/handicaps', authenticate, async (req, res) => {
+  const trip = await store.trips.get(req.params.tripId);
+  if (!trip) return res.status(404).json({ error: 'Trip not found' });
+  if (!tripRole(trip, req.auth.username)) return res.status(403).json({ error: 'Not a member of this trip' });
+
+  const users = await store.users.list();
+  res.json({
+    locked: !!trip.handicapSnapshot,
+    lockedAt: trip.handicapSnapshot?.lockedAt ?? null,
+    lockHandicaps: !!trip.lockHandicaps,
+    players: (trip.users || []).map((username) => {
+      const user = users.find((u) => u.username === username);
+      return {
+        username,
+        current: user?.handicap ?? null,
+        playingOff: tripHandicapIndex(trip, user) ?? null,
+      };
+    }),
+  });
+});
+
+// POST /trips/:tripId/handicaps/lock - Lock (or re-lock) every member's
+// current index for the rest of the trip. Scores already saved keep their
+// net values until they are resubmitted.
+router.post('/trips/:tripId/handicaps/lock', authenticate, requireTripManager, validate({ body: schemas.empty }), withRetry(async (req, res) => {
+  const [trip, users] = await Promise.all([store.trips.get(req.params.tripId), store.users.list()]);
+  const before = structuredClone(trip);
+  const snapshot = lockTripHandicaps(trip, users);
+  await store.trips.save(trip);
+  await store.audit.append(tripEntries({ before, after: trip, actor: req.auth.username, action: 'lock-handicaps' }));
+  res.json({ message: 'Handicaps locked', ...snapshot });
+}));
+
+router.delete('/trips/:tripId/handicaps/lock', authenticate, requireTripManager, withRetry(async (req, res) => {
+  const trip = await store.trips.get(req.params.tripId);
+  if (!trip.handicapSnapshot) return res.status(404).json({ error: 'Handicaps are not locked' });
+
+  const before = structuredClone(trip);
+  delete trip.handicapSnapshot;
+  await store.trips.save(trip);
+  await store.audit.append(tripEntries({ before, after: trip, actor: req.auth.username, action: 'unlock-handicaps' }));
+  res.json({ message: 'Handicaps unlocked' });
+}));
+
+export default router;
@@ -0,0 +1,55 @@
+// routes/health.js
+import crypto from 'crypto';
+import express from 'express';
+import store from '../lib/store/index.js';
+import backups from '../lib/backup/index.js';
+import metrics from '../lib/metrics.js';
+import { bearerToken } from '../lib/auth.js';
+
+const router = express.Router();
+
+// Mounted ahead of the rate limits and the start-up gate in index.js, which
+// sets app.locals.started once store.init() (and any backup restore) is done
+
+// GET /healthz
+// Liveness: the process is up and answering
+router.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// GET /readyz
+// Readiness: 503 until start-up has finished and every storage check passes
+// (see store.status()), so a load balancer holds traffic until then
+router.get('/readyz', async (req, res) => {
+  const checks = { started: { ok: Boolean(req.app.locals.started) }, ...(await store.status()) };
+  const ready = Object.values(checks).every((c) => c.ok);
+  res.set('Cache-Control', 'no-store');
+  if (!ready) {
+    return res.status(503).json({ error: 'Not ready', status: 'unavailable', backend: store.backend, checks });
+  }
+  res.json({ status: 'ready', backend: store.backend, checks });
+});
+
+// METRICS_TOKEN, when set, has to come as a bearer token
+const canReadMetrics = (req) => {
+  if (!process.env.METRICS_TOKEN) return true;
+  const expected = Buffer.from(process.env.METRICS_TOKEN);
+  const given = Buffer.from(bearerToken(req) || '');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// GET /metrics
+// Request counts and latencies per route, rate limit, lockout and score sync
+// counters (lib/metrics.js) and, on the JSON backend, backup health
+router.get('/metrics', (req, res) => {
+  if (!canReadMetrics(req)) return res.status(401).json({ error: 'Metrics token required' });
+  const { failures, lastError, lastSnapshotAt, lastSnapshot } = backups.status;
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    ...metrics.snapshot(),
+    backend: store.backend,
+    ...(store.backend === 'json' && { backups: { failures, lastError, lastSnapshotAt, lastSnapshot } }),
+  });
+});
+
+export default router;
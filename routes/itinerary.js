@@ -0,0 +1,121 @@
+// routes/itinerary.js
+import express from 'express';
+import store from '../lib/store/index.js';
+import { teeTimeErrors, roundItinerary, tripItinerary, tripCalendar, playerCalendar } from '../lib/itinerary.js';
+import { tripEntries } from '../lib/audit.js';
+import { isArchived } from '../lib/lifecycle.js';
+import { broadcastTripUpdate } from '../lib/live.js';
+import { authenticate, requireTripManager } from '../lib/auth.js';
+import {
+  VersionConflictError,
+  versionOf,
+  etagFor,
+  expectedVersion,
+  sendConflict,
+  withRetry,
+} from '../lib/store/versions.js';
+import { validate, checkParams } from '../lib/validation.js';
+import * as schemas from '../lib/schemas.js';
+
+const router = express.Router();
+checkParams(router, schemas.PARAMS);
+
+// Loads the trip for a change: not archived and at the version the client
+// read. Answers and returns null otherwise.
+const loadTrip = async (req, res) => {
+  const trip = await store.trips.get(req.params.tripId);
+  if (isArchived(trip)) {
+    res.status(409).json({ error: 'This trip is archived' });
+    return null;
+  }
+  const expected = expectedVersion(req);
+  if (expected !== null && expected !== versionOf(trip)) {
+    sendConflict(res, new VersionConflictError('Trip', trip.tripId, expected, versionOf(trip)));
+    return null;
+  }
+  return trip;
+};
+
+const saveTrip = async (req, res, { before, trip, action, round = null }) => {
+  await store.trips.save(trip);
+  await store.audit.append(tripEntries({ before, after: trip, actor: req.auth.username, action, round }));
+  broadcastTripUpdate({ tripId: trip.tripId, trip });
+  res.set('ETag', etagFor(trip));
+};
+
+// ========== ITINERARY ==========
+// GET /trips/:tripId/itinerary - Every round's date, course and tee times,
+// and the round score entry should default to
+router.get('/trips/:tripId/itinerary', async (req, res) => {
+  const trip = await store.trips.get(req.params.tripId);
+  if (!trip) return res.status(404).json({ error: 'Trip not found' });
+  const [users, catalog] = await Promise.all([store.users.list(), store.courses.catalog()]);
+  res.json(tripItinerary({ trip, users, catalog }));
+});
+
+// PATCH /trips/:tripId/itinerary
+// Body: { timeZone } - The IANA zone round dates and times are local to;
+// null makes them floating
+router.patch('/trips/:tripId/itinerary', authenticate, requireTripManager, validate({ body: schemas.itineraryUpdate }), withRetry(async (req, res) => {
+  const trip = await loadTrip(req, res);
+  if (!trip) return;
+
+  const before = structuredClone(trip);
+  if (req.body.timeZone) trip.timeZone = req.body.timeZone;
+  else delete trip.timeZone;
+  await saveTrip(req, res, { before, trip, action: 'itinerary' });
+
+  const [users, catalog] = await Promise.all([store.users.list(), store.courses.catalog()]);
+  res.json({ message: 'Itinerary updated', ...tripItinerary({ trip, users, catalog }) });
+}));
+
+// PUT /trips/:tripId/rounds/:round/schedule
+// Body: { date?, startTime?, interval?, teeTimes?: [{ time, players }] } -
+// Replaces the round's schedule. Without teeTimes the groups come from the
+// round's lineup (see lib/itinerary.js).
+router.put('/trips/:tripId/rounds/:round/schedule', authenticate, requireTripManager, validate({ body: schemas.roundSchedule }), withRetry(async (req, res) => {
+  const trip = await loadTrip(req, res);
+  if (!trip) return;
+  const round = Number(req.params.round);
+  if (round >= (trip.numRounds || 1)) return res.status(400).json({ error: 'Invalid round index' });
+
+  // `version` is read by expectedVersion, not part of the schedule
+  const { version, ...fields } = req.body;
+  const entry = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null));
+  const errors = teeTimeErrors(trip, entry.teeTimes || []);
+  if (errors.length) return res.status(400).json({ error: errors[0], errors });
+
+  const before = structuredClone(trip);
+  trip.schedule = { ...trip.schedule };
+  if (Object.keys(entry).length) trip.schedule[round] = entry;
+  else delete trip.schedule[round];
+  await saveTrip(req, res, { before, trip, action: 'schedule', round });
+
+  const catalog = await store.courses.catalog();
+  res.json({ message: 'Schedule updated', ...roundItinerary(trip, round, catalog) });
+}));
+
+// ========== CALENDARS ==========
+// Calendar apps subscribe without a token, so the feeds are as public as
+// GET /trips/:tripId
+
+// GET /trips/:tripId/calendar.ics - Every dated round with its tee sheet
+router.get('/trips/:tripId/calendar.ics', async (req, res) => {
+  const trip = await store.trips.get(req.params.tripId);
+  if (!trip) return res.status(404).json({ error: 'Trip not found' });
+  const catalog = await store.courses.catalog();
+  res.type('text/calendar; charset=utf-8').send(tripCalendar({ trip, catalog }));
+});
+
+// GET /users/:username/calendar.ics - The player's tee times on every trip
+router.get('/users/:username/calendar.ics', async (req, res) => {
+  const { username } = req.params;
+  const user = await store.users.get(username);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+
+  const [allTrips, catalog] = await Promise.all([store.trips.list(), store.courses.catalog()]);
+  const trips = allTrips.filter((t) => (t.users || []).includes(username));
+  res.type('text/calendar; charset=utf-8').send(playerCalendar({ trips, username, catalog }));
+});
+
+export default router;
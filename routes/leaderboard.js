@@ -0,0 +1,21 @@
+// routes/leaderboard.js
+import express from 'express';
+import store from '../lib/store/index.js';
+import { buildLeaderboard } from '../lib/leaderboard.js';
+import { checkParams } from '../lib/validation.js';
+import * as schemas from '../lib/schemas.js';
+
+const router = express.Router();
+checkParams(router, schemas.PARAMS);
+
+// GET /trips/:tripId/leaderboard - Team standings across every round
+router.get('/trips/:tripId/leaderboard', async (req, res) => {
+  const trip = await store.trips.get(req.params.tripId);
+  if (!trip) return res.status(404).json({ error: 'Trip not found' });
+
+  const [users, catalog] = await Promise.all([store.users.list(), store.courses.catalog()]);
+
+  res.json(buildLeaderboard({ trip, users, catalog }));
+});
+
+export default router;
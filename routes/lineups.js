@@ -0,0 +1,82 @@
+// routes/lineups.js
+import express from 'express';
+import store from '../lib/store/index.js';
+import { generateLineups, draftTeams, lineupErrors, randomSeed } from '../lib/lineups.js';
+import { lineupEntries } from '../lib/audit.js';
+import { isArchived, frozenLineupRounds, roundsAre } from '../lib/lifecycle.js';
+import { broadcastLineupUpdate } from '../lib/live.js';
+import { authenticate, requireTripManager } from '../lib/auth.js';
+import { expectedVersion } from '../lib/store/versions.js';
+import { sendValidationError } from '../lib/errors.js';
+import { validate, checkParams } from '../lib/validation.js';
+import * as schemas from '../lib/schemas.js';
+
+const router = express.Router();
+checkParams(router, schemas.PARAMS);
+
+// Without a seed the result is stable for the trip; `randomize` picks a fresh
+// seed, which is returned so a proposal can be reproduced
+const seedFor = (trip, { seed, randomize }) =>
+  seed !== undefined ? String(seed) : randomize ? randomSeed() : trip.tripId;
+
+const saveLineup = async (req, trip, { teams, lineups }, action) => {
+  await store.lineups.save(trip.tripId, { teams, lineups }, expectedVersion(req));
+  await store.audit.append(lineupEntries({ trip, actor: req.auth.username, action, before: trip, after: { teams, lineups } }));
+  broadcastLineupUpdate({ tripId: trip.tripId, teams, lineups });
+};
+
+// POST /trips/:tripId/lineups/generate
+// Body: { rounds?: [round], seed?, randomize?, save? } - Proposes match
+// pairings for the given rounds (default: every match round). With save the
+// proposal replaces those rounds' lineups.
+router.post('/trips/:tripId/lineups/generate', authenticate, requireTripManager, validate({ body: schemas.generateLineups }), async (req, res) => {
+  const { rounds, save } = req.body;
+  const [trip, users] = await Promise.all([store.trips.get(req.params.tripId), store.users.list()]);
+
+  const pastEnd = (rounds || []).findIndex((r) => r >= (trip.numRounds || 1));
+  if (pastEnd !== -1) {
+    return sendValidationError(res, [{ in: 'body', path: `rounds[${pastEnd}]`, code: 'too_large', message: 'is past the trip\'s last round' }]);
+  }
+
+  const proposal = generateLineups({ trip, users, rounds, seed: seedFor(trip, req.body) });
+  if (proposal.error) return res.status(400).json({ error: proposal.error });
+
+  if (save) {
+    if (isArchived(trip)) return res.status(409).json({ error: 'This trip is archived' });
+    const frozen = frozenLineupRounds(trip, proposal.lineups);
+    if (frozen.length) return res.status(409).json({ error: `${roundsAre(frozen)} final or locked` });
+    await saveLineup(req, trip, { teams: trip.teams, lineups: { ...trip.lineups, ...proposal.lineups } }, 'generate-lineups');
+  }
+  res.json({ ...proposal, saved: !!save });
+});
+
+// POST /trips/:tripId/teams/draft
+// Body: { numTeams?, seed?, randomize?, save? } - Splits the trip's members
+// into handicap-balanced teams. Saving clears lineups, which no longer fit.
+router.post('/trips/:tripId/teams/draft', authenticate, requireTripManager, validate({ body: schemas.draftTeams }), async (req, res) => {
+  const { numTeams, save } = req.body;
+
+  const [trip, users] = await Promise.all([store.trips.get(req.params.tripId), store.users.list()]);
+  const draft = draftTeams({ trip, users, numTeams, seed: seedFor(trip, req.body) });
+  if (draft.error) return res.status(400).json({ error: draft.error });
+
+  if (save) {
+    if (isArchived(trip)) return res.status(409).json({ error: 'This trip is archived' });
+    if (Object.keys(trip.roundStatus || {}).length) {
+      return res.status(409).json({ error: 'Teams are fixed once a round is final or locked' });
+    }
+    await saveLineup(req, trip, { teams: draft.teams, lineups: {} }, 'draft-teams');
+  }
+  res.json({ ...draft, saved: !!save });
+});
+
+// POST /trips/:tripId/lineups/validate
+// Body: { lineups, teams? } - Checks a lineup without saving it
+router.post('/trips/:tripId/lineups/validate', authenticate, requireTripManager, validate({ body: schemas.checkLineups }), async (req, res) => {
+  const trip = await store.trips.get(req.params.tripId);
+  const { lineups, teams = trip.teams } = req.body;
+  const errors = lineupErrors({ scoringMethods: trip.scoringMethods, teams, lineups });
+  res.json({ valid: errors.length === 0, errors });
+});
+
+export default router;
@@ -0,0 +1,159 @@
+// routes/matches.js
+import express from 'express';
+import store from '../lib/store/index.js';
+import { roundMatchStatuses } from '../lib/matches.js';
+import { recordFinalMatchPoints } from '../lib/leaderboard.js';
+import { roundCourse } from '../lib/scoring.js';
+import { roundFormat, groupSides } from '../lib/formats.js';
+import { tripEntries, pointsEntries } from '../lib/audit.js';
+import { broadcastMatchUpdate, broadcastPointsUpdate } from '../lib/live.js';
+import { scoreEditError } from '../lib/lifecycle.js';
+import { tripRole } from '../lib/members.js';
+import { authenticate, canScoreFor } from '../lib/auth.js';
+import { VersionConflictError, withRetry } from '../lib/store/versions.js';
+import { validate, checkParams } from '../lib/validation.js';
+import * as schemas from '../lib/schemas.js';
+
+const router = express.Router();
+checkParams(router, schemas.PARAMS);
+
+const loadRound = async (req, res) => {
+  const trip = await store.trips.get(req.params.tripId);
+  if (!trip) {
+    res.status(404).json({ error: 'Trip not found' });
+    return null;
+  }
+
+  const round = parseInt(req.params.round, 10);
+  if (isNaN(round) || round < 0 || round >= (trip.numRounds || 1)) {
+    res.status(400).json({ error: 'Invalid round index' });
+    return null;
+  }
+  if (roundFormat(trip, round).kind !== 'match') {
+    res.status(400).json({ error: `Round ${round} is not a match play round` });
+    return null;
+  }
+
+  const [users, catalog] = await Promise.all([store.users.list(), store.courses.catalog()]);
+  return { trip, round, users, catalog };
+};
+
+// GET /trips/:tripId/rounds/:round/matches - Status of every match in a round
+router.get('/trips/:tripId/rounds/:round/matches', async (req, res) => {
+  const ctx = await loadRound(req, res);
+  if (!ctx) return;
+  res.json(roundMatchStatuses(ctx));
+});
+
+// GET /trips/:tripId/rounds/:round/matches/:groupId - Status of one match
+router.get('/trips/:tripId/rounds/:round/matches/:groupId', async (req, res) => {
+  const ctx = await loadRound(req, res);
+  if (!ctx) return;
+  const match = roundMatchStatuses(ctx)
+    .find((m) => m.groupId === req.params.groupId);
+  if (!match) return res.status(404).json({ error: 'Match not found' });
+  res.json(match);
+});
+
+// Clears the stored points of a match that is no longer decided, so totals
+// stop counting a result that was withdrawn
+const clearMatchPoints = async ({ trip, round, users, players, actor }) => {
+  const cleared = users.filter((u) => players.includes(u.username) && typeof u.trips?.[trip.tripId]?.projected_points?.[round] === 'number');
+  if (!cleared.length) return;
+  const entries = cleared.flatMap((user) => {
+    const before = user.trips[trip.tripId].projected_points[round];
+    user.trips[trip.tripId].projected_points[round] = null;
+    return pointsEntries({ trip, round, username: user.username, actor, action: 'withdraw-concession', before, after: null });
+  });
+  await store.users.saveMany(cleared);
+  await store.audit.append(entries);
+  cleared.forEach((user) => broadcastPointsUpdate({ tripId: trip.tripId, username: user.username, round, projectedPoints: null }));
+};
+
+// POST /trips/:tripId/rounds/:round/matches/:groupId/concede
+// Body: { hole?, username? } - concedes one hole (0-based) or, without a hole,
+// the match. Players concede for their own side; scorers and the leader can
+// record a concession for another player by passing their username.
+// DELETE with the same body withdraws the concession
+const updateConcession = (withdraw) => async (req, res) => {
+  try {
+    const ctx = await loadRound(req, res);
+    if (!ctx) return;
+    const { trip, round, users, catalog } = ctx;
+    const { groupId } = req.params;
+    const { hole } = req.body;
+    const username = req.body.username || req.auth.username;
+    if (!canScoreFor(trip, req.auth.username, username)) {
+      return res.status(403).json({ error: 'You can only concede for your own side' });
+    }
+    const editError = scoreEditError(trip, round, tripRole(trip, req.auth.username));
+    if (editError) return res.status(409).json({ error: editError });
+
+    const group = trip.lineups?.[round]?.[groupId];
+    if (!group) return res.status(404).json({ error: 'Match not found' });
+
+    const sides = groupSides(roundFormat(trip, round).name, group);
+    const side = sides.findIndex((s) => s.includes(username));
+    if (side === -1) return res.status(403).json({ error: 'Only players in this match can concede' });
+
+    const numHoles = roundCourse(trip, round, catalog).holes.length;
+    if (hole !== undefined && (!Number.isInteger(hole) || hole < 0 || hole >= numHoles)) {
+      return res.status(400).json({ error: `hole must be an integer between 0 and ${numHoles - 1}` });
+    }
+
+    const before = structuredClone(trip);
+    if (!trip.concessions) trip.concessions = {};
+    if (!trip.concessions[round]) trip.concessions[round] = {};
+    const concessions = trip.concessions[round][groupId] || { holes: {}, match: null };
+    const existing = hole === undefined ? concessions.match : concessions.holes[hole];
+
+    // A retry after the trip was saved (the points save conflicted) finds
+    // this side's concession already there and only records the points
+    const recorded = !withdraw && existing?.side === side;
+    const status = roundMatchStatuses(ctx)
+      .find((m) => m.groupId === groupId);
+    if (!withdraw && status.final && !recorded) {
+      return res.status(409).json({ error: `Match is already decided (${status.result})` });
+    }
+
+    if (withdraw) {
+      if (!existing || existing.side !== side) {
+        return res.status(404).json({ error: 'No concession from your side to withdraw' });
+      }
+      if (hole === undefined) concessions.match = null;
+      else delete concessions.holes[hole];
+    } else if (!recorded) {
+      const concession = { side, by: username, at: new Date().toISOString() };
+      if (hole === undefined) concessions.match = concession;
+      else concessions.holes[hole] = concession;
+    }
+
+    if (!recorded) {
+      trip.concessions[round][groupId] = concessions;
+      await store.trips.save(trip);
+      await store.audit.append(tripEntries({ before, after: trip, actor: req.auth.username, action: withdraw ? 'withdraw-concession' : 'concede', round }));
+    }
+
+    const finalized = recordFinalMatchPoints(ctx);
+    if (finalized.length) {
+      await store.users.saveMany(users.filter((u) => finalized.includes(u.username)));
+    }
+    broadcastMatchUpdate({ tripId: trip.tripId, round, groupId, concessions });
+
+    const match = roundMatchStatuses(ctx)
+      .find((m) => m.groupId === groupId);
+    // A withdrawal can reopen a decided match; the points it stored go too
+    if (withdraw && !match.final) await clearMatchPoints({ ...ctx, players: sides.flat(), actor: req.auth.username });
+    res.json({ message: withdraw ? 'Concession withdrawn' : 'Concession recorded', match });
+  } catch (err) {
+    // Let withRetry rerun the update against the latest trip
+    if (err instanceof VersionConflictError) throw err;
+    req.log.error('concession update failed', { tripId: req.params.tripId, err });
+    res.status(500).json({ error: 'Failed to update concession' });
+  }
+};
+
+router.post('/trips/:tripId/rounds/:round/matches/:groupId/concede', authenticate, validate({ body: schemas.concession }), withRetry(updateConcession(false)));
+router.delete('/trips/:tripId/rounds/:round/matches/:groupId/concede', authenticate, validate({ body: schemas.concession }), withRetry(updateConcession(true)));
+
+export default router;
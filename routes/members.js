@@ -0,0 +1,308 @@
+// routes/members.js
+import express from 'express';
+import store from '../lib/store/index.js';
+import { authenticate, requireSelf, requireTripManager } from '../lib/auth.js';
+import {
+  ASSIGNABLE_ROLES,
+  tripRole,
+  isManagerRole,
+  pruneExpired,
+  createJoinCode,
+  findJoinCode,
+  addMember,
+  removeMember,
+  memberList,
+  createInvite,
+  findInvite,
+} from '../lib/members.js';
+import { leaveGame } from '../lib/sidegames.js';
+import { tripEntries } from '../lib/audit.js';
+import { acceptImportedCard } from '../lib/bundle.js';
+import { broadcastMembersUpdate, removeFromTrip } from '../lib/live.js';
+import log from '../lib/logger.js';
+import { withRetry } from '../lib/store/versions.js';
+import { validate, checkParams } from '../lib/validation.js';
+import * as schemas from '../lib/schemas.js';
+
+const router = express.Router();
+checkParams(router, schemas.PARAMS);
+
+const APP_URL = process.env.APP_URL || 'https://forescoreapp.com';
+
+// Co-leaders can hand out scorer, player and spectator; only the leader can
+// make co-leaders
+const canGrant = (actorRole, role) =>
+  ASSIGNABLE_ROLES.includes(role) && (actorRole === 'leader' || !isManagerRole(role));
+
+const publishMembers = async (trip) => {
+  try {
+    const users = await store.users.list();
+    broadcastMembersUpdate({ tripId: trip.tripId, members: memberList(trip, users) });
+  } catch (err) {
+    log.error('members update failed', { tripId: trip.tripId, err });
+  }
+};
+
+// User first, then trip: a retry after a trip conflict finds the user
+// already updated and simply reapplies the trip change. `audit` is
+// { before, actor, action } for the trip's history.
+const saveMembership = async (user, trip, audit) => {
+  if (user) await store.users.save(user);
+  await store.trips.save(trip);
+  await store.audit.append(tripEntries({ ...audit, after: trip }));
+  publishMembers(trip);
+};
+
+// GET /trips/:tripId/members - Members and roles; leaders also see codes,
+// invites and join requests
+router.get('/trips/:tripId/members', authenticate, async (req, res) => {
+  const trip = await store.trips.get(req.params.tripId);
+  if (!trip) return res.status(404).json({ error: 'Trip not found' });
+
+  const role = tripRole(trip, req.auth.username);
+  if (!role) return res.status(403).json({ error: 'Not a member of this trip' });
+
+  const members = memberList(trip, await store.users.list());
+  if (!isManagerRole(role)) return res.json({ members });
+
+  pruneExpired(trip);
+  res.json({
+    members,
+    joinCodes: (trip.joinCodes || []).map((c) => ({ ...c, link: `${APP_URL}/join/${c.code}` })),
+    invites: trip.invites || [],
+    joinRequests: trip.joinRequests || [],
+  });
+});
+
+// ========== JOIN CODES ==========
+// POST /trips/:tripId/join-codes
+// Body: { role = 'player', expiresInHours = 72, requireApproval = false }
+router.post('/trips/:tripId/join-codes', authenticate, requireTripManager, validate({ body: schemas.joinCode }), withRetry(async (req, res) => {
+  const trip = await store.trips.get(req.params.tripId);
+  const { role = 'player', expiresInHours, requireApproval } = req.body;
+  if (!canGrant(tripRole(trip, req.auth.username), role)) {
+    return res.status(400).json({ error: `Join codes can't grant the ${role} role` });
+  }
+
+  pruneExpired(trip);
+  const joinCode = createJoinCode(trip, { role, expiresInHours, requireApproval, createdBy: req.auth.username });
+  await store.trips.save(trip);
+  res.status(201).json({ ...joinCode, link: `${APP_URL}/join/${joinCode.code}` });
+}));
+
+router.delete('/trips/:tripId/join-codes/:code', authenticate, requireTripManager, withRetry(async (req, res) => {
+  const trip = await store.trips.get(req.params.tripId);
+  const code = req.params.code.toUpperCase();
+  if (!(trip.joinCodes || []).some((c) => c.code === code)) {
+    return res.status(404).json({ error: 'Join code not found' });
+  }
+
+  trip.joinCodes = trip.joinCodes.filter((c) => c.code !== code);
+  await store.trips.save(trip);
+  res.json({ message: 'Join code revoked' });
+}));
+
+// GET /join/:code - What a join link leads to, before joining
+router.get('/join/:code', authenticate, async (req, res) => {
+  const found = findJoinCode(await store.trips.list(), req.params.code);
+  if (!found) return res.status(404).json({ error: 'Join code is invalid or has expired' });
+
+  const { trip, joinCode } = found;
+  res.json({
+    tripId: trip.tripId,
+    tripLeader: trip.tripLeader,
+    numRounds: trip.numRounds,
+    memberCount: (trip.users || []).length,
+    role: joinCode.role,
+    requireApproval: joinCode.requireApproval,
+    expiresAt: joinCode.expiresAt,
+    alreadyMember: !!tripRole(trip, req.auth.username),
+  });
+});
+
+// POST /join/:code - Joins straight away, or files a join request when the
+// code needs the leader's approval
+router.post('/join/:code', authenticate, validate({ body: schemas.empty }), withRetry(async (req, res) => {
+  const { username } = req.auth;
+  const found = findJoinCode(await store.trips.list(), req.params.code);
+  if (!found) return res.status(404).json({ error: 'Join code is invalid or has expired' });
+
+  const { trip, joinCode } = found;
+  if (tripRole(trip, username)) return res.status(409).json({ error: 'Already a member of this trip' });
+  const before = structuredClone(trip);
+
+  const user = await store.users.get(username);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+
+  joinCode.uses = (joinCode.uses || 0) + 1;
+
+  if (joinCode.requireApproval) {
+    if ((trip.joinRequests || []).some((r) => r.username === username)) {
+      return res.status(409).json({ error: 'Join request already pending' });
+    }
+    trip.joinRequests = [
+      ...(trip.joinRequests || []),
+      { username, role: joinCode.role, code: joinCode.code, requestedAt: new Date().toISOString() },
+    ];
+    await store.trips.save(trip);
+    return res.status(202).json({ message: 'Join request sent', tripId: trip.tripId });
+  }
+
+  addMember(trip, user, joinCode.role);
+  await saveMembership(user, trip, { before, actor: username, action: 'join' });
+  res.json({ message: 'Joined trip', tripId: trip.tripId, role: joinCode.role });
+}));
+
+// ========== INVITES ==========
+// POST /trips/:tripId/invites
+// Body: { username, role = 'player' }
+router.post('/trips/:tripId/invites', authenticate, requireTripManager, validate({ body: schemas.invite }), withRetry(async (req, res) => {
+  const trip = await store.trips.get(req.params.tripId);
+  const { username, role = 'player' } = req.body;
+  if (!canGrant(tripRole(trip, req.auth.username), role)) {
+    return res.status(400).json({ error: `Invites can't grant the ${role} role` });
+  }
+  if (!(await store.users.get(username))) return res.status(404).json({ error: 'User not found' });
+  if (tripRole(trip, username)) return res.status(409).json({ error: `${username} is already a member` });
+
+  pruneExpired(trip);
+  const invite = createInvite(trip, { username, role, invitedBy: req.auth.username });
+  await store.trips.save(trip);
+  res.status(201).json(invite);
+}));
+
+router.delete('/trips/:tripId/invites/:username', authenticate, requireTripManager, withRetry(async (req, res) => {
+  const trip = await store.trips.get(req.params.tripId);
+  if (!findInvite(trip, req.params.username)) return res.status(404).json({ error: 'Invite not found' });
+
+  trip.invites = trip.invites.filter((i) => i.username !== req.params.username);
+  await store.trips.save(trip);
+  res.json({ message: 'Invite withdrawn' });
+}));
+
+// GET /users/:username/invites - Pending invitations for the signed-in user
+router.get('/users/:username/invites', authenticate, requireSelf(), async (req, res) => {
+  const trips = await store.trips.list();
+  res.json(trips.flatMap((trip) => {
+    const invite = findInvite(trip, req.params.username);
+    return invite ? [{ tripId: trip.tripId, tripLeader: trip.tripLeader, ...invite }] : [];
+  }));
+});
+
+const answerInvite = (accept) => withRetry(async (req, res) => {
+  const { tripId, username } = req.params;
+  const trip = await store.trips.get(tripId);
+  if (!trip) return res.status(404).json({ error: 'Trip not found' });
+
+  const invite = findInvite(trip, username);
+  if (!invite) return res.status(404).json({ error: 'No pending invite for this trip' });
+
+  if (!accept) {
+    trip.invites = trip.invites.filter((i) => i.username !== username);
+    await store.trips.save(trip);
+    return res.json({ message: 'Invite declined' });
+  }
+
+  const user = await store.users.get(username);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+  const before = structuredClone(trip);
+  addMember(trip, user, invite.role);
+  // Invites from a trip import carry the player's bundled card
+  if (invite.card) {
+    const [users, catalog] = await Promise.all([store.users.list(), store.courses.catalog()]);
+    acceptImportedCard({ trip, user, card: invite.card, users, catalog });
+  }
+  await saveMembership(user, trip, { before, actor: username, action: 'accept-invite' });
+  res.json({ message: 'Joined trip', tripId, role: invite.role });
+});
+
+router.post('/trips/:tripId/invites/:username/accept', authenticate, requireSelf(), validate({ body: schemas.empty }), answerInvite(true));
+router.post('/trips/:tripId/invites/:username/decline', authenticate, requireSelf(), validate({ body: schemas.empty }), answerInvite(false));
+
+// ========== JOIN REQUESTS ==========
+const answerJoinRequest = (approve) => withRetry(async (req, res) => {
+  const { username } = req.params;
+  const trip = await store.trips.get(req.params.tripId);
+  const request = (trip.joinRequests || []).find((r) => r.username === username);
+  if (!request) return res.status(404).json({ error: 'No pending join request from that user' });
+
+  if (!approve) {
+    trip.joinRequests = trip.joinRequests.filter((r) => r.username !== username);
+    await store.trips.save(trip);
+    return res.json({ message: 'Join request rejected' });
+  }
+
+  const user = await store.users.get(username);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+  const before = structuredClone(trip);
+  addMember(trip, user, request.role);
+  await saveMembership(user, trip, { before, actor: req.auth.username, action: 'approve-join' });
+  res.json({ message: 'Join request approved', username, role: request.role });
+});
+
+router.post('/trips/:tripId/join-requests/:username/approve', authenticate, requireTripManager, validate({ body: schemas.empty }), answerJoinRequest(true));
+router.post('/trips/:tripId/join-requests/:username/reject', authenticate, requireTripManager, validate({ body: schemas.empty }), answerJoinRequest(false));
+
+// ========== ROLES ==========
+// PUT /trips/:tripId/members/:username/role
+// Body: { role } - any of ROLES. Giving someone 'leader' hands the trip over
+// and makes the old leader a co-leader.
+router.put('/trips/:tripId/members/:username/role', authenticate, requireTripManager, validate({ body: schemas.role }), withRetry(async (req, res) => {
+  const { username } = req.params;
+  const { role } = req.body;
+  const trip = await store.trips.get(req.params.tripId);
+  const before = structuredClone(trip);
+  const actorRole = tripRole(trip, req.auth.username);
+  const currentRole = tripRole(trip, username);
+
+  if (!currentRole) return res.status(404).json({ error: `${username} is not a member of this trip` });
+  if (currentRole === 'leader') {
+    return res.status(400).json({ error: 'Hand the trip to another member to change the leader role' });
+  }
+
+  if (role === 'leader') {
+    if (actorRole !== 'leader') return res.status(403).json({ error: 'Only the trip leader can hand over the trip' });
+    trip.roles = { ...trip.roles, [trip.tripLeader]: 'co-leader' };
+    delete trip.roles[username];
+    trip.tripLeader = username;
+  } else {
+    if (!canGrant(actorRole, role) || (actorRole !== 'leader' && isManagerRole(currentRole))) {
+      return res.status(403).json({ error: 'Only the trip leader can change co-leaders' });
+    }
+    trip.roles = { ...trip.roles, [username]: role };
+  }
+
+  await saveMembership(null, trip, { before, actor: req.auth.username, action: 'role' });
+  res.json({ message: 'Role updated', username, role });
+}));
+
+// DELETE /trips/:tripId/members/:username - Leave the trip (yourself) or
+// remove a member (leader, or co-leader for non-leaders)
+router.delete('/trips/:tripId/members/:username', authenticate, withRetry(async (req, res) => {
+  const { username } = req.params;
+  const trip = await store.trips.get(req.params.tripId);
+  if (!trip) return res.status(404).json({ error: 'Trip not found' });
+
+  const actorRole = tripRole(trip, req.auth.username);
+  const targetRole = tripRole(trip, username);
+  if (!targetRole) return res.status(404).json({ error: `${username} is not a member of this trip` });
+  if (targetRole === 'leader') {
+    return res.status(400).json({ error: 'The leader must hand the trip to another member before leaving' });
+  }
+
+  const leaving = req.auth.username === username;
+  if (!leaving && !(actorRole === 'leader' || (actorRole === 'co-leader' && !isManagerRole(targetRole)))) {
+    return res.status(403).json({ error: 'You cannot remove this member' });
+  }
+
+  const user = await store.users.get(username);
+  const before = structuredClone(trip);
+  removeMember(trip, user, username);
+  (trip.sideGames || []).filter((game) => game.players.includes(username)).forEach((game) => leaveGame(game, username));
+  await saveMembership(user, trip, { before, actor: req.auth.username, action: leaving ? 'leave' : 'remove-member' });
+  // They no longer get the trip's live updates
+  removeFromTrip({ tripId: trip.tripId, username });
+  res.json({ message: leaving ? 'Left trip' : 'Member removed', username });
+}));
+
+export default router;
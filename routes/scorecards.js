@@ -0,0 +1,189 @@
+// routes/scorecards.js
+import express from 'express';
+import bodyParser from 'body-parser';
+import store from '../lib/store/index.js';
+import { generateId } from '../lib/ids.js';
+import { roundCourse } from '../lib/scoring.js';
+import { validateRoundFormats } from '../lib/formats.js';
+import { lineupErrors } from '../lib/lineups.js';
+import { recordCard, tripScorecards, scorecardsCsv, readScoreCsv } from '../lib/scorecards.js';
+import { scorecardsHtml } from '../lib/printable.js';
+import { exportBundle, importBundle } from '../lib/bundle.js';
+import { scoreEntries, tripEntries } from '../lib/audit.js';
+import { buildLeaderboard, recordFinalMatchPoints } from '../lib/leaderboard.js';
+import { lockTripHandicaps } from '../lib/handicap.js';
+import { scoreEditError } from '../lib/lifecycle.js';
+import { tripRole, publicTrip } from '../lib/members.js';
+import { broadcastScoreUpdate } from '../lib/live.js';
+import { authenticate, requireTripManager } from '../lib/auth.js';
+import { withRetry } from '../lib/store/versions.js';
+import { withVersion } from '../lib/sync.js';
+import { sendValidationError } from '../lib/errors.js';
+import { validate, checkParams } from '../lib/validation.js';
+import * as schemas from '../lib/schemas.js';
+
+const router = express.Router();
+checkParams(router, schemas.PARAMS);
+
+// Score sheets can be posted as plain CSV as well as { csv } JSON
+const csvBody = bodyParser.text({ type: ['text/csv', 'text/plain'], limit: '1mb' });
+
+// Loads the trip and what its cards need, and reads ?round=; answers and
+// returns null when the trip or round doesn't exist
+const loadExport = async (req, res) => {
+  const trip = await store.trips.get(req.params.tripId);
+  if (!trip) {
+    res.status(404).json({ error: 'Trip not found' });
+    return null;
+  }
+  const round = req.query.round === undefined ? undefined : Number(req.query.round);
+  if (round !== undefined && round >= (trip.numRounds || 1)) {
+    sendValidationError(res, [{ in: 'query', path: 'round', code: 'too_large', message: 'is past the trip\'s last round' }]);
+    return null;
+  }
+  const [users, catalog] = await Promise.all([store.users.list(), store.courses.catalog()]);
+  return { trip, round, users, catalog };
+};
+
+// ========== EXPORT ==========
+// GET /trips/:tripId/export.csv?round= - Gross and net cards for every
+// player, with totals and match results (round numbered from 0, like the API)
+router.get('/trips/:tripId/export.csv', validate({ query: schemas.exportQuery }), async (req, res) => {
+  const ctx = await loadExport(req, res);
+  if (!ctx) return;
+  res.type('text/csv').attachment(`${ctx.trip.tripId}-scorecards.csv`);
+  res.send(scorecardsCsv(tripScorecards(ctx)));
+});
+
+// GET /trips/:tripId/export.html?round= - Printable scorecards and standings
+router.get('/trips/:tripId/export.html', validate({ query: schemas.exportQuery }), async (req, res) => {
+  const ctx = await loadExport(req, res);
+  if (!ctx) return;
+  res.type('html').send(scorecardsHtml({
+    trip: ctx.trip,
+    rounds: tripScorecards(ctx),
+    leaderboard: buildLeaderboard(ctx),
+  }));
+});
+
+// GET /trips/:tripId/export.json - The whole trip as a bundle for
+// POST /trips/import (see lib/bundle.js)
+router.get('/trips/:tripId/export.json', authenticate, requireTripManager, async (req, res) => {
+  const [trip, users, catalog] = await Promise.all([
+    store.trips.get(req.params.tripId),
+    store.users.list(),
+    store.courses.catalog(),
+  ]);
+  res.attachment(`${trip.tripId}.json`).json(exportBundle({ trip, users, catalog }));
+});
+
+// ========== IMPORT ==========
+// POST /trips/import
+// Body: { bundle, tripId?, rename?: { bundledName: localName }, skipMissing? }
+// Creates a new trip from a bundle, led by the caller. Members without an
+// account here fail the import unless skipMissing is set; the others are
+// invited with their cards (see lib/bundle.js).
+router.post('/trips/import', authenticate, validate({ body: schemas.importTrip }), withRetry(async (req, res) => {
+  const { bundle, rename, skipMissing } = req.body;
+  const tripId = req.body.tripId || generateId('TRIP');
+  if (await store.trips.get(tripId)) return res.status(409).json({ error: `Trip ${tripId} already exists` });
+
+  const [users, catalog] = await Promise.all([store.users.list(), store.courses.catalog()]);
+  const result = importBundle({ bundle, tripId, importer: req.auth.username, rename, skipMissing, users, catalog });
+  if (result.error) return res.status(400).json({ error: result.error, missing: result.missing });
+
+  // Renaming can break lineups the bundle's own server accepted
+  const formatError = validateRoundFormats(result.trip);
+  if (formatError) return res.status(400).json({ error: formatError });
+  const lineupProblems = lineupErrors(result.trip);
+  if (lineupProblems.length) return res.status(400).json({ error: lineupProblems[0], errors: lineupProblems });
+
+  // A retry finds added courses by name and reuses them
+  for (const course of result.courses) await store.courses.save(course);
+  await store.users.saveMany(result.users);
+  await store.trips.save(result.trip);
+  await store.audit.append(tripEntries({ after: result.trip, actor: req.auth.username, action: 'import' }));
+
+  res.status(201).json({
+    message: 'Trip imported',
+    tripId,
+    trip: publicTrip(result.trip),
+    missing: result.missing,
+    invited: result.invited,
+    coursesAdded: result.courses.map((c) => c.courseId),
+    coursesMatched: result.matchedCourses,
+  });
+}));
+
+// POST /trips/:tripId/rounds/:round/scores/import
+// Body: CSV text (Content-Type: text/csv) or { csv } - Loads a round scored
+// on paper: one line per player with a Player column and a column per hole
+// (see readScoreCsv). Every line is checked before anything is saved.
+router.post(
+  '/trips/:tripId/rounds/:round/scores/import',
+  authenticate,
+  requireTripManager,
+  csvBody,
+  validate({ body: schemas.scoreCsv }),
+  withRetry(async (req, res) => {
+    const round = Number(req.params.round);
+    const [trip, users, catalog] = await Promise.all([
+      store.trips.get(req.params.tripId),
+      store.users.list(),
+      store.courses.catalog(),
+    ]);
+    if (round >= (trip.numRounds || 1)) return res.status(400).json({ error: 'Invalid round index' });
+
+    const editError = scoreEditError(trip, round, tripRole(trip, req.auth.username));
+    if (editError) return res.status(409).json({ error: editError });
+
+    const text = typeof req.body === 'string' ? req.body : req.body.csv;
+    const numHoles = roundCourse(trip, round, catalog).holes.length;
+    const { cards, problems } = readScoreCsv(text, { round, numHoles, maxStrokes: schemas.MAX_STROKES });
+
+    const seen = new Set();
+    cards.forEach(({ username, line }) => {
+      if (!(trip.users || []).includes(username)) {
+        problems.push({ path: `csv[${line}].player`, code: 'not_member', message: `${username} is not on this trip` });
+      } else if (seen.has(username)) {
+        problems.push({ path: `csv[${line}].player`, code: 'duplicate', message: `${username} has more than one line` });
+      }
+      seen.add(username);
+    });
+    if (!cards.length && !problems.length) {
+      problems.push({ path: 'csv', code: 'required', message: `has no score lines for round ${round + 1}` });
+    }
+    if (problems.length) return sendValidationError(res, problems.map((p) => ({ in: 'body', ...p })));
+
+    // Same as save-scores: the first scores of a locking trip lock handicaps
+    if (trip.lockHandicaps && !trip.handicapSnapshot) {
+      lockTripHandicaps(trip, users);
+      await store.trips.save(trip);
+    }
+
+    const saved = await withVersion(async (v) => {
+      const stamp = { v, at: new Date().toISOString(), by: req.auth.username, id: null };
+      const cardUpdates = cards.flatMap(({ username, raw }) => {
+        const { scoring, updates } = recordCard({ trip, round, username, raw, users, catalog, stamp });
+        return updates.map(({ member, before }) => ({ member, before, after: { raw, net: scoring.net } }));
+      });
+      const finalized = recordFinalMatchPoints({ trip, round, users, catalog });
+
+      const changed = new Set([...cardUpdates.map((s) => s.member.username), ...finalized]);
+      await store.users.saveMany(users.filter((u) => changed.has(u.username)));
+      await store.audit.append(scoreEntries({ trip, round, actor: req.auth.username, action: 'import-csv', updates: cardUpdates }));
+      return cardUpdates;
+    });
+    saved.forEach(({ member, before, after }) => {
+      broadcastScoreUpdate({ tripId: trip.tripId, username: member.username, round, before, after });
+    });
+    res.json({
+      message: 'Scores imported',
+      round,
+      imported: cards.map((c) => c.username),
+      savedFor: [...new Set(saved.map((s) => s.member.username))],
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,256 @@
+// routes/series.js
+import express from 'express';
+import store from '../lib/store/index.js';
+import { generateId } from '../lib/ids.js';
+import { validateCourseRefs } from '../lib/courses.js';
+import { validateRoundFormats } from '../lib/formats.js';
+import {
+  seriesTeam,
+  createSeries,
+  seriesOfTrip,
+  mapTeams,
+  mappingErrors,
+  addEdition,
+  seriesSummary,
+  seriesRecords,
+  cloneTrip,
+} from '../lib/series.js';
+import { tripEntries } from '../lib/audit.js';
+import { tripRole, isManagerRole, publicTrip } from '../lib/members.js';
+import { authenticate } from '../lib/auth.js';
+import {
+  VersionConflictError,
+  versionOf,
+  retryOnConflict,
+  etagFor,
+  expectedVersion,
+  sendConflict,
+  withRetry,
+} from '../lib/store/versions.js';
+import { validate, checkParams } from '../lib/validation.js';
+import * as schemas from '../lib/schemas.js';
+
+const router = express.Router();
+checkParams(router, schemas.PARAMS);
+
+const currentYear = () => new Date().getUTCFullYear();
+
+// Everything a summary or the records read
+const loadResults = async () => {
+  const [trips, users, catalog] = await Promise.all([store.trips.list(), store.users.list(), store.courses.catalog()]);
+  return { trips, users, catalog };
+};
+
+// Loads the series in the route; with `manage`, only its leader gets it.
+// Answers and returns null otherwise, or when the client's If-Match/version
+// is behind.
+const loadSeries = async (req, res, { manage = false } = {}) => {
+  const series = await store.series.get(req.params.seriesId);
+  if (!series) {
+    res.status(404).json({ error: 'Series not found' });
+    return null;
+  }
+  if (manage && series.leader !== req.auth.username) {
+    res.status(403).json({ error: 'Only the series leader can do that' });
+    return null;
+  }
+  const expected = manage ? expectedVersion(req) : null;
+  if (expected !== null && expected !== versionOf(series)) {
+    sendConflict(res, new VersionConflictError('Series', series.seriesId, expected, versionOf(series)));
+    return null;
+  }
+  return series;
+};
+
+// Loads a trip to add to a series: it must exist, be managed by the caller
+// and not be part of another series. Answers and returns null otherwise.
+const loadEditionTrip = async (req, res, tripId) => {
+  const trip = await store.trips.get(tripId);
+  if (!trip) {
+    res.status(404).json({ error: 'Trip not found' });
+    return null;
+  }
+  if (!isManagerRole(tripRole(trip, req.auth.username))) {
+    res.status(403).json({ error: 'Only the trip\'s leaders can add it to a series' });
+    return null;
+  }
+  const owner = seriesOfTrip(await store.series.list(), tripId);
+  if (owner) {
+    res.status(409).json({ error: `${tripId} is already part of ${owner.name}`, seriesId: owner.seriesId });
+    return null;
+  }
+  return trip;
+};
+
+const sendSeries = async (res, series, status = 200) => {
+  res.set('ETag', etagFor(series));
+  res.status(status).json(seriesSummary({ series, ...(await loadResults()) }));
+};
+
+// ========== SERIES ==========
+// GET /series - Every series with its cup count
+router.get('/series', async (req, res) => {
+  const [allSeries, results] = await Promise.all([store.series.list(), loadResults()]);
+  res.json(allSeries.map((series) => seriesSummary({ series, ...results })));
+});
+
+// POST /series
+// Body: { name, teams?: [{ name, color? }], tripId?, year? } - Starts a series
+// led by the caller. A tripId makes that trip the first edition, and its
+// teams become the series teams unless teams are given.
+router.post('/series', authenticate, validate({ body: schemas.newSeries }), withRetry(async (req, res) => {
+  const { name, tripId, year = currentYear() } = req.body;
+  const trip = tripId ? await loadEditionTrip(req, res, tripId) : null;
+  if (tripId && !trip) return;
+
+  const teams = req.body.teams || (trip.teams || []).map((t) => ({ name: t.name }));
+  if (teams.length < 2) return res.status(400).json({ error: `${tripId} needs at least two teams to start a series` });
+
+  const series = createSeries({ name, teams, leader: req.auth.username });
+  if (trip) {
+    const editionTeams = mapTeams(series, trip);
+    const errors = mappingErrors(series, trip, editionTeams);
+    if (errors.length) return res.status(400).json({ error: errors[0], errors });
+    addEdition(series, { tripId, year, teams: editionTeams });
+  }
+  await store.series.save(series);
+  await sendSeries(res, series, 201);
+}));
+
+// GET /series/:seriesId - Editions with their standings and cup winners
+router.get('/series/:seriesId', async (req, res) => {
+  const series = await loadSeries(req, res);
+  if (!series) return;
+  await sendSeries(res, series);
+});
+
+// PATCH /series/:seriesId
+// Body: { name?, teams? } - teams replaces the list: entries with a teamId
+// rename that team, entries without one add a team. Teams with editions
+// can't be dropped.
+router.patch('/series/:seriesId', authenticate, validate({ body: schemas.seriesUpdate }), withRetry(async (req, res) => {
+  const series = await loadSeries(req, res, { manage: true });
+  if (!series) return;
+  const { name, teams } = req.body;
+
+  if (teams) {
+    const known = new Set(series.teams.map((t) => t.teamId));
+    const unknown = teams.filter((t) => t.teamId && !known.has(t.teamId));
+    if (unknown.length) return res.status(400).json({ error: `Unknown series team ${unknown[0].teamId}` });
+    const kept = new Set(teams.map((t) => t.teamId).filter(Boolean));
+    const used = series.teams.filter((t) => !kept.has(t.teamId) && series.editions.some((e) => Object.values(e.teams).includes(t.teamId)));
+    if (used.length) return res.status(409).json({ error: `${used[0].name} has editions and can't be dropped` });
+    series.teams = teams.map(seriesTeam);
+  }
+  if (name) series.name = name;
+
+  await store.series.save(series);
+  await sendSeries(res, series);
+}));
+
+// DELETE /series/:seriesId - The trips stay as they are
+router.delete('/series/:seriesId', authenticate, withRetry(async (req, res) => {
+  const series = await loadSeries(req, res, { manage: true });
+  if (!series) return;
+  await store.series.remove(series.seriesId);
+  res.json({ message: 'Series deleted', seriesId: series.seriesId });
+}));
+
+// ========== EDITIONS ==========
+// POST /series/:seriesId/editions
+// Body: { tripId, year?, teams?: { [trip team name]: teamId } } - Adds an
+// existing trip. Its teams match series teams by name, then by position,
+// unless mapped.
+router.post('/series/:seriesId/editions', authenticate, validate({ body: schemas.seriesEdition }), withRetry(async (req, res) => {
+  const series = await loadSeries(req, res, { manage: true });
+  if (!series) return;
+  const { tripId, year = currentYear() } = req.body;
+  const trip = await loadEditionTrip(req, res, tripId);
+  if (!trip) return;
+
+  const editionTeams = mapTeams(series, trip, req.body.teams);
+  const errors = mappingErrors(series, trip, editionTeams);
+  if (errors.length) return res.status(400).json({ error: errors[0], errors });
+
+  addEdition(series, { tripId, year, teams: editionTeams });
+  await store.series.save(series);
+  await sendSeries(res, series, 201);
+}));
+
+// POST /series/:seriesId/editions/clone
+// Body: { from?, tripId?, year? } - Starts the next edition as a new trip
+// with the setup of `from` (default: the latest edition): rounds, courses,
+// formats, points and teams, led by the caller (see cloneTrip). The year
+// defaults to the year after.
+router.post('/series/:seriesId/editions/clone', authenticate, validate({ body: schemas.cloneEdition }), withRetry(async (req, res) => {
+  const series = await loadSeries(req, res, { manage: true });
+  if (!series) return;
+
+  const edition = req.body.from
+    ? series.editions.find((e) => e.tripId === req.body.from)
+    : series.editions[series.editions.length - 1];
+  if (!edition) {
+    return res.status(404).json({ error: req.body.from ? `${req.body.from} is not an edition of this series` : 'The series has no edition to copy yet' });
+  }
+  const [source, users, catalog] = await Promise.all([store.trips.get(edition.tripId), store.users.list(), store.courses.catalog()]);
+  if (!source) return res.status(404).json({ error: `Trip ${edition.tripId} no longer exists` });
+
+  const tripId = req.body.tripId || generateId('TRIP');
+  if (await store.trips.get(tripId)) return res.status(409).json({ error: `Trip ${tripId} already exists` });
+
+  const clone = cloneTrip({ series, edition, source, tripId, leader: req.auth.username, users });
+  // A course deleted from the catalog since last year has to be picked again
+  const courseError = validateCourseRefs(clone.trip.courses, catalog);
+  if (courseError) return res.status(400).json({ error: courseError });
+  const formatError = validateRoundFormats(clone.trip);
+  if (formatError) return res.status(400).json({ error: formatError });
+
+  await store.users.saveMany(clone.users);
+  await store.trips.save(clone.trip);
+  await store.audit.append(tripEntries({ after: clone.trip, actor: req.auth.username, action: 'series-clone' }));
+
+  // The trip exists now, so a series conflict only redoes the series
+  const year = req.body.year ?? edition.year + 1;
+  await retryOnConflict(async () => {
+    const latest = await store.series.get(series.seriesId);
+    addEdition(latest, { tripId, year, teams: clone.teams });
+    await store.series.save(latest);
+  });
+
+  res.status(201).json({ message: 'Edition created', seriesId: series.seriesId, trip: publicTrip(clone.trip) });
+}));
+
+// DELETE /series/:seriesId/editions/:tripId - Takes the trip out of the
+// series; the trip itself stays
+router.delete('/series/:seriesId/editions/:tripId', authenticate, withRetry(async (req, res) => {
+  const series = await loadSeries(req, res, { manage: true });
+  if (!series) return;
+  if (!series.editions.some((e) => e.tripId === req.params.tripId)) {
+    return res.status(404).json({ error: `${req.params.tripId} is not an edition of this series` });
+  }
+  series.editions = series.editions.filter((e) => e.tripId !== req.params.tripId);
+  await store.series.save(series);
+  await sendSeries(res, series);
+}));
+
+// ========== RECORDS ==========
+// GET /series/:seriesId/records?username= - All-time records per player
+router.get('/series/:seriesId/records', validate({ query: schemas.seriesRecordsQuery }), async (req, res) => {
+  const series = await loadSeries(req, res);
+  if (!series) return;
+  const records = seriesRecords({ series, ...(await loadResults()) });
+  if (!req.query.username) return res.json(records);
+
+  const player = records.players.find((p) => p.username === req.query.username);
+  if (!player) return res.status(404).json({ error: `${req.query.username} hasn't played in this series` });
+  res.json({ seriesId: series.seriesId, ...player });
+});
+
+// GET /trips/:tripId/series - The series a trip is an edition of
+router.get('/trips/:tripId/series', async (req, res) => {
+  const series = seriesOfTrip(await store.series.list(), req.params.tripId);
+  if (!series) return res.status(404).json({ error: 'This trip is not part of a series' });
+  await sendSeries(res, series);
+});
+
+export default router;
@@ -0,0 +1,252 @@
+// routes/sidegames.js
+import express from 'express';
+import store from '../lib/store/index.js';
+import { roundCourse } from '../lib/scoring.js';
+import {
+  findGame,
+  createGame,
+  updateGame,
+  settingProblems,
+  gameErrors,
+  joinGame,
+  leaveGame,
+  gameResult,
+  tripGameResults,
+  tripLedger,
+} from '../lib/sidegames.js';
+import { tripEntries } from '../lib/audit.js';
+import { scoreEditError } from '../lib/lifecycle.js';
+import { tripRole, isManagerRole } from '../lib/members.js';
+import { broadcastSideGameUpdate } from '../lib/live.js';
+import { authenticate, requireTripManager, canScoreFor } from '../lib/auth.js';
+import { withRetry } from '../lib/store/versions.js';
+import { sendValidationError } from '../lib/errors.js';
+import { validate, checkParams } from '../lib/validation.js';
+import * as schemas from '../lib/schemas.js';
+
+const router = express.Router();
+checkParams(router, schemas.PARAMS);
+
+// Money games are only shown to the trip's members
+const loadTrip = async (req, res) => {
+  const trip = await store.trips.get(req.params.tripId);
+  if (!trip) {
+    res.status(404).json({ error: 'Trip not found' });
+    return null;
+  }
+  const role = tripRole(trip, req.auth.username);
+  if (!role) {
+    res.status(403).json({ error: 'Not a member of this trip' });
+    return null;
+  }
+  return { trip, role, before: structuredClone(trip) };
+};
+
+// Loads the trip and the game named in the route, and checks the game's round
+// still takes changes from the caller; answers and returns null otherwise
+const loadGame = async (req, res) => {
+  const ctx = await loadTrip(req, res);
+  if (!ctx) return null;
+  const game = findGame(ctx.trip, req.params.gameId);
+  if (!game) {
+    res.status(404).json({ error: 'Side game not found' });
+    return null;
+  }
+  const editError = req.method === 'GET' ? null : scoreEditError(ctx.trip, game.round, ctx.role);
+  if (editError) {
+    res.status(409).json({ error: editError });
+    return null;
+  }
+  const catalog = await store.courses.catalog();
+  return { ...ctx, game, catalog, course: roundCourse(ctx.trip, game.round, catalog) };
+};
+
+// Saves the trip and answers with the game's new result
+const saveGame = async (req, res, { trip, before, game, catalog }, message, status = 200) => {
+  await store.trips.save(trip);
+  await store.audit.append(tripEntries({ before, after: trip, actor: req.auth.username, action: 'side-game' }));
+  const users = await store.users.list();
+  const result = gameResult({ trip, game, users, catalog });
+  broadcastSideGameUpdate({ tripId: trip.tripId, gameId: game.gameId, game: result });
+  res.status(status).json({ message, game: result });
+};
+
+// ========== GAMES ==========
+// GET /trips/:tripId/side-games?round= - Every game with its running result
+router.get('/trips/:tripId/side-games', authenticate, validate({ query: schemas.sideGamesQuery }), async (req, res) => {
+  const ctx = await loadTrip(req, res);
+  if (!ctx) return;
+  const [users, catalog] = await Promise.all([store.users.list(), store.courses.catalog()]);
+  const round = req.query.round === undefined ? undefined : Number(req.query.round);
+  res.json(tripGameResults({ trip: ctx.trip, users, catalog, round }));
+});
+
+// GET /trips/:tripId/side-games/:gameId
+router.get('/trips/:tripId/side-games/:gameId', authenticate, async (req, res) => {
+  const ctx = await loadGame(req, res);
+  if (!ctx) return;
+  const users = await store.users.list();
+  res.json(gameResult({ ...ctx, users }));
+});
+
+// POST /trips/:tripId/side-games
+// Body: { type, round, stake, name?, players?, ...settings for the type }
+// (see lib/sidegames.js)
+router.post('/trips/:tripId/side-games', authenticate, requireTripManager, validate({ body: schemas.sideGame }), withRetry(async (req, res) => {
+  const trip = await store.trips.get(req.params.tripId);
+  const before = structuredClone(trip);
+  const { round } = req.body;
+  if (round >= (trip.numRounds || 1)) return res.status(400).json({ error: 'Invalid round index' });
+  const editError = scoreEditError(trip, round, tripRole(trip, req.auth.username));
+  if (editError) return res.status(409).json({ error: editError });
+
+  const catalog = await store.courses.catalog();
+  const course = roundCourse(trip, round, catalog);
+  const game = createGame(trip, req.body, { createdBy: req.auth.username, course });
+  const errors = gameErrors(trip, game, course);
+  if (errors.length) return res.status(400).json({ error: errors[0], errors });
+
+  trip.sideGames = [...(trip.sideGames || []), game];
+  await saveGame(req, res, { trip, before, game, catalog }, 'Side game created', 201);
+}));
+
+// PATCH /trips/:tripId/side-games/:gameId - Name, stake and the type's
+// settings; players (or a Nassau's sides) replace the current list
+router.patch('/trips/:tripId/side-games/:gameId', authenticate, requireTripManager, validate({ body: schemas.sideGameUpdate }), withRetry(async (req, res) => {
+  const ctx = await loadGame(req, res);
+  if (!ctx) return;
+  const problems = settingProblems(ctx.game.type, req.body);
+  if (problems.length) return sendValidationError(res, problems.map((p) => ({ in: 'body', ...p })));
+
+  updateGame(ctx.game, req.body);
+  const errors = gameErrors(ctx.trip, ctx.game, ctx.course);
+  if (errors.length) return res.status(400).json({ error: errors[0], errors });
+  await saveGame(req, res, ctx, 'Side game updated');
+}));
+
+router.delete('/trips/:tripId/side-games/:gameId', authenticate, requireTripManager, withRetry(async (req, res) => {
+  const ctx = await loadGame(req, res);
+  if (!ctx) return;
+  const { trip, game } = ctx;
+  trip.sideGames = trip.sideGames.filter((g) => g.gameId !== game.gameId);
+  await store.trips.save(trip);
+  await store.audit.append(tripEntries({ before: ctx.before, after: trip, actor: req.auth.username, action: 'side-game' }));
+  broadcastSideGameUpdate({ tripId: trip.tripId, gameId: game.gameId, game: null });
+  res.json({ message: 'Side game deleted', gameId: game.gameId });
+}));
+
+// ========== PLAYERS ==========
+// POST /trips/:tripId/side-games/:gameId/players
+// Body: { username?, side? } - Opts a player in; players join themselves,
+// leaders can add anyone. Nassau players pick a side (0 or 1).
+router.post('/trips/:tripId/side-games/:gameId/players', authenticate, validate({ body: schemas.joinSideGame }), withRetry(async (req, res) => {
+  const ctx = await loadGame(req, res);
+  if (!ctx) return;
+  const username = req.body.username || req.auth.username;
+  if (username !== req.auth.username && !isManagerRole(ctx.role)) {
+    return res.status(403).json({ error: 'You can only opt yourself in' });
+  }
+  const error = joinGame(ctx.trip, ctx.game, username, req.body.side);
+  if (error) return res.status(400).json({ error });
+  await saveGame(req, res, ctx, `${username} joined ${ctx.game.name}`);
+}));
+
+// DELETE /trips/:tripId/side-games/:gameId/players/:username - Opts a player
+// out; anything they had won in the game goes with them
+router.delete('/trips/:tripId/side-games/:gameId/players/:username', authenticate, withRetry(async (req, res) => {
+  const ctx = await loadGame(req, res);
+  if (!ctx) return;
+  const { username } = req.params;
+  if (username !== req.auth.username && !isManagerRole(ctx.role)) {
+    return res.status(403).json({ error: 'You can only opt yourself out' });
+  }
+  const error = leaveGame(ctx.game, username);
+  if (error) return res.status(404).json({ error });
+  await saveGame(req, res, ctx, `${username} left ${ctx.game.name}`);
+}));
+
+// ========== RESULTS ==========
+// POST /trips/:tripId/side-games/:gameId/entries
+// Body: { hole, username, distance? } - The winner of a closest to the pin or
+// long drive hole. Players record their own; scorers and leaders anyone's.
+router.post('/trips/:tripId/side-games/:gameId/entries', authenticate, validate({ body: schemas.holeEntry }), withRetry(async (req, res) => {
+  const ctx = await loadGame(req, res);
+  if (!ctx) return;
+  const { game } = ctx;
+  const { hole, username, distance } = req.body;
+  if (!game.holes) return res.status(400).json({ error: `${game.name} has no hole entries` });
+  if (!game.holes.includes(hole)) return res.status(400).json({ error: `Hole ${hole} is not part of ${game.name}` });
+  if (!canScoreFor(ctx.trip, req.auth.username, username)) {
+    return res.status(403).json({ error: 'You can only record your own entry' });
+  }
+  if (!game.players.includes(username)) return res.status(400).json({ error: `${username} is not playing ${game.name}` });
+
+  game.entries = { ...game.entries, [hole]: { username, distance: distance ?? null, by: req.auth.username, at: new Date().toISOString() } };
+  await saveGame(req, res, ctx, 'Entry recorded');
+}));
+
+router.delete('/trips/:tripId/side-games/:gameId/entries/:hole', authenticate, withRetry(async (req, res) => {
+  const ctx = await loadGame(req, res);
+  if (!ctx) return;
+  const { game } = ctx;
+  const entry = game.entries?.[req.params.hole];
+  if (!entry) return res.status(404).json({ error: 'No entry for that hole' });
+  if (!canScoreFor(ctx.trip, req.auth.username, entry.username)) {
+    return res.status(403).json({ error: 'You can only remove your own entry' });
+  }
+  delete game.entries[req.params.hole];
+  await saveGame(req, res, ctx, 'Entry removed');
+}));
+
+// POST /trips/:tripId/side-games/:gameId/presses
+// Body: { hole, side? } - Presses a Nassau from `hole` to the end of its nine.
+// Players press for their own side; leaders name the side.
+router.post('/trips/:tripId/side-games/:gameId/presses', authenticate, validate({ body: schemas.press }), withRetry(async (req, res) => {
+  const ctx = await loadGame(req, res);
+  if (!ctx) return;
+  const { game, course } = ctx;
+  if (game.type !== 'nassau') return res.status(400).json({ error: 'Only a Nassau can be pressed' });
+
+  const { hole } = req.body;
+  if (hole >= course.holes.length) {
+    return sendValidationError(res, [{ in: 'body', path: 'hole', code: 'too_large', message: `must be at most ${course.holes.length - 1}` }]);
+  }
+  const ownSide = game.sides.findIndex((side) => side.includes(req.auth.username));
+  const side = isManagerRole(ctx.role) ? req.body.side ?? ownSide : ownSide;
+  if (side === -1) return res.status(403).json({ error: 'Only players in this Nassau can press' });
+  if (req.body.side !== undefined && req.body.side !== side) {
+    return res.status(403).json({ error: 'You can only press for your own side' });
+  }
+  if (game.presses.some((p) => p.hole === hole && p.side === side)) {
+    return res.status(409).json({ error: `Side ${side} already pressed from hole ${hole}` });
+  }
+
+  game.presses.push({ hole, side, by: req.auth.username, at: new Date().toISOString() });
+  await saveGame(req, res, ctx, 'Press recorded');
+}));
+
+// PUT /trips/:tripId/side-games/:gameId/winners
+// Body: { winners } - Who takes a custom pot; an empty list reopens it
+router.put('/trips/:tripId/side-games/:gameId/winners', authenticate, requireTripManager, validate({ body: schemas.potWinners }), withRetry(async (req, res) => {
+  const ctx = await loadGame(req, res);
+  if (!ctx) return;
+  const { game } = ctx;
+  if (game.type !== 'pot') return res.status(400).json({ error: 'Only a pot has winners to pick' });
+  const outsiders = req.body.winners.filter((username) => !game.players.includes(username));
+  if (outsiders.length) return res.status(400).json({ error: `Not playing ${game.name}: ${outsiders.join(', ')}` });
+
+  game.winners = [...new Set(req.body.winners)];
+  await saveGame(req, res, ctx, game.winners.length ? 'Pot winners recorded' : 'Pot reopened');
+}));
+
+// ========== LEDGER ==========
+// GET /trips/:tripId/ledger - Each player's running total across side games
+// and the fewest payments that square everyone up
+router.get('/trips/:tripId/ledger', authenticate, async (req, res) => {
+  const ctx = await loadTrip(req, res);
+  if (!ctx) return;
+  const [users, catalog] = await Promise.all([store.users.list(), store.courses.catalog()]);
+  res.json({ tripId: ctx.trip.tripId, ...tripLedger(tripGameResults({ trip: ctx.trip, users, catalog })) });
+});
+
+export default router;
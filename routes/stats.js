@@ -0,0 +1,46 @@
+// routes/stats.js
+import express from 'express';
+import store from '../lib/store/index.js';
+import { userStats, tripStats } from '../lib/stats.js';
+import { validate, checkParams } from '../lib/validation.js';
+import * as schemas from '../lib/schemas.js';
+
+const router = express.Router();
+checkParams(router, schemas.PARAMS);
+
+// Query filters shared by both endpoints: ?tripId=&course=&from=&to=
+const readFilters = (query) => {
+  const filters = {};
+  ['tripId', 'course', 'from', 'to'].forEach((key) => {
+    if (typeof query[key] === 'string' && query[key]) filters[key] = query[key];
+  });
+  return filters;
+};
+
+// GET /users/:username/stats - Scoring, hole and match stats across trips
+router.get('/users/:username/stats', validate({ query: schemas.statsQuery }), async (req, res) => {
+  const filters = readFilters(req.query);
+
+  const [users, trips, catalog] = await Promise.all([
+    store.users.list(),
+    store.trips.list(),
+    store.courses.catalog(),
+  ]);
+  const user = users.find((u) => u.username === req.params.username);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+
+  res.json(userStats({ user, users, trips, catalog, filters }));
+});
+
+// GET /trips/:tripId/stats - The same for every member of one trip
+router.get('/trips/:tripId/stats', validate({ query: schemas.statsQuery }), async (req, res) => {
+  const { tripId, ...filters } = readFilters(req.query);
+
+  const trip = await store.trips.get(req.params.tripId);
+  if (!trip) return res.status(404).json({ error: 'Trip not found' });
+
+  const [users, catalog] = await Promise.all([store.users.list(), store.courses.catalog()]);
+  res.json(tripStats({ trip, users, catalog, filters }));
+});
+
+export default router;
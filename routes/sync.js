@@ -0,0 +1,98 @@
+// routes/sync.js
+import express from 'express';
+import store from '../lib/store/index.js';
+import { withVersion, syncCursor, planBatch, applyBatch, changesSince } from '../lib/sync.js';
+import { recordFinalMatchPoints } from '../lib/leaderboard.js';
+import { scoreEntries } from '../lib/audit.js';
+import { lockTripHandicaps } from '../lib/handicap.js';
+import { tripRole } from '../lib/members.js';
+import { broadcastScoreUpdate } from '../lib/live.js';
+import { authenticate } from '../lib/auth.js';
+import { withRetry } from '../lib/store/versions.js';
+import metrics from '../lib/metrics.js';
+import { validate, checkParams } from '../lib/validation.js';
+import * as schemas from '../lib/schemas.js';
+
+const router = express.Router();
+checkParams(router, schemas.PARAMS);
+
+const STATUSES = ['applied', 'duplicate', 'stale', 'conflict', 'rejected'];
+
+// POST /trips/:tripId/scores/sync
+// Body: { entries: [{ id, username, round, hole, strokes, at, baseVersion? }],
+//         mode = 'lastWriteWins' | 'report' }
+// Applies queued hole scores (see lib/sync.js). Retrying a batch is safe:
+// entries already applied come back as duplicates. The response has a result
+// per entry and the current card for every round the batch touched.
+router.post('/trips/:tripId/scores/sync', authenticate, validate({ body: schemas.scoreSync }), withRetry(async (req, res) => {
+  const trip = await store.trips.get(req.params.tripId);
+  if (!trip) return res.status(404).json({ error: 'Trip not found' });
+  if (!tripRole(trip, req.auth.username)) return res.status(403).json({ error: 'Not a member of this trip' });
+
+  const [users, catalog] = await Promise.all([store.users.list(), store.courses.catalog()]);
+  const { entries, mode = 'lastWriteWins' } = req.body;
+
+  const { version, results, cards, updates } = await withVersion(async (version) => {
+    const plan = planBatch({ trip, users, catalog, actor: req.auth.username, entries, mode, version });
+
+    // Same as save-scores: the first scores of a locking trip lock handicaps
+    if (plan.results.some((r) => r.status === 'applied') && trip.lockHandicaps && !trip.handicapSnapshot) {
+      lockTripHandicaps(trip, users);
+      await store.trips.save(trip);
+    }
+
+    const applied = applyBatch({ trip, users, catalog, cards: plan.cards });
+    const rounds = [...new Set(applied.map((u) => u.round))];
+    const finalized = rounds.flatMap((round) => recordFinalMatchPoints({ trip, round, users, catalog }));
+
+    const changed = new Set([...applied.map((u) => u.member.username), ...finalized]);
+    if (changed.size) await store.users.saveMany(users.filter((u) => changed.has(u.username)));
+    await store.audit.append(scoreEntries({ trip, actor: req.auth.username, action: 'sync', updates: applied }));
+    return { version, ...plan, updates: applied };
+  });
+
+  updates.forEach(({ member, round, before, after }) => {
+    broadcastScoreUpdate({ tripId: trip.tripId, username: member.username, round, before, after });
+  });
+
+  const summary = Object.fromEntries(STATUSES.map((status) => [status, results.filter((r) => r.status === status).length]));
+  STATUSES.filter((status) => summary[status]).forEach((status) => metrics.increment(`scoreSync.${status}`, summary[status]));
+
+  res.json({
+    version,
+    summary,
+    results,
+    cards: cards.map(({ username, round }) => {
+      const entry = users.find((u) => u.username === username)?.trips?.[trip.tripId];
+      return {
+        username,
+        round,
+        raw: entry?.raw_scores?.[round] || [],
+        net: entry?.net_scores?.[round] || [],
+        stamps: entry?.hole_stamps?.[round] || [],
+      };
+    }),
+  });
+}));
+
+// GET /trips/:tripId/scores/changes?since= - Every hole written after
+// version `since`; without it, every scored hole. Pass the returned
+// `version` as `since` next time.
+router.get('/trips/:tripId/scores/changes', validate({ query: schemas.scoreChanges }), async (req, res) => {
+  const trip = await store.trips.get(req.params.tripId);
+  if (!trip) return res.status(404).json({ error: 'Trip not found' });
+
+  // Read before the cards, so nothing written meanwhile is skipped next time
+  const version = syncCursor();
+  const users = await store.users.list();
+  const since = Number(req.query.since || 0);
+  res.json({
+    tripId: trip.tripId,
+    since,
+    version,
+    full: since === 0,
+    changes: changesSince({ trip, users, since }),
+  });
+});
+
+export default router;
@@ -1,69 +1,225 @@
 // routes/trips.js
 import express from 'express';
-import { pool } from '../index.js'; // Adjust if db connection is in a separate file
+import store from '../lib/store/index.js';
+import { validateCourseRefs } from '../lib/courses.js';
+import { roundCourse } from '../lib/scoring.js';
+import { validateRoundFormats } from '../lib/formats.js';
+import { lineupErrors } from '../lib/lineups.js';
+import { tripRole, publicTrip } from '../lib/members.js';
+import { removeRound } from '../lib/handicap.js';
+import { tripEntries } from '../lib/audit.js';
+import { currentRound } from '../lib/itinerary.js';
+import {
+  isArchived,
+  hasScores,
+  roundStates,
+  isFrozen,
+  roundStateChangeError,
+  setRoundState,
+  roundsAre,
+  resizeUserTrip,
+  resizeTrip,
+  rescoreRound,
+  detachTrip,
+} from '../lib/lifecycle.js';
+import { broadcastTripUpdate, broadcastTripDeleted } from '../lib/live.js';
+import { authenticate, requireTripLeader, requireTripManager } from '../lib/auth.js';
+import {
+  VersionConflictError,
+  versionOf,
+  etagFor,
+  expectedVersion,
+  sendConflict,
+  retryOnConflict,
+  withRetry,
+} from '../lib/store/versions.js';
+import { validate, checkParams } from '../lib/validation.js';
+import * as schemas from '../lib/schemas.js';
 
 const router = express.Router();
+checkParams(router, schemas.PARAMS);
 
-// POST /api/trips - Create a new trip
-router.post('/trips', async (req, res) => {
-  const { tripId, numTeams, playersPerTeam, numRounds, courses, scoringMethods, teams } = req.body;
-
-  try {
-    // Validate required fields
-    if (!tripId || !numTeams || !playersPerTeam || !numRounds || !courses || !scoringMethods || !teams) {
-      return res.status(400).json({ error: 'Missing required trip data' });
-    }
-
-    // Insert trip into database
-    const query = `
-      INSERT INTO trips (trip_id, num_teams, players_per_team, num_rounds, courses, scoring_methods, teams)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING *;
-    `;
-    const values = [
-      tripId,
-      numTeams,
-      playersPerTeam,
-      numRounds,
-      JSON.stringify(courses),  // Store as JSON string
-      JSON.stringify(scoringMethods), // Store as JSON string
-      JSON.stringify(teams),    // Store as JSON string
-    ];
-
-    const result = await pool.query(query, values);
-    res.status(201).json({ message: 'Trip created successfully', trip: result.rows[0] });
-  } catch (err) {
-    console.error('Error creating trip:', err.message);
-    res.status(500).json({ error: 'Failed to create trip', details: err.message });
+// Settings that change how a round's cards are scored
+const SCORING_FIELDS = ['courses', 'scoringMethods', 'handicapAllowances'];
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Responds 409 when the client's If-Match/version is behind; returns true if it did
+const staleVersion = (req, res, trip) => {
+  const expected = expectedVersion(req);
+  if (expected === null || expected === versionOf(trip)) return false;
+  sendConflict(res, new VersionConflictError('Trip', trip.tripId, expected, versionOf(trip)));
+  return true;
+};
+
+// PATCH /trips/:tripId - Change any of the settings in schemas.tripPatch. Cards of rounds whose
+// course, format or allowance changed are rescored; changing numRounds pads
+// or trims every member's score arrays. Dropping rounds that have scores
+// needs { force: true }. Final and locked rounds can't be changed.
+router.patch('/trips/:tripId', authenticate, requireTripManager, validate({ body: schemas.tripPatch }), withRetry(async (req, res) => {
+  // `version` is read by expectedVersion, not a field to change
+  const { force, version, ...changes } = req.body;
+
+  const [trip, users, catalog] = await Promise.all([
+    store.trips.get(req.params.tripId),
+    store.users.list(),
+    store.courses.catalog(),
+  ]);
+  if (isArchived(trip)) return res.status(409).json({ error: 'This trip is archived' });
+  if (staleVersion(req, res, trip)) return;
+
+  const oldRounds = trip.numRounds || 1;
+  const numRounds = changes.numRounds ?? oldRounds;
+
+  const next = { ...structuredClone(trip), ...changes, numRounds };
+  resizeTrip(next, numRounds);
+
+  // Rounds that go away
+  const dropped = Array.from({ length: Math.max(oldRounds - numRounds, 0) }, (_, i) => numRounds + i);
+  const frozenDropped = dropped.filter((round) => isFrozen(trip, round));
+  if (frozenDropped.length) {
+    return res.status(409).json({ error: `${roundsAre(frozenDropped)} final or locked` });
+  }
+  const scoredDropped = dropped.filter((round) => hasScores(trip, round, users));
+  if (scoredDropped.length && !force) {
+    return res.status(409).json({
+      error: `${roundsAre(scoredDropped)} already scored; send force: true to delete them`,
+      rounds: scoredDropped,
+    });
+  }
+
+  // Rounds that stay but score differently
+  const rescored = Array.from({ length: Math.min(oldRounds, numRounds) }, (_, round) => round)
+    .filter((round) => SCORING_FIELDS.some((field) => !same(trip[field]?.[round], next[field]?.[round])));
+  const frozenRescored = rescored.filter((round) => isFrozen(trip, round));
+  if (frozenRescored.length) {
+    return res.status(409).json({ error: `${roundsAre(frozenRescored)} final or locked` });
   }
-});
 
-// Optional: GET /api/trips/:tripId - Fetch a trip (if not handled in index.js)
-router.get('/trips/:tripId', async (req, res) => {
-  const tripId = req.params.tripId;
-
-  try {
-    const result = await pool.query('SELECT * FROM trips WHERE trip_id = $1', [tripId]);
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Trip not found' });
-    }
-
-    const trip = result.rows[0];
-    const parsedTrip = {
-      tripId: trip.trip_id,
-      numTeams: trip.num_teams,
-      playersPerTeam: trip.players_per_team,
-      numRounds: trip.num_rounds,
-      courses: JSON.parse(trip.courses),
-      scoringMethods: JSON.parse(trip.scoring_methods),
-      teams: JSON.parse(trip.teams),
-    };
-
-    res.json(parsedTrip);
-  } catch (err) {
-    console.error('Error fetching trip:', err.message);
-    res.status(500).json({ error: 'Failed to fetch trip', details: err.message });
+  const courseError = validateCourseRefs(next.courses, catalog);
+  if (courseError) return res.status(400).json({ error: courseError });
+  const misfit = rescored.find((round) => {
+    const holes = roundCourse(next, round, catalog).holes.length;
+    return users.some((u) => (u.trips?.[trip.tripId]?.raw_scores?.[round] || []).length > holes);
+  });
+  if (misfit !== undefined) {
+    return res.status(409).json({ error: `Round ${misfit} has cards longer than the new course; clear them first` });
+  }
+  const formatError = validateRoundFormats(next);
+  if (formatError) return res.status(400).json({ error: formatError });
+  const lineupProblems = lineupErrors(next);
+  if (lineupProblems.length) {
+    return res.status(400).json({ error: `Lineups no longer fit: ${lineupProblems[0]}`, errors: lineupProblems });
   }
+
+  // Trip first: if it conflicts nothing has been written and the retry checks
+  // If-Match again. The cards then follow from fresh reads, retried on their
+  // own so a conflict there can't rerun (and refuse) the saved trip change.
+  await store.trips.save(next);
+  await retryOnConflict(async () => {
+    const fresh = await store.users.list();
+    const changed = new Map();
+    fresh.filter((u) => u.trips?.[trip.tripId]).forEach((user) => {
+      const entry = user.trips[trip.tripId];
+      if (numRounds !== oldRounds) {
+        resizeUserTrip(entry, numRounds);
+        dropped.forEach((round) => removeRound(user, `${trip.tripId}:${round}`));
+        changed.set(user.username, user);
+      }
+    });
+    rescored.forEach((round) => {
+      rescoreRound({ trip: next, round, users: fresh, catalog }).forEach((user) => changed.set(user.username, user));
+    });
+    if (changed.size) await store.users.saveMany([...changed.values()]);
+  });
+  await store.audit.append(tripEntries({ before: trip, after: next, actor: req.auth.username, action: 'update' }));
+
+  broadcastTripUpdate({ tripId: next.tripId, trip: next });
+  res.set('ETag', etagFor(next));
+  res.json({ message: 'Trip updated', trip: publicTrip(next), rescoredRounds: rescored, droppedRounds: dropped });
+}));
+
+// DELETE /trips/:tripId - Deletes the trip and takes it off every user
+router.delete('/trips/:tripId', authenticate, requireTripLeader, validate({ body: schemas.empty }), withRetry(async (req, res) => {
+  const trip = await store.trips.get(req.params.tripId);
+  if (!trip) return res.status(404).json({ error: 'Trip not found' });
+  if (staleVersion(req, res, trip)) return;
+
+  const detached = detachTrip(trip.tripId, await store.users.list());
+  if (detached.length) await store.users.saveMany(detached);
+  await store.trips.remove(trip.tripId);
+  // The entry keeps the whole trip; the log outlives it
+  await store.audit.append(tripEntries({ before: trip, actor: req.auth.username, action: 'delete' }));
+
+  broadcastTripDeleted({ tripId: trip.tripId });
+  res.json({ message: 'Trip deleted', tripId: trip.tripId, usersUpdated: detached.map((u) => u.username) });
+}));
+
+// ========== ARCHIVING ==========
+// POST /trips/:tripId/archive - Every round must be final or locked
+router.post('/trips/:tripId/archive', authenticate, requireTripManager, validate({ body: schemas.empty }), withRetry(async (req, res) => {
+  const [trip, users] = await Promise.all([store.trips.get(req.params.tripId), store.users.list()]);
+  if (isArchived(trip)) return res.status(409).json({ error: 'Trip is already archived' });
+  const before = structuredClone(trip);
+
+  const unfinished = roundStates(trip, users).filter((r) => !isFrozen(trip, r.round));
+  if (unfinished.length) {
+    return res.status(409).json({
+      error: `Finish every round before archiving (open: ${unfinished.map((r) => r.round).join(', ')})`,
+      rounds: unfinished,
+    });
+  }
+
+  trip.status = 'archived';
+  trip.archivedAt = new Date().toISOString();
+  await store.trips.save(trip);
+  await store.audit.append(tripEntries({ before, after: trip, actor: req.auth.username, action: 'archive' }));
+  broadcastTripUpdate({ tripId: trip.tripId, trip });
+  res.json({ message: 'Trip archived', archivedAt: trip.archivedAt });
+}));
+
+router.post('/trips/:tripId/unarchive', authenticate, requireTripLeader, validate({ body: schemas.empty }), withRetry(async (req, res) => {
+  const trip = await store.trips.get(req.params.tripId);
+  if (!isArchived(trip)) return res.status(409).json({ error: 'Trip is not archived' });
+
+  const before = structuredClone(trip);
+  delete trip.status;
+  delete trip.archivedAt;
+  await store.trips.save(trip);
+  await store.audit.append(tripEntries({ before, after: trip, actor: req.auth.username, action: 'unarchive' }));
+  broadcastTripUpdate({ tripId: trip.tripId, trip });
+  res.json({ message: 'Trip restored' });
+}));
+
+// ========== ROUND STATES ==========
+// GET /trips/:tripId/rounds - State of every round and the current one
+router.get('/trips/:tripId/rounds', async (req, res) => {
+  const trip = await store.trips.get(req.params.tripId);
+  if (!trip) return res.status(404).json({ error: 'Trip not found' });
+  const users = await store.users.list();
+  res.json({ status: trip.status || 'active', currentRound: currentRound(trip, users), rounds: roundStates(trip, users) });
 });
 
-export default router;
\ No newline at end of file
+// PUT /trips/:tripId/rounds/:round/status
+// Body: { state: 'final' | 'locked' | 'in_progress' } - in_progress reopens
+router.put('/trips/:tripId/rounds/:round/status', authenticate, requireTripManager, validate({ body: schemas.roundStatus }), withRetry(async (req, res) => {
+  const [trip, users] = await Promise.all([store.trips.get(req.params.tripId), store.users.list()]);
+  const round = parseInt(req.params.round, 10);
+  if (isNaN(round) || round < 0 || round >= (trip.numRounds || 1)) {
+    return res.status(400).json({ error: 'Invalid round index' });
+  }
+
+  if (isArchived(trip)) return res.status(409).json({ error: 'This trip is archived' });
+
+  const error = roundStateChangeError(trip, round, req.body.state, tripRole(trip, req.auth.username));
+  if (error) return res.status(error.startsWith('Only') ? 403 : 400).json({ error });
+
+  const before = structuredClone(trip);
+  setRoundState(trip, round, req.body.state, req.auth.username);
+  await store.trips.save(trip);
+  await store.audit.append(tripEntries({ before, after: trip, actor: req.auth.username, action: 'round-status', round }));
+  broadcastTripUpdate({ tripId: trip.tripId, trip });
+  res.json({ message: 'Round updated', ...roundStates(trip, users)[round] });
+}));
+
+export default router;
@@ -0,0 +1,111 @@
+// Audit history and reverting a logged change.
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+import { holeChanges, revertCard, revertFields } from '../lib/audit.js';
+
+describe('revertCard', () => {
+  const entry = { changes: holeChanges({ raw: [4, 5, 3] }, { raw: [4, 6, 4] }) };
+
+  test('puts back the holes the entry changed', () => {
+    assert.deepEqual(entry.changes.map((c) => c.hole), [1, 2]);
+    assert.deepEqual(revertCard(entry, [4, 6, 4]), { raw: [4, 5, 3], conflicts: [] });
+  });
+
+  test('reports holes that changed again since', () => {
+    const { raw, conflicts } = revertCard(entry, [7, 6, 2]);
+    assert.deepEqual(raw, [7, 5, 3]);
+    assert.deepEqual(conflicts, [{ hole: 2, expected: 4, current: 2 }]);
+  });
+
+  test('leaves out holes past the end of the card', () => {
+    const { raw, conflicts } = revertCard(entry, [4, 6]);
+    assert.deepEqual(raw, [4, 5]);
+    assert.deepEqual(conflicts, [{ hole: 2, expected: 4, current: null }]);
+  });
+});
+
+describe('revertFields', () => {
+  test('puts back each field and reports the ones that moved on', () => {
+    const entry = { changes: [{ field: 'a', before: 1, after: 2 }, { field: 'b', before: null, after: 'x' }] };
+    const { values, conflicts } = revertFields(entry, { a: 2, b: 'y', c: true });
+    assert.deepEqual(values, { a: 1, b: null, c: true });
+    assert.deepEqual(conflicts, [{ field: 'b', expected: 'x', current: 'y' }]);
+  });
+});
+
+describe('POST /trips/:tripId/history/:auditId/revert', () => {
+  const TRIP_ID = 'TRIP_AUD1';
+  const card = (strokes) => Array.from({ length: 18 }, (_, i) => (i === 0 ? strokes : 4));
+  let server;
+
+  before(async () => {
+    server = await startServer({
+      users: ['lead', 'amy'].map((username) => ({
+        username,
+        password: 'unused',
+        name: username,
+        handicap: 0,
+        trips: { [TRIP_ID]: { raw_scores: [[]], net_scores: [[]] } },
+      })),
+      trips: {
+        [TRIP_ID]: {
+          tripId: TRIP_ID,
+          tripLeader: 'lead',
+          numRounds: 1,
+          scoringMethods: ['stroke'],
+          courses: ['True Blue'],
+          users: ['lead', 'amy'],
+        },
+      },
+    });
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  const save = (strokes) =>
+    server.request('POST', `/users/amy/trips/${TRIP_ID}/save-scores`, { as: 'lead', body: { round: 0, raw: card(strokes) } });
+  const firstHole = async () => (await server.request('GET', `/users/amy/trips/${TRIP_ID}/scores?round=0`, { as: 'amy' })).body.raw[0];
+  const latestScoreEntry = async () =>
+    (await server.request('GET', `/trips/${TRIP_ID}/players/amy/history?kind=score`, { as: 'lead' })).body.entries[0];
+  const revert = (auditId, body = {}) =>
+    server.request('POST', `/trips/${TRIP_ID}/history/${auditId}/revert`, { as: 'lead', body });
+
+  test('puts the card back and logs the revert once', async () => {
+    await save(5);
+    await save(7);
+    const entry = await latestScoreEntry();
+    assert.deepEqual(entry.changes.map((c) => [c.hole, c.before.raw, c.after.raw]), [[0, 5, 7]]);
+
+    const res = await revert(entry.auditId);
+    assert.equal(res.status, 200);
+    assert.equal(await firstHole(), 5);
+    assert.equal(res.body.entries[0].revertOf, entry.auditId);
+
+    const again = await revert(entry.auditId);
+    assert.equal(again.status, 409);
+    assert.equal(again.body.revertedBy, res.body.entries[0].auditId);
+  });
+
+  test('refuses to revert over a later change unless forced', async () => {
+    await save(6);
+    const entry = await latestScoreEntry();
+    await save(8);
+
+    const res = await revert(entry.auditId);
+    assert.equal(res.status, 409);
+    assert.deepEqual(res.body.conflicts, [{ hole: 0, expected: 6, current: 8 }]);
+    assert.equal(await firstHole(), 8);
+
+    assert.equal((await revert(entry.auditId, { force: true })).status, 200);
+    assert.equal(await firstHole(), 5);
+  });
+
+  test('only the leader can revert', async () => {
+    const entry = await latestScoreEntry();
+    const res = await server.request('POST', `/trips/${TRIP_ID}/history/${entry.auditId}/revert`, { as: 'amy', body: {} });
+    assert.equal(res.status, 403);
+  });
+});
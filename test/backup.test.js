@@ -0,0 +1,185 @@
+// Snapshot, prune and restore against every backup target: a local directory
+// and the S3 and GitHub targets pointed at an in-process fake.
+import { after, afterEach, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFakeBackupServer } from './helpers/fakeBackupServer.js';
+
+const cwd = process.cwd();
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'forescore-backup-'));
+fs.mkdirSync(path.join(dir, 'data'));
+
+// lib/storage.js resolves data/ against the cwd when it's first imported
+process.chdir(dir);
+Object.assign(process.env, { BACKUP_TARGETS: 'local', BACKUP_DIR: path.join(dir, 'backups'), LOG_LEVEL: 'error' });
+const { createBackupService, targetsFromEnv } = await import('../lib/backup/index.js');
+const { FILES, readJsonFile, writeJsonFile, flushWrites } = await import('../lib/storage.js');
+
+const STAMP_PATH = path.join(dir, 'data/.written');
+
+// Snapshot names carry the time to the millisecond
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+const setTrips = async (trips) => {
+  await writeJsonFile(FILES.trips, { trips });
+  await flushWrites();
+};
+
+const tripIds = () => Object.keys(readJsonFile(FILES.trips).trips || {});
+
+describe('backups', () => {
+  let fake;
+  let localDir;
+  let targets;
+
+  before(() => {
+    fs.writeFileSync(path.join(dir, 'data/users.json'), JSON.stringify({ users: [] }));
+  });
+
+  beforeEach(async () => {
+    fake = await createFakeBackupServer({ pageSize: 2 });
+    localDir = fs.mkdtempSync(path.join(dir, 'local-'));
+    targets = targetsFromEnv({
+      BACKUP_TARGETS: 'local,s3,github',
+      BACKUP_DIR: localDir,
+      BACKUP_S3_ENDPOINT: fake.url,
+      BACKUP_S3_BUCKET: fake.bucket,
+      BACKUP_S3_ACCESS_KEY_ID: 'key',
+      BACKUP_S3_SECRET_ACCESS_KEY: 'secret',
+      GITHUB_REPO: fake.repo,
+      GITHUB_TOKEN: fake.token,
+      GITHUB_API_URL: fake.url,
+    });
+    await setTrips({ TRIP_A: { tripId: 'TRIP_A' } });
+  });
+
+  afterEach(async () => {
+    await fake.close();
+  });
+
+  after(() => {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('snapshot writes the same document to every target', async () => {
+    const backups = createBackupService({ targets });
+    const name = await backups.snapshot();
+
+    const bodies = [
+      fs.readFileSync(path.join(localDir, name), 'utf-8'),
+      fake.s3.get(`forescore/${name}`),
+      fake.github.get(`backups/${name}`),
+    ];
+    bodies.forEach((body) => assert.equal(body, bodies[0]));
+    assert.deepEqual(JSON.parse(bodies[0]).files.trips, { trips: { TRIP_A: { tripId: 'TRIP_A' } } });
+
+    const listed = await backups.list();
+    assert.deepEqual(listed.map((s) => s.target).sort(), ['github', 'local', 's3']);
+    assert.ok(listed.every((s) => s.name === name));
+    assert.equal(backups.status.failures, 0);
+  });
+
+  test('prune keeps the newest `retain` snapshots on each target', async () => {
+    const backups = createBackupService({ targets, retain: 2 });
+    const names = [];
+    for (let i = 0; i < 5; i++) {
+      names.push(await backups.snapshot());
+      await tick();
+    }
+
+    const kept = names.slice(-2).sort();
+    for (const target of ['local', 's3', 'github']) {
+      assert.deepEqual((await backups.list(target)).map((s) => s.name).sort(), kept, target);
+    }
+    assert.deepEqual([...fake.s3.keys()].sort(), kept.map((n) => `forescore/${n}`));
+    assert.deepEqual([...fake.github.keys()].sort(), kept.map((n) => `backups/${n}`));
+    assert.equal(backups.status.failures, 0);
+  });
+
+  test('a failing target is counted and the others still get the snapshot', async () => {
+    const broken = targetsFromEnv({ BACKUP_TARGETS: 'github', GITHUB_REPO: fake.repo, GITHUB_TOKEN: 'wrong', GITHUB_API_URL: fake.url });
+    const backups = createBackupService({ targets: [targets[1], ...broken] });
+    const name = await backups.snapshot();
+
+    assert.ok(fake.s3.has(`forescore/${name}`));
+    assert.equal(fake.github.size, 0);
+    assert.equal(backups.status.failures, 1);
+    assert.match(backups.status.lastError, /^github: GitHub PUT .* 401$/);
+  });
+
+  for (const [index, target] of ['local', 's3', 'github'].entries()) {
+    test(`restore from ${target} picks the newest snapshot at or before \`at\``, async () => {
+      const backups = createBackupService({ targets: [targets[index]] });
+      await backups.snapshot();
+      await tick();
+      const middle = new Date();
+      await tick();
+      await setTrips({ TRIP_B: { tripId: 'TRIP_B' } });
+      await backups.snapshot();
+      await setTrips({});
+
+      const earlier = await backups.restore({ at: middle });
+      assert.equal(earlier.target, target);
+      assert.deepEqual(tripIds(), ['TRIP_A']);
+
+      const latest = await backups.restore();
+      assert.ok(latest.createdAt > earlier.createdAt);
+      assert.deepEqual(tripIds(), ['TRIP_B']);
+
+      await flushWrites();
+      assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'data/trips.json'), 'utf-8')).trips, { TRIP_B: { tripId: 'TRIP_B' } });
+      assert.equal(await backups.restore({ at: new Date(0) }), null);
+    });
+  }
+
+  test('restoreOnStart restores the newest snapshot over files never written here', async () => {
+    const backups = createBackupService({ targets });
+    await backups.snapshot();
+    await setTrips({ TRIP_B: { tripId: 'TRIP_B' } });
+    fs.rmSync(STAMP_PATH);
+
+    await backups.restoreOnStart();
+    assert.deepEqual(tripIds(), ['TRIP_A']);
+    assert.equal(backups.status.restoredFrom.target, 'local');
+    assert.ok(backups.status.restoreFinished);
+  });
+
+  test('restoreOnStart restores over files older than the newest snapshot', async () => {
+    const backups = createBackupService({ targets: targets.slice(1) });
+    await backups.snapshot();
+    await setTrips({ TRIP_B: { tripId: 'TRIP_B' } });
+    fs.writeFileSync(STAMP_PATH, new Date(Date.now() - 60000).toISOString());
+
+    await backups.restoreOnStart();
+    assert.deepEqual(tripIds(), ['TRIP_A']);
+    assert.equal(backups.status.restoredFrom.target, 's3');
+  });
+
+  test('restoreOnStart keeps files written after the newest snapshot and backs them up', async () => {
+    const backups = createBackupService({ targets });
+    const old = await backups.snapshot();
+    await tick();
+    await setTrips({ TRIP_B: { tripId: 'TRIP_B' } });
+
+    await backups.restoreOnStart();
+    assert.deepEqual(tripIds(), ['TRIP_B']);
+    assert.equal(backups.status.restoredFrom, null);
+
+    const [newest] = await backups.list('github');
+    assert.notEqual(newest.name, old);
+    assert.deepEqual(Object.keys(JSON.parse(fake.github.get(`backups/${newest.name}`)).files.trips.trips), ['TRIP_B']);
+  });
+
+  test('restoreOnStart falls back to the legacy GitHub data files', async () => {
+    const backups = createBackupService({ targets: targets.slice(2) });
+    fake.github.set('data/trips.json', JSON.stringify({ trips: { TRIP_OLD: { tripId: 'TRIP_OLD' } } }));
+    fs.rmSync(STAMP_PATH);
+
+    await backups.restoreOnStart();
+    assert.deepEqual(tripIds(), ['TRIP_OLD']);
+    assert.equal(backups.status.lastError, null);
+  });
+});
@@ -0,0 +1,72 @@
+// Course edits are refused once they would rescore rounds already played.
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const holes = Array.from({ length: 18 }, (_, i) => ({ par: 4, strokeIndex: i + 1 }));
+const tees = [{ name: 'Blue', slope: 130, rating: 72.5 }, { name: 'White', slope: 120, rating: 70.1 }];
+
+const course = (courseId, name) => ({ courseId, name, holes, tees, defaultTee: 'Blue', numHoles: 18, createdBy: 'lead' });
+
+const trip = (tripId, courses) => ({
+  tripId,
+  tripLeader: 'lead',
+  numTeams: 1,
+  playersPerTeam: 1,
+  numRounds: 1,
+  scoringMethods: ['stroke'],
+  courses,
+  users: ['lead'],
+});
+
+describe('PUT /courses/:courseId', () => {
+  let server;
+
+  // TRIP_NAME plays Scored Links by name and has scores; nobody has played
+  // Unplayed Links
+  before(async () => {
+    server = await startServer({
+      users: [{
+        username: 'lead',
+        password: 'unused',
+        name: 'Lead',
+        handicap: 10,
+        trips: { TRIP_NAME: { raw_scores: [[5, 4, 4]], net_scores: [[4, 3, 4]] } },
+      }],
+      trips: { TRIP_NAME: trip('TRIP_NAME', ['Scored Links']) },
+      courses: { COURSE_S: course('COURSE_S', 'Scored Links'), COURSE_U: course('COURSE_U', 'Unplayed Links') },
+    });
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  const edit = (courseId, body) => server.request('PUT', `/courses/${courseId}`, { as: 'lead', body });
+
+  test('refuses a new default tee for scored rounds that use it', async () => {
+    const res = await edit('COURSE_S', { defaultTee: 'White' });
+    assert.equal(res.status, 409);
+    assert.deepEqual(res.body.rounds, [{ tripId: 'TRIP_NAME', round: 0 }]);
+  });
+
+  test('refuses a rename that scored rounds referencing the name would lose', async () => {
+    const res = await edit('COURSE_S', { name: 'Renamed Links' });
+    assert.equal(res.status, 409);
+  });
+
+  test('refuses new tee ratings', async () => {
+    const res = await edit('COURSE_S', { tees: [{ ...tees[0], slope: 140 }, tees[1]] });
+    assert.equal(res.status, 409);
+  });
+
+  test('allows edits that do not change scoring', async () => {
+    assert.equal((await edit('COURSE_S', { name: 'scored links ', location: 'Somewhere' })).status, 200);
+    assert.equal((await edit('COURSE_S', { tees: [...tees, { name: 'Red', slope: 110, rating: 68 }] })).status, 200);
+  });
+
+  test('allows any edit to a course without scored rounds', async () => {
+    const res = await edit('COURSE_U', { name: 'Fresh Links', defaultTee: 'White' });
+    assert.equal(res.status, 200);
+  });
+});
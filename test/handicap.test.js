@@ -0,0 +1,132 @@
+// World Handicap System calculation (lib/handicap.js).
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  adjustedGrossScore,
+  scoreDifferential,
+  tripRoundEntry,
+  calculateIndex,
+  applyCaps,
+  recalculate,
+  postRound,
+  removeRound,
+} from '../lib/handicap.js';
+import { resolveCourse } from '../lib/scoring.js';
+
+const course = resolveCourse({
+  name: 'Rated Links',
+  tee: 'Blue',
+  slope: 125,
+  rating: 71.5,
+  holes: Array.from({ length: 18 }, (_, i) => ({ par: 4, strokeIndex: i + 1 })),
+});
+
+// Rounds played a day apart, oldest first
+const rounds = (differentials) => differentials.map((differential, i) => ({
+  roundId: `R${i}`,
+  differential,
+  playedAt: new Date(Date.UTC(2026, 0, 1 + i)).toISOString(),
+}));
+
+describe('differentials', () => {
+  test('follow (113 / slope) x (adjusted gross - rating), to one decimal', () => {
+    assert.equal(scoreDifferential(85, course), 12.2);
+    assert.equal(scoreDifferential(70, { rating: 72, slope: 113 }), -2);
+  });
+
+  test('net double bogey caps each hole at par + 2 + strokes received', () => {
+    const raw = [10, ...Array(17).fill(4)];
+    // A 0 index gets no strokes, so the 10 counts as 6
+    assert.equal(adjustedGrossScore(raw, course, 0), 6 + 17 * 4);
+    // A 16.0 index plays off 17 here and gets a stroke on hole 1, so it counts as 7
+    assert.equal(adjustedGrossScore(raw, course, 16), 7 + 17 * 4);
+  });
+
+  test('without an index each hole is capped at par + 5', () => {
+    assert.equal(adjustedGrossScore([12, ...Array(17).fill(4)], course, null), 9 + 17 * 4);
+  });
+});
+
+describe('trip round postings', () => {
+  const entry = (raw, over = {}) => tripRoundEntry({
+    trip: { tripId: 'TRIP_H' },
+    round: 1,
+    raw,
+    course,
+    format: 'stroke',
+    handicapIndex: 10,
+    playedAt: '2026-05-01T00:00:00.000Z',
+    ...over,
+  });
+
+  test('post a finished 18-hole card on a rated course', () => {
+    const posted = entry(Array(18).fill(5));
+    assert.equal(posted.roundId, 'TRIP_H:1');
+    assert.equal(posted.gross, 90);
+    assert.equal(posted.differential, scoreDifferential(90, course));
+  });
+
+  test('skip unfinished cards, unrated courses and team cards', () => {
+    assert.equal(entry([...Array(17).fill(5), 0]), null);
+    assert.equal(entry(Array(18).fill(5), { course: resolveCourse('Unrated') }), null);
+    assert.equal(entry(Array(18).fill(5), { format: 'scramble' }), null);
+  });
+});
+
+describe('calculateIndex', () => {
+  test('needs three rounds', () => {
+    assert.deepEqual(calculateIndex(rounds([10, 12])), { index: null, counting: [] });
+  });
+
+  test('uses the lowest differential minus 2.0 for three rounds', () => {
+    assert.equal(calculateIndex(rounds([14, 10, 12])).index, 8);
+  });
+
+  test('averages the lowest 8 of the 20 most recent rounds', () => {
+    // The oldest round (0.0) has dropped out of the 20 most recent
+    const history = rounds([0, ...Array.from({ length: 20 }, (_, i) => 10 + i)]);
+    const { index, counting } = calculateIndex(history);
+    assert.equal(index, 13.5);
+    assert.deepEqual(counting, ['R1', 'R2', 'R3', 'R4', 'R5', 'R6', 'R7', 'R8']);
+  });
+});
+
+describe('caps', () => {
+  test('halve increases of more than 3.0 over the low index', () => {
+    assert.equal(applyCaps(14, 10), 13.5);
+  });
+
+  test('never let the index rise more than 5.0 over the low index', () => {
+    assert.equal(applyCaps(30, 10), 15);
+  });
+
+  test('leave the index alone without a low index', () => {
+    assert.equal(applyCaps(30, null), 30);
+  });
+});
+
+describe('posting and removing rounds', () => {
+  test('keeps the typed-in handicap until three rounds are posted', () => {
+    const user = { handicap: 18, handicapRounds: rounds([5, 6]) };
+    assert.equal(recalculate(user), 18);
+    assert.deepEqual(user.handicapHistory, []);
+  });
+
+  test('recalculates and records history on every change', () => {
+    const user = { handicap: 18, handicapRounds: rounds([14, 10]) };
+    postRound(user, { ...rounds([12])[0], roundId: 'TRIP_H:0' });
+    assert.equal(user.handicap, 8);
+    assert.equal(user.handicapHistory.at(-1).roundId, 'TRIP_H:0');
+
+    assert.equal(removeRound(user, 'TRIP_H:0'), true);
+    assert.equal(user.handicapRounds.length, 2);
+    assert.equal(removeRound(user, 'TRIP_H:0'), false);
+  });
+
+  test('a correction replaces the posting but keeps its play date', () => {
+    const user = { handicap: 18, handicapRounds: [] };
+    postRound(user, { roundId: 'TRIP_H:0', differential: 12, playedAt: '2026-01-01T00:00:00.000Z' });
+    postRound(user, { roundId: 'TRIP_H:0', differential: 9, playedAt: '2026-02-01T00:00:00.000Z' });
+    assert.deepEqual(user.handicapRounds, [{ roundId: 'TRIP_H:0', differential: 9, playedAt: '2026-01-01T00:00:00.000Z' }]);
+  });
+});
@@ -0,0 +1,127 @@
+// In-process stand-in for the remote backup targets, so lib/backup/s3.js and
+// lib/backup/github.js can be tested offline. It speaks just the parts of
+// each API they use:
+//   S3      path-style GET/PUT/DELETE /<bucket>/<key> and ListObjectsV2
+//           (GET /<bucket>?list-type=2&prefix=), paged `pageSize` keys at a time
+//   GitHub  the contents API under /repos/<owner>/<repo>/contents/<path>:
+//           directory listings, raw reads, base64 PUTs and DELETEs by sha
+// Objects live in `s3` (key -> body) and `github` (path -> body).
+import crypto from 'crypto';
+import http from 'http';
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+  req.on('error', reject);
+});
+
+const blobSha = (body) => crypto.createHash('sha1').update(body).digest('hex');
+
+const xmlEscape = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const createFakeBackupServer = async ({ bucket = 'backups', repo = 'owner/repo', token = 'gh-token', pageSize = 1000 } = {}) => {
+  const s3 = new Map();
+  const github = new Map();
+  const requests = [];
+
+  const handleS3 = async (req, res, url) => {
+    if (!/^AWS4-HMAC-SHA256 Credential=/.test(req.headers.authorization || '')) {
+      res.writeHead(403).end();
+      return;
+    }
+    const key = decodeURIComponent(url.pathname.slice(`/${bucket}/`.length));
+
+    if (req.method === 'GET' && url.pathname === `/${bucket}`) {
+      const prefix = url.searchParams.get('prefix') || '';
+      const keys = [...s3.keys()].filter((k) => k.startsWith(prefix)).sort();
+      const start = Number(url.searchParams.get('continuation-token') || 0);
+      const page = keys.slice(start, start + pageSize);
+      const truncated = start + pageSize < keys.length;
+      res.writeHead(200, { 'Content-Type': 'application/xml' }).end([
+        '<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>',
+        ...page.map((k) => `<Contents><Key>${xmlEscape(k)}</Key></Contents>`),
+        `<IsTruncated>${truncated}</IsTruncated>`,
+        truncated ? `<NextContinuationToken>${start + pageSize}</NextContinuationToken>` : '',
+        '</ListBucketResult>',
+      ].join(''));
+    } else if (req.method === 'PUT') {
+      s3.set(key, await readBody(req));
+      res.writeHead(200).end();
+    } else if (req.method === 'GET') {
+      if (!s3.has(key)) res.writeHead(404).end();
+      else res.writeHead(200).end(s3.get(key));
+    } else if (req.method === 'DELETE') {
+      s3.delete(key);
+      res.writeHead(204).end();
+    } else {
+      res.writeHead(405).end();
+    }
+  };
+
+  const handleGitHub = async (req, res, url) => {
+    if (req.headers.authorization !== `Bearer ${token}`) {
+      res.writeHead(401).end();
+      return;
+    }
+    const filePath = decodeURIComponent(url.pathname.slice(`/repos/${repo}/contents/`.length));
+    const json = (status, body) => res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+
+    if (req.method === 'GET' && github.has(filePath)) {
+      if (req.headers.accept === 'application/vnd.github.raw') res.writeHead(200).end(github.get(filePath));
+      else json(200, { name: filePath.split('/').pop(), path: filePath, sha: blobSha(github.get(filePath)) });
+    } else if (req.method === 'GET') {
+      const entries = [...github.keys()]
+        .filter((p) => p.startsWith(`${filePath}/`) && !p.slice(filePath.length + 1).includes('/'))
+        .map((p) => ({ name: p.split('/').pop(), path: p, sha: blobSha(github.get(p)), type: 'file' }));
+      if (entries.length) json(200, entries);
+      else json(404, { message: 'Not Found' });
+    } else if (req.method === 'PUT') {
+      const { content } = JSON.parse(await readBody(req));
+      const body = Buffer.from(content, 'base64').toString('utf-8');
+      github.set(filePath, body);
+      json(201, { content: { path: filePath, sha: blobSha(body) } });
+    } else if (req.method === 'DELETE') {
+      const { sha } = JSON.parse(await readBody(req));
+      if (!github.has(filePath)) json(404, { message: 'Not Found' });
+      else if (sha !== blobSha(github.get(filePath))) json(409, { message: 'sha does not match' });
+      else {
+        github.delete(filePath);
+        json(200, { commit: {} });
+      }
+    } else {
+      res.writeHead(405).end();
+    }
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://fake');
+    requests.push({ method: req.method, path: url.pathname });
+    try {
+      if (url.pathname === `/${bucket}` || url.pathname.startsWith(`/${bucket}/`)) await handleS3(req, res, url);
+      else if (url.pathname.startsWith(`/repos/${repo}/contents/`)) await handleGitHub(req, res, url);
+      else res.writeHead(404).end();
+    } catch {
+      res.writeHead(500).end();
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    bucket,
+    repo,
+    token,
+    s3,
+    github,
+    requests,
+    close: () => new Promise((resolve) => {
+      server.close(resolve);
+      server.closeAllConnections();
+    }),
+  };
+};
+
+export { createFakeBackupServer };
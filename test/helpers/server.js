@@ -0,0 +1,104 @@
+// Starts index.js against seeded data in a scratch directory. The server
+// runs in its own process with that directory as cwd, so data/ and backups/
+// never touch the repo's.
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+// Tokens are signed by lib/auth.js in the test's own process, which reads the
+// secret when first imported, so import this helper before anything in lib/
+const AUTH_SECRET = 'test-secret';
+process.env.AUTH_SECRET = AUTH_SECRET;
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.unref();
+  probe.on('error', reject);
+  probe.listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const waitUntilReady = async (url, child, timeoutMs = 15000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) throw new Error(`server exited with code ${child.exitCode}`);
+    try {
+      if ((await fetch(`${url}/readyz`)).ok) return;
+    } catch {
+      // not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error('server did not become ready');
+};
+
+// `users` is the users.json array, `trips` and `courses` the maps in
+// trips.json and courses.json
+const startServer = async ({ users = [], trips = {}, courses = {}, env = {} } = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'forescore-test-'));
+  fs.mkdirSync(path.join(dir, 'data'));
+  fs.writeFileSync(path.join(dir, 'data/users.json'), JSON.stringify({ users }));
+  fs.writeFileSync(path.join(dir, 'data/trips.json'), JSON.stringify({ trips }));
+  fs.writeFileSync(path.join(dir, 'data/courses.json'), JSON.stringify({ courses }));
+
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(ROOT, 'index.js')], {
+    cwd: dir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      AUTH_SECRET,
+      STORAGE_BACKEND: 'json',
+      RATE_LIMIT: 'off',
+      BACKUP_RESTORE_ON_START: 'false',
+      BACKUP_TARGETS: 'local',
+      BACKUP_DIR: path.join(dir, 'backups'),
+      LOG_LEVEL: 'error',
+      ...env,
+    },
+    stdio: ['ignore', 'ignore', 'inherit'],
+  });
+  const url = `http://127.0.0.1:${port}`;
+
+  const stop = async () => {
+    if (child.exitCode === null) {
+      const exited = new Promise((resolve) => child.once('exit', resolve));
+      child.kill('SIGTERM');
+      await exited;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  try {
+    await waitUntilReady(url, child);
+  } catch (err) {
+    await stop();
+    throw err;
+  }
+
+  const { signToken } = await import('../../lib/auth.js');
+  const token = (username) => signToken({ sub: username, type: 'access' }, 15 * 60);
+
+  const request = async (method, route, { as, body, headers = {} } = {}) => {
+    const res = await fetch(`${url}${route}`, {
+      method,
+      headers: {
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+        ...(as ? { Authorization: `Bearer ${token(as)}` } : {}),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, headers: res.headers, body: await res.json().catch(() => null) };
+  };
+
+  return { url, dir, request, stop };
+};
+
+export { AUTH_SECRET, startServer };
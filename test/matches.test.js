@@ -0,0 +1,72 @@
+// Match concessions and the final points they store.
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const TRIP_ID = 'TRIP_MATCH1';
+
+const user = (username) => ({
+  username,
+  password: 'unused',
+  name: username,
+  handicap: 10,
+  trips: { [TRIP_ID]: { raw_scores: [[], []], net_scores: [[], []] } },
+});
+
+// Two singles rounds between alice (team 1) and bob (team 2). Round 1's
+// concession is already on the trip but its points never reached the users,
+// as when the users save conflicted after the trip was written.
+const seedTrip = () => ({
+  tripId: TRIP_ID,
+  tripLeader: 'alice',
+  numTeams: 2,
+  playersPerTeam: 1,
+  numRounds: 2,
+  scoringMethods: ['match', 'match'],
+  courses: ['True Blue', 'True Blue'],
+  teams: [
+    { name: 'Team 1', players: [{ id: 1, name: 'alice', scores: [0, 0], lineupOrder: [0, 0] }] },
+    { name: 'Team 2', players: [{ id: 1, name: 'bob', scores: [0, 0], lineupOrder: [0, 0] }] },
+  ],
+  users: ['alice', 'bob'],
+  lineups: { 0: { 0: ['alice', 'bob'] }, 1: { 0: ['alice', 'bob'] } },
+  concessions: { 1: { 0: { holes: {}, match: { side: 1, by: 'bob', at: '2026-01-01T00:00:00.000Z' } } } },
+});
+
+describe('match concessions', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ users: [user('alice'), user('bob')], trips: { [TRIP_ID]: seedTrip() } });
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  test('repeating a stored concession records its points instead of answering 409', async () => {
+    const res = await server.request('POST', `/trips/${TRIP_ID}/rounds/1/matches/0/concede`, { as: 'bob', body: {} });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.ok(res.body.match.final);
+
+    const alice = (await server.request('GET', '/users/alice')).body.trips[TRIP_ID];
+    const bob = (await server.request('GET', '/users/bob')).body.trips[TRIP_ID];
+    assert.ok(alice.projected_points[1] > 0);
+    assert.equal(bob.projected_points[1], 0);
+    assert.equal(alice.projected_points[0] ?? null, null);
+  });
+
+  test('a decided match still refuses a concession from the other side', async () => {
+    const res = await server.request('POST', `/trips/${TRIP_ID}/rounds/1/matches/0/concede`, { as: 'alice', body: {} });
+    assert.equal(res.status, 409);
+  });
+
+  test('projected points fill in rounds before the stored final round', async () => {
+    const res = await server.request('GET', `/trips/${TRIP_ID}/projected-points`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.alice.length, 2);
+    assert.equal(typeof res.body.alice[0], 'number');
+    assert.ok(res.body.alice[1] > 0);
+    assert.equal(typeof res.body.bob[0], 'number');
+  });
+});
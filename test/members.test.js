@@ -0,0 +1,56 @@
+// Invites and removals: what happens to accounts and live connections.
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+import { initLive, removeFromTrip } from '../lib/live.js';
+
+const TRIP_ID = 'TRIP_MEMB1';
+const inAWeek = () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+
+describe('invites', () => {
+  let server;
+
+  // ghost was invited, then their account was deleted
+  before(async () => {
+    server = await startServer({
+      users: [{ username: 'lead', password: 'unused', name: 'Lead', handicap: 10, trips: { [TRIP_ID]: { raw_scores: [[]], net_scores: [[]] } } }],
+      trips: {
+        [TRIP_ID]: {
+          tripId: TRIP_ID,
+          tripLeader: 'lead',
+          numRounds: 1,
+          courses: ['True Blue'],
+          users: ['lead'],
+          invites: [{ username: 'ghost', role: 'player', invitedBy: 'lead', createdAt: new Date().toISOString(), expiresAt: inAWeek() }],
+        },
+      },
+    });
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  test('accepting for an account that no longer exists is a 404', async () => {
+    const res = await server.request('POST', `/trips/${TRIP_ID}/invites/ghost/accept`, { as: 'ghost', body: {} });
+    assert.equal(res.status, 404);
+    assert.deepEqual((await server.request('GET', `/trips/${TRIP_ID}`)).body.users, ['lead']);
+  });
+});
+
+describe('removeFromTrip', () => {
+  test('tells every socket of the user and takes them out of the trip room', () => {
+    const calls = [];
+    initLive({
+      on: () => {},
+      to: (room) => ({ emit: (event, payload) => calls.push(['emit', room, event, payload]) }),
+      in: (room) => ({ socketsLeave: (left) => calls.push(['leave', room, left]) }),
+    });
+
+    removeFromTrip({ tripId: TRIP_ID, username: 'bob' });
+    assert.deepEqual(calls, [
+      ['emit', 'user:bob', 'removedFromTrip', { tripId: TRIP_ID }],
+      ['leave', 'user:bob', `trip:${TRIP_ID}`],
+    ]);
+  });
+});
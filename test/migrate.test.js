@@ -0,0 +1,38 @@
+// Postgres migrations against a stand-in pool that records its queries.
+import { describe, test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { listMigrations, runMigrations } from '../lib/store/migrate.js';
+
+const fakePool = (applied = []) => {
+  const queries = [];
+  const query = async (sql, params) => {
+    queries.push(sql.trim().split(/\s+/).slice(0, 2).join(' '));
+    if (/^SELECT version FROM schema_migrations/.test(sql.trim())) return { rows: applied.map((version) => ({ version })) };
+    if (/^INSERT INTO schema_migrations/.test(sql)) applied.push(params[0]);
+    return { rows: [] };
+  };
+  return { queries, query, connect: async () => ({ query, release: () => {} }) };
+};
+
+describe('runMigrations', () => {
+  test('applies pending migrations in order and reports each one', async () => {
+    const pool = fakePool(['001']);
+    const reported = [];
+    const log = mock.method(console, 'log');
+    try {
+      const files = await runMigrations(pool, { onApplied: (file) => reported.push(file) });
+      const pending = listMigrations().filter((m) => m.version !== '001').map((m) => m.file);
+      assert.deepEqual(files, pending);
+      assert.deepEqual(reported, pending);
+      assert.equal(log.mock.callCount(), 0);
+    } finally {
+      log.mock.restore();
+    }
+  });
+
+  test('does nothing when every migration is recorded', async () => {
+    const pool = fakePool(listMigrations().map((m) => m.version));
+    assert.deepEqual(await runMigrations(pool), []);
+    assert.ok(!pool.queries.includes('BEGIN'));
+  });
+});
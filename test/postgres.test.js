@@ -0,0 +1,48 @@
+// The Postgres backend reassembles documents in the JSON files' shape. Runs
+// against a stand-in pool that answers the loader's SELECTs.
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPostgresStore } from '../lib/store/postgres.js';
+
+const tablePool = (tables) => ({
+  query: async (sql, params = []) => {
+    const table = /FROM (\w+)/.exec(sql)[1];
+    const rows = (tables[table] || []).filter((row) => !params.length || row.username === params[0]);
+    return { rows };
+  },
+});
+
+describe('Postgres users', () => {
+  test('keeps unrecorded projected points null and recorded zeros as 0', async () => {
+    const store = createPostgresStore({
+      autoMigrate: false,
+      pool: tablePool({
+        users: [{ username: 'alice', password: 'x', name: 'Alice', handicap: '-1.2', friends: [], data: {}, version: 3 }],
+        user_trips: [{ username: 'alice', trip_id: 'TRIP_A', num_rounds: 3, has_points: true, data: {} }],
+        scores: [
+          { username: 'alice', trip_id: 'TRIP_A', round: 0, raw: [4], net: [4], projected_points: null },
+          { username: 'alice', trip_id: 'TRIP_A', round: 1, raw: [5], net: [5], projected_points: '0' },
+          { username: 'alice', trip_id: 'TRIP_A', round: 2, raw: [], net: [], projected_points: '1.5' },
+        ],
+      }),
+    });
+
+    const alice = await store.users.get('alice');
+    assert.deepEqual(alice.trips.TRIP_A.projected_points, [null, 0, 1.5]);
+    assert.deepEqual(alice.trips.TRIP_A.raw_scores, [[4], [5], []]);
+    assert.equal(alice.handicap, -1.2);
+  });
+
+  test('leaves projected_points off trips that never stored any', async () => {
+    const store = createPostgresStore({
+      autoMigrate: false,
+      pool: tablePool({
+        users: [{ username: 'bob', password: 'x', name: 'Bob', handicap: null, friends: [], data: {}, version: 1 }],
+        user_trips: [{ username: 'bob', trip_id: 'TRIP_A', num_rounds: 1, has_points: false, data: {} }],
+        scores: [{ username: 'bob', trip_id: 'TRIP_A', round: 0, raw: [], net: [], projected_points: null }],
+      }),
+    });
+
+    assert.ok(!('projected_points' in (await store.users.get('bob')).trips.TRIP_A));
+  });
+});
@@ -0,0 +1,124 @@
+// Login lockout and request rate limits, in-process and through the server.
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+import { createLoginGuard, rateLimit } from '../lib/ratelimit.js';
+
+const fakeRes = () => {
+  const res = { headers: {}, statusCode: 200, body: null };
+  res.set = (name, value) => { res.headers[name] = value; return res; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+// Runs `middleware` once; true if it called next()
+const passes = (middleware, req, res = fakeRes()) => {
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return passed;
+};
+
+describe('createLoginGuard', () => {
+  const guard = () => createLoginGuard({ freeFailures: 3, ipFreeFailures: 10, lockMs: 1000, maxLockMs: 4000, forgetMs: 60000 });
+  const attempt = { username: 'alice', ip: '10.0.0.1' };
+
+  test('locks the account once it reaches the free failures', () => {
+    const g = guard();
+    assert.equal(g.fail(attempt, 0), 0);
+    assert.equal(g.fail(attempt, 10), 0);
+    assert.equal(g.lockedFor(attempt, 20), 0);
+    assert.equal(g.fail(attempt, 20), 1000);
+    assert.equal(g.lockedFor(attempt, 520), 500);
+    assert.equal(g.lockedFor(attempt, 1020), 0);
+  });
+
+  test('doubles the lock with each further failure up to the cap', () => {
+    const g = guard();
+    let now = 0;
+    const locks = [];
+    for (let i = 0; i < 6; i++) {
+      now += g.lockedFor(attempt, now);
+      locks.push(g.fail(attempt, now));
+    }
+    assert.deepEqual(locks, [0, 0, 1000, 2000, 4000, 4000]);
+  });
+
+  test('a success clears the account but not the IP', () => {
+    const g = createLoginGuard({ freeFailures: 2, ipFreeFailures: 3, lockMs: 1000, maxLockMs: 4000, forgetMs: 60000 });
+    g.fail({ username: 'alice', ip: '10.0.0.1' }, 0);
+    g.fail({ username: 'bob', ip: '10.0.0.1' }, 0);
+    g.succeed({ username: 'alice' });
+    assert.equal(g.fail({ username: 'alice', ip: '10.0.0.1' }, 0), 1000, 'the IP reaches its free failures');
+    assert.equal(g.lockedFor({ username: 'carol', ip: '10.0.0.1' }, 0), 1000);
+    assert.equal(g.lockedFor({ username: 'carol', ip: '10.0.0.2' }, 0), 0);
+  });
+
+  test('forgets failures after forgetMs', () => {
+    const g = guard();
+    g.fail(attempt, 0);
+    g.fail(attempt, 0);
+    assert.equal(g.fail(attempt, 60001), 0);
+    assert.equal(g.fail(attempt, 60002), 0);
+    assert.equal(g.fail(attempt, 60003), 1000);
+  });
+});
+
+describe('rateLimit', () => {
+  test('answers 429 with Retry-After once max requests are used', () => {
+    const limit = rateLimit({ name: 'test', max: 2, windowMs: 60000 });
+    const req = { ip: '10.0.0.1', method: 'GET' };
+    assert.ok(passes(limit, req));
+    const res = fakeRes();
+    assert.ok(passes(limit, req, res));
+    assert.equal(res.headers['RateLimit-Remaining'], '0');
+
+    const refused = fakeRes();
+    assert.equal(passes(limit, req, refused), false);
+    assert.equal(refused.statusCode, 429);
+    assert.equal(refused.headers['Retry-After'], '60');
+    assert.equal(refused.body.retryAfter, 60);
+    assert.ok(passes(limit, { ip: '10.0.0.2', method: 'GET' }), 'other IPs have their own count');
+  });
+
+  test('skipped and unkeyed requests are not counted', () => {
+    const limit = rateLimit({
+      name: 'test',
+      max: 1,
+      key: (req) => req.account || null,
+      skip: (req) => req.method === 'GET',
+    });
+    for (let i = 0; i < 3; i++) {
+      assert.ok(passes(limit, { method: 'GET', account: 'alice' }));
+      assert.ok(passes(limit, { method: 'POST' }));
+    }
+    assert.ok(passes(limit, { method: 'POST', account: 'alice' }));
+    assert.equal(passes(limit, { method: 'POST', account: 'alice' }, fakeRes()), false);
+  });
+});
+
+describe('POST /users/login lockout', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ env: { RATE_LIMIT: 'on', LOGIN_FREE_FAILURES: '2', LOGIN_LOCK_MS: '60000' } });
+    const res = await server.request('POST', '/users/register', {
+      body: { username: 'alice', password: 'correct-horse', name: 'Alice', handicap: 10 },
+    });
+    assert.equal(res.status, 201);
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  test('refuses even the right password while the account is locked', async () => {
+    const login = (password) => server.request('POST', '/users/login', { body: { username: 'alice', password } });
+    assert.equal((await login('wrong')).status, 401);
+    assert.equal((await login('wrong')).status, 401);
+
+    const locked = await login('correct-horse');
+    assert.equal(locked.status, 429);
+    assert.equal(locked.headers.get('retry-after'), '60');
+  });
+});
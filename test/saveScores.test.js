@@ -0,0 +1,93 @@
+// Concurrent score saves against a running server: every save lands, and a
+// stale version gets a 409 instead of overwriting newer data.
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const TRIP_ID = 'TRIP_TEST01';
+const PLAYERS = Array.from({ length: 12 }, (_, i) => `player${i + 1}`);
+const LEADER = PLAYERS[0];
+
+const seedTrip = () => ({
+  tripId: TRIP_ID,
+  tripLeader: LEADER,
+  numTeams: 2,
+  playersPerTeam: 6,
+  numRounds: 1,
+  scoringMethods: ['stroke'],
+  courses: ['True Blue'],
+  teams: [0, 1].map((t) => ({
+    name: `Team ${t + 1}`,
+    players: PLAYERS.slice(t * 6, t * 6 + 6).map((name, i) => ({ id: i + 1, name, scores: [0], lineupOrder: [i] })),
+  })),
+  users: PLAYERS,
+});
+
+const seedUser = (username, i) => ({
+  username,
+  password: 'unused',
+  name: `Player ${i + 1}`,
+  handicap: i,
+  trips: { [TRIP_ID]: { raw_scores: [[]], net_scores: [[]] } },
+});
+
+// A distinct card per player so a lost or crossed save shows up
+const cardFor = (i) => Array.from({ length: 18 }, (_, hole) => 3 + ((i + hole) % 4));
+
+describe('save-scores', () => {
+  let server;
+
+  before(async () => {
+    const outsider = { username: 'outsider', password: 'unused', name: 'Outsider', handicap: 5, trips: {} };
+    server = await startServer({ users: [...PLAYERS.map(seedUser), outsider], trips: { [TRIP_ID]: seedTrip() } });
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  test('keeps every one of 12 concurrent saves', async () => {
+    const results = await Promise.all(PLAYERS.map((username, i) =>
+      server.request('POST', `/users/${username}/trips/${TRIP_ID}/save-scores`, {
+        as: LEADER,
+        body: { round: 0, raw: cardFor(i) },
+      })));
+    results.forEach((res, i) => assert.equal(res.status, 200, `save for ${PLAYERS[i]}: ${JSON.stringify(res.body)}`));
+
+    for (const [i, username] of PLAYERS.entries()) {
+      const res = await server.request('GET', `/users/${username}/trips/${TRIP_ID}/scores?round=0`, { as: username });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.raw, cardFor(i), `scores for ${username}`);
+    }
+  });
+
+  test('refuses scores for someone who is not on the trip', async () => {
+    const res = await server.request('POST', `/users/outsider/trips/${TRIP_ID}/save-scores`, {
+      as: LEADER,
+      body: { round: 0, raw: cardFor(0) },
+    });
+    assert.equal(res.status, 404);
+
+    const outsider = await server.request('GET', '/users/outsider', { as: 'outsider' });
+    assert.equal(outsider.status, 200);
+    assert.deepEqual(outsider.body.trips, {});
+    assert.deepEqual(outsider.body.handicapRounds ?? [], []);
+  });
+
+  test('answers a stale trip version with 409 VERSION_CONFLICT', async () => {
+    const current = await server.request('GET', `/trips/${TRIP_ID}`, { as: LEADER });
+    assert.equal(current.status, 200);
+    const version = current.body.version || 0;
+
+    const res = await server.request('PATCH', `/trips/${TRIP_ID}`, {
+      as: LEADER,
+      body: { numRounds: 2 },
+      headers: { 'If-Match': `"${version + 1}"` },
+    });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'VERSION_CONFLICT');
+
+    const unchanged = await server.request('GET', `/trips/${TRIP_ID}`, { as: LEADER });
+    assert.equal(unchanged.body.numRounds, 1);
+  });
+});
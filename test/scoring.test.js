@@ -0,0 +1,60 @@
+// Handicap indexes, course handicaps and stroke allocation (lib/scoring.js).
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHandicapIndex, courseHandicap, allocateStrokes, resolveCourse } from '../lib/scoring.js';
+
+const course = resolveCourse({
+  name: 'Test Links',
+  slope: 130,
+  rating: 73,
+  holes: Array.from({ length: 18 }, (_, i) => ({ par: 4, strokeIndex: i + 1 })),
+});
+
+describe('parseHandicapIndex', () => {
+  test('reads numbers and numeric strings', () => {
+    assert.equal(parseHandicapIndex(12.4), 12.4);
+    assert.equal(parseHandicapIndex('12.4'), 12.4);
+    assert.equal(parseHandicapIndex(' 8 '), 8);
+  });
+
+  test('reads a leading + as a plus handicap', () => {
+    assert.equal(parseHandicapIndex('+1.2'), -1.2);
+    assert.equal(parseHandicapIndex('-1.2'), -1.2);
+    assert.equal(parseHandicapIndex(-1.2), -1.2);
+  });
+
+  test('treats missing or unreadable values as scratch', () => {
+    assert.equal(parseHandicapIndex(null), 0);
+    assert.equal(parseHandicapIndex(undefined), 0);
+    assert.equal(parseHandicapIndex('abc'), 0);
+    assert.equal(parseHandicapIndex('+'), 0);
+  });
+});
+
+describe('courseHandicap', () => {
+  test('uses the index as-is without slope and rating', () => {
+    assert.equal(courseHandicap('+1.2', resolveCourse('Unknown Course')), -1);
+    assert.equal(courseHandicap('12.4', resolveCourse('Unknown Course')), 12);
+  });
+
+  test('applies slope and rating', () => {
+    // 10 x 130/113 + (73 - 72) = 12.5
+    assert.equal(courseHandicap(10, course), 13);
+    // -2 x 130/113 + 1 = -1.3
+    assert.equal(courseHandicap('+2', course), -1);
+  });
+});
+
+describe('allocateStrokes', () => {
+  test('plus handicaps give strokes back on the easiest holes', () => {
+    const strokes = allocateStrokes(courseHandicap('+1.2', resolveCourse('Unknown Course')), course.holes);
+    assert.equal(strokes[17], -1);
+    assert.equal(strokes.reduce((sum, s) => sum + s, 0), -1);
+  });
+
+  test('handicaps above the hole count wrap around', () => {
+    const strokes = allocateStrokes(20, course.holes);
+    assert.deepEqual(strokes.slice(0, 3), [2, 2, 1]);
+    assert.equal(strokes.reduce((sum, s) => sum + s, 0), 20);
+  });
+});
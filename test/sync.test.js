@@ -0,0 +1,102 @@
+// Offline score sync (lib/sync.js): retried batches, late entries and
+// conflicting edits.
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planBatch, applyBatch, nextVersion, changesSince } from '../lib/sync.js';
+
+const TRIP_ID = 'TRIP_SYNC1';
+const catalog = { courses: {} };
+
+const setup = () => ({
+  trip: {
+    tripId: TRIP_ID,
+    tripLeader: 'lead',
+    numRounds: 1,
+    scoringMethods: ['stroke'],
+    courses: ['True Blue'],
+    users: ['lead', 'amy'],
+  },
+  users: ['lead', 'amy', 'zed'].map((username) => ({
+    username,
+    handicap: 0,
+    trips: username === 'zed' ? {} : { [TRIP_ID]: { raw_scores: [[]], net_scores: [[]] } },
+  })),
+});
+
+// Plans and applies a batch the way POST .../sync does
+const sync = ({ trip, users }, actor, entries, mode = 'lastWriteWins') => {
+  const version = nextVersion();
+  const { results, cards } = planBatch({ trip, users, catalog, actor, entries, mode, version });
+  applyBatch({ trip, users, catalog, cards });
+  return { version, results: Object.fromEntries(results.map((r) => [r.id, r])) };
+};
+
+const hole = (id, strokes, at, more = {}) => ({ id, username: 'amy', round: 0, hole: 0, strokes, at, ...more });
+const amysCard = ({ users }) => users.find((u) => u.username === 'amy').trips[TRIP_ID];
+
+describe('sync batches', () => {
+  test('a retried batch is reported as duplicate and changes nothing', () => {
+    const state = setup();
+    const batch = [hole('e1', 5, '2026-06-01T10:00:00.000Z')];
+    assert.equal(sync(state, 'amy', batch).results.e1.status, 'applied');
+
+    amysCard(state).raw_scores[0][0] = 7; // a later save-scores
+    assert.equal(sync(state, 'amy', batch).results.e1.status, 'duplicate');
+    assert.equal(amysCard(state).raw_scores[0][0], 7);
+  });
+
+  test('the same id twice in one batch applies once', () => {
+    const { results } = sync(setup(), 'amy', [hole('e1', 5, '2026-06-01T10:00:00.000Z'), hole('e1', 6, '2026-06-01T10:01:00.000Z')]);
+    assert.equal(results.e1.status, 'duplicate');
+  });
+
+  test('an entry made before the hole was last written is stale', () => {
+    const state = setup();
+    sync(state, 'lead', [hole('lead1', 4, '2026-06-01T10:05:00.000Z')]);
+    const { results } = sync(state, 'amy', [hole('amy1', 6, '2026-06-01T10:00:00.000Z')]);
+    assert.equal(results.amy1.status, 'stale');
+    assert.equal(results.amy1.current.strokes, 4);
+    assert.equal(amysCard(state).raw_scores[0][0], 4);
+  });
+
+  test('in last-write-wins mode the later entry wins whatever it was based on', () => {
+    const state = setup();
+    sync(state, 'lead', [hole('lead1', 4, '2026-06-01T10:00:00.000Z')]);
+    const { results } = sync(state, 'amy', [hole('amy1', 6, '2026-06-01T10:05:00.000Z', { baseVersion: 0 })]);
+    assert.equal(results.amy1.status, 'applied');
+    assert.equal(amysCard(state).raw_scores[0][0], 6);
+  });
+
+  test('in report mode an edit based on an older version comes back as a conflict', () => {
+    const state = setup();
+    const { version } = sync(state, 'lead', [hole('lead1', 4, '2026-06-01T10:00:00.000Z')]);
+    const { results } = sync(state, 'amy', [hole('amy1', 6, '2026-06-01T10:05:00.000Z', { baseVersion: version - 1 })], 'report');
+    assert.equal(results.amy1.status, 'conflict');
+    assert.deepEqual(
+      { strokes: results.amy1.current.strokes, v: results.amy1.current.v, by: results.amy1.current.by },
+      { strokes: 4, v: version, by: 'lead' }
+    );
+    assert.equal(amysCard(state).raw_scores[0][0], 4);
+
+    // Merged on top of what it saw, the edit goes through
+    const merged = sync(state, 'amy', [hole('amy2', 6, '2026-06-01T10:06:00.000Z', { baseVersion: version })], 'report');
+    assert.equal(merged.results.amy2.status, 'applied');
+  });
+
+  test('entries for someone off the trip, or by a player for someone else, are rejected', () => {
+    const { results } = sync(setup(), 'amy', [
+      { ...hole('z1', 4, '2026-06-01T10:00:00.000Z'), username: 'zed' },
+      { ...hole('l1', 4, '2026-06-01T10:00:00.000Z'), username: 'lead' },
+    ]);
+    assert.equal(results.z1.status, 'rejected');
+    assert.equal(results.l1.status, 'rejected');
+  });
+
+  test('pulls return the holes stamped after a version', () => {
+    const state = setup();
+    const first = sync(state, 'amy', [hole('e1', 5, '2026-06-01T10:00:00.000Z')]);
+    sync(state, 'amy', [{ ...hole('e2', 3, '2026-06-01T10:10:00.000Z'), hole: 1 }]);
+    const changes = changesSince({ ...state, since: first.version });
+    assert.deepEqual(changes.map((c) => [c.hole, c.raw]), [[1, 3]]);
+  });
+});
@@ -0,0 +1,87 @@
+// Full trip saves (POST /trips) leave membership to the member routes.
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const user = (username, trips = {}) => ({ username, password: 'unused', name: username, handicap: 10, trips });
+
+const tripDoc = (tripId, users) => ({
+  tripId,
+  tripLeader: 'lead',
+  numTeams: 2,
+  playersPerTeam: 2,
+  numRounds: 1,
+  scoringMethods: ['stroke'],
+  courses: ['True Blue'],
+  users,
+});
+
+describe('POST /trips', () => {
+  let server;
+
+  before(async () => {
+    const card = { raw_scores: [[]], net_scores: [[]] };
+    server = await startServer({
+      users: [user('lead', { TRIP_OLD: card }), user('bob', { TRIP_OLD: card }), user('carol')],
+      trips: { TRIP_OLD: tripDoc('TRIP_OLD', ['lead', 'bob']) },
+    });
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  test('a new trip starts with only its leader as a member', async () => {
+    const res = await server.request('POST', '/trips', { as: 'lead', body: tripDoc('TRIP_NEW', ['lead', 'bob', 'carol']) });
+    assert.equal(res.status, 201);
+
+    const trip = await server.request('GET', '/trips/TRIP_NEW');
+    assert.deepEqual(trip.body.users, ['lead']);
+    const carol = await server.request('GET', '/users/carol');
+    assert.deepEqual(carol.body.trips, {});
+  });
+
+  test('replacing a trip keeps its stored members', async () => {
+    const added = await server.request('POST', '/trips', { as: 'lead', body: tripDoc('TRIP_OLD', ['lead', 'bob', 'carol']) });
+    assert.equal(added.status, 201);
+    assert.deepEqual((await server.request('GET', '/trips/TRIP_OLD')).body.users, ['lead', 'bob']);
+
+    const dropped = await server.request('POST', '/trips', { as: 'lead', body: tripDoc('TRIP_OLD', ['lead']) });
+    assert.equal(dropped.status, 201);
+    assert.deepEqual((await server.request('GET', '/trips/TRIP_OLD')).body.users, ['lead', 'bob']);
+    assert.ok((await server.request('GET', '/users/bob')).body.trips.TRIP_OLD);
+  });
+});
+
+describe('PATCH /trips/:tripId', () => {
+  let server;
+
+  before(async () => {
+    const card = { raw_scores: [[5, 4]], net_scores: [[4, 4]] };
+    server = await startServer({
+      users: [user('lead', { TRIP_P: card }), user('bob', { TRIP_P: structuredClone(card) })],
+      trips: { TRIP_P: { ...tripDoc('TRIP_P', ['lead', 'bob']), version: 4 } },
+    });
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  const cardOf = async (username) => (await server.request('GET', `/users/${username}`)).body.trips.TRIP_P;
+
+  test('a stale If-Match changes neither the trip nor the cards', async () => {
+    const res = await server.request('PATCH', '/trips/TRIP_P', { as: 'lead', body: { numRounds: 2 }, headers: { 'If-Match': '"3"' } });
+    assert.equal(res.status, 409);
+    assert.equal((await server.request('GET', '/trips/TRIP_P')).body.numRounds, 1);
+    assert.equal((await cardOf('bob')).raw_scores.length, 1);
+  });
+
+  test('a current If-Match saves the trip and resizes every card', async () => {
+    const res = await server.request('PATCH', '/trips/TRIP_P', { as: 'lead', body: { numRounds: 2 }, headers: { 'If-Match': '"4"' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('etag'), '"5"');
+    assert.deepEqual((await cardOf('bob')).raw_scores, [[5, 4], []]);
+    assert.deepEqual((await cardOf('lead')).raw_scores, [[5, 4], []]);
+  });
+});
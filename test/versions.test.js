@@ -0,0 +1,119 @@
+// Optimistic concurrency: version checks in the JSON store and the retry
+// helper the save routes wrap themselves in.
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { VersionConflictError, checkVersion, retryOnConflict } from '../lib/store/versions.js';
+
+const conflict = () => new VersionConflictError('Trip', 'TRIP_X', 1, 2);
+
+describe('retryOnConflict', () => {
+  test('re-runs the function until it stops conflicting', async () => {
+    let calls = 0;
+    const result = await retryOnConflict(async () => {
+      calls++;
+      if (calls < 3) throw conflict();
+      return 'saved';
+    });
+    assert.equal(result, 'saved');
+    assert.equal(calls, 3);
+  });
+
+  test('gives up after the given number of attempts', async () => {
+    let calls = 0;
+    await assert.rejects(
+      retryOnConflict(async () => {
+        calls++;
+        throw conflict();
+      }, 4),
+      (err) => err instanceof VersionConflictError && err.status === 409
+    );
+    assert.equal(calls, 4);
+  });
+
+  test('rethrows other errors without retrying', async () => {
+    let calls = 0;
+    await assert.rejects(
+      retryOnConflict(async () => {
+        calls++;
+        throw new Error('disk full');
+      }),
+      /disk full/
+    );
+    assert.equal(calls, 1);
+  });
+});
+
+describe('checkVersion', () => {
+  test('treats documents without a version as version 0', () => {
+    assert.doesNotThrow(() => checkVersion('User', 'a', {}, { version: 0 }));
+    assert.throws(() => checkVersion('User', 'a', {}, { version: 1 }), VersionConflictError);
+  });
+});
+
+// The JSON store resolves data/ against the cwd when it's first imported
+describe('JSON store', () => {
+  const cwd = process.cwd();
+  let dir;
+  let store;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'forescore-store-'));
+    fs.mkdirSync(path.join(dir, 'data'));
+    fs.writeFileSync(path.join(dir, 'data/trips.json'), JSON.stringify({ trips: {} }));
+    fs.writeFileSync(path.join(dir, 'data/users.json'), JSON.stringify({ users: [] }));
+    process.chdir(dir);
+    Object.assign(process.env, { BACKUP_RESTORE_ON_START: 'false', BACKUP_TARGETS: 'local', LOG_LEVEL: 'error' });
+    const { createJsonStore } = await import('../lib/store/json.js');
+    store = createJsonStore();
+    await store.init();
+  });
+
+  after(async () => {
+    const { flushWrites } = await import('../lib/storage.js');
+    await flushWrites();
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('bumps the version on save and rejects a stale copy', async () => {
+    await store.users.save({ username: 'alice', handicap: 10 });
+    const first = await store.users.get('alice');
+    const second = await store.users.get('alice');
+
+    await store.users.save({ ...first, handicap: 9 });
+    assert.equal((await store.users.get('alice')).version, first.version + 1);
+
+    await assert.rejects(store.users.save({ ...second, handicap: 8 }), VersionConflictError);
+    assert.equal((await store.users.get('alice')).handicap, 9);
+  });
+
+  test('retrying a read-modify-write keeps both concurrent changes', async () => {
+    await store.trips.save({ tripId: 'TRIP_X', users: [] });
+    const join = (username) => retryOnConflict(async () => {
+      const trip = await store.trips.get('TRIP_X');
+      await new Promise((resolve) => setImmediate(resolve));
+      trip.users.push(username);
+      await store.trips.save(trip);
+    });
+
+    await Promise.all([join('alice'), join('bob')]);
+    assert.deepEqual((await store.trips.get('TRIP_X')).users.sort(), ['alice', 'bob']);
+  });
+
+  test('a save whose write fails rejects, and the next write still goes through', async () => {
+    // A directory where the temp file goes makes the write fail
+    const blocker = path.join(dir, 'data/series.json.tmp');
+    fs.mkdirSync(blocker);
+    await assert.rejects(store.series.save({ seriesId: 'SERIES_X', name: 'Cup' }), /EISDIR/);
+
+    fs.rmdirSync(blocker);
+    const { flushWrites } = await import('../lib/storage.js');
+    await store.series.save({ ...(await store.series.get('SERIES_X')), name: 'Cup 2' });
+    await flushWrites();
+    const onDisk = JSON.parse(fs.readFileSync(path.join(dir, 'data/series.json'), 'utf-8'));
+    assert.equal(Object.values(onDisk.series)[0].name, 'Cup 2');
+  });
+});